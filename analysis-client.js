@@ -0,0 +1,55 @@
+/**
+ * Page side of analysis-worker.js: jobs as promises, with progress callbacks and cancellation.
+ *
+ * Messages to the worker: { id, kind, params } queues a job, { type: 'cancel', id } drops a queued or running one.
+ * Messages back: { id, type: 'progress', done, total }, then one of { id, type: 'result', result },
+ * { id, type: 'error', message } or { id, type: 'cancelled' }.
+ */
+
+/**
+ * @returns {{
+ *   run: (kind: string, params: object, options?: {transfer?: Transferable[], onProgress?: (done: number, total: number) => void})
+ *     => {promise: Promise<any>, cancel: () => void},
+ *   cancelAll: () => void
+ * }} run: the promise rejects with an AbortError when the job is cancelled
+ */
+export function createAnalysisWorker() {
+    const worker = new Worker(new URL('./analysis-worker.js', import.meta.url), { type: 'module' });
+    const jobs = new Map();
+    let nextId = 1;
+
+    worker.onmessage = ({ data }) => {
+        const job = jobs.get(data.id);
+        if (!job) return;
+        if (data.type === 'progress') {
+            if (job.onProgress) job.onProgress(data.done, data.total);
+            return;
+        }
+        jobs.delete(data.id);
+        if (data.type === 'result') job.resolve(data.result);
+        else if (data.type === 'cancelled') job.reject(new DOMException('Analysis cancelled', 'AbortError'));
+        else job.reject(new Error(data.message));
+    };
+
+    // The worker failed to load or crashed: nothing pending will finish
+    worker.onerror = (e) => {
+        for (const job of jobs.values()) job.reject(new Error(e.message || 'Analysis worker failed'));
+        jobs.clear();
+    };
+
+    function cancel(id) {
+        if (jobs.has(id)) worker.postMessage({ type: 'cancel', id });
+    }
+
+    function run(kind, params, options = {}) {
+        const id = nextId++;
+        const promise = new Promise((resolve, reject) => jobs.set(id, { resolve, reject, onProgress: options.onProgress }));
+        worker.postMessage({ id, kind, params }, options.transfer || []);
+        return { promise, cancel: () => cancel(id) };
+    }
+
+    return {
+        run,
+        cancelAll: () => [...jobs.keys()].forEach(cancel)
+    };
+}
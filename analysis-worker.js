@@ -0,0 +1,366 @@
+/**
+ * Analysis off the page's main thread: difference profiles on the GPU (WebGL 2 on an OffscreenCanvas; the CPU
+ * pipeline when that or float render targets aren't available, or for a grid at an angle), crop, rotation and scale
+ * detection, reconstruction error, the frames of the animation download,
+ * and the batch's detection and reconstructions. An animation's profiles are averaged over its frames (on the CPU), so
+ * they all get one grid; the shown frame is the one measured. Jobs run one at a time in the order they arrive, reporting
+ * progress and checking for cancellation between steps; see analysis-client.js for the messages.
+ */
+
+import {
+    analyzeProfiles, computeColDiffs, computeRowDiffs, cropImage, detectContentRect, detectPixelGrid, detectRotation,
+    deskewImage, downsample, deconvolve, extractPalette, quantize, toHex, reconstructionMetrics, detectAnimationGrid,
+    reconstructAnimation, reconstructAnimationSteps, exportImage, exportAnimation, gridMetadata, encodeDeflated, DIFF_METRICS
+} from './index.js';
+import { createProgram, createQuadBuffer, bindQuad, createImageTexture } from './gl.js';
+import { vsSource, fsColDiffSource, fsRowDiffSource } from './shaders.js';
+
+let image = null; // { width, height, pixels, frames } of the loaded image (pixels: the shown frame; frames: all of an
+                  // animation, or null), rows bottom-up like the texture
+let deskewed = null; // { angle, image }: the loaded image deskewed, see gridImage
+let gpu; // { gl, programCol, programRow, quad, texImage, fboCol, texCol, fboRow, texRow }; null: CPU only
+
+// WebGL 2 with float render targets, or null
+function initGPU() {
+    if (gpu !== undefined) return gpu;
+    gpu = null;
+    if (typeof OffscreenCanvas === 'undefined') return null;
+    const gl = new OffscreenCanvas(1, 1).getContext('webgl2');
+    if (!gl || !gl.getExtension('EXT_color_buffer_float')) return null;
+
+    const programCol = createProgram(gl, vsSource, fsColDiffSource);
+    const programRow = createProgram(gl, vsSource, fsRowDiffSource);
+    if (!programCol || !programRow) return null;
+    gpu = { gl, programCol, programRow, quad: createQuadBuffer(gl), texImage: null, fboCol: null, texCol: null, fboRow: null, texRow: null };
+    return gpu;
+}
+
+// R32F render target of w x h texels
+function createTarget(gl, w, h) {
+    const texture = gl.createTexture();
+    gl.bindTexture(gl.TEXTURE_2D, texture);
+    gl.texImage2D(gl.TEXTURE_2D, 0, gl.R32F, w, h, 0, gl.RED, gl.FLOAT, null);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.NEAREST);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.NEAREST);
+
+    const fbo = gl.createFramebuffer();
+    gl.bindFramebuffer(gl.FRAMEBUFFER, fbo);
+    gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, texture, 0);
+    gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+    return { texture, fbo };
+}
+
+// Texture and profile targets (Col Diffs: width x 1, Row Diffs: 1 x height) for a new image or frame
+function uploadImage(bitmap) {
+    const { gl } = gpu;
+    for (const texture of [gpu.texImage, gpu.texCol, gpu.texRow]) if (texture) gl.deleteTexture(texture);
+    for (const fbo of [gpu.fboCol, gpu.fboRow]) if (fbo) gl.deleteFramebuffer(fbo);
+
+    gpu.texImage = createImageTexture(gl, bitmap);
+    ({ texture: gpu.texCol, fbo: gpu.fboCol } = createTarget(gl, bitmap.width, 1));
+    ({ texture: gpu.texRow, fbo: gpu.fboRow } = createTarget(gl, 1, bitmap.height));
+}
+
+// One profile pass into `fbo`, read back
+function drawProfile(program, fbo, rect, alphaWeight, metric, length, vertical) {
+    const { gl } = gpu;
+    gl.bindFramebuffer(gl.FRAMEBUFFER, fbo);
+    gl.viewport(0, 0, vertical ? 1 : length, vertical ? length : 1);
+    gl.useProgram(program);
+    bindQuad(gl, program, gpu.quad);
+
+    gl.uniform4i(gl.getUniformLocation(program, "uRegion"), rect.x, rect.y, rect.width, rect.height);
+    gl.uniform1f(gl.getUniformLocation(program, "uAlphaWeight"), alphaWeight);
+    gl.uniform1i(gl.getUniformLocation(program, "uMetric"), DIFF_METRICS.indexOf(metric));
+    gl.activeTexture(gl.TEXTURE0);
+    gl.bindTexture(gl.TEXTURE_2D, gpu.texImage);
+    gl.drawArrays(gl.TRIANGLES, 0, 6);
+
+    const data = new Float32Array(length);
+    gl.readPixels(0, 0, vertical ? 1 : length, vertical ? length : 1, gl.RED, gl.FLOAT, data);
+    return data;
+}
+
+// The loaded image turned so a grid at `angle` is axis aligned (deskewImage, texture coordinates), kept for the next job
+function gridImage(angle) {
+    if (!angle) return { data: image.pixels, width: image.width, height: image.height };
+    if (!deskewed || deskewed.angle !== angle) {
+        deskewed = { angle, image: deskewImage({ data: image.pixels, width: image.width, height: image.height }, angle) };
+    }
+    return deskewed.image;
+}
+
+// Column and row difference profiles of a rectangle of the image (texture coordinates, bottom-left origin),
+// deskewed for a grid at `angle` (on the CPU, the texture isn't); of every frame, averaged, for an animation.
+// alphaWeight and metric: how texels are compared, see computeColDiffs
+function computeProfiles(rect, alphaWeight, metric, angle = 0) {
+    if (gpu && !angle && !image.frames) {
+        return {
+            colData: drawProfile(gpu.programCol, gpu.fboCol, rect, alphaWeight, metric, rect.width, false),
+            rowData: drawProfile(gpu.programRow, gpu.fboRow, rect, alphaWeight, metric, rect.height, true)
+        };
+    }
+    if (!image.frames) {
+        const crop = cropImage(gridImage(angle), rect);
+        return {
+            colData: computeColDiffs(crop.data, crop.width, crop.height, alphaWeight, metric),
+            rowData: computeRowDiffs(crop.data, crop.width, crop.height, alphaWeight, metric)
+        };
+    }
+    const colData = new Float32Array(rect.width);
+    const rowData = new Float32Array(rect.height);
+    for (const pixels of image.frames) {
+        const frame = { data: pixels, width: image.width, height: image.height };
+        const crop = cropImage(angle ? deskewImage(frame, angle) : frame, rect);
+        const cols = computeColDiffs(crop.data, crop.width, crop.height, alphaWeight, metric);
+        const rows = computeRowDiffs(crop.data, crop.width, crop.height, alphaWeight, metric);
+        for (let i = 0; i < rect.width; i++) colData[i] += cols[i] / image.frames.length;
+        for (let i = 0; i < rect.height; i++) rowData[i] += rows[i] / image.frames.length;
+    }
+    return { colData, rowData };
+}
+
+// RGBA pixels of a bitmap, in its row order (through a 2D canvas, so translucent colours may be off by a unit or so)
+function bitmapPixels(bitmap) {
+    const ctx = new OffscreenCanvas(bitmap.width, bitmap.height).getContext('2d');
+    ctx.drawImage(bitmap, 0, 0);
+    return ctx.getImageData(0, 0, bitmap.width, bitmap.height);
+}
+
+// Image file to RGBA pixels, rows top-down like the CLI
+async function decodeImageFile(file) {
+    const bitmap = await createImageBitmap(file, { premultiplyAlpha: 'none', colorSpaceConversion: 'none' });
+    const pixels = bitmapPixels(bitmap);
+    bitmap.close();
+    return pixels;
+}
+
+/**
+ * Jobs: (params, ctx) => { result, transfer? }. ctx.progress(done, total) reports progress,
+ * `await ctx.checkpoint()` gives cancel messages a chance to arrive and throws when the job was cancelled.
+ */
+const JOBS = {
+    // The image for 'analyze' and 'metrics', flipped like the page's texture. frames: the pixels of every frame of an
+    // animation, flipped likewise, the bitmap being the first
+    load({ bitmap, frames }) {
+        image = { width: bitmap.width, height: bitmap.height, pixels: frames ? frames[0] : bitmapPixels(bitmap).data, frames: frames || null };
+        deskewed = null;
+        if (initGPU()) uploadImage(bitmap);
+        bitmap.close();
+        return { result: { gpu: gpu !== null } };
+    },
+
+    // Show another frame of the loaded animation: 'metrics' measure that one
+    frame({ index }) {
+        image.pixels = image.frames[index];
+        deskewed = null;
+        if (gpu) uploadImage(new ImageData(image.pixels, image.width, image.height));
+        return { result: null };
+    },
+
+    // Grid of the crop (a rect, 'auto' to detect it, or null for the whole image) and of each region.
+    // Rects in texture coordinates; grids relative to their rect. rotation: detect the grid's angle first (texture
+    // coordinates, 0 when it's axis aligned or not detected), the rects and grids are then in the deskewed image
+    async analyze({ crop, maxScale, method, alphaWeight, metric, rotation, regions }, ctx) {
+        const total = 1 + (crop === 'auto' ? 1 : 0) + (rotation ? 1 : 0) + (regions ? regions.length : 0);
+        let done = 0;
+        const step = async () => {
+            ctx.progress(++done, total);
+            await ctx.checkpoint();
+        };
+
+        let angle = 0;
+        if (rotation) {
+            angle = detectRotation(gridImage(0), { alphaWeight, metric });
+            await step();
+        }
+
+        let rect = crop;
+        if (crop === 'auto') {
+            rect = detectContentRect(gridImage(angle), { maxScale, method, alphaWeight, metric });
+            await step();
+        }
+        rect = rect || { x: 0, y: 0, width: image.width, height: image.height };
+        const { colData, rowData } = computeProfiles(rect, alphaWeight, metric, angle);
+        const grid = analyzeProfiles(colData, rowData, { maxScale, method });
+        await step();
+
+        const regionGrids = [];
+        for (const region of regions || []) {
+            const profiles = computeProfiles(region, alphaWeight, metric, angle);
+            regionGrids.push(analyzeProfiles(profiles.colData, profiles.rowData, { maxScale, method }));
+            await step();
+        }
+        return { result: { crop: rect, grid, colData, rowData, angle, regions: regionGrids }, transfer: [colData.buffer, rowData.buffer] };
+    },
+
+    // Reconstruction error of the loaded image (texture coordinates, like the grid; deskewed for a grid at `angle`).
+    // With a kernel the cells are deconvolved, and come back as `lowres` with the kernel used and its error
+    metrics({ resX, resY, sampling, kernel, palette, angle }) {
+        const source = gridImage(angle);
+        const deconvolved = kernel ? deconvolve(source.data, source.width, source.height, resX, resY, { kernel }) : null;
+        let lowres = deconvolved || downsample(source.data, source.width, source.height, resX, resY, sampling);
+        if (palette) lowres = quantize(lowres, palette);
+        const metrics = reconstructionMetrics(source.data, source.width, source.height, resX, resY, lowres);
+        if (!deconvolved) return { result: metrics, transfer: [metrics.cellErrors.buffer] };
+
+        const { width, height, data } = deconvolved;
+        const result = { ...metrics, kernel: { name: deconvolved.kernel, error: deconvolved.error }, lowres: { width, height, data } };
+        return { result, transfer: [metrics.cellErrors.buffer, data.buffer] };
+    },
+
+    // Every frame of the loaded animation reconstructed with one grid (texture coordinates, like 'metrics'), for the page's
+    // download: reconstructAnimation's result, frames bottom-up. delays and loop: the animation's, the worker only has
+    // its pixels
+    async animation({ grid, delays, loop, sampling, kernel, palette, maxColors }, ctx) {
+        const frames = image.frames.map((data, i) => ({ data, delay: delays[i] }));
+        const steps = reconstructAnimationSteps({ width: image.width, height: image.height, loop, frames }, grid,
+            { sampling, kernel, palette, maxColors });
+        let step = steps.next();
+        while (!step.done) {
+            ctx.progress(step.value.done, step.value.total);
+            await ctx.checkpoint();
+            step = steps.next();
+        }
+        const result = step.value;
+        return { result, transfer: result.frames.map(frame => frame.data.buffer) };
+    },
+
+    // Batch: grid of a file with its settings, image coordinates. animation: the file's frames when it's animated
+    // (decoded on the page, which can play videos), for one grid for all of them
+    async detect({ file, animation, settings }) {
+        const { maxScale, method, alphaWeight, metric, autoCrop, rotation } = settings;
+        const options = { maxScale, method, alphaWeight, metric, crop: autoCrop, rotation };
+        if (animation) return { result: detectAnimationGrid(animation, options) };
+        return { result: detectPixelGrid(await decodeImageFile(file), options) };
+    },
+
+    // Batch: reconstruction of a file as settings.exportFormat (`files`: [{ name, data }], named `output` plus the
+    // extension), and its manifest entry (like the CLI's report).
+    // Detects the grid when it's missing; palette is the loaded palette file for settings.paletteMode 'file'
+    async reconstruct({ file, animation, path, output, grid, settings, palette }) {
+        if (animation) return reconstructFrames(animation, path, output, grid, settings, palette);
+        const decoded = await decodeImageFile(file);
+        if (!grid) {
+            const { maxScale, method, alphaWeight, metric, autoCrop, rotation } = settings;
+            grid = detectPixelGrid(decoded, { maxScale, method, alphaWeight, metric, crop: autoCrop, rotation });
+        }
+        const pixels = grid.angle ? deskewImage(decoded, grid.angle) : decoded;
+        const axis = (res) => ({ scale: res.scale, offset: res.offset, confidence: res.confidence });
+
+        const entry = { file: path, width: pixels.width, height: pixels.height, x: axis(grid.x), y: axis(grid.y), output: null };
+        if (grid.crop) entry.crop = grid.crop;
+        if (grid.angle) entry.angle = grid.angle;
+        if (grid.x.scale < 1.5 || grid.y.scale < 1.5) {
+            entry.error = 'Scale too small to downsample';
+            return { result: { entry, grid } };
+        }
+
+        let lowres;
+        if (settings.kernel) {
+            lowres = deconvolve(pixels.data, pixels.width, pixels.height, grid.x, grid.y, { kernel: settings.kernel });
+            entry.kernel = { name: lowres.kernel, error: lowres.error };
+        } else {
+            lowres = downsample(pixels.data, pixels.width, pixels.height, grid.x, grid.y, settings.sampling);
+        }
+        if (settings.paletteMode !== 'file') palette = settings.paletteMode === 'auto' ? extractPalette(lowres.data, settings.maxColors) : null;
+        if (palette) {
+            lowres = quantize(lowres, palette);
+            entry.palette = lowres.palette.map(toHex);
+        }
+        // zip.js stores the files as they are, so they're compressed here
+        const exported = await encodeDeflated(deflate => exportImage(lowres, settings.exportFormat, {
+            scale: settings.exportScale, metadata: gridMetadata(grid, path), deflate
+        }));
+        const files = [{ name: output + exported.extension, data: exported.data }];
+        entry.output = { file: files[0].name, width: lowres.width, height: lowres.height };
+        if (settings.exportScale > 1) entry.output.upscale = settings.exportScale;
+
+        // Per-cell errors stay out of the manifest, they'd dwarf everything else
+        const { cellErrors, ...metrics } = reconstructionMetrics(pixels.data, pixels.width, pixels.height, grid.x, grid.y, lowres);
+        entry.metrics = metrics; // psnr is Infinity (null in the JSON) when the reconstruction is lossless
+        return { result: { entry, grid, files }, transfer: transferable(files) };
+    }
+};
+
+// 'reconstruct' of an animation, as settings.animationFormat: an APNG, a GIF, an Aseprite file, or a sprite sheet and its
+// JSON
+async function reconstructFrames(animation, path, output, grid, settings, palette) {
+    if (!grid) {
+        const { maxScale, method, alphaWeight, metric, autoCrop, rotation } = settings;
+        grid = detectAnimationGrid(animation, { maxScale, method, alphaWeight, metric, crop: autoCrop, rotation });
+    }
+    const axis = (res) => ({ scale: res.scale, offset: res.offset, confidence: res.confidence });
+    const entry = {
+        file: path, width: animation.width, height: animation.height, frames: animation.frames.length,
+        x: axis(grid.x), y: axis(grid.y), output: null
+    };
+    if (grid.crop) entry.crop = grid.crop;
+    if (grid.angle) entry.angle = grid.angle;
+    if (grid.x.scale < 1.5 || grid.y.scale < 1.5) {
+        entry.error = 'Scale too small to downsample';
+        return { result: { entry, grid } };
+    }
+
+    const lowres = reconstructAnimation(animation, grid, {
+        sampling: settings.sampling,
+        kernel: settings.kernel,
+        palette: settings.paletteMode === 'file' ? palette : null,
+        maxColors: settings.paletteMode === 'auto' ? settings.maxColors : 0
+    });
+    if (lowres.kernel) entry.kernel = { name: lowres.kernel };
+    if (lowres.palette) entry.palette = lowres.palette.map(toHex);
+
+    const exported = await encodeDeflated(deflate => exportAnimation(lowres, settings.animationFormat, {
+        scale: settings.exportScale, metadata: gridMetadata(grid, path), name: output.split('/').pop(), deflate
+    }));
+    const files = exported.map(({ data, extension }) => ({ name: output + extension, data }));
+    entry.output = { file: files[0].name, width: lowres.width, height: lowres.height };
+    if (settings.exportScale > 1) entry.output.upscale = settings.exportScale;
+    if (files[1]) entry.output.json = files[1].name; // the sprite sheet's
+    entry.metrics = lowres.metrics; // averaged over the frames
+    return { result: { entry, grid, files }, transfer: transferable(files) };
+}
+
+// Buffers of the binary files, moved to the page rather than copied
+function transferable(files) {
+    return files.filter(file => typeof file.data !== 'string').map(file => file.data.buffer);
+}
+
+const CANCELLED = new Error('cancelled');
+const pending = new Set(); // ids of queued or running jobs
+const cancelled = new Set(); // those of them to drop
+let queue = Promise.resolve();
+
+async function runJob({ id, kind, params }) {
+    const ctx = {
+        progress: (done, total) => self.postMessage({ id, type: 'progress', done, total }),
+        checkpoint: async () => {
+            await new Promise(resolve => setTimeout(resolve, 0));
+            if (cancelled.has(id)) throw CANCELLED;
+        }
+    };
+    try {
+        if (cancelled.has(id)) throw CANCELLED;
+        const { result, transfer = [] } = await JOBS[kind](params, ctx);
+        self.postMessage({ id, type: 'result', result }, transfer);
+    } catch (err) {
+        if (err === CANCELLED) {
+            self.postMessage({ id, type: 'cancelled' });
+        } else {
+            self.postMessage({ id, type: 'error', message: err.message });
+        }
+    } finally {
+        pending.delete(id);
+        cancelled.delete(id);
+    }
+}
+
+self.onmessage = ({ data }) => {
+    if (data.type === 'cancel') {
+        if (pending.has(data.id)) cancelled.add(data.id); // a job that's done has nothing to cancel
+        return;
+    }
+    pending.add(data.id);
+    queue = queue.then(() => runJob(data));
+};
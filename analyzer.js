@@ -1,9 +1,8 @@
-
 /**
  * Port of TeaMap.FindPixelResolution.AnalyzePeriodicity from C#
  */
 
-function calculateDFTBin(signal, k) {
+export function calculateDFTBin(signal, k) {
     let sumRe = 0;
     let sumIm = 0;
     const N = signal.length;
@@ -21,72 +20,172 @@ function calculateDFTBin(signal, k) {
     return { magnitude, phase };
 }
 
-function analyzePeriodicity(data, maxScale) {
-    const N = data.length;
+// In-place iterative radix-2 FFT, re/im length must be a power of two
+function fftRadix2(re, im) {
+    const n = re.length;
 
-    // Calculate total energy
-    let totalEnergy = 0;
-    for (let i = 0; i < N; i++) totalEnergy += data[i];
+    for (let i = 1, j = 0; i < n; i++) {
+        let bit = n >> 1;
+        for (; j & bit; bit >>= 1) j ^= bit;
+        j ^= bit;
+        if (i < j) {
+            let t = re[i]; re[i] = re[j]; re[j] = t;
+            t = im[i]; im[i] = im[j]; im[j] = t;
+        }
+    }
 
-    if (totalEnergy < 0.0001) {
-        return { scale: 1, offset: 0, confidence: 0 };
+    for (let len = 2; len <= n; len <<= 1) {
+        const half = len >> 1;
+        const step = -2.0 * Math.PI / len;
+        for (let i = 0; i < n; i += len) {
+            for (let j = 0; j < half; j++) {
+                const wr = Math.cos(step * j);
+                const wi = Math.sin(step * j);
+                const a = i + j;
+                const b = a + half;
+                const tr = re[b] * wr - im[b] * wi;
+                const ti = re[b] * wi + im[b] * wr;
+                re[b] = re[a] - tr;
+                im[b] = im[a] - ti;
+                re[a] += tr;
+                im[a] += ti;
+            }
+        }
     }
+}
 
-    const minK = Math.floor(N / maxScale) < 1 ? 1 : Math.floor(N / maxScale);
-    const maxK = Math.floor(N / 2);
+function inverseFFTRadix2(re, im) {
+    for (let i = 0; i < im.length; i++) im[i] = -im[i];
+    fftRadix2(re, im);
+    const n = re.length;
+    for (let i = 0; i < n; i++) {
+        re[i] /= n;
+        im[i] = -im[i] / n;
+    }
+}
 
-    let mageVals = new Array(maxK + 2).fill(0); // Use generic array for double precision
-    let globalMax = 0;
+/**
+ * Magnitudes of all DFT bins 0..N-1 of a real signal, for any N.
+ * Same values as calculateDFTBin(signal, k).magnitude for integer k, in O(N log N):
+ * radix-2 when N is a power of two, otherwise Bluestein's chirp-z transform.
+ */
+export function calculateDFTMagnitudes(signal) {
+    const N = signal.length;
+    const out = new Float64Array(N);
+    if (N === 0) return out;
 
-    // 1. Coarse sweep
-    for (let k = minK; k <= maxK; k++) {
-        const res = calculateDFTBin(data, k);
-        mageVals[k] = res.magnitude;
-        if (res.magnitude > globalMax) globalMax = res.magnitude;
+    if ((N & (N - 1)) === 0) {
+        const re = Float64Array.from(signal);
+        const im = new Float64Array(N);
+        fftRadix2(re, im);
+        for (let k = 0; k < N; k++) out[k] = Math.sqrt(re[k] * re[k] + im[k] * im[k]);
+        return out;
     }
 
-    const threshold = globalMax * 0.4;
-    let chosenK = -1;
-    let bestMag = -1;
+    // Bluestein: X[k] = w[k] * sum_n (x[n] w[n]) conj(w[k - n]),  w[n] = exp(-i pi n^2 / N)
+    let M = 1;
+    while (M < 2 * N - 1) M <<= 1;
 
-    // 2. Find first significant peak
-    for (let k = minK + 1; k < maxK; k++) {
-        if (mageVals[k] > mageVals[k - 1] && mageVals[k] > mageVals[k + 1]) {
-            if (mageVals[k] > threshold) {
-                chosenK = k;
-
-                // Parabolic interpolation
-                const y1 = mageVals[k - 1];
-                const y2 = mageVals[k];
-                const y3 = mageVals[k + 1];
-                const d = (y1 - 2 * y2 + y3);
-                if (d !== 0) {
-                    const peakOffset = (y1 - y3) / (2 * d);
-                    chosenK = k + peakOffset;
-                }
-                bestMag = mageVals[k];
-                break;
-            }
-        }
+    const wRe = new Float64Array(N);
+    const wIm = new Float64Array(N);
+    for (let n = 0; n < N; n++) {
+        // n^2 mod 2N keeps the angle small, so large N don't lose precision
+        const angle = Math.PI * ((n * n) % (2 * N)) / N;
+        wRe[n] = Math.cos(angle);
+        wIm[n] = -Math.sin(angle);
     }
 
-    if (chosenK === -1) {
-        // Fallback to global max
-        for (let k = minK; k <= maxK; k++) {
-            if (mageVals[k] === globalMax) {
-                chosenK = k;
-                break;
+    const aRe = new Float64Array(M);
+    const aIm = new Float64Array(M);
+    for (let n = 0; n < N; n++) {
+        aRe[n] = signal[n] * wRe[n];
+        aIm[n] = signal[n] * wIm[n];
+    }
+
+    const bRe = new Float64Array(M);
+    const bIm = new Float64Array(M);
+    bRe[0] = wRe[0];
+    bIm[0] = -wIm[0];
+    for (let n = 1; n < N; n++) {
+        bRe[n] = bRe[M - n] = wRe[n];
+        bIm[n] = bIm[M - n] = -wIm[n];
+    }
+
+    fftRadix2(aRe, aIm);
+    fftRadix2(bRe, bIm);
+    for (let i = 0; i < M; i++) {
+        const r = aRe[i] * bRe[i] - aIm[i] * bIm[i];
+        aIm[i] = aRe[i] * bIm[i] + aIm[i] * bRe[i];
+        aRe[i] = r;
+    }
+    inverseFFTRadix2(aRe, aIm);
+
+    // |w[k]| = 1, so the final chirp multiplication doesn't change the magnitude
+    for (let k = 0; k < N; k++) out[k] = Math.sqrt(aRe[k] * aRe[k] + aIm[k] * aIm[k]);
+    return out;
+}
+
+// Parabolic interpolation of a peak at integer bin k
+function interpolatePeak(mags, k) {
+    const y1 = mags[k - 1];
+    const y2 = mags[k];
+    const y3 = mags[k + 1];
+    const d = (y1 - 2 * y2 + y3);
+    if (d === 0) return k;
+    return k + (y1 - y3) / (2 * d);
+}
+
+// Magnitude at a fractional bin, taking the stronger of the two neighbouring integer bins
+function magnitudeNear(spectrum, k) {
+    if (Math.abs(k - Math.round(k)) < 1e-6) return spectrum[Math.round(k)];
+    const lo = Math.floor(k);
+    const hi = Math.min(lo + 1, spectrum.length - 1);
+    return Math.max(spectrum[lo], spectrum[hi]);
+}
+
+const MAX_HARMONICS = 6;
+const CANDIDATE_PEAK_THRESHOLD = 0.1; // x global max
+const MAX_CANDIDATES = 5;
+
+/**
+ * How well frequency k explains the spectrum as a fundamental:
+ * mean magnitude of its harmonics (k, 2k, 3k...) minus the strongest set of in-between
+ * points (k * 0.5, 1.5, 2.5... or k * 0.33, 0.67, 1.33...). Energy between the harmonics
+ * means a sub-harmonic (larger scale) fits better, so harmonics of the true period score low.
+ */
+function harmonicScore(spectrum, k, minK, maxK, globalMax) {
+    const count = Math.max(1, Math.min(MAX_HARMONICS, Math.floor(maxK / k)));
+
+    let harmonics = 0;
+    for (let h = 1; h <= count; h++) harmonics += magnitudeNear(spectrum, h * k);
+    harmonics /= count;
+
+    let between = 0;
+    for (let m = 2; m <= 3; m++) {
+        let sum = 0;
+        let n = 0;
+        for (let h = 0; h < count; h++) {
+            for (let j = 1; j < m; j++) {
+                const bin = (h + j / m) * k;
+                if (bin < minK || bin > maxK) continue;
+                sum += magnitudeNear(spectrum, bin);
+                n++;
             }
         }
-        bestMag = globalMax;
+        if (n > 0) between = Math.max(between, sum / n);
     }
 
-    // 3. Final precise phase
-    const finalRes = calculateDFTBin(data, chosenK);
+    return (harmonics - between) / globalMax;
+}
+
+// Final precise phase at (fractional) bin k
+function resolveCandidate(data, k, totalEnergy) {
+    const N = data.length;
+    const finalRes = calculateDFTBin(data, k);
     const finalPhase = finalRes.phase;
     const finalMag = finalRes.magnitude;
 
-    const scale = N / chosenK;
+    const scale = N / k;
 
     // Offset calculation
     // Phase = -2pi * O / S  =>  O = -Phase * S / 2pi
@@ -104,3 +203,377 @@ function analyzePeriodicity(data, maxScale) {
         confidence: confidence
     };
 }
+
+/**
+ * Returns the best { scale, offset, confidence, score } plus `candidates`, a list of
+ * alternatives ranked by harmonic score (candidates[0] is the returned result).
+ */
+export function analyzePeriodicity(data, maxScale) {
+    const N = data.length;
+
+    // Calculate total energy
+    let totalEnergy = 0;
+    for (let i = 0; i < N; i++) totalEnergy += data[i];
+
+    if (totalEnergy < 0.0001) {
+        const flat = { scale: 1, offset: 0, confidence: 0, score: 0 };
+        return { ...flat, candidates: [flat] };
+    }
+
+    const minK = Math.floor(N / maxScale) < 1 ? 1 : Math.floor(N / maxScale);
+    const maxK = Math.floor(N / 2);
+
+    let mageVals = new Array(maxK + 2).fill(0); // Use generic array for double precision
+    let globalMax = 0;
+    let globalMaxK = minK;
+
+    // 1. Coarse sweep (all integer bins at once via FFT)
+    const spectrum = calculateDFTMagnitudes(data);
+    for (let k = minK; k <= maxK; k++) {
+        mageVals[k] = spectrum[k];
+        if (spectrum[k] > globalMax) {
+            globalMax = spectrum[k];
+            globalMaxK = k;
+        }
+    }
+
+    // 2. Significant peaks, and their sub-harmonics (the peak may be a harmonic of the real period)
+    const threshold = globalMax * CANDIDATE_PEAK_THRESHOLD;
+    const peakKs = [];
+    for (let k = minK + 1; k < maxK; k++) {
+        if (mageVals[k] > mageVals[k - 1] && mageVals[k] > mageVals[k + 1] && mageVals[k] > threshold) {
+            const peakK = interpolatePeak(mageVals, k);
+            peakKs.push(peakK);
+            for (let m = 2; m <= 4; m++) {
+                if (peakK / m >= minK) peakKs.push(peakK / m);
+            }
+        }
+    }
+    if (peakKs.length === 0) {
+        // Fallback to global max
+        peakKs.push(globalMaxK);
+    }
+
+    // 3. Score, drop near-duplicates (within 2% of a better candidate's scale), keep the best few
+    const scored = peakKs
+        .map(k => ({ k, score: harmonicScore(spectrum, k, minK, maxK, globalMax) }))
+        .sort((a, b) => b.score - a.score);
+
+    const candidates = [];
+    for (const c of scored) {
+        if (candidates.some(other => Math.abs(other.k - c.k) / other.k < 0.02)) continue;
+        candidates.push(c);
+        if (candidates.length === MAX_CANDIDATES) break;
+    }
+
+    // 4. Final precise phase
+    const resolved = candidates.map(c => ({ ...resolveCandidate(data, c.k, totalEnergy), score: c.score }));
+    return { ...resolved[0], candidates: resolved };
+}
+
+// Autocorrelation of the mean-removed signal for lags 0..maxLag, via FFT (zero padded, so not circular)
+function autocorrelation(signal, mean, maxLag) {
+    const N = signal.length;
+    let M = 1;
+    while (M < 2 * N) M <<= 1;
+
+    const re = new Float64Array(M);
+    const im = new Float64Array(M);
+    for (let i = 0; i < N; i++) re[i] = signal[i] - mean;
+
+    fftRadix2(re, im);
+    for (let i = 0; i < M; i++) {
+        re[i] = re[i] * re[i] + im[i] * im[i];
+        im[i] = 0;
+    }
+    inverseFFTRadix2(re, im);
+
+    return re.subarray(0, Math.min(maxLag, N - 1) + 1);
+}
+
+// Autocorrelation at a fractional lag: edges of a fractional period land on either neighbouring lag
+function correlationNear(ac, lag) {
+    if (Math.abs(lag - Math.round(lag)) < 1e-6) return ac[Math.min(Math.round(lag), ac.length - 1)];
+    const lo = Math.floor(lag);
+    if (lo + 1 >= ac.length) return ac[Math.min(lo, ac.length - 1)];
+    return Math.max(ac[lo], ac[lo + 1]);
+}
+
+const AC_MULTIPLES = 8;
+const AC_COARSE_STEP = 0.05;
+const AC_FINE_STEP = 0.002;
+const PHASE_BINS_PER_PIXEL = 10;
+
+/**
+ * Comb over the autocorrelation: mean correlation at lags P, 2P, 3P... minus the mean at
+ * the half-way lags (0.5P, 1.5P...), so multiples of the real period (which have strong
+ * correlation half-way) score low. Normalized by the zero-lag correlation.
+ */
+function autocorrelationScore(ac, period) {
+    const maxLag = ac.length - 1;
+    const count = Math.max(1, Math.min(AC_MULTIPLES, Math.floor(maxLag / period)));
+
+    let onGrid = 0;
+    let between = 0;
+    for (let m = 1; m <= count; m++) {
+        onGrid += correlationNear(ac, m * period);
+        between += correlationNear(ac, (m - 0.5) * period);
+    }
+    return (onGrid - between) / count / ac[0];
+}
+
+/**
+ * Edge-position modulo histogram: fraction of the edge weight whose position x falls in
+ * [O, O + 1) modulo `period`, maximised over the phase O. Boundaries of cells of a
+ * (fractional) period P sit at ceil(O + kP), so all of them fall inside that window.
+ */
+function edgeAlignment(weights, totalWeight, period) {
+    const bins = Math.ceil(period * PHASE_BINS_PER_PIXEL);
+    const hist = new Float64Array(bins);
+    for (let x = 0; x < weights.length; x++) {
+        if (weights[x] <= 0) continue;
+        const phase = x - Math.floor(x / period) * period;
+        hist[Math.min(bins - 1, Math.floor(phase * PHASE_BINS_PER_PIXEL))] += weights[x];
+    }
+
+    // Circular sliding window one pixel wide
+    const windowBins = Math.min(bins, PHASE_BINS_PER_PIXEL);
+    let sum = 0;
+    for (let i = 0; i < windowBins; i++) sum += hist[i];
+    let best = sum;
+    let bestStart = 0;
+    for (let i = 1; i < bins; i++) {
+        sum += hist[(i + windowBins - 1) % bins] - hist[i - 1];
+        if (sum > best) {
+            best = sum;
+            bestStart = i;
+        }
+    }
+
+    // Offset: weighted mean edge phase inside the window (comparable to the DFT phase)
+    let weighted = 0;
+    for (let i = 0; i < windowBins; i++) {
+        weighted += hist[(bestStart + i) % bins] * (bestStart + i + 0.5) / PHASE_BINS_PER_PIXEL;
+    }
+    const mean = best > 0 ? weighted / best : 0;
+
+    // Spread of the edges inside the window, to break ties between periods that align equally
+    let spread = 0;
+    for (let i = 0; i < windowBins; i++) {
+        spread += hist[(bestStart + i) % bins] * Math.abs((bestStart + i + 0.5) / PHASE_BINS_PER_PIXEL - mean);
+    }
+
+    let offset = mean;
+    while (offset >= period) offset -= period;
+
+    return { alignment: best / totalWeight, spread: best > 0 ? spread / best : 0, offset };
+}
+
+/**
+ * Alternative to analyzePeriodicity for profiles with few edges (large flat areas), where
+ * the spectrum is weak: autocorrelation picks the period, an edge-position histogram refines
+ * it and finds the phase. Same result shape as analyzePeriodicity; confidence is the
+ * aligned edge fraction times the scale, so a perfect grid scores `scale` in both detectors.
+ */
+export function analyzeAutocorrelation(data, maxScale) {
+    const N = data.length;
+
+    let totalEnergy = 0;
+    for (let i = 0; i < N; i++) totalEnergy += data[i];
+
+    const flat = { scale: 1, offset: 0, confidence: 0, score: 0 };
+    if (totalEnergy < 0.0001 || N < 4) {
+        return { ...flat, candidates: [flat] };
+    }
+
+    const mean = totalEnergy / N;
+    const maxPeriod = Math.min(maxScale, N / 2);
+    const ac = autocorrelation(data, mean, Math.ceil(maxPeriod * AC_MULTIPLES) + 1);
+    if (!(ac[0] > 0)) {
+        return { ...flat, candidates: [flat] };
+    }
+
+    // Edge weights above the noise floor
+    const weights = new Float64Array(N);
+    let totalWeight = 0;
+    for (let x = 0; x < N; x++) {
+        weights[x] = Math.max(0, data[x] - mean);
+        totalWeight += weights[x];
+    }
+    if (totalWeight <= 0) {
+        return { ...flat, candidates: [flat] };
+    }
+
+    // 1. Coarse sweep of the autocorrelation comb
+    const periods = [];
+    const scores = [];
+    for (let p = 2; p <= maxPeriod; p += AC_COARSE_STEP) {
+        periods.push(p);
+        scores.push(autocorrelationScore(ac, p));
+    }
+
+    // 2. Local maxima (or plateaus) of the comb score are the candidates
+    const peaks = [];
+    for (let i = 0; i < scores.length; i++) {
+        const left = i > 0 ? scores[i - 1] : -Infinity;
+        const right = i < scores.length - 1 ? scores[i + 1] : -Infinity;
+        if (scores[i] > 0 && scores[i] >= left && scores[i] >= right) {
+            peaks.push({ period: periods[i], score: scores[i] });
+        }
+    }
+    if (peaks.length === 0) {
+        return { ...flat, candidates: [flat] };
+    }
+
+    // 3. Refine each period with the edge histogram and take its phase. The comb can't tell
+    // periods apart closer than 1 / AC_MULTIPLES, so that is the refinement range.
+    peaks.sort((a, b) => b.score - a.score);
+    const refined = [];
+    for (const peak of peaks) {
+        if (refined.length === MAX_CANDIDATES * 2) break;
+        if (refined.some(other => Math.abs(other.peak - peak.period) < 1 / AC_MULTIPLES)) continue;
+
+        let best = null;
+        const range = 1 / AC_MULTIPLES;
+        for (let p = Math.max(2, peak.period - range); p <= peak.period + range; p += AC_FINE_STEP) {
+            const res = edgeAlignment(weights, totalWeight, p);
+            if (!best || res.alignment > best.alignment + 1e-9 ||
+                (res.alignment > best.alignment - 1e-9 && res.spread < best.spread)) {
+                best = { ...res, period: p };
+            }
+        }
+
+        refined.push({
+            peak: peak.period,
+            scale: best.period,
+            offset: best.offset,
+            confidence: best.alignment * best.period,
+            // Multiples of the period score high on alignment only by luck, sub-multiples score low on the comb
+            score: best.alignment * peak.score
+        });
+    }
+    refined.sort((a, b) => b.score - a.score);
+
+    const candidates = [];
+    for (const c of refined) {
+        if (candidates.some(other => Math.abs(other.scale - c.scale) / other.scale < 0.02)) continue;
+        candidates.push({ scale: c.scale, offset: c.offset, confidence: c.confidence, score: c.score });
+        if (candidates.length === MAX_CANDIDATES) break;
+    }
+
+    return { ...candidates[0], candidates };
+}
+
+export const DETECTION_METHODS = ['fourier', 'autocorrelation', 'consensus'];
+
+/**
+ * Runs both detectors. When they agree on the scale the result is their confidence-weighted
+ * mean; otherwise the one with the higher confidence relative to its scale wins.
+ */
+export function analyzeConsensus(data, maxScale) {
+    const fourier = analyzePeriodicity(data, maxScale);
+    const auto = analyzeAutocorrelation(data, maxScale);
+
+    // confidence / scale is in [0, 1] for both detectors
+    const relFourier = fourier.scale > 0 ? fourier.confidence / fourier.scale : 0;
+    const relAuto = auto.scale > 0 ? auto.confidence / auto.scale : 0;
+
+    let best;
+    if (Math.abs(fourier.scale - auto.scale) / fourier.scale < 0.02 && relFourier + relAuto > 0) {
+        const wf = relFourier / (relFourier + relAuto);
+        const wa = 1 - wf;
+        const scale = fourier.scale * wf + auto.scale * wa;
+
+        // Offsets are circular, average them as phases
+        const angleF = 2 * Math.PI * fourier.offset / fourier.scale;
+        const angleA = 2 * Math.PI * auto.offset / auto.scale;
+        const angle = Math.atan2(wf * Math.sin(angleF) + wa * Math.sin(angleA), wf * Math.cos(angleF) + wa * Math.cos(angleA));
+        let offset = angle / (2 * Math.PI) * scale;
+        while (offset < 0) offset += scale;
+        while (offset >= scale) offset -= scale;
+
+        // Agreement between independent detectors counts for more than either alone
+        const rel = 1 - (1 - relFourier) * (1 - relAuto);
+        best = { scale, offset, confidence: rel * scale, score: Math.max(fourier.score, auto.score) };
+    } else {
+        best = relFourier >= relAuto ? fourier : auto;
+        best = { scale: best.scale, offset: best.offset, confidence: best.confidence, score: best.score };
+    }
+
+    const candidates = [best];
+    const others = relFourier >= relAuto
+        ? [...fourier.candidates, ...auto.candidates]
+        : [...auto.candidates, ...fourier.candidates];
+    for (const c of others) {
+        if (candidates.length === MAX_CANDIDATES) break;
+        if (candidates.some(other => Math.abs(other.scale - c.scale) / other.scale < 0.02)) continue;
+        candidates.push(c);
+    }
+
+    return { ...best, candidates };
+}
+
+/** Analyze one profile with the given detection method ('fourier' when omitted). */
+export function analyzeAxis(data, maxScale, method = 'fourier') {
+    switch (method) {
+        case 'fourier': return analyzePeriodicity(data, maxScale);
+        case 'autocorrelation': return analyzeAutocorrelation(data, maxScale);
+        case 'consensus': return analyzeConsensus(data, maxScale);
+        default: throw new RangeError(`Unknown detection method "${method}", expected one of ${DETECTION_METHODS.join(', ')}`);
+    }
+}
+
+const BOUNDARY_SEARCH_RADIUS = 0.3; // x scale
+const BOUNDARY_TRACKING_GAIN = 0.25;
+
+/**
+ * Explicit cell boundaries along one axis, for grids that aren't exactly uniform (e.g. nearest
+ * neighbour upscales by non-integer factors, where cells alternate between 3 and 4 pixels).
+ * Walks the detected grid and snaps every predicted boundary to the strongest edge in the
+ * profile nearby, nudging the prediction towards the snapped edges so it can't drift out of phase.
+ *
+ * Returns positions of cell starts, beginning with 0 and ending with data.length, so cell i
+ * covers [boundaries[i], boundaries[i + 1]).
+ */
+export function findCellBoundaries(data, res) {
+    const N = data.length;
+    const { scale, offset } = res;
+    if (!(scale > 1) || N === 0) {
+        return Array.from({ length: N + 1 }, (_, i) => i);
+    }
+
+    let totalEnergy = 0;
+    for (let i = 0; i < N; i++) totalEnergy += data[i];
+    const threshold = totalEnergy / N; // edges stand out above the mean, noise doesn't
+
+    const radius = Math.max(1, scale * BOUNDARY_SEARCH_RADIUS);
+    const boundaries = [0];
+    let expected = offset;
+    while (expected - radius > 0) expected -= scale;
+
+    while (expected < N) {
+        const last = boundaries[boundaries.length - 1];
+        const from = Math.max(last + 1, Math.ceil(expected - radius));
+        const to = Math.min(N - 1, Math.floor(expected + radius));
+
+        let best = -1;
+        for (let i = from; i <= to; i++) {
+            if (data[i] >= threshold && (best === -1 || data[i] > data[best])) best = i;
+        }
+
+        let b = Math.round(expected);
+        if (best !== -1) {
+            b = best;
+            expected += (b - expected) * BOUNDARY_TRACKING_GAIN;
+        } else if (expected - radius <= last || expected + radius >= N) {
+            // No edge and the image border is within reach: the border is the boundary, no sliver cell
+            b = -1;
+        }
+        if (b > last && b < N) boundaries.push(b);
+
+        expected += scale;
+    }
+
+    boundaries.push(N);
+    return boundaries;
+}
@@ -0,0 +1,384 @@
+/**
+ * Animated input and output: GIF decoding and encoding, compositing the frames of GIFs and APNGs (see splitAPNG in
+ * png.js) into whole images, and sprite sheets.
+ * An animation is { width, height, loop, frames: [{ data, delay }] }: RGBA frames of width x height, rows top-down,
+ * delays in milliseconds, loop the number of plays (0: forever).
+ */
+
+import { extractPalette, quantize } from './palette.js';
+
+const GIF_MIN_DELAY = 20; // ms; browsers play shorter GIF delays (0 and 10 ms) as 100 ms, so decoding does too
+const GIF_DEFAULT_DELAY = 100;
+const LZW_MAX_CODES = 4096;
+
+// Data sub-blocks from pos, concatenated, and the position after the terminator
+function readSubBlocks(bytes, pos) {
+    const blocks = [];
+    let length = 0;
+    while (pos < bytes.length && bytes[pos] !== 0) {
+        const block = bytes.subarray(pos + 1, pos + 1 + bytes[pos]);
+        blocks.push(block);
+        length += block.length;
+        pos += 1 + bytes[pos];
+    }
+    const data = new Uint8Array(length);
+    let at = 0;
+    for (const block of blocks) {
+        data.set(block, at);
+        at += block.length;
+    }
+    return { data, end: pos + 1 };
+}
+
+// Colour indices of a GIF image from its LZW data
+function lzwDecode(data, minCodeSize, count) {
+    const out = new Uint8Array(count);
+    const clear = 1 << minCodeSize;
+    const end = clear + 1;
+    const prefix = new Int16Array(LZW_MAX_CODES);
+    const suffix = new Uint8Array(LZW_MAX_CODES);
+    const first = new Uint8Array(LZW_MAX_CODES);
+    const lengths = new Uint16Array(LZW_MAX_CODES);
+    for (let i = 0; i < clear; i++) {
+        prefix[i] = -1;
+        suffix[i] = first[i] = i;
+        lengths[i] = 1;
+    }
+
+    let size = minCodeSize + 1;
+    let next = end + 1;
+    let previous = -1;
+    let buffer = 0, bits = 0, o = 0;
+    for (let p = 0; o < count;) {
+        while (bits < size && p < data.length) {
+            buffer |= data[p++] << bits;
+            bits += 8;
+        }
+        if (bits < size) break; // truncated: the rest stays index 0
+        const code = buffer & ((1 << size) - 1);
+        buffer >>>= size;
+        bits -= size;
+
+        if (code === clear) {
+            size = minCodeSize + 1;
+            next = end + 1;
+            previous = -1;
+            continue;
+        }
+        if (code === end) break;
+        if (previous >= 0) {
+            if (code > next) break; // corrupt
+            if (next < LZW_MAX_CODES) {
+                // The previous string plus the first index of this one (of itself, when it's the code being defined)
+                prefix[next] = previous;
+                suffix[next] = first[code === next ? previous : code];
+                first[next] = first[previous];
+                lengths[next] = lengths[previous] + 1;
+                next++;
+                if (next === 1 << size && size < 12) size++;
+            }
+        } else if (code >= clear) {
+            break;
+        }
+
+        // The string backwards along the prefixes
+        let c = code;
+        for (let k = o + lengths[code] - 1; k >= o; k--) {
+            if (k < count) out[k] = suffix[c];
+            c = prefix[c];
+        }
+        o += lengths[code];
+        previous = code;
+    }
+    return out;
+}
+
+// Rows of an interlaced GIF image in the order they were stored: every 8th from 0, every 8th from 4, every 4th from 2,
+// every 2nd from 1
+function deinterlace(indices, width, height) {
+    const out = new Uint8Array(indices.length);
+    let row = 0;
+    for (const [start, step] of [[0, 8], [4, 8], [2, 4], [1, 2]]) {
+        for (let y = start; y < height; y += step) {
+            out.set(indices.subarray(row * width, (row + 1) * width), y * width);
+            row++;
+        }
+    }
+    return out;
+}
+
+/**
+ * Whole frames of an animation from the parts stored in the file, drawn one after the other like a viewer does.
+ * dispose: what happens to the part's rectangle after its frame, 'none' (stays), 'background' (cleared to
+ * transparent) or 'previous' (back to what it was); blend: 'source' replaces the rectangle, 'over' draws onto it.
+ * @param {number} width
+ * @param {number} height
+ * @param {Array<{data: ArrayLike<number>, x: number, y: number, width: number, height: number, delay: number,
+ *   dispose?: string, blend?: string}>} parts RGBA
+ * @returns {Array<{data: Uint8ClampedArray, delay: number}>}
+ */
+export function composeFrames(width, height, parts) {
+    const canvas = new Uint8ClampedArray(width * height * 4);
+    return parts.map(part => {
+        const { data, x, y } = part;
+        const w = Math.min(part.width, width - x);
+        const h = Math.min(part.height, height - y);
+        const saved = part.dispose === 'previous' ? canvas.slice() : null;
+
+        for (let row = 0; row < h; row++) {
+            for (let col = 0; col < w; col++) {
+                const s = (row * part.width + col) * 4;
+                const d = ((y + row) * width + x + col) * 4;
+                const a = data[s + 3];
+                if (part.blend === 'over' && a < 255) {
+                    if (a === 0) continue;
+                    // Straight alpha, source over destination
+                    const da = canvas[d + 3] * (255 - a) / 255;
+                    const oa = a + da;
+                    for (let c = 0; c < 3; c++) canvas[d + c] = (data[s + c] * a + canvas[d + c] * da) / oa;
+                    canvas[d + 3] = oa;
+                } else {
+                    for (let c = 0; c < 4; c++) canvas[d + c] = data[s + c];
+                }
+            }
+        }
+        const frame = { data: canvas.slice(), delay: part.delay };
+
+        if (part.dispose === 'background') {
+            for (let row = 0; row < h; row++) canvas.fill(0, ((y + row) * width + x) * 4, ((y + row) * width + x + w) * 4);
+        } else if (saved) {
+            canvas.set(saved);
+        }
+        return frame;
+    });
+}
+
+/**
+ * Decode a GIF, animated or not, into whole frames (see composeFrames).
+ * @param {Uint8Array} bytes GIF file contents
+ * @returns {{width: number, height: number, loop: number, frames: Array<{data: Uint8ClampedArray, delay: number}>, comment?: string}}
+ *   delays in milliseconds (below GIF_MIN_DELAY: 100, like browsers); comment: the comment extensions' text
+ */
+export function decodeGIF(bytes) {
+    bytes = bytes instanceof Uint8Array ? bytes : new Uint8Array(bytes);
+    const signature = String.fromCharCode(...bytes.subarray(0, 6));
+    if (signature !== 'GIF87a' && signature !== 'GIF89a') throw new TypeError('not a GIF file');
+    const u16 = (p) => bytes[p] | (bytes[p + 1] << 8);
+
+    const width = u16(6), height = u16(8);
+    let pos = 13;
+    let globalTable = null;
+    if (bytes[10] & 0x80) {
+        const size = 3 << ((bytes[10] & 7) + 1);
+        globalTable = bytes.subarray(pos, pos + size);
+        pos += size;
+    }
+
+    let loop = 1; // without a NETSCAPE2.0 extension it plays once
+    let control = null; // graphic control extension of the next image
+    const comments = [];
+    const parts = [];
+    while (pos < bytes.length) {
+        const block = bytes[pos++];
+        if (block === 0x3b) break; // trailer
+        if (block === 0x21) {
+            const label = bytes[pos++];
+            const { data, end } = readSubBlocks(bytes, pos);
+            pos = end;
+            if (label === 0xf9 && data.length >= 4) {
+                control = { dispose: (data[0] >> 2) & 7, transparent: data[0] & 1 ? data[3] : -1, delay: (data[1] | (data[2] << 8)) * 10 };
+            } else if (label === 0xff && String.fromCharCode(...data.subarray(0, 11)) === 'NETSCAPE2.0' && data[11] === 1) {
+                const count = data[12] | (data[13] << 8);
+                loop = count === 0 ? 0 : count + 1; // the count is of repetitions
+            } else if (label === 0xfe) {
+                comments.push(String.fromCharCode(...data));
+            }
+            continue;
+        }
+        if (block !== 0x2c) throw new TypeError(`unexpected block 0x${block.toString(16)} in GIF`);
+
+        const x = u16(pos), y = u16(pos + 2), w = u16(pos + 4), h = u16(pos + 6), flags = bytes[pos + 8];
+        pos += 9;
+        let table = globalTable;
+        if (flags & 0x80) {
+            const size = 3 << ((flags & 7) + 1);
+            table = bytes.subarray(pos, pos + size);
+            pos += size;
+        }
+        const minCodeSize = bytes[pos++];
+        const { data, end } = readSubBlocks(bytes, pos);
+        pos = end;
+        let indices = lzwDecode(data, minCodeSize, w * h);
+        if (flags & 0x40) indices = deinterlace(indices, w, h);
+
+        const { dispose = 0, transparent = -1, delay = 0 } = control || {};
+        const rgba = new Uint8ClampedArray(w * h * 4);
+        for (let i = 0; i < w * h; i++) {
+            const index = indices[i];
+            if (index === transparent || !table || index * 3 >= table.length) continue;
+            rgba.set(table.subarray(index * 3, index * 3 + 3), i * 4);
+            rgba[i * 4 + 3] = 255;
+        }
+        parts.push({
+            data: rgba, x, y, width: w, height: h,
+            delay: delay < GIF_MIN_DELAY ? GIF_DEFAULT_DELAY : delay,
+            dispose: dispose === 2 ? 'background' : dispose === 3 ? 'previous' : 'none',
+            blend: 'over'
+        });
+        control = null;
+    }
+    if (parts.length === 0) throw new TypeError('GIF without images');
+
+    const result = { width, height, loop, frames: composeFrames(width, height, parts) };
+    if (comments.length > 0) result.comment = comments.join('\n');
+    return result;
+}
+
+// LZW data of GIF colour indices, codes growing from minCodeSize + 1 bits to 12, then starting over
+function lzwEncode(indices, minCodeSize) {
+    const clear = 1 << minCodeSize;
+    const end = clear + 1;
+    const out = [];
+    let buffer = 0, bits = 0;
+    let size = minCodeSize + 1;
+    const emit = (code) => {
+        buffer |= code << bits;
+        bits += size;
+        while (bits >= 8) {
+            out.push(buffer & 255);
+            buffer >>>= 8;
+            bits -= 8;
+        }
+    };
+
+    let table = new Map(); // prefix code * 256 + index -> code
+    let next = end + 1;
+    emit(clear);
+    let prefix = indices[0];
+    for (let i = 1; i < indices.length; i++) {
+        const index = indices[i];
+        const key = prefix * 256 + index;
+        const code = table.get(key);
+        if (code !== undefined) {
+            prefix = code;
+            continue;
+        }
+        emit(prefix);
+        // The decoder defines a code for every one it reads (after the first), and widens them at the same point
+        if (next === 1 << size && size < 12) size++;
+        if (next < LZW_MAX_CODES) {
+            table.set(key, next++);
+        } else {
+            emit(clear);
+            table = new Map();
+            next = end + 1;
+            size = minCodeSize + 1;
+        }
+        prefix = index;
+    }
+    emit(prefix);
+    if (next === 1 << size && size < 12) size++;
+    emit(end);
+    if (bits > 0) out.push(buffer & 255);
+    return out;
+}
+
+/**
+ * Encode an animation as a GIF: one palette for all frames (at most 255 colours plus transparent, the dominant ones
+ * when there are more, see extractPalette), pixels below ALPHA_THRESHOLD transparent. Delays are rounded to
+ * hundredths of a second, at least GIF_MIN_DELAY.
+ * @param {{width: number, height: number, loop?: number, frames: Array<{data: ArrayLike<number>, delay: number}>}} animation
+ * @param {{palette?: number[][], comment?: string}} [options] palette: these colours instead (at most 255);
+ *   comment: ASCII text for a comment extension, e.g. the grid the frames came from
+ * @returns {Uint8Array} GIF file contents
+ */
+export function encodeGIF(animation, options = {}) {
+    const { width, height, frames } = animation;
+    if (frames.length === 0) throw new RangeError('an animation needs at least one frame');
+
+    let palette = options.palette;
+    if (!palette) {
+        const all = new Uint8ClampedArray(frames.length * width * height * 4);
+        frames.forEach((frame, i) => all.set(frame.data, i * width * height * 4));
+        palette = extractPalette(all, 255);
+        if (palette.length === 0) palette = [[0, 0, 0]]; // all transparent
+    }
+    if (palette.length > 255) throw new RangeError('GIF palettes hold at most 255 colours besides transparent');
+    const quantized = frames.map(frame => quantize({ data: frame.data, width, height }, palette));
+    const transparent = quantized.some(q => q.transparentIndex >= 0) ? palette.length : -1;
+    let bits = 1;
+    while (1 << bits < palette.length + (transparent >= 0 ? 1 : 0)) bits++;
+
+    const out = [...'GIF89a'].map(c => c.charCodeAt(0));
+    const u16 = (v) => out.push(v & 255, (v >> 8) & 255);
+    u16(width);
+    u16(height);
+    out.push(0x80 | ((bits - 1) << 4) | (bits - 1), 0, 0); // global colour table of 2^bits entries
+    for (let i = 0; i < 1 << bits; i++) out.push(...(palette[i] || [0, 0, 0]).slice(0, 3));
+
+    const loop = animation.loop ?? 0;
+    if (loop !== 1) {
+        out.push(0x21, 0xff, 11, ...[...'NETSCAPE2.0'].map(c => c.charCodeAt(0)), 3, 1);
+        u16(loop === 0 ? 0 : loop - 1);
+        out.push(0);
+    }
+    if (options.comment) {
+        const text = [...options.comment].map(c => c.charCodeAt(0) < 128 ? c.charCodeAt(0) : 0x3f); // '?'
+        out.push(0x21, 0xfe);
+        for (let p = 0; p < text.length; p += 255) {
+            const block = text.slice(p, p + 255);
+            out.push(block.length, ...block);
+        }
+        out.push(0);
+    }
+
+    const minCodeSize = Math.max(2, bits);
+    quantized.forEach(({ indices }, i) => {
+        // Each frame is whole: with transparency it has to clear the previous one first
+        out.push(0x21, 0xf9, 4, ((transparent >= 0 ? 2 : 1) << 2) | (transparent >= 0 ? 1 : 0));
+        u16(Math.max(GIF_MIN_DELAY / 10, Math.round(frames[i].delay / 10)));
+        out.push(Math.max(0, transparent), 0);
+
+        out.push(0x2c);
+        u16(0);
+        u16(0);
+        u16(width);
+        u16(height);
+        out.push(0, minCodeSize);
+        const data = lzwEncode(indices, minCodeSize);
+        for (let p = 0; p < data.length; p += 255) {
+            const block = data.slice(p, p + 255);
+            out.push(block.length, ...block);
+        }
+        out.push(0);
+    });
+    out.push(0x3b);
+    return Uint8Array.from(out);
+}
+
+/**
+ * The frames of an animation side by side in one image, and where each is with its duration in the layout of
+ * Aseprite's JSON export (array of frames), which game engines and sprite tools read.
+ * @param {{width: number, height: number, loop?: number, frames: Array<{data: ArrayLike<number>, delay: number}>}} animation
+ * @param {string} [image] file name of the sheet, for meta.image
+ * @returns {{image: {width: number, height: number, data: Uint8ClampedArray}, json: object}}
+ */
+export function spriteSheet(animation, image = 'sheet.png') {
+    const { width, height, frames } = animation;
+    const sheetWidth = width * frames.length;
+    const data = new Uint8ClampedArray(sheetWidth * height * 4);
+    frames.forEach((frame, i) => {
+        for (let y = 0; y < height; y++) {
+            data.set(frame.data.subarray(y * width * 4, (y + 1) * width * 4), (y * sheetWidth + i * width) * 4);
+        }
+    });
+    const json = {
+        frames: frames.map((frame, i) => ({
+            filename: String(i),
+            frame: { x: i * width, y: 0, w: width, h: height },
+            duration: Math.round(frame.delay)
+        })),
+        meta: { image, format: 'RGBA8888', size: { w: sheetWidth, h: height }, loop: animation.loop ?? 0 }
+    };
+    return { image: { width: sheetWidth, height, data }, json };
+}
@@ -0,0 +1,196 @@
+/**
+ * Batch mode of the web page: the files of a multi-file or folder drop, a thumbnail strip with each file's
+ * detected scales, and a queue detecting the files in the background (one at a time, yielding in between).
+ * What detection means and what a file's settings are is up to the page; items just carry them.
+ */
+
+const IMAGE_EXTENSIONS = /\.(png|jpe?g|gif|webp|bmp|avif)$/i;
+const VIDEO_EXTENSIONS = /\.(mp4|webm|mov|m4v)$/i;
+const OUTPUT_SUFFIX = '.lowres'; // plus the format's extension, same as the CLI
+
+/**
+ * @typedef {object} BatchItem
+ * @property {File} file
+ * @property {string} path relative path inside the dropped folders ('/' separated), the file name otherwise
+ * @property {string} url object URL for the thumbnail (an image, or a video's first frame)
+ * @property {object} settings the page's settings for this file
+ * @property {object | null} state the page's view state, once the file has been shown
+ * @property {{x: {scale: number, confidence: number}, y: {scale: number, confidence: number}} | null} grid
+ *   detected (or, once shown, effective) grid, top-down image coordinates
+ * @property {string | null} error
+ */
+
+function isImage(file) {
+    return file.type.startsWith('image/') || IMAGE_EXTENSIONS.test(file.name);
+}
+
+function isVideo(file) {
+    return file.type.startsWith('video/') || VIDEO_EXTENSIONS.test(file.name);
+}
+
+function readEntries(reader) {
+    return new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+}
+
+// Files below a FileSystemEntry, recursively
+async function entryFiles(entry) {
+    if (entry.isFile) {
+        const file = await new Promise((resolve, reject) => entry.file(resolve, reject));
+        return [{ file, path: entry.fullPath.replace(/^\//, '') }];
+    }
+    const reader = entry.createReader();
+    const files = [];
+    // readEntries returns the directory in chunks, until an empty one
+    for (let chunk = await readEntries(reader); chunk.length > 0; chunk = await readEntries(reader)) {
+        for (const child of chunk) files.push(...await entryFiles(child));
+    }
+    return files;
+}
+
+/**
+ * Image and video files of a drop, folders included, sorted by path.
+ * @param {DataTransfer} dataTransfer
+ * @returns {Promise<{file: File, path: string}[]>}
+ */
+export async function collectDroppedFiles(dataTransfer) {
+    // Entries must be taken before the first await, the DataTransfer is emptied after the event
+    const entries = [...dataTransfer.items].map(item => item.webkitGetAsEntry && item.webkitGetAsEntry()).filter(Boolean);
+    const files = entries.length > 0
+        ? (await Promise.all(entries.map(entryFiles))).flat()
+        : [...dataTransfer.files].map(file => ({ file, path: file.name }));
+    return sortedImages(files);
+}
+
+/**
+ * Image and video files of a file input or a paste, sorted by path.
+ * @param {FileList | File[]} fileList
+ * @returns {{file: File, path: string}[]}
+ */
+export function collectFiles(fileList) {
+    return sortedImages([...fileList].map(file => ({ file, path: file.webkitRelativePath || file.name })));
+}
+
+/**
+ * Path of every file's reconstruction in the batch ZIP, without the format's extension: art.png -> art.lowres.
+ * Files that would share one (art.png and art.gif) keep their extension, art.png.lowres and art.gif.lowres, like the CLI.
+ * @param {string[]} paths
+ * @returns {Map<string, string>}
+ */
+export function outputPaths(paths) {
+    const plain = paths.map(path => path.replace(/\.[^./]*$/, '') + OUTPUT_SUFFIX);
+    const counts = new Map();
+    for (const p of plain) counts.set(p, (counts.get(p) || 0) + 1);
+    return new Map(paths.map((path, i) => [path, counts.get(plain[i]) > 1 ? path + OUTPUT_SUFFIX : plain[i]]));
+}
+
+function sortedImages(files) {
+    return files.filter(f => isImage(f.file) || isVideo(f.file)).sort((a, b) => a.path.localeCompare(b.path));
+}
+
+/**
+ * @param {HTMLElement} list element the thumbnails go in
+ * @param {{detect: (item: BatchItem) => Promise<void>, onSelect: (item: BatchItem, previous: BatchItem | null) => void}} options
+ *   detect: fill in item.grid (or throw); called for items that have none, except the selected one
+ *   onSelect: show an item (clicked, or the first of a new batch) instead of `previous`
+ */
+export function createBatch(list, options) {
+    /** @type {BatchItem[]} */
+    let items = [];
+    let current = null;
+    let running = false;
+    const elements = new Map();
+
+    function label(item) {
+        if (item.error) return `<span class="batch-error" title="${item.error.replace(/"/g, '&quot;')}">error</span>`;
+        if (!item.grid) return '<small>detecting…</small>';
+        const axis = (a) => `${a.scale.toFixed(2)} <small>(${a.confidence.toFixed(2)})</small>`;
+        return `X ${axis(item.grid.x)}<br>Y ${axis(item.grid.y)}`;
+    }
+
+    function update(item) {
+        const el = elements.get(item);
+        if (!el) return;
+        const html = label(item);
+        const info = el.querySelector('.batch-info');
+        if (info.innerHTML !== html) info.innerHTML = html;
+        el.classList.toggle('selected', item === current);
+    }
+
+    // Detect pending items one by one, giving the page a frame in between
+    async function run() {
+        if (running) return;
+        running = true;
+        let item;
+        while ((item = items.find(i => !i.grid && !i.error && i !== current))) {
+            await new Promise(resolve => setTimeout(resolve, 0));
+            if (!items.includes(item) || item.grid) continue; // replaced or shown meanwhile
+            try {
+                await options.detect(item);
+            } catch (err) {
+                item.error = err.message;
+            }
+            update(item);
+        }
+        running = false;
+    }
+
+    function select(item) {
+        const previous = current;
+        current = item;
+        if (previous) update(previous);
+        update(item);
+        options.onSelect(item, previous);
+    }
+
+    /**
+     * Replace the batch with new files and show the first one.
+     * @param {{file: File, path: string}[]} files
+     * @param {object} settings initial settings of every item (copied)
+     */
+    function load(files, settings) {
+        for (const item of items) URL.revokeObjectURL(item.url);
+        elements.clear();
+        list.innerHTML = '';
+        current = null;
+        items = files.map(({ file, path }) => ({
+            file, path, url: URL.createObjectURL(file), settings: { ...settings }, state: null, grid: null, error: null
+        }));
+
+        for (const item of items) {
+            const el = document.createElement('div');
+            el.className = 'batch-item';
+            el.title = item.path;
+            const thumbnail = isVideo(item.file) ? '<video muted preload="metadata"></video>' : '<img alt="">';
+            el.innerHTML = `${thumbnail}<div class="batch-name"></div><div class="batch-info"></div>`;
+            el.querySelector('img, video').src = item.url;
+            el.querySelector('.batch-name').textContent = item.file.name;
+            el.addEventListener('click', () => {
+                if (item !== current) select(item);
+            });
+            elements.set(item, el);
+            list.appendChild(el);
+            update(item);
+        }
+        if (items.length > 0) select(items[0]);
+        run();
+    }
+
+    /** Forget the grids of `changed` (e.g. new settings) and detect them again. */
+    function redetect(changed) {
+        for (const item of changed) {
+            item.grid = null;
+            item.error = null;
+            update(item);
+        }
+        run();
+    }
+
+    return {
+        load,
+        select,
+        update,
+        redetect,
+        get items() { return items; },
+        get current() { return current; }
+    };
+}
@@ -0,0 +1,89 @@
+/**
+ * Compares analyzePeriodicity (FFT sweep) against the previous per-bin DFT sweep,
+ * both for speed and for identical results.
+ *
+ *   npm run bench
+ */
+
+import { calculateDFTBin, calculateDFTMagnitudes, analyzePeriodicity } from '../analyzer.js';
+
+const TOLERANCE = 1e-6;
+
+// The original coarse sweep: one O(N) calculateDFTBin per k
+function naiveMagnitudes(data, minK, maxK) {
+    const mags = new Float64Array(maxK + 1);
+    for (let k = minK; k <= maxK; k++) mags[k] = calculateDFTBin(data, k).magnitude;
+    return mags;
+}
+
+// Deterministic pseudo random so runs are comparable
+function mulberry32(seed) {
+    return function () {
+        seed |= 0; seed = seed + 0x6D2B79F5 | 0;
+        let t = Math.imul(seed ^ seed >>> 15, 1 | seed);
+        t = t + Math.imul(t ^ t >>> 7, 61 | t) ^ t;
+        return ((t ^ t >>> 14) >>> 0) / 4294967296;
+    };
+}
+
+// Difference profile of a random image upscaled by `scale`: edges at cell boundaries plus noise
+function syntheticProfile(N, scale, offset, rand) {
+    const data = new Float32Array(N);
+    for (let x = 0; x < N; x++) {
+        const cellA = Math.floor((x - offset) / scale);
+        const cellB = Math.floor((x - 1 - offset) / scale);
+        data[x] = (cellA !== cellB ? 50 + rand() * 200 : 0) + rand() * 2;
+    }
+    return data;
+}
+
+function time(fn) {
+    const start = performance.now();
+    const result = fn();
+    return { result, ms: performance.now() - start };
+}
+
+const cases = [
+    { N: 256, maxScale: 16, scale: 4, offset: 1 },
+    { N: 1000, maxScale: 16, scale: 3.125, offset: 0 },
+    { N: 1920, maxScale: 64, scale: 6, offset: 2.5 },
+    { N: 4096, maxScale: 128, scale: 8, offset: 3 },
+    { N: 7680, maxScale: 512, scale: 5, offset: 4 }
+];
+
+const rand = mulberry32(1234);
+let failed = 0;
+
+console.log('N      maxScale  naive sweep  FFT sweep  max |dMag| (rel)  scale (fft)  offset (fft)');
+for (const c of cases) {
+    const data = syntheticProfile(c.N, c.scale, c.offset, rand);
+    const minK = Math.max(1, Math.floor(c.N / c.maxScale));
+    const maxK = Math.floor(c.N / 2);
+
+    const naive = time(() => naiveMagnitudes(data, minK, maxK));
+    const fast = time(() => calculateDFTMagnitudes(data));
+
+    let maxMag = 0;
+    let maxDiff = 0;
+    for (let k = minK; k <= maxK; k++) {
+        maxMag = Math.max(maxMag, naive.result[k]);
+        maxDiff = Math.max(maxDiff, Math.abs(naive.result[k] - fast.result[k]));
+    }
+    const relDiff = maxDiff / maxMag;
+
+    const res = analyzePeriodicity(data, c.maxScale);
+    const ok = relDiff < TOLERANCE && Math.abs(res.scale - c.scale) < 0.05;
+    if (!ok) failed++;
+
+    console.log(
+        `${String(c.N).padEnd(7)}${String(c.maxScale).padEnd(10)}` +
+        `${naive.ms.toFixed(1).padStart(8)} ms ${fast.ms.toFixed(1).padStart(7)} ms  ` +
+        `${relDiff.toExponential(2).padStart(16)}  ${res.scale.toFixed(4).padStart(11)}  ${res.offset.toFixed(4).padStart(12)}` +
+        (ok ? '' : '  MISMATCH')
+    );
+}
+
+if (failed) {
+    console.error(`${failed} case(s) differ from the naive DFT by more than ${TOLERANCE}`);
+    process.exitCode = 1;
+}
@@ -0,0 +1,429 @@
+#!/usr/bin/env node
+/**
+ * Headless version of the web page: detect the pixel grid of upscaled images and
+ * write the reconstructed low-res PNG (or --format) next to each input (or into --out-dir), with the grid recorded in it.
+ * Animated GIFs and PNGs get one grid for all frames and come out animated (or as a sprite sheet).
+ *
+ * Exit codes: 0 = all good, 1 = at least one image below --min-confidence, 2 = error
+ */
+
+import fs from 'fs';
+import path from 'path';
+import zlib from 'zlib';
+import { parseArgs } from 'util';
+import fg from 'fast-glob';
+import pngjs from 'pngjs';
+import jpeg from 'jpeg-js';
+
+import {
+    detectPixelGrid, detectAnimationGrid, reconstructAnimation, deskewImage, downsample, deconvolve, normalizeSampling, DETECTION_METHODS, SAMPLING_METHODS,
+    RESAMPLING_KERNELS, DIFF_METRICS, DEFAULT_DIFF_METRIC, DEFAULT_ALPHA_WEIGHT, DEFAULT_MAX_ANGLE, extractPalette, quantize, parsePalette, toHex, reconstructionMetrics,
+    decodeGIF, splitAPNG, composeFrames, exportImage, exportAnimation, gridMetadata, EXPORT_FORMATS, ANIMATION_FORMATS
+} from '../index.js';
+
+const { PNG } = pngjs;
+
+const IMAGE_EXTENSIONS = ['.png', '.jpg', '.jpeg', '.gif'];
+const OUTPUT_SUFFIX = '.lowres'; // plus the format's extension
+
+const USAGE = `Usage: find-pixel-resolution [options] <file|directory|glob>...
+
+Options:
+  -o, --out-dir <dir>         Write reconstructions here (default: next to each input)
+  -r, --report <file>         Write the JSON report to a file instead of stdout
+  -m, --max-scale <n>         Largest scale factor to look for (default: 16)
+  -s, --sampling <name>       Cell colour: mean (default), center, median, mode or trimmed-mean
+      --radius <r>            Sample within r * cell size of the center, 0 to 0.5 (default: 0.3)
+      --trim <t>              Fraction dropped at each end for trimmed-mean (default: 0.2)
+  -c, --sample-center         Same as --sampling center (not with --sampling)
+      --kernel <name>         Solve for the cells the image was upscaled from with this kernel instead of sampling
+                              them, for smooth upscales: auto, nearest, area, bilinear, bicubic or lanczos
+      --alpha-threshold <n>   Cells with alpha below n (1-255) become transparent, the rest opaque (default: 0, keep alpha)
+      --alpha-weight <w>      Weight of alpha edges next to colour edges in the detection, 0 ignores alpha (default: 1)
+      --method <name>         fourier (default), autocorrelation or consensus
+      --metric <name>         How neighbouring texels are compared: sum (default), luminance, max, squared, linear,
+                              oklab or edges
+      --crop                  Analyse and reconstruct only the content, inside letterbox bars, solid borders
+                              and window chrome
+      --crop-rect <x,y,w,h>   Analyse and reconstruct only this rectangle (image pixels, top-left origin)
+      --rotation              Detect a grid turned by a few degrees (photos of screens, rotated screenshots) and
+                              reconstruct along it; the report gives its angle, clockwise
+      --max-angle <deg>       Largest angle --rotation looks for (default: 10)
+  -f, --format <format>       png (default), svg, json or csv (pixel matrix), or aseprite
+  -u, --upscale <n>           Scale PNGs and animations back up by this whole factor, nearest neighbour; SVGs
+                              are drawn that big (default: 1)
+      --animation <format>    Write animated inputs as apng (default), gif, sheet (frames side by side in a PNG,
+                              plus JSON with where each one is and its duration) or aseprite
+      --min-confidence <n>    Exit with code 1 if any axis confidence is below n (default: 0)
+  -p, --palette <file>        Snap cells to the colours of a GPL, HEX, PAL or ASE palette; writes indexed PNGs
+  -k, --colors <n>            Snap cells to the n dominant colours of each reconstruction (max 256); indexed PNGs
+  -q, --quiet                 No progress output on stderr
+  -h, --help                  Show this help
+`;
+
+function fail(message) {
+    process.stderr.write(`find-pixel-resolution: ${message}\n`);
+    process.exit(2);
+}
+
+// The number an option gives, NaN for anything that isn't all number ('8abc', '')
+function parseNumber(text) {
+    return text !== undefined && text.trim() !== '' ? Number(text) : NaN;
+}
+
+function isImageFile(file) {
+    return IMAGE_EXTENSIONS.includes(path.extname(file).toLowerCase());
+}
+
+function isOutputFile(file) {
+    return path.basename(file, path.extname(file)).endsWith(OUTPUT_SUFFIX);
+}
+
+// Expand files, directories (recursively) and glob patterns into a sorted list of image files
+function collectInputs(args) {
+    const files = new Set();
+
+    for (const arg of args) {
+        if (fs.existsSync(arg)) {
+            if (fs.statSync(arg).isDirectory()) {
+                const pattern = fg.convertPathToPattern(arg) + '/**/*.{png,jpg,jpeg,gif,PNG,JPG,JPEG,GIF}';
+                for (const f of fg.sync(pattern, { onlyFiles: true })) {
+                    if (!isOutputFile(f)) files.add(path.normalize(f));
+                }
+            } else {
+                files.add(path.normalize(arg));
+            }
+            continue;
+        }
+
+        const matches = fg.sync(arg.replace(/\\/g, '/'), { onlyFiles: true, caseSensitiveMatch: false });
+        if (matches.length === 0) {
+            process.stderr.write(`find-pixel-resolution: no files match ${arg}\n`);
+        }
+        for (const f of matches) {
+            if (isImageFile(f) && !isOutputFile(f)) files.add(path.normalize(f));
+        }
+    }
+
+    return [...files].sort();
+}
+
+// An image, or an animation ({width, height, loop, frames}) for GIFs and PNGs with more than one frame
+function decodeImage(file) {
+    const buffer = fs.readFileSync(file);
+
+    // Sniff the signature rather than trusting the extension
+    if (buffer[0] === 0x89 && buffer[1] === 0x50 && buffer[2] === 0x4e && buffer[3] === 0x47) {
+        const split = splitAPNG(buffer);
+        if (split && split.frames.length > 1) {
+            const parts = split.frames.map(part => ({ ...part, data: PNG.sync.read(Buffer.from(part.png)).data }));
+            return { width: split.width, height: split.height, loop: split.loop, frames: composeFrames(split.width, split.height, parts) };
+        }
+        const png = PNG.sync.read(buffer);
+        return { width: png.width, height: png.height, data: png.data };
+    }
+    if (buffer[0] === 0xff && buffer[1] === 0xd8) {
+        const img = jpeg.decode(buffer, { useTArray: true, formatAsRGBA: true });
+        return { width: img.width, height: img.height, data: img.data };
+    }
+    if (buffer.subarray(0, 4).toString('latin1') === 'GIF8') {
+        const gif = decodeGIF(buffer);
+        return gif.frames.length > 1 ? gif : { width: gif.width, height: gif.height, data: gif.frames[0].data };
+    }
+    throw new Error('unsupported image format (expected PNG, JPEG or GIF)');
+}
+
+// Every input's output path without the format's extension: art.png -> art.lowres. Inputs that would share one
+// (art.png and art.gif) keep their extension, art.png.lowres and art.gif.lowres; a clash left over is an error
+function outputStems(files, outDir) {
+    const stem = (file, name) => path.join(outDir || path.dirname(file), name + OUTPUT_SUFFIX);
+    const plain = files.map(file => stem(file, path.basename(file, path.extname(file))));
+    const counts = new Map();
+    for (const s of plain) counts.set(s, (counts.get(s) || 0) + 1);
+
+    const stems = new Map(), sources = new Map();
+    files.forEach((file, i) => {
+        const s = counts.get(plain[i]) > 1 ? stem(file, path.basename(file)) : plain[i];
+        if (sources.has(s)) fail(`${sources.get(s)} and ${file} would both be written to ${s}.*`);
+        sources.set(s, file);
+        stems.set(file, s);
+    });
+    return stems;
+}
+
+function formatPSNR(psnr) {
+    return Number.isFinite(psnr) ? `PSNR ${psnr.toFixed(1)} dB` : 'lossless';
+}
+
+function detectOptions(options) {
+    return {
+        maxScale: options.maxScale,
+        method: options.method,
+        alphaWeight: options.alphaWeight,
+        metric: options.metric,
+        crop: options.crop,
+        rotation: options.rotation,
+        maxAngle: options.maxAngle
+    };
+}
+
+function processFile(file, options) {
+    const decoded = decodeImage(file);
+    if (decoded.frames) return processAnimation(file, decoded, options);
+
+    const grid = detectPixelGrid(decoded, detectOptions(options));
+    // The grid, the crop and the reconstruction are in the deskewed image
+    const image = grid.angle ? deskewImage(decoded, grid.angle) : decoded;
+    const resX = grid.x;
+    const resY = grid.y;
+
+    const entry = {
+        file,
+        width: image.width,
+        height: image.height,
+        x: resX,
+        y: resY,
+        output: null
+    };
+    if (grid.crop) entry.crop = grid.crop;
+    if (grid.angle !== undefined) entry.angle = grid.angle;
+
+    // Same guard as the "Download Reconstructed" button
+    if (resX.scale < 1.5 || resY.scale < 1.5) {
+        entry.error = 'Scale too small to downsample';
+        return entry;
+    }
+
+    let lowres;
+    if (options.kernel) {
+        lowres = deconvolve(image.data, image.width, image.height, resX, resY, { kernel: options.kernel });
+        entry.kernel = { name: lowres.kernel, error: lowres.error };
+    } else {
+        lowres = downsample(image.data, image.width, image.height, resX, resY, options.sampling);
+    }
+    if (options.palette || options.colors) {
+        const palette = options.palette || extractPalette(lowres.data, options.colors);
+        lowres = quantize(lowres, palette);
+        entry.palette = lowres.palette.map(toHex);
+    }
+    const exported = exportImage(lowres, options.format, {
+        scale: options.upscale, metadata: gridMetadata(grid, file), deflate: zlib.deflateSync
+    });
+    const outFile = options.outputs.get(file) + exported.extension;
+    fs.writeFileSync(outFile, exported.data);
+    entry.output = { file: outFile, width: lowres.width, height: lowres.height };
+    if (options.upscale > 1) entry.output.upscale = options.upscale;
+
+    // Per-cell errors stay out of the report, they'd dwarf everything else
+    const { cellErrors, ...metrics } = reconstructionMetrics(image.data, image.width, image.height, resX, resY, lowres);
+    entry.metrics = metrics; // psnr is Infinity (null in the JSON) when the reconstruction is lossless
+    return entry;
+}
+
+function processAnimation(file, animation, options) {
+    const grid = detectAnimationGrid(animation, detectOptions(options));
+    const entry = {
+        file,
+        width: animation.width,
+        height: animation.height,
+        frames: animation.frames.length,
+        x: grid.x,
+        y: grid.y,
+        output: null
+    };
+    if (grid.crop) entry.crop = grid.crop;
+    if (grid.angle !== undefined) entry.angle = grid.angle;
+
+    if (grid.x.scale < 1.5 || grid.y.scale < 1.5) {
+        entry.error = 'Scale too small to downsample';
+        return entry;
+    }
+
+    const lowres = reconstructAnimation(animation, grid, {
+        sampling: options.sampling,
+        kernel: options.kernel,
+        palette: options.palette,
+        maxColors: options.colors
+    });
+    if (lowres.kernel) entry.kernel = { name: lowres.kernel };
+    if (lowres.palette) entry.palette = lowres.palette.map(toHex);
+
+    const [exported, json] = exportAnimation(lowres, options.animation, {
+        scale: options.upscale,
+        metadata: gridMetadata(grid, file),
+        deflate: zlib.deflateSync,
+        name: path.basename(options.outputs.get(file))
+    });
+    const outFile = options.outputs.get(file) + exported.extension;
+    fs.writeFileSync(outFile, exported.data);
+    entry.output = { file: outFile, width: lowres.width, height: lowres.height };
+    if (options.upscale > 1) entry.output.upscale = options.upscale;
+    if (json) { // the sprite sheet's
+        entry.output.json = options.outputs.get(file) + json.extension;
+        fs.writeFileSync(entry.output.json, json.data);
+    }
+    entry.metrics = lowres.metrics; // averaged over the frames
+    return entry;
+}
+
+function main() {
+    let parsed;
+    try {
+        parsed = parseArgs({
+            allowPositionals: true,
+            options: {
+                'out-dir': { type: 'string', short: 'o' },
+                'report': { type: 'string', short: 'r' },
+                'max-scale': { type: 'string', short: 'm', default: '16' },
+                'sampling': { type: 'string', short: 's' }, // mean, unless --sample-center
+                'radius': { type: 'string' },
+                'trim': { type: 'string' },
+                'sample-center': { type: 'boolean', short: 'c', default: false },
+                'kernel': { type: 'string' },
+                'alpha-threshold': { type: 'string', default: '0' },
+                'alpha-weight': { type: 'string', default: String(DEFAULT_ALPHA_WEIGHT) },
+                'method': { type: 'string', default: 'fourier' },
+                'metric': { type: 'string', default: DEFAULT_DIFF_METRIC },
+                'crop': { type: 'boolean', default: false },
+                'crop-rect': { type: 'string' },
+                'rotation': { type: 'boolean', default: false },
+                'max-angle': { type: 'string', default: String(DEFAULT_MAX_ANGLE) },
+                'format': { type: 'string', short: 'f', default: 'png' },
+                'upscale': { type: 'string', short: 'u', default: '1' },
+                'animation': { type: 'string', default: 'apng' },
+                'min-confidence': { type: 'string', default: '0' },
+                'palette': { type: 'string', short: 'p' },
+                'colors': { type: 'string', short: 'k' },
+                'quiet': { type: 'boolean', short: 'q', default: false },
+                'help': { type: 'boolean', short: 'h', default: false }
+            }
+        });
+    } catch (err) {
+        fail(`${err.message}\n\n${USAGE}`);
+    }
+
+    const { values, positionals } = parsed;
+    if (values.help) {
+        process.stdout.write(USAGE);
+        return 0;
+    }
+    if (positionals.length === 0) fail(`no input given\n\n${USAGE}`);
+
+    const maxScale = parseNumber(values['max-scale']);
+    if (!(Number.isInteger(maxScale) && maxScale >= 2)) fail(`--max-scale must be an integer >= 2`);
+    const minConfidence = parseNumber(values['min-confidence']);
+    if (isNaN(minConfidence)) fail(`--min-confidence must be a number`);
+    if (!DETECTION_METHODS.includes(values.method)) fail(`--method must be one of ${DETECTION_METHODS.join(', ')}`);
+    if (!DIFF_METRICS.includes(values.metric)) fail(`--metric must be one of ${DIFF_METRICS.join(', ')}`);
+    if (values.palette && values.colors) fail('--palette and --colors are mutually exclusive');
+    if (values['sample-center'] && values.sampling !== undefined) fail('--sample-center and --sampling are mutually exclusive');
+    const samplingMethod = values['sample-center'] ? 'center' : values.sampling ?? 'mean';
+    if (!SAMPLING_METHODS.includes(samplingMethod)) fail(`--sampling must be one of ${SAMPLING_METHODS.join(', ')}`);
+    const radius = values.radius !== undefined ? parseNumber(values.radius) : undefined;
+    if (radius !== undefined && !(radius >= 0 && radius <= 0.5)) fail('--radius must be a number from 0 to 0.5');
+    const trim = values.trim !== undefined ? parseNumber(values.trim) : undefined;
+    if (trim !== undefined && !(trim >= 0 && trim < 0.5)) fail('--trim must be a number from 0 to below 0.5');
+    const kernel = values.kernel;
+    if (kernel !== undefined && kernel !== 'auto' && !RESAMPLING_KERNELS.includes(kernel)) {
+        fail(`--kernel must be auto or one of ${RESAMPLING_KERNELS.join(', ')}`);
+    }
+    const alphaThreshold = parseNumber(values['alpha-threshold']);
+    if (!(Number.isInteger(alphaThreshold) && alphaThreshold >= 0 && alphaThreshold <= 255)) {
+        fail('--alpha-threshold must be an integer from 0 to 255');
+    }
+    const alphaWeight = parseNumber(values['alpha-weight']);
+    if (!(alphaWeight >= 0)) fail('--alpha-weight must be a number >= 0');
+    if (values.crop && values['crop-rect']) fail('--crop and --crop-rect are mutually exclusive');
+    let crop = values.crop;
+    if (values['crop-rect']) {
+        const [x, y, width, height] = values['crop-rect'].split(',').map(Number);
+        if (![x, y, width, height].every(Number.isInteger) || !(width > 0 && height > 0)) {
+            fail('--crop-rect must be x,y,width,height in whole pixels');
+        }
+        crop = { x, y, width, height };
+    }
+    const maxAngle = parseNumber(values['max-angle']);
+    if (!(maxAngle > 0 && maxAngle < 45)) fail('--max-angle must be a number of degrees above 0 and below 45');
+
+    if (!EXPORT_FORMATS.includes(values.format)) fail(`--format must be one of ${EXPORT_FORMATS.join(', ')}`);
+    const upscale = parseNumber(values.upscale);
+    if (!(Number.isInteger(upscale) && upscale >= 1)) fail('--upscale must be a whole number >= 1');
+    if (!ANIMATION_FORMATS.includes(values.animation)) fail(`--animation must be one of ${ANIMATION_FORMATS.join(', ')}`);
+
+    let colors = null;
+    if (values.colors) {
+        colors = parseNumber(values.colors);
+        if (!(Number.isInteger(colors) && colors >= 1 && colors <= 256)) fail('--colors must be an integer from 1 to 256');
+    }
+    let palette = null;
+    if (values.palette) {
+        try {
+            palette = parsePalette(fs.readFileSync(values.palette), values.palette);
+        } catch (err) {
+            fail(err.message);
+        }
+    }
+
+    const options = {
+        maxScale,
+        sampling: normalizeSampling({ method: samplingMethod, radius, trim, alphaThreshold }),
+        kernel,
+        alphaWeight,
+        crop,
+        rotation: values.rotation,
+        maxAngle,
+        method: values.method,
+        metric: values.metric,
+        outDir: values['out-dir'],
+        palette,
+        colors,
+        format: values.format,
+        upscale,
+        animation: values.animation
+    };
+    if (options.outDir) fs.mkdirSync(options.outDir, { recursive: true });
+
+    const files = collectInputs(positionals);
+    if (files.length === 0) fail('no PNG, JPEG or GIF files found');
+    options.outputs = outputStems(files, options.outDir);
+
+    const log = values.quiet ? () => {} : (msg) => process.stderr.write(msg + '\n');
+    const report = [];
+    let exitCode = 0;
+
+    for (const file of files) {
+        let entry;
+        try {
+            entry = processFile(file, options);
+        } catch (err) {
+            log(`${file}: ERROR ${err.message}`);
+            report.push({ file, error: err.message });
+            exitCode = 2;
+            continue;
+        }
+
+        entry.lowConfidence = entry.x.confidence < minConfidence || entry.y.confidence < minConfidence;
+        if (entry.lowConfidence && exitCode === 0) exitCode = 1;
+        report.push(entry);
+
+        const size = entry.output
+            ? `${entry.output.width} x ${entry.output.height}, ${formatPSNR(entry.metrics.psnr)}, SSIM ${entry.metrics.ssim.toFixed(3)}`
+            : entry.error;
+        log(`${file}: X scale ${entry.x.scale.toFixed(3)} (${entry.x.confidence.toFixed(2)}), ` +
+            `Y scale ${entry.y.scale.toFixed(3)} (${entry.y.confidence.toFixed(2)})` +
+            (entry.frames ? `, ${entry.frames} frames` : '') +
+            (entry.angle ? `, angle ${entry.angle.toFixed(2)}` : '') +
+            (entry.kernel ? `, ${entry.kernel.name} kernel` : '') + ` -> ${size}` +
+            (entry.lowConfidence ? ' [LOW CONFIDENCE]' : ''));
+    }
+
+    const json = JSON.stringify(report, null, 2) + '\n';
+    if (values.report) {
+        fs.writeFileSync(values.report, json);
+    } else {
+        process.stdout.write(json);
+    }
+    return exitCode;
+}
+
+process.exitCode = main();
@@ -0,0 +1,161 @@
+/**
+ * Finding the part of a screenshot that holds the upscaled content: trims letterbox bars and solid borders,
+ * then window chrome / UI bars along the edges whose detail doesn't follow the pixel grid.
+ * Rectangles are { x, y, width, height } like in regions.js; works in either row order as long as the
+ * rectangle is read in the same one.
+ */
+
+export const DEFAULT_CROP_TOLERANCE = 8; // max channel difference (0-255) to the border colour
+
+const UNIFORM_FRACTION = 0.98; // share of a line within tolerance for it to count as border (noise, a stray pixel)
+const EDGE_THRESHOLD = 24; // max channel difference between neighbours that counts as an edge
+const MAX_CHROME = 0.25; // off-grid bars are searched in this fraction of the size from each side
+// Lines are compared by the share of their edges that are off the grid, relative to what's typical in the middle of
+// the image (about 0 for clean upscales, more with JPEG). Random detail at scale s is off the grid 1 - 1/s of the time
+const OFF_GRID = 0.5; // chrome: at least this share
+const CHROME_MARGIN = 0.35; // and this much more than typical
+const CONTENT_MARGIN = 0.25; // content: at most this much more than typical
+
+function channelDiff(data, a, b) {
+    return Math.max(
+        Math.abs(data[a] - data[b]), Math.abs(data[a + 1] - data[b + 1]),
+        Math.abs(data[a + 2] - data[b + 2]), Math.abs(data[a + 3] - data[b + 3]));
+}
+
+// Axis accessors: `line` runs along the other axis, so rows for 'y' and columns for 'x'
+function axisView(image, rect, axis) {
+    const { width } = image;
+    return axis === 'y'
+        ? { start: rect.y, size: rect.height, from: rect.x, length: rect.width, index: (line, p) => (line * width + p) * 4 }
+        : { start: rect.x, size: rect.width, from: rect.y, length: rect.height, index: (line, p) => (p * width + line) * 4 };
+}
+
+// Border line: nearly all pixels within tolerance of the border colour, or within it on average
+// (JPEG ringing next to the content)
+function isUniformLine(data, view, line, ref, tolerance) {
+    let outliers = 0, total = 0;
+    for (let p = view.from; p < view.from + view.length; p++) {
+        const d = channelDiff(data, view.index(line, p), ref);
+        if (d > tolerance) outliers++;
+        total += d;
+    }
+    return outliers <= view.length * (1 - UNIFORM_FRACTION) || total <= view.length * tolerance;
+}
+
+// Uniform lines at both ends of one axis, each end compared with the colour of its outermost line's first pixel
+function trimUniform(image, rect, axis, tolerance) {
+    const view = axisView(image, rect, axis);
+    const end = view.start + view.size;
+    let lo = view.start, hi = end;
+    const refLo = view.index(lo, view.from);
+    while (lo < hi && isUniformLine(image.data, view, lo, refLo, tolerance)) lo++;
+    if (lo === hi) return null; // a single colour throughout
+    const refHi = view.index(hi - 1, view.from);
+    while (hi > lo && isUniformLine(image.data, view, hi - 1, refHi, tolerance)) hi--;
+    return axis === 'y'
+        ? { ...rect, y: lo, height: hi - lo }
+        : { ...rect, x: lo, width: hi - lo };
+}
+
+/**
+ * Rectangle inside the uniform borders (letterbox/pillarbox bars, solid frames) of an RGBA image.
+ * @param {{data: ArrayLike<number>, width: number, height: number}} image
+ * @param {number} [tolerance] max channel difference to the border colour
+ * @returns {{x: number, y: number, width: number, height: number}} the whole image when there's no border
+ */
+export function findUniformBorders(image, tolerance = DEFAULT_CROP_TOLERANCE) {
+    const full = { x: 0, y: 0, width: image.width, height: image.height };
+    const rows = trimUniform(image, full, 'y', tolerance);
+    if (!rows) return full;
+    return trimUniform(image, rows, 'x', tolerance) || full;
+}
+
+// Edges of one line, and how many of them are not on a cell boundary of the other axis.
+// Only the strongest step of a blurred edge counts (bilinear), that's the one on the boundary
+function lineEdges(data, view, line, onGrid) {
+    const end = view.from + view.length;
+    const diff = (p) => p > view.from && p < end ? channelDiff(data, view.index(line, p), view.index(line, p - 1)) : 0;
+    let edges = 0, off = 0;
+    let prev = 0, d = diff(view.from + 1);
+    for (let p = view.from + 1; p < end; p++) {
+        const next = diff(p + 1);
+        if (d > EDGE_THRESHOLD && d >= prev && d > next) {
+            edges++;
+            if (!onGrid[p - view.from]) off++;
+        }
+        prev = d;
+        d = next;
+    }
+    return { edges, off };
+}
+
+// Share of off-grid edges of every line, NaN for flat lines
+function offGridRatios(data, view, onGrid) {
+    const ratios = new Float32Array(view.size);
+    for (let i = 0; i < view.size; i++) {
+        const { edges, off } = lineEdges(data, view, view.start + i, onGrid);
+        ratios[i] = edges >= 2 ? off / edges : NaN;
+    }
+    return ratios;
+}
+
+function median(values) {
+    const sorted = values.filter(v => !isNaN(v)).sort((a, b) => a - b);
+    return sorted.length > 0 ? sorted[sorted.length >> 1] : 0;
+}
+
+// Start of the content from one end: past the last chrome line before the first content line,
+// and past the flat lines of the bar's background after it
+function findGridStart(data, view, onGrid, lines, ratios, typical) {
+    const chrome = Math.max(OFF_GRID, typical + CHROME_MARGIN);
+    let lastOff = -1;
+    for (let i = 0; i < lines.length; i++) {
+        const ratio = ratios[lines[i] - view.start];
+        if (isNaN(ratio)) continue; // flat, could be either
+        if (ratio >= chrome) lastOff = i;
+        else if (ratio <= typical + CONTENT_MARGIN) break;
+    }
+    if (lastOff === -1) return 0;
+
+    const background = view.index(lines[lastOff], view.from);
+    let start = lastOff + 1;
+    while (start < lines.length && lineEdges(data, view, lines[start], onGrid).edges < 2 &&
+        channelDiff(data, view.index(lines[start], view.from), background) <= EDGE_THRESHOLD) start++;
+    return start;
+}
+
+/**
+ * Trim bars along the sides of `rect` whose edges don't line up with the grid (window chrome, UI text at
+ * another scale). `boundsX`/`boundsY` are the cell boundaries detected in `rect` (relative to it); the new
+ * sides are snapped to them.
+ * @returns {{x: number, y: number, width: number, height: number}}
+ */
+export function trimOffGrid(image, rect, boundsX, boundsY) {
+    const trimAxis = (r, axis, bounds, crossBounds) => {
+        const view = axisView(image, r, axis);
+        // An edge at p (between p - 1 and p) is on the grid if a cell starts at p
+        const onGrid = new Uint8Array(view.length + 1);
+        for (const b of crossBounds) {
+            const p = Math.round(b);
+            if (p >= 0 && p <= view.length) onGrid[p] = 1;
+        }
+
+        const ratios = offGridRatios(image.data, view, onGrid);
+        const depth = Math.floor(view.size * MAX_CHROME);
+        const typical = median(Array.from(ratios.subarray(depth, view.size - depth)));
+        const fromLo = Array.from({ length: depth }, (_, i) => view.start + i);
+        const fromHi = Array.from({ length: depth }, (_, i) => view.start + view.size - 1 - i);
+        const lo = findGridStart(image.data, view, onGrid, fromLo, ratios, typical);
+        const hi = findGridStart(image.data, view, onGrid, fromHi, ratios, typical);
+
+        // Snap inwards to the next cell boundary
+        const first = bounds.find(b => b >= lo) ?? 0;
+        const last = [...bounds].reverse().find(b => b <= view.size - hi) ?? view.size;
+        if (last - first < view.size / 2) return r; // not convincing, keep it
+        return axis === 'y'
+            ? { ...r, y: r.y + first, height: last - first }
+            : { ...r, x: r.x + first, width: last - first };
+    };
+    const rows = trimAxis(rect, 'y', boundsY, boundsX);
+    return trimAxis(rows, 'x', boundsX, boundsY.map(b => b + rect.y - rows.y));
+}
@@ -0,0 +1,117 @@
+/**
+ * The viewer's display pass on the CPU, for browsers without WebGL 2: fsDisplaySource (shaders.js) pixel for pixel.
+ * Images, boundaries and the crop are bottom-up like the texture; the view comes out top-down, for putImageData.
+ */
+
+import { quantize } from './palette.js';
+import { deskewedToImage } from './rotation.js';
+
+const CHECKER_SIZE = 8; // texels
+const GRID_COLOR = [1, 0, 1];
+const GRID_MIX = 0.7;
+const OUTLINE_COLOR = [0, 1, 1];
+const DIM = 0.4;
+
+// Same search as findCell in glslCellBounds
+export function findCellIndex(boundaries, p) {
+    let lo = 0;
+    let hi = boundaries.length - 2;
+    while (lo < hi) {
+        const mid = (lo + hi + 1) >> 1;
+        if (boundaries[mid] <= p) lo = mid; else hi = mid - 1;
+    }
+    return lo;
+}
+
+/**
+ * @param {{data: ArrayLike<number>, width: number, height: number}} image RGBA, rows bottom-up
+ * @param {{data: ArrayLike<number>, width: number, height: number}} cells reconstruction, one pixel per cell, rows bottom-up
+ * @param {{resX: {scale: number, boundaries: number[]}, resY: {scale: number, boundaries: number[]},
+ *   showReconstructed?: boolean, showGrid?: boolean, compare?: number, split?: number,
+ *   crop: {x: number, y: number, width: number, height: number}, palette?: number[][] | null, angle?: number}} view
+ *   compare: 0 one view, 1 split at `split`, 2 side by side (twice as wide); palette: snap cells to it;
+ *   angle: of the grid (deskewImage in rotation.js, for these bottom-up rows), the boundaries, cells and crop are
+ *   in the deskewed image
+ * @returns {{width: number, height: number, data: Uint8ClampedArray}} rows top-down
+ */
+export function renderView(image, cells, view) {
+    const { width, height } = image;
+    const { resX, resY, crop } = view;
+    const compare = view.compare || 0;
+    const outWidth = compare === 2 ? width * 2 : width;
+    const out = new Uint8ClampedArray(outWidth * height * 4);
+    const cellData = view.palette ? quantize(cells, view.palette).data : cells.data;
+    const showCells = resX.scale > 1 && resY.scale > 1;
+
+    // Cell of every column and row, and whether a grid line starts there
+    const axisCells = (bounds, size) => Array.from({ length: size }, (_, p) => findCellIndex(bounds, p));
+    const cellX = axisCells(resX.boundaries, width);
+    const cellY = axisCells(resY.boundaries, height);
+    const lineAt = (bounds, cell, p) => cell > 0 && p === Math.floor(bounds[cell]);
+
+    // A grid at an angle isn't along the rows and columns, so its cells are looked up texel by texel
+    // (imageToDeskewed in glslRotation)
+    const angle = view.angle || 0;
+    const toGrid = (x, y) => angle ? deskewedToImage(x, y, width, height, -angle) : [x, y];
+    const cellAt = (bounds, cache, p) => angle ? findCellIndex(bounds, p) : cache[p];
+
+    const color = [0, 0, 0, 0];
+    for (let py = 0; py < height; py++) {
+        const y = py + 0.5; // fragment centre
+        const row = (height - 1 - py) * outWidth * 4;
+        for (let px = 0; px < outWidth; px++) {
+            let x = px + 0.5;
+
+            // Original on the left, reconstruction on the right
+            let reconstructed = !!view.showReconstructed;
+            if (compare === 1) {
+                reconstructed = x >= view.split;
+            } else if (compare === 2) {
+                reconstructed = x >= width;
+                if (reconstructed) x -= width;
+            }
+            const tx = Math.floor(x);
+
+            // Grid, crop and cells are in the deskewed image
+            const [gx, gy] = toGrid(x, y);
+            const gtx = Math.floor(gx), gty = Math.floor(gy);
+            const inside = gx >= crop.x && gx < crop.x + crop.width && gy >= crop.y && gy < crop.y + crop.height;
+            const kx = inside ? cellAt(resX.boundaries, cellX, gtx) : 0;
+            const ky = inside ? cellAt(resY.boundaries, cellY, gty) : 0;
+
+            if (reconstructed && inside && showCells) {
+                const c = (ky * cells.width + kx) * 4;
+                for (let i = 0; i < 4; i++) color[i] = cellData[c + i] / 255;
+            } else {
+                const s = (py * width + tx) * 4;
+                for (let i = 0; i < 4; i++) color[i] = image.data[s + i] / 255;
+
+                // Grid line on the first texel of every cell
+                if (view.showGrid && inside && (lineAt(resX.boundaries, kx, gtx) || lineAt(resY.boundaries, ky, gty))) {
+                    for (let i = 0; i < 3; i++) color[i] += (GRID_COLOR[i] - color[i]) * GRID_MIX;
+                    color[3] = 1;
+                }
+            }
+
+            if (!inside) {
+                // Outline just outside the crop, dimmed beyond
+                const outline = gx >= crop.x - 1 && gx < crop.x + crop.width + 1 && gy >= crop.y - 1 && gy < crop.y + crop.height + 1;
+                if (outline) {
+                    color[0] = OUTLINE_COLOR[0]; color[1] = OUTLINE_COLOR[1]; color[2] = OUTLINE_COLOR[2]; color[3] = 1;
+                } else {
+                    for (let i = 0; i < 3; i++) color[i] *= DIM;
+                }
+            }
+
+            // Checkerboard behind transparent texels
+            const checker = (Math.floor(x / CHECKER_SIZE) + Math.floor(y / CHECKER_SIZE)) % 2;
+            const o = row + px * 4;
+            for (let i = 0; i < 3; i++) {
+                const back = 0.6 + 0.2 * checker;
+                out[o + i] = Math.round((back + (color[i] - back) * color[3]) * 255);
+            }
+            out[o + 3] = 255;
+        }
+    }
+    return { width: outWidth, height, data: out };
+}
@@ -0,0 +1,350 @@
+/**
+ * Exports of reconstructions besides the plain PNG: clean nearest-neighbour upscales by whole factors, SVG (one path
+ * of merged rectangles per colour), the pixel matrix as JSON or CSV, and Aseprite files; animations as APNG, GIF,
+ * sprite sheet or Aseprite. Every format but CSV records the grid the pixels came from (gridMetadata): PNG text
+ * chunks, an SVG <metadata> element, a GIF comment, the JSON itself, an Aseprite layer's user data.
+ * Images are RGBA with rows top-down; a quantize() result (with indices and palette) is written as an indexed PNG.
+ */
+
+import { encodePNG, encodeIndexedPNG, encodeAPNG, zlibStore } from './png.js';
+import { encodeGIF, spriteSheet } from './animation.js';
+
+export const EXPORT_FORMATS = ['png', 'svg', 'json', 'csv', 'aseprite'];
+export const ANIMATION_FORMATS = ['apng', 'gif', 'sheet', 'aseprite'];
+
+const SOFTWARE = 'find-pixel-resolution';
+const METADATA_KEYWORD = 'pixel-grid'; // PNG text keyword of the metadata JSON
+const ASEPRITE_DEFAULT_DURATION = 100; // ms, of a still image's frame
+
+/**
+ * What exports record about where they came from: scale, offset and confidence per axis, crop and angle.
+ * @param {{x: {scale: number, offset: number, confidence: number}, y: object, crop?: object, angle?: number}} grid
+ *   as detectPixelGrid returns it (image coordinates)
+ * @param {string} [source] the upscaled file
+ * @returns {object}
+ */
+export function gridMetadata(grid, source) {
+    const axis = ({ scale, offset, confidence }) => ({ scale, offset, confidence });
+    const metadata = {};
+    if (source) metadata.source = source;
+    metadata.x = axis(grid.x);
+    metadata.y = axis(grid.y);
+    if (grid.crop) metadata.crop = grid.crop;
+    if (grid.angle) metadata.angle = grid.angle;
+    return metadata;
+}
+
+function metadataText(metadata) {
+    return metadata ? { Software: SOFTWARE, [METADATA_KEYWORD]: JSON.stringify(metadata) } : { Software: SOFTWARE };
+}
+
+/**
+ * Nearest-neighbour upscale by a whole factor: every pixel becomes a factor x factor square. Indices of a quantize()
+ * result are scaled along, the palette kept.
+ * @param {{width: number, height: number, data: ArrayLike<number>, indices?: Uint8Array}} image
+ * @param {number} factor
+ */
+export function upscaleImage(image, factor) {
+    if (!(Number.isInteger(factor) && factor >= 1)) throw new RangeError('the upscale factor must be a whole number >= 1');
+    if (factor === 1) return image;
+    const { width, height } = image;
+    const scaled = { ...image, width: width * factor, height: height * factor };
+    const scale = (source, channels, Type) => {
+        const rowLength = width * factor * channels;
+        const out = new Type(rowLength * height * factor);
+        for (let y = 0; y < height; y++) {
+            const row = out.subarray(y * factor * rowLength, (y * factor + 1) * rowLength);
+            for (let x = 0; x < width; x++) {
+                for (let c = 0; c < channels; c++) {
+                    const v = source[(y * width + x) * channels + c];
+                    for (let k = 0; k < factor; k++) row[(x * factor + k) * channels + c] = v;
+                }
+            }
+            for (let k = 1; k < factor; k++) out.set(row, (y * factor + k) * rowLength);
+        }
+        return out;
+    };
+    scaled.data = scale(image.data, 4, Uint8ClampedArray);
+    if (image.indices) scaled.indices = scale(image.indices, 1, Uint8Array);
+    return scaled;
+}
+
+function hex2(v) {
+    return v.toString(16).padStart(2, '0');
+}
+
+// #rrggbb, or #rrggbbaa when not opaque
+function pixelHex(data, i) {
+    const rgb = '#' + hex2(data[i]) + hex2(data[i + 1]) + hex2(data[i + 2]);
+    return data[i + 3] === 255 ? rgb : rgb + hex2(data[i + 3]);
+}
+
+/**
+ * The pixels as rows (top-down) of colours, '#rrggbb' or '#rrggbbaa' where they aren't opaque.
+ * @param {{width: number, height: number, data: ArrayLike<number>}} image
+ * @returns {string[][]}
+ */
+export function pixelMatrix(image) {
+    const { width, height, data } = image;
+    return Array.from({ length: height }, (_, y) => Array.from({ length: width }, (_, x) => pixelHex(data, (y * width + x) * 4)));
+}
+
+function escapeXML(text) {
+    return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+/**
+ * SVG of the pixels: runs of a colour along a row, merged with the same run in the rows below into rectangles, one
+ * path per colour. Transparent pixels are left out.
+ * @param {{width: number, height: number, data: ArrayLike<number>}} image
+ * @param {{scale?: number, metadata?: object}} [options] scale: displayed size per pixel; metadata: see gridMetadata
+ * @returns {string}
+ */
+export function encodeSVG(image, options = {}) {
+    const { width, height, data } = image;
+    const scale = options.scale ?? 1;
+    const paths = new Map(); // colour -> path data
+    const close = ({ color, x, y, w, h }) => paths.set(color, (paths.get(color) || '') + `M${x} ${y}h${w}v${h}h-${w}z`);
+
+    let open = new Map(); // "x,w,colour" -> rectangle still growing downwards
+    for (let y = 0; y < height; y++) {
+        const next = new Map();
+        for (let x = 0; x < width;) {
+            const i = (y * width + x) * 4;
+            let end = x + 1;
+            while (end < width && [0, 1, 2, 3].every(c => data[(y * width + end) * 4 + c] === data[i + c])) end++;
+            if (data[i + 3] > 0) {
+                const color = pixelHex(data, i);
+                const key = `${x},${end - x},${color}`;
+                const rect = open.get(key) || { color, x, y, w: end - x, h: 0 };
+                rect.h++;
+                open.delete(key);
+                next.set(key, rect);
+            }
+            x = end;
+        }
+        open.forEach(close);
+        open = next;
+    }
+    open.forEach(close);
+
+    const lines = [
+        `<svg xmlns="http://www.w3.org/2000/svg" width="${width * scale}" height="${height * scale}" viewBox="0 0 ${width} ${height}" shape-rendering="crispEdges">`
+    ];
+    if (options.metadata) lines.push(`<metadata>${escapeXML(JSON.stringify(options.metadata))}</metadata>`);
+    for (const [color, d] of paths) {
+        // fill-opacity for #rrggbbaa, which not every SVG reader takes as a fill
+        const fill = color.length > 7 ? `${color.slice(0, 7)}" fill-opacity="${(parseInt(color.slice(7), 16) / 255).toFixed(3)}` : color;
+        lines.push(`<path fill="${fill}" d="${d}"/>`);
+    }
+    lines.push('</svg>');
+    return lines.join('\n') + '\n';
+}
+
+// Little-endian fields of an Aseprite file, collected and joined by result()
+function aseWriter() {
+    const parts = [];
+    const field = (size, set) => {
+        const bytes = new Uint8Array(size);
+        set(new DataView(bytes.buffer));
+        parts.push(bytes);
+    };
+    const writer = {
+        u8: (v) => field(1, view => view.setUint8(0, v)),
+        u16: (v) => field(2, view => view.setUint16(0, v, true)),
+        i16: (v) => field(2, view => view.setInt16(0, v, true)),
+        u32: (v) => field(4, view => view.setUint32(0, v, true)),
+        zeros: (n) => parts.push(new Uint8Array(n)),
+        bytes: (bytes) => parts.push(bytes),
+        string: (text) => {
+            const bytes = new TextEncoder().encode(text);
+            writer.u16(bytes.length);
+            parts.push(bytes);
+        },
+        result: () => {
+            const out = new Uint8Array(parts.reduce((sum, p) => sum + p.length, 0));
+            let pos = 0;
+            for (const p of parts) {
+                out.set(p, pos);
+                pos += p.length;
+            }
+            return out;
+        }
+    };
+    return writer;
+}
+
+function aseChunk(type, write) {
+    const body = aseWriter();
+    write(body);
+    const bytes = body.result();
+    const chunk = aseWriter();
+    chunk.u32(bytes.length + 6);
+    chunk.u16(type);
+    chunk.bytes(bytes);
+    return chunk.result();
+}
+
+/**
+ * Encode an Aseprite file (RGBA, one layer): an image, or every frame of an animation with its duration.
+ * @param {{width: number, height: number, data?: ArrayLike<number>, frames?: Array<{data: ArrayLike<number>, delay: number}>}} image
+ * @param {{metadata?: object, deflate?: (data: Uint8Array) => Uint8Array}} [options] metadata: the layer's user data
+ *   text, as JSON; deflate: zlib compressor, defaults to zlibStore
+ * @returns {Uint8Array} .aseprite file contents
+ */
+export function encodeAseprite(image, options = {}) {
+    const { width, height } = image;
+    const deflate = options.deflate || zlibStore;
+    const frames = image.frames || [{ data: image.data, delay: ASEPRITE_DEFAULT_DURATION }];
+    if (frames.length === 0) throw new RangeError('an animation needs at least one frame');
+
+    const file = aseWriter();
+    const encoded = frames.map((frame, i) => {
+        const chunks = [];
+        if (i === 0) {
+            chunks.push(aseChunk(0x2007, w => { // colour profile: sRGB
+                w.u16(1);
+                w.u16(0);
+                w.u32(0);
+                w.zeros(8);
+            }));
+            chunks.push(aseChunk(0x2004, w => { // layer: visible and editable, normal, opaque
+                w.u16(3);
+                w.u16(0);
+                w.u16(0);
+                w.u16(0);
+                w.u16(0);
+                w.u16(0);
+                w.u8(255);
+                w.zeros(3);
+                w.string('Layer 1');
+            }));
+            if (options.metadata) {
+                chunks.push(aseChunk(0x2020, w => { // the layer's user data: text
+                    w.u32(1);
+                    w.string(JSON.stringify(options.metadata));
+                }));
+            }
+        }
+        chunks.push(aseChunk(0x2005, w => { // compressed cel at 0, 0 of layer 0
+            w.u16(0);
+            w.i16(0);
+            w.i16(0);
+            w.u8(255);
+            w.u16(2);
+            w.i16(0);
+            w.zeros(5);
+            w.u16(width);
+            w.u16(height);
+            w.bytes(new Uint8Array(deflate(Uint8Array.from(frame.data.slice(0, width * height * 4)))));
+        }));
+
+        const f = aseWriter();
+        f.u32(16 + chunks.reduce((sum, c) => sum + c.length, 0));
+        f.u16(0xf1fa);
+        f.u16(Math.min(chunks.length, 0xffff));
+        f.u16(Math.max(1, Math.min(65535, Math.round(frame.delay))));
+        f.zeros(2);
+        f.u32(chunks.length);
+        chunks.forEach(f.bytes);
+        return f.result();
+    });
+
+    file.u32(128 + encoded.reduce((sum, f) => sum + f.length, 0));
+    file.u16(0xa5e0);
+    file.u16(frames.length);
+    file.u16(width);
+    file.u16(height);
+    file.u16(32); // bits per pixel: RGBA
+    file.u32(1); // layer opacity is valid
+    file.u16(ASEPRITE_DEFAULT_DURATION); // deprecated speed
+    file.zeros(8);
+    file.u8(0); // transparent index, for indexed sprites
+    file.zeros(3);
+    file.u16(0); // number of colours
+    file.u8(1); // square pixels
+    file.u8(1);
+    file.i16(0); // editor grid
+    file.i16(0);
+    file.u16(16);
+    file.u16(16);
+    file.zeros(84);
+    encoded.forEach(file.bytes);
+    return file.result();
+}
+
+/**
+ * A reconstruction as a file of one of EXPORT_FORMATS.
+ * @param {{width: number, height: number, data: ArrayLike<number>, indices?: Uint8Array, palette?: number[][]}} image
+ * @param {string} format
+ * @param {{scale?: number, metadata?: object, deflate?: (data: Uint8Array) => Uint8Array}} [options]
+ *   scale: whole upscale factor for PNGs, displayed size per pixel for SVGs; metadata: see gridMetadata
+ * @returns {{data: Uint8Array | string, type: string, extension: string}}
+ */
+export function exportImage(image, format, options = {}) {
+    const { scale = 1, metadata = null, deflate = zlibStore } = options;
+    switch (format) {
+        case 'png': {
+            const scaled = upscaleImage(image, scale);
+            const text = metadataText(metadata);
+            const data = image.indices ? encodeIndexedPNG(scaled, deflate, text) : encodePNG(scaled, deflate, text);
+            return { data, type: 'image/png', extension: '.png' };
+        }
+        case 'svg':
+            return { data: encodeSVG(image, { scale, metadata }), type: 'image/svg+xml', extension: '.svg' };
+        case 'json': {
+            // One row of the matrix per line
+            const fields = [`  "width": ${image.width}`, `  "height": ${image.height}`];
+            if (metadata) fields.push(`  "metadata": ${JSON.stringify(metadata)}`);
+            const rows = pixelMatrix(image).map(row => '    ' + JSON.stringify(row));
+            fields.push(`  "pixels": [\n${rows.join(',\n')}\n  ]`);
+            return { data: `{\n${fields.join(',\n')}\n}\n`, type: 'application/json', extension: '.json' };
+        }
+        case 'csv':
+            return { data: pixelMatrix(image).map(row => row.join(',')).join('\n') + '\n', type: 'text/csv', extension: '.csv' };
+        case 'aseprite':
+            return { data: encodeAseprite(image, { metadata, deflate }), type: 'application/octet-stream', extension: '.aseprite' };
+        default:
+            throw new RangeError(`unknown export format: ${format} (expected ${EXPORT_FORMATS.join(', ')})`);
+    }
+}
+
+/**
+ * A reconstructed animation as the files of one of ANIMATION_FORMATS: an APNG, a GIF (with the animation's palette
+ * when it has one), a sprite sheet PNG and its JSON, or an Aseprite file.
+ * @param {{width: number, height: number, loop?: number, frames: Array<{data: ArrayLike<number>, delay: number}>, palette?: number[][]}} animation
+ * @param {string} format
+ * @param {{scale?: number, metadata?: object, deflate?: (data: Uint8Array) => Uint8Array, name?: string}} [options]
+ *   scale: whole upscale factor (not for Aseprite); name: file name of the sheet without extension, for its JSON
+ * @returns {Array<{data: Uint8Array | string, type: string, extension: string}>}
+ */
+export function exportAnimation(animation, format, options = {}) {
+    const { scale = 1, metadata = null, deflate = zlibStore, name = 'sheet' } = options;
+    const { width, height } = animation;
+    const scaled = scale === 1 ? animation : {
+        ...animation,
+        width: width * scale,
+        height: height * scale,
+        frames: animation.frames.map(({ data, delay }) => ({ data: upscaleImage({ width, height, data }, scale).data, delay }))
+    };
+    switch (format) {
+        case 'apng':
+            return [{ data: encodeAPNG(scaled, deflate, metadataText(metadata)), type: 'image/png', extension: '.png' }];
+        case 'gif': {
+            const comment = metadata ? JSON.stringify(metadata) : undefined;
+            return [{ data: encodeGIF(scaled, { palette: animation.palette, comment }), type: 'image/gif', extension: '.gif' }];
+        }
+        case 'sheet': {
+            const { image, json } = spriteSheet(scaled, name + '.png');
+            if (metadata) json.meta.pixelGrid = metadata;
+            return [
+                { data: encodePNG(image, deflate, metadataText(metadata)), type: 'image/png', extension: '.png' },
+                { data: JSON.stringify(json, null, 2) + '\n', type: 'application/json', extension: '.json' }
+            ];
+        }
+        case 'aseprite':
+            return [{ data: encodeAseprite(animation, { metadata, deflate }), type: 'application/octet-stream', extension: '.aseprite' }];
+        default:
+            throw new RangeError(`unknown animation format: ${format} (expected ${ANIMATION_FORMATS.join(', ')})`);
+    }
+}
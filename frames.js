@@ -0,0 +1,113 @@
+/**
+ * Animated files and videos in the browser to frames, in animation.js's format (RGBA, rows top-down, delays in ms):
+ * GIFs with decodeGIF, APNGs with splitAPNG and the browser's PNG decoder, animated WebP through ImageDecoder where
+ * there is one, and videos sampled through a <video> element (so on the page, not in a worker).
+ * Except for GIFs, pixels are read through a 2D canvas, so translucent colours may be off by a unit or so, like the still
+ * images'.
+ */
+
+import { decodeGIF, composeFrames } from './animation.js';
+import { splitAPNG } from './png.js';
+
+export const VIDEO_FPS = 30; // frames sampled per second of video, at most
+export const VIDEO_MAX_FRAMES = 120;
+const MAX_PIXELS = 2 ** 26; // of all frames together, a video gets fewer frames beyond
+const VIDEO_EXTENSIONS = /\.(mp4|webm|mov|m4v)$/i; // for files without a type
+
+const BITMAP_OPTIONS = { premultiplyAlpha: 'none', colorSpaceConversion: 'none' };
+
+// RGBA pixels of anything drawImage takes
+function sourcePixels(source, width, height) {
+    const ctx = new OffscreenCanvas(width, height).getContext('2d');
+    ctx.drawImage(source, 0, 0);
+    return ctx.getImageData(0, 0, width, height).data;
+}
+
+async function decodeAPNG(bytes) {
+    const split = splitAPNG(bytes);
+    if (!split || split.frames.length < 2) return null;
+    const parts = [];
+    for (const part of split.frames) {
+        const bitmap = await createImageBitmap(new Blob([part.png], { type: 'image/png' }), BITMAP_OPTIONS);
+        parts.push({ ...part, data: sourcePixels(bitmap, part.width, part.height) });
+        bitmap.close();
+    }
+    return { width: split.width, height: split.height, loop: split.loop, frames: composeFrames(split.width, split.height, parts) };
+}
+
+// Frames as the browser composites them (WebP, or whatever else ImageDecoder animates)
+async function decodeWithImageDecoder(file, type) {
+    if (typeof ImageDecoder === 'undefined' || !await ImageDecoder.isTypeSupported(type)) return null;
+    const decoder = new ImageDecoder({ data: await file.arrayBuffer(), type });
+    try {
+        await decoder.tracks.ready;
+        const track = decoder.tracks.selectedTrack;
+        if (!track || !track.animated || track.frameCount < 2) return null;
+        const frames = [];
+        let width = 0, height = 0;
+        for (let i = 0; i < track.frameCount; i++) {
+            const { image } = await decoder.decode({ frameIndex: i });
+            width = image.displayWidth;
+            height = image.displayHeight;
+            frames.push({ data: sourcePixels(image, width, height), delay: Math.round((image.duration || 0) / 1000) });
+            image.close();
+        }
+        // repetitionCount: plays after the first, Infinity for forever
+        const loop = Number.isFinite(track.repetitionCount) ? track.repetitionCount + 1 : 0;
+        return { width, height, loop, frames };
+    } finally {
+        decoder.close();
+    }
+}
+
+function once(target, type) {
+    return new Promise((resolve, reject) => {
+        target.addEventListener(type, resolve, { once: true });
+        target.addEventListener('error', () => reject(new Error('Could not decode the video')), { once: true });
+    });
+}
+
+// Evenly spaced frames, VIDEO_FPS at most, played once
+async function decodeVideo(file) {
+    const video = document.createElement('video');
+    video.muted = true;
+    video.preload = 'auto';
+    video.src = URL.createObjectURL(file);
+    try {
+        await once(video, 'loadeddata');
+        const { videoWidth: width, videoHeight: height, duration } = video;
+        if (!(width > 0 && height > 0 && duration > 0)) throw new Error('Could not decode the video');
+        const count = Math.max(1, Math.min(VIDEO_MAX_FRAMES, Math.floor(MAX_PIXELS / (width * height)), Math.round(duration * VIDEO_FPS)));
+        const step = duration / count;
+        const frames = [];
+        for (let i = 0; i < count; i++) {
+            video.currentTime = (i + 0.5) * step; // middle of the frame's time, clear of the one before
+            await once(video, 'seeked');
+            frames.push({ data: sourcePixels(video, width, height), delay: Math.round(step * 1000) });
+        }
+        return { width, height, loop: 1, frames };
+    } finally {
+        URL.revokeObjectURL(video.src);
+    }
+}
+
+/**
+ * The frames of an animated GIF, PNG or WebP, or of a video (on the page only).
+ * @param {File} file
+ * @returns {Promise<{width: number, height: number, loop: number, frames: Array<{data: Uint8ClampedArray, delay: number}>} | null>}
+ *   null for still images (one frame), to be decoded as usual
+ */
+export async function decodeAnimation(file) {
+    if (file.type.startsWith('video/') || VIDEO_EXTENSIONS.test(file.name)) return decodeVideo(file);
+
+    // Sniff the signature rather than trusting the type
+    const bytes = new Uint8Array(await file.slice(0, 16).arrayBuffer());
+    const text = String.fromCharCode(...bytes);
+    if (text.startsWith('GIF8')) {
+        const gif = decodeGIF(await file.arrayBuffer());
+        return gif.frames.length > 1 ? gif : null;
+    }
+    if (text.startsWith('\x89PNG')) return decodeAPNG(new Uint8Array(await file.arrayBuffer()));
+    if (text.startsWith('RIFF') && text.slice(8, 12) === 'WEBP') return decodeWithImageDecoder(file, 'image/webp');
+    return null;
+}
@@ -0,0 +1,573 @@
+/** Grid along one axis. */
+export interface GridAxis {
+    /** Size of one source pixel in image pixels (may be fractional). */
+    scale: number;
+    /** Position of the first cell boundary, in [0, scale). */
+    offset: number;
+    /** Explicit cell boundaries; when present they take precedence over scale/offset. */
+    boundaries?: number[];
+}
+
+/** A detected grid along one axis. */
+export interface AxisResult extends GridAxis {
+    /** Strength of the detected period; 0 when the profile is flat. */
+    confidence: number;
+    /** Harmonic score used to rank candidates (relative to the strongest spectrum peak). */
+    score: number;
+}
+
+/** Result of analysing one axis: the best candidate plus the ranked alternatives. */
+export interface AxisAnalysis extends AxisResult {
+    /** Alternatives ranked by harmonic score, `candidates[0]` equals the result itself. */
+    candidates: AxisResult[];
+}
+
+/** Analysis of one axis with the cell boundaries snapped to the edges in the image. */
+export interface AxisGrid extends AxisAnalysis {
+    /** Cell start positions, from 0 up to and including the image size; cell i is `[boundaries[i], boundaries[i + 1])`. */
+    boundaries: number[];
+}
+
+export interface PixelGrid {
+    x: AxisGrid;
+    y: AxisGrid;
+    /** Width of the reconstructed image. */
+    width: number;
+    /** Height of the reconstructed image. */
+    height: number;
+    /** The rectangle analysed when detecting with `crop`; offsets (the candidates' too) and boundaries are still image coordinates. */
+    crop?: Rect;
+    /**
+     * Angle of the grid in degrees, clockwise, when detecting with `rotation`. When it isn't 0 everything else is in
+     * the coordinates of the deskewed image (`deskewImage`), which is also what to reconstruct from.
+     */
+    angle?: number;
+}
+
+/**
+ * - `fourier`: spectrum peaks of the difference profile (default)
+ * - `autocorrelation`: autocorrelation + edge-position histogram, for images with few edges
+ * - `consensus`: both, combined by confidence
+ */
+export type DetectionMethod = 'fourier' | 'autocorrelation' | 'consensus';
+
+export const DETECTION_METHODS: DetectionMethod[];
+
+export interface DetectOptions {
+    /** Largest scale factor to look for (default 16). */
+    maxScale?: number;
+    /** Detector to use (default `'fourier'`). */
+    method?: DetectionMethod;
+    /** How much alpha edges count next to colour edges (default 1, 0 ignores alpha); `detectPixelGrid` and `detectRegions` only. */
+    alphaWeight?: number;
+    /** How neighbouring texels are compared (default `'sum'`), see `DIFF_METRICS`. */
+    metric?: DiffMetric;
+    /** `detectPixelGrid` only: analyse just this rectangle, or the one `detectContentRect` finds when `true`. */
+    crop?: boolean | Rect;
+    /** Max channel difference (0-255) to the border colour for `detectContentRect` (default 8). */
+    tolerance?: number;
+    /** `detectPixelGrid` only: the grid's angle in degrees, or `true` to detect it with `detectRotation`. */
+    rotation?: boolean | number;
+    /** Largest angle in degrees `detectRotation` looks for, either way (default 10). */
+    maxAngle?: number;
+}
+
+/** RGBA pixels, row-major, top row first. An `ImageData` qualifies. */
+export interface RGBAImage {
+    data: ArrayLike<number>;
+    width: number;
+    height: number;
+}
+
+export interface GridRange {
+    minGrid: number;
+    maxGrid: number;
+    count: number;
+}
+
+export const DEFAULT_MAX_SCALE: number;
+export const DEFAULT_TILE_SIZE: number;
+
+/** Rectangle in image pixels, top-left origin. */
+export interface Rect {
+    x: number;
+    y: number;
+    width: number;
+    height: number;
+}
+
+export interface RegionOptions extends DetectOptions {
+    /** Rectangles to analyze; when omitted the image is split into tiles. */
+    regions?: Rect[];
+    /** Approximate tile size when `regions` isn't given (default 256). */
+    tileSize?: number;
+}
+
+export interface RegionResult {
+    /** The region, clipped to the image. */
+    rect: Rect;
+    /** Grid of the region, in region coordinates. */
+    grid: PixelGrid;
+}
+
+/** Detect the grid separately per region (or tile) of a composite image. */
+export function detectRegions(imageData: RGBAImage, options?: RegionOptions): RegionResult[];
+
+/** Split the image into tiles of roughly `tileSize` pixels. */
+export function getTileRects(width: number, height: number, tileSize?: number): Rect[];
+
+/** Clip a rectangle to the image, `null` if less than 2 x 2 pixels remain. */
+export function clipRect(rect: Rect, width: number, height: number): Rect | null;
+
+/** Copy a rectangle out of an RGBA image. */
+export function cropImage(image: { data: ArrayLike<number>; width: number; height: number }, rect: Rect): { width: number; height: number; data: Uint8ClampedArray };
+
+/** Detect the pixel grid of an upscaled image. */
+export function detectPixelGrid(imageData: RGBAImage, options?: DetectOptions): PixelGrid;
+
+export const DEFAULT_CROP_TOLERANCE: number;
+export const DEFAULT_MAX_ANGLE: number;
+
+/**
+ * Angle of the pixel grid in degrees, clockwise for images with the top row first; 0 when it's axis aligned
+ * or no angle lines the edges up clearly better.
+ */
+export function detectRotation(imageData: RGBAImage, options?: { maxAngle?: number; alphaWeight?: number; metric?: DiffMetric }): number;
+
+/** The image turned back by `angle` about its centre, same size, so a grid at that angle becomes axis aligned. */
+export function deskewImage(imageData: RGBAImage, angle: number): { width: number; height: number; data: Uint8ClampedArray };
+
+/** Position in the image of position (x, y) of the image deskewed by `angle`. */
+export function deskewedToImage(x: number, y: number, width: number, height: number, angle: number): [number, number];
+
+/**
+ * Part of a screenshot holding the upscaled content: inside uniform borders (letterbox bars, solid frames),
+ * without bars along the sides whose detail doesn't follow the grid (window chrome). The whole image if neither is found.
+ */
+export function detectContentRect(imageData: RGBAImage, options?: DetectOptions): Rect;
+
+/** Rectangle inside the uniform borders of an image. */
+export function findUniformBorders(image: RGBAImage, tolerance?: number): Rect;
+
+/** Trim bars along the sides of `rect` whose edges are off the grid given by its cell boundaries (relative to `rect`). */
+export function trimOffGrid(image: RGBAImage, rect: Rect, boundsX: number[], boundsY: number[]): Rect;
+
+/** Detect the grid from precomputed column and row difference profiles. */
+export function analyzeProfiles(colData: ArrayLike<number>, rowData: ArrayLike<number>, options?: DetectOptions): PixelGrid;
+
+/** Find the dominant period of a difference profile. */
+export function analyzePeriodicity(data: ArrayLike<number>, maxScale: number): AxisAnalysis;
+
+/** Find the period from the autocorrelation and an edge-position histogram. */
+export function analyzeAutocorrelation(data: ArrayLike<number>, maxScale: number): AxisAnalysis;
+
+/** Run both detectors and combine them by confidence. */
+export function analyzeConsensus(data: ArrayLike<number>, maxScale: number): AxisAnalysis;
+
+/** Analyze one profile with the given method. */
+export function analyzeAxis(data: ArrayLike<number>, maxScale: number, method?: DetectionMethod): AxisAnalysis;
+
+/** Snap the grid described by `res` to the edges in the profile; see `AxisGrid.boundaries`. */
+export function findCellBoundaries(data: ArrayLike<number>, res: GridAxis): number[];
+
+/** Magnitudes of all integer DFT bins `0..N-1`, computed with an FFT. */
+export function calculateDFTMagnitudes(signal: ArrayLike<number>): Float64Array;
+
+/** Single DFT bin; `k` may be fractional. */
+export function calculateDFTBin(signal: ArrayLike<number>, k: number): { magnitude: number; phase: number };
+
+export const DEFAULT_ALPHA_WEIGHT: number;
+
+/**
+ * How the difference profiles compare two texels' premultiplied colours: `'sum'` of the channel differences,
+ * `'luminance'` (luma only), `'max'` channel difference, `'squared'` error, Euclidean distance in `'linear'` light or
+ * in `'oklab'`, or `'edges'`: 1 where the `'sum'` difference is above `EDGE_THRESHOLD`, else 0.
+ */
+export type DiffMetric = 'sum' | 'luminance' | 'max' | 'squared' | 'linear' | 'oklab' | 'edges';
+export const DIFF_METRICS: DiffMetric[];
+export const DEFAULT_DIFF_METRIC: DiffMetric;
+/** Difference (channels plus weighted alpha, 0-255 units) that counts as an edge for the `'edges'` metric. */
+export const EDGE_THRESHOLD: number;
+
+/**
+ * Sum of the differences to the left neighbour, per column: premultiplied RGB compared with `metric` (default
+ * `'sum'`, absolute differences) plus `alphaWeight` (default 1, 0 ignores alpha) times the alpha difference.
+ */
+export function computeColDiffs(pixels: ArrayLike<number>, width: number, height: number, alphaWeight?: number, metric?: DiffMetric): Float32Array;
+
+/** Same as `computeColDiffs` to the previous row, per row. */
+export function computeRowDiffs(pixels: ArrayLike<number>, width: number, height: number, alphaWeight?: number, metric?: DiffMetric): Float32Array;
+
+/** Range of grid cell indices covering `[0, size)` for the uniform grid. */
+export function getGridRange(res: GridAxis, size: number): GridRange;
+
+/** `res.boundaries`, or the uniform grid's boundaries clipped to `[0, size]`. */
+export function getCellBoundaries(res: GridAxis, size: number): number[];
+
+/**
+ * How a cell's colour is picked from its texels:
+ * - `center`: the center texel
+ * - `mean`: average (default)
+ * - `median`: the sample closest to all others, always one of the source colours
+ * - `mode`: the most frequent colour (with a small tolerance for noise)
+ * - `trimmed-mean`: per channel average without the lowest and highest `trim` fraction
+ */
+export type SamplingMethod = 'center' | 'mean' | 'median' | 'mode' | 'trimmed-mean';
+
+export const SAMPLING_METHODS: SamplingMethod[];
+export const DEFAULT_SAMPLE_RADIUS: number;
+export const DEFAULT_TRIM: number;
+
+export interface SamplingOptions {
+    /** Default `'mean'`. */
+    method?: SamplingMethod;
+    /** Sample texels within this fraction of the cell size from the center, 0 to 0.5 (default 0.3). */
+    radius?: number;
+    /** Fraction dropped at each end for `trimmed-mean`, 0 to 0.45 (default 0.2). */
+    trim?: number;
+    /** Cells with at least this alpha (1-255) become opaque, the rest fully transparent; 0 (default) keeps alpha. */
+    alphaThreshold?: number;
+}
+
+/** `true` is the old "sample center only" flag, same as `{ method: 'center' }`. */
+export type Sampling = boolean | SamplingOptions;
+
+/** Sampling options with the defaults filled in; throws a RangeError for unknown methods. */
+export function normalizeSampling(sampling?: Sampling): Required<SamplingOptions>;
+
+/** Colour `[r, g, b, a]` of the cell `[x0, x1) x [y0, y1)`, as `downsample` computes it (not rounded). */
+export function sampleCell(
+    pixels: ArrayLike<number>,
+    width: number,
+    height: number,
+    x0: number,
+    x1: number,
+    y0: number,
+    y1: number,
+    sampling?: Sampling
+): number[];
+
+/** Reconstruct the low-res image, one output pixel per grid cell. */
+export function downsample(
+    pixels: ArrayLike<number>,
+    width: number,
+    height: number,
+    resX: GridAxis,
+    resY: GridAxis,
+    sampling?: Sampling
+): { width: number; height: number; data: Uint8ClampedArray };
+
+/**
+ * How the image was upscaled: `nearest` (hard blocks), `area` (box filter, anti-aliased edges where the cells fall
+ * between pixels), `bilinear`, `bicubic` (Catmull-Rom) or `lanczos` (3 lobes).
+ */
+export type ResamplingKernel = 'nearest' | 'area' | 'bilinear' | 'bicubic' | 'lanczos';
+
+export const RESAMPLING_KERNELS: ResamplingKernel[];
+
+export interface DeconvolveOptions {
+    /** `auto` (default) picks the kernel that explains the image best, see `estimateKernel`. */
+    kernel?: ResamplingKernel | 'auto';
+    /**
+     * Search the scale and offset of each axis around the given ones for the best fit of the kernel (default true).
+     * Smooth upscales have no hard edges to snap the grid to, so the detected offsets can be off by a texel.
+     */
+    refine?: boolean;
+}
+
+/** A reconstruction by `deconvolve`. */
+export interface Deconvolution extends RGBAImage {
+    data: Uint8ClampedArray;
+    kernel: ResamplingKernel;
+    /** RMS difference (0-255) between the image and the reconstruction upscaled again with the kernel. */
+    error: number;
+    /** The grid fitted, refined unless `refine` is false. The cell count is the given grid's. */
+    x: { scale: number; offset: number };
+    y: { scale: number; offset: number };
+}
+
+/**
+ * Reconstruct the low-res image of an upscale with a smooth kernel: the cells (one output pixel each) whose upscale
+ * with the kernel reproduces the image best, in the least-squares sense. Throws a RangeError for unknown kernels.
+ */
+export function deconvolve(
+    pixels: ArrayLike<number>,
+    width: number,
+    height: number,
+    resX: GridAxis,
+    resY: GridAxis,
+    options?: DeconvolveOptions
+): Deconvolution;
+
+/** The kernel most likely used for the upscale, and how well each explains the image (RMS residual, 0-255, lower is better). */
+export function estimateKernel(
+    pixels: ArrayLike<number>,
+    width: number,
+    height: number,
+    resX: GridAxis,
+    resY: GridAxis,
+    options?: { refine?: boolean }
+): { kernel: ResamplingKernel; errors: Record<ResamplingKernel, number> };
+
+/** Palette colour `[r, g, b]`, 0-255. */
+export type PaletteColor = number[];
+
+export const DEFAULT_MAX_COLORS: number;
+/** Pixels with alpha below this become the transparent palette index. */
+export const ALPHA_THRESHOLD: number;
+
+/** A reconstruction snapped to a palette. */
+export interface QuantizedImage {
+    width: number;
+    height: number;
+    /** Snapped RGBA pixels. */
+    data: Uint8ClampedArray;
+    /** One palette index per pixel. */
+    indices: Uint8Array;
+    /** The palette, plus a transparent entry at `transparentIndex` when some pixels were transparent. */
+    palette: PaletteColor[];
+    /** -1 when no pixel was transparent. */
+    transparentIndex: number;
+}
+
+/** Dominant colours of an RGBA image, most frequent first (exact when it has at most `maxColors` colours). */
+export function extractPalette(pixels: ArrayLike<number>, maxColors?: number): PaletteColor[];
+
+/** Snap every pixel to the nearest palette entry in OKLab. */
+export function quantize(image: RGBAImage, palette: PaletteColor[], options?: { alphaThreshold?: number }): QuantizedImage;
+
+/** Read a GPL, HEX, JASC/RIFF PAL or ASE palette file. Throws when no colours are found, or more than 256. */
+export function parsePalette(bytes: Uint8Array | ArrayBuffer, name?: string): PaletteColor[];
+
+export function rgbToOklab(r: number, g: number, b: number): [number, number, number];
+export function oklabToRgb(L: number, a: number, b: number): [number, number, number];
+/** `#rrggbb` */
+export function toHex(color: PaletteColor): string;
+
+/** Encode an 8-bit RGBA PNG. `deflate` and `text` as for encodeIndexedPNG. */
+export function encodePNG(image: RGBAImage, deflate?: (data: Uint8Array) => Uint8Array, text?: Record<string, string> | null): Uint8Array;
+
+/**
+ * Encode an 8-bit indexed PNG. `deflate` is a zlib compressor such as `zlib.deflateSync`; without it the data is stored
+ * uncompressed. `text`: keyword -> text chunks (tEXt, iTXt when the text isn't Latin-1).
+ */
+export function encodeIndexedPNG(
+    image: { width: number; height: number; indices: Uint8Array; palette: PaletteColor[]; transparentIndex?: number },
+    deflate?: (data: Uint8Array) => Uint8Array,
+    text?: Record<string, string> | null
+): Uint8Array;
+
+/** Encode an animated PNG of 8-bit RGBA frames, each replacing the whole image. `deflate` and `text` as for encodeIndexedPNG. */
+export function encodeAPNG(animation: Animation, deflate?: (data: Uint8Array) => Uint8Array, text?: Record<string, string> | null): Uint8Array;
+
+/** Text chunks of a PNG (tEXt and uncompressed iTXt), keyword -> text; exports keep their grid under `pixel-grid`, as JSON. */
+export function readPNGText(bytes: Uint8Array | ArrayBuffer): Record<string, string>;
+
+/**
+ * The frames of an animated PNG as PNG files of their own, to decode with any PNG decoder and put together with
+ * `composeFrames`. `null` when the PNG isn't animated.
+ */
+export function splitAPNG(bytes: Uint8Array | ArrayBuffer): {
+    width: number;
+    height: number;
+    loop: number;
+    frames: Array<Omit<AnimationPart, 'data'> & { png: Uint8Array }>;
+} | null;
+
+/** zlib stream with uncompressed deflate blocks. */
+export function zlibStore(data: Uint8Array): Uint8Array;
+
+/** zlib compression with CompressionStream (browsers, Node 18+). */
+export function deflateAsync(data: Uint8Array): Promise<Uint8Array>;
+
+/**
+ * Run a synchronous encoder taking a `deflate` (encodePNG, exportImage, ...) with an asynchronous compressor:
+ * encodes twice, the second time with the compressed bytes of the first.
+ */
+export function encodeDeflated<T>(encode: (deflate: (data: Uint8Array) => Uint8Array) => T, compress?: (data: Uint8Array) => Promise<Uint8Array>): Promise<T>;
+
+/** CRC-32 as used by PNG and ZIP. */
+export function crc32(bytes: Uint8Array): number;
+
+/** RMS error (0-255) above which a cell counts as not uniform. */
+export const NON_UNIFORM_THRESHOLD: number;
+
+/** How well a reconstruction, upscaled back onto the grid, matches the original. */
+export interface ReconstructionMetrics {
+    /** Mean squared error over premultiplied RGB. */
+    mse: number;
+    /** In dB, `Infinity` for a lossless reconstruction. */
+    psnr: number;
+    /** Mean SSIM of the luma over 8 x 8 windows, 1 for identical images. */
+    ssim: number;
+    /** RMS error of every cell, row-major like the reconstruction. */
+    cellErrors: Float32Array;
+    meanCellError: number;
+    /** Fraction of cells with an RMS error above the threshold. */
+    nonUniformCells: number;
+}
+
+/** Compare an image with its reconstruction (one pixel per cell, e.g. from `downsample`). */
+export function reconstructionMetrics(
+    pixels: ArrayLike<number>,
+    width: number,
+    height: number,
+    resX: GridAxis,
+    resY: GridAxis,
+    lowres: RGBAImage,
+    options?: { threshold?: number }
+): ReconstructionMetrics;
+
+/**
+ * Reconstruct the image with `grid` (deskewed by its `angle`, with `deconvolve` if a `kernel` is given, snapped to
+ * `palette` if given) and measure the result.
+ */
+export function measureReconstruction(
+    imageData: RGBAImage,
+    grid: PixelGrid,
+    options?: { sampling?: Sampling; kernel?: ResamplingKernel | 'auto'; palette?: PaletteColor[]; threshold?: number }
+): ReconstructionMetrics;
+
+/** RGBA frames of `width` x `height`, rows top-down, as decodeGIF returns and reconstructAnimation takes. */
+export interface Animation {
+    width: number;
+    height: number;
+    /** Number of plays, 0 for forever. */
+    loop?: number;
+    frames: Array<{ data: ArrayLike<number>; /** Milliseconds. */ delay: number }>;
+}
+
+/** A rectangle of a frame as stored in a GIF or APNG, see `composeFrames`. */
+export interface AnimationPart {
+    /** RGBA, `width` x `height`. */
+    data: ArrayLike<number>;
+    x: number;
+    y: number;
+    width: number;
+    height: number;
+    delay: number;
+    /** What happens to the rectangle after the frame: stays, cleared to transparent, or back to what it was. */
+    dispose?: 'none' | 'background' | 'previous';
+    /** Replace the rectangle, or draw onto it. */
+    blend?: 'source' | 'over';
+}
+
+/** Whole frames from the parts of a GIF or APNG, drawn one after the other like a viewer does. */
+export function composeFrames(width: number, height: number, parts: AnimationPart[]): Array<{ data: Uint8ClampedArray; delay: number }>;
+
+/** Decode a GIF, animated or not. Delays below 20 ms become 100 ms, like browsers play them. */
+export function decodeGIF(bytes: Uint8Array | ArrayBuffer): Animation & {
+    loop: number;
+    frames: Array<{ data: Uint8ClampedArray; delay: number }>;
+    /** Text of the comment extensions, if any. */
+    comment?: string;
+};
+
+/**
+ * Encode an animation as a GIF with one palette (the dominant 255 colours of all frames unless given) plus
+ * transparent for alpha below ALPHA_THRESHOLD. `comment`: ASCII text for a comment extension.
+ */
+export function encodeGIF(animation: Animation, options?: { palette?: PaletteColor[]; comment?: string }): Uint8Array;
+
+/** The frames side by side, and Aseprite-style JSON (array of frames) with where each is and its duration. */
+export function spriteSheet(animation: Animation, image?: string): {
+    image: { width: number; height: number; data: Uint8ClampedArray };
+    json: {
+        frames: Array<{ filename: string; frame: { x: number; y: number; w: number; h: number }; duration: number }>;
+        meta: { image: string; format: 'RGBA8888'; size: { w: number; h: number }; loop: number };
+    };
+};
+
+/** Detect one grid for all frames, from their averaged difference profiles; a crop or angle to detect is found in the first frame. */
+export function detectAnimationGrid(animation: Animation, options?: DetectOptions): PixelGrid;
+
+/** Reconstruct every frame with one grid. */
+export function reconstructAnimation(
+    animation: Animation,
+    grid: PixelGrid,
+    options?: {
+        sampling?: Sampling;
+        /** Deconvolve the frames; `auto` estimates the kernel on the first frame. */
+        kernel?: ResamplingKernel | 'auto';
+        /** Snap the frames to this palette. */
+        palette?: PaletteColor[];
+        /** Snap the frames to this many dominant colours of all of them. */
+        maxColors?: number;
+        threshold?: number;
+    }
+): Animation & {
+    loop: number;
+    frames: Array<{ data: Uint8ClampedArray; delay: number }>;
+    kernel?: ResamplingKernel;
+    palette?: PaletteColor[];
+    /** Averaged over the frames. */
+    metrics: Omit<ReconstructionMetrics, 'cellErrors'>;
+};
+
+/** `reconstructAnimation` one step at a time: yields progress after each frame is reconstructed and after each is measured. */
+export function reconstructAnimationSteps(
+    animation: Animation,
+    grid: PixelGrid,
+    options?: Parameters<typeof reconstructAnimation>[2]
+): Generator<{ done: number; total: number }, ReturnType<typeof reconstructAnimation>, void>;
+
+export type ExportFormat = 'png' | 'svg' | 'json' | 'csv' | 'aseprite';
+export type AnimationFormat = 'apng' | 'gif' | 'sheet' | 'aseprite';
+export const EXPORT_FORMATS: ExportFormat[];
+export const ANIMATION_FORMATS: AnimationFormat[];
+
+/** What exports record about the grid they came from. */
+export interface GridMetadata {
+    /** The upscaled file. */
+    source?: string;
+    x: { scale: number; offset: number; confidence: number };
+    y: { scale: number; offset: number; confidence: number };
+    crop?: Rect;
+    angle?: number;
+}
+
+/** An exported file. */
+export interface ExportedFile {
+    data: Uint8Array | string;
+    /** MIME type. */
+    type: string;
+    /** `.png`, `.svg`, ... */
+    extension: string;
+}
+
+export function gridMetadata(grid: Pick<PixelGrid, 'x' | 'y' | 'crop' | 'angle'>, source?: string): GridMetadata;
+
+/** Nearest-neighbour upscale by a whole factor; a quantized image's indices are scaled along. */
+export function upscaleImage<T extends RGBAImage & { indices?: Uint8Array }>(image: T, factor: number): T & { data: Uint8ClampedArray };
+
+/** Rows (top-down) of `#rrggbb`, or `#rrggbbaa` where the pixel isn't opaque. */
+export function pixelMatrix(image: RGBAImage): string[][];
+
+/** SVG with one path of merged rectangles per colour; transparent pixels are left out. `scale`: displayed size per pixel. */
+export function encodeSVG(image: RGBAImage, options?: { scale?: number; metadata?: GridMetadata | null }): string;
+
+/** Aseprite file (RGBA, one layer) of an image or of every frame of an animation; the metadata goes in the layer's user data. */
+export function encodeAseprite(
+    image: RGBAImage | Animation,
+    options?: { metadata?: GridMetadata | null; deflate?: (data: Uint8Array) => Uint8Array }
+): Uint8Array;
+
+/**
+ * A reconstruction as a file; every format but CSV records `metadata`. A quantized image becomes an indexed PNG.
+ * `scale`: whole upscale factor for PNGs, displayed size per pixel for SVGs.
+ */
+export function exportImage(
+    image: RGBAImage | QuantizedImage,
+    format: ExportFormat,
+    options?: { scale?: number; metadata?: GridMetadata | null; deflate?: (data: Uint8Array) => Uint8Array }
+): ExportedFile;
+
+/**
+ * A reconstructed animation as files: one, or a sprite sheet and its JSON. `scale`: whole upscale factor (not for
+ * Aseprite); `name`: the sheet's file name without extension, for its JSON.
+ */
+export function exportAnimation(
+    animation: Animation & { palette?: PaletteColor[] },
+    format: AnimationFormat,
+    options?: { scale?: number; metadata?: GridMetadata | null; deflate?: (data: Uint8Array) => Uint8Array; name?: string }
+): ExportedFile[];
@@ -0,0 +1,268 @@
+/**
+ * Public API of find-pixel-resolution.
+ *
+ *   import { detectPixelGrid } from 'find-pixel-resolution';
+ *   const grid = detectPixelGrid(imageData, { maxScale: 16 });
+ *   // grid.x.scale, grid.x.offset, grid.x.confidence, grid.width x grid.height
+ *
+ * Coordinates are image coordinates with the origin at the top-left pixel.
+ */
+
+import { analyzeAxis, findCellBoundaries } from './analyzer.js';
+import { computeColDiffs, computeRowDiffs, downsample } from './pipeline.js';
+import { getTileRects, clipRect, cropImage } from './regions.js';
+import { findUniformBorders, trimOffGrid } from './crop.js';
+import { extractPalette, quantize } from './palette.js';
+import { reconstructionMetrics } from './metrics.js';
+import { detectRotation, deskewImage } from './rotation.js';
+import { deconvolve, estimateKernel } from './resample.js';
+
+export {
+    calculateDFTBin, calculateDFTMagnitudes, analyzePeriodicity,
+    analyzeAutocorrelation, analyzeConsensus, analyzeAxis, findCellBoundaries, DETECTION_METHODS
+} from './analyzer.js';
+export {
+    computeColDiffs, computeRowDiffs, getGridRange, getCellBoundaries, sampleCell, downsample,
+    normalizeSampling, SAMPLING_METHODS, DEFAULT_SAMPLE_RADIUS, DEFAULT_TRIM, DEFAULT_ALPHA_WEIGHT,
+    DIFF_METRICS, DEFAULT_DIFF_METRIC, EDGE_THRESHOLD
+} from './pipeline.js';
+export { getTileRects, clipRect, cropImage, DEFAULT_TILE_SIZE } from './regions.js';
+export { findUniformBorders, trimOffGrid, DEFAULT_CROP_TOLERANCE } from './crop.js';
+export {
+    extractPalette, quantize, parsePalette, rgbToOklab, oklabToRgb, toHex, DEFAULT_MAX_COLORS, ALPHA_THRESHOLD
+} from './palette.js';
+export { encodePNG, encodeIndexedPNG, encodeAPNG, splitAPNG, readPNGText, zlibStore, deflateAsync, encodeDeflated, crc32 } from './png.js';
+export { decodeGIF, encodeGIF, composeFrames, spriteSheet } from './animation.js';
+export {
+    exportImage, exportAnimation, gridMetadata, upscaleImage, encodeSVG, pixelMatrix, encodeAseprite, EXPORT_FORMATS, ANIMATION_FORMATS
+} from './formats.js';
+export { reconstructionMetrics, NON_UNIFORM_THRESHOLD } from './metrics.js';
+export { detectRotation, deskewImage, deskewedToImage, DEFAULT_MAX_ANGLE } from './rotation.js';
+export { deconvolve, estimateKernel, RESAMPLING_KERNELS } from './resample.js';
+
+export const DEFAULT_MAX_SCALE = 16;
+
+/**
+ * Detect the grid from precomputed column/row difference profiles
+ * (as produced by computeColDiffs/computeRowDiffs or the WebGL passes).
+ * @param {ArrayLike<number>} colData one value per image column
+ * @param {ArrayLike<number>} rowData one value per image row
+ * @param {{maxScale?: number, method?: 'fourier' | 'autocorrelation' | 'consensus'}} [options]
+ */
+export function analyzeProfiles(colData, rowData, options = {}) {
+    const maxScale = options.maxScale || DEFAULT_MAX_SCALE;
+    const method = options.method || 'fourier';
+
+    const x = analyzeAxis(colData, maxScale, method);
+    const y = analyzeAxis(rowData, maxScale, method);
+    x.boundaries = findCellBoundaries(colData, x);
+    y.boundaries = findCellBoundaries(rowData, y);
+
+    return {
+        x,
+        y,
+        width: x.boundaries.length - 1,
+        height: y.boundaries.length - 1
+    };
+}
+
+// Grid of a cropped image in the coordinates of the whole image
+function offsetGrid(grid, rect) {
+    const shift = (res, origin) => ({
+        ...res,
+        offset: res.offset + origin,
+        boundaries: res.boundaries.map(b => b + origin),
+        candidates: res.candidates && res.candidates.map(c => ({ ...c, offset: c.offset + origin }))
+    });
+    return { ...grid, x: shift(grid.x, rect.x), y: shift(grid.y, rect.y), crop: rect };
+}
+
+/**
+ * Detect the pixel grid of an upscaled image.
+ * @param {{data: ArrayLike<number>, width: number, height: number}} imageData RGBA bytes, e.g. an ImageData
+ * @param {{maxScale?: number, method?: 'fourier' | 'autocorrelation' | 'consensus', alphaWeight?: number,
+ *   metric?: string, crop?: boolean | {x: number, y: number, width: number, height: number}, tolerance?: number,
+ *   rotation?: boolean | number, maxAngle?: number}} [options]
+ *   alphaWeight: how much alpha edges count next to colour edges (see computeColDiffs).
+ *   metric: how texels are compared, one of DIFF_METRICS (default 'sum').
+ *   crop: analyse only this rectangle, or the one detectContentRect finds (with `tolerance`) when true.
+ *   rotation: the grid's angle in degrees, or true to detect it (within maxAngle, see detectRotation)
+ * @returns {{x: AxisResult, y: AxisResult, width: number, height: number, crop?: object, angle?: number}}
+ *   width/height are the size of the reconstructed image. With a crop, offsets (the candidates' too) and boundaries
+ *   are still image coordinates (the boundaries span the crop only) and `crop` is the rectangle used.
+ *   With `rotation`, `angle` is the grid's angle; when it isn't 0 everything else is in the coordinates of the
+ *   deskewed image (see deskewImage), which is also what to reconstruct from
+ */
+export function detectPixelGrid(imageData, options = {}) {
+    const { data, width, height } = imageData;
+    if (!data || data.length < width * height * 4) {
+        throw new TypeError('detectPixelGrid expects RGBA pixel data of width * height * 4 bytes');
+    }
+    return detectFramesGrid([imageData], options);
+}
+
+/**
+ * Detect one pixel grid for all frames of an animation: their difference profiles are averaged before the analysis,
+ * so every frame gets the same scale and offset (and the frames that move fill in for the ones that don't).
+ * A crop or angle to detect is detected in the first frame.
+ * @param {{width: number, height: number, frames: Array<{data: ArrayLike<number>}>}} animation e.g. from decodeGIF
+ * @param {object} [options] as for detectPixelGrid
+ * @returns {{x: AxisResult, y: AxisResult, width: number, height: number, crop?: object, angle?: number}} as detectPixelGrid
+ */
+export function detectAnimationGrid(animation, options = {}) {
+    const { width, height, frames } = animation;
+    if (!frames || frames.length === 0) throw new TypeError('detectAnimationGrid expects an animation with frames');
+    if (frames.some(({ data }) => !data || data.length < width * height * 4)) {
+        throw new TypeError('detectAnimationGrid expects RGBA frames of width * height * 4 bytes');
+    }
+    return detectFramesGrid(frames.map(({ data }) => ({ data, width, height })), options);
+}
+
+// detectPixelGrid of images of the same size, with their profiles averaged
+function detectFramesGrid(images, options) {
+    const [first] = images;
+    const { width, height } = first;
+
+    if (options.rotation !== undefined && options.rotation !== false) {
+        const angle = options.rotation === true ? detectRotation(first, options) : options.rotation;
+        const grid = detectFramesGrid(angle ? images.map(image => deskewImage(image, angle)) : images, { ...options, rotation: false });
+        return { ...grid, angle };
+    }
+
+    if (options.crop) {
+        const rect = options.crop === true ? detectContentRect(first, options) : clipRect(options.crop, width, height);
+        if (!rect) throw new RangeError('crop rectangle is outside the image');
+        return offsetGrid(detectFramesGrid(images.map(image => cropImage(image, rect)), { ...options, crop: null }), rect);
+    }
+
+    const colData = new Float32Array(width);
+    const rowData = new Float32Array(height);
+    for (const { data } of images) {
+        const cols = computeColDiffs(data, width, height, options.alphaWeight, options.metric);
+        const rows = computeRowDiffs(data, width, height, options.alphaWeight, options.metric);
+        for (let i = 0; i < width; i++) colData[i] += cols[i] / images.length;
+        for (let i = 0; i < height; i++) rowData[i] += rows[i] / images.length;
+    }
+    return analyzeProfiles(colData, rowData, options);
+}
+
+/**
+ * Rectangle of the image holding the upscaled content: inside uniform borders (letterbox bars, solid frames),
+ * without bars along the sides whose detail doesn't follow the grid found in there (window chrome).
+ * @param {{data: ArrayLike<number>, width: number, height: number}} imageData
+ * @param {{maxScale?: number, method?: string, alphaWeight?: number, metric?: string, tolerance?: number}} [options]
+ *   tolerance: max channel difference to the border colour (DEFAULT_CROP_TOLERANCE)
+ * @returns {{x: number, y: number, width: number, height: number}}
+ */
+export function detectContentRect(imageData, options = {}) {
+    const rect = findUniformBorders(imageData, options.tolerance);
+    if (rect.width < 2 || rect.height < 2) return rect;
+    const grid = detectPixelGrid(cropImage(imageData, rect), { ...options, crop: null });
+    return trimOffGrid(imageData, rect, grid.x.boundaries, grid.y.boundaries);
+}
+
+/**
+ * Detect the grid separately in several regions of the image, for composites with more than one scale.
+ * Regions are options.regions (rectangles in image pixels) or, when not given, tiles of options.tileSize.
+ * @param {{data: ArrayLike<number>, width: number, height: number}} imageData
+ * @param {{maxScale?: number, method?: string, tileSize?: number, regions?: Array<{x: number, y: number, width: number, height: number}>}} [options]
+ * @returns {Array<{rect: {x: number, y: number, width: number, height: number}, grid: object}>}
+ *   grid is the detectPixelGrid result for the region, in region coordinates
+ */
+export function detectRegions(imageData, options = {}) {
+    const { width, height } = imageData;
+    const rects = options.regions
+        ? options.regions.map(r => clipRect(r, width, height)).filter(Boolean)
+        : getTileRects(width, height, options.tileSize);
+
+    return rects.map(rect => ({ rect, grid: detectPixelGrid(cropImage(imageData, rect), { ...options, crop: null }) }));
+}
+
+/**
+ * Reconstruct the image with the given grid and measure how well the reconstruction matches the original.
+ * @param {{data: ArrayLike<number>, width: number, height: number}} imageData
+ * @param {{x: object, y: object, angle?: number}} grid result of detectPixelGrid
+ * @param {{sampling?: boolean | object, kernel?: string, palette?: number[][], threshold?: number}} [options]
+ *   kernel: reconstruct with deconvolve for this resampling kernel (or 'auto') instead of sampling the cells;
+ *   palette: measure the reconstruction snapped to this palette (see quantize)
+ * @returns {{mse: number, psnr: number, ssim: number, cellErrors: Float32Array, meanCellError: number, nonUniformCells: number}}
+ *   against the deskewed image when the grid has an angle
+ */
+export function measureReconstruction(imageData, grid, options = {}) {
+    const { data, width, height } = grid.angle ? deskewImage(imageData, grid.angle) : imageData;
+    let lowres = options.kernel ?
+        deconvolve(data, width, height, grid.x, grid.y, { kernel: options.kernel }) :
+        downsample(data, width, height, grid.x, grid.y, options.sampling);
+    if (options.palette) lowres = quantize(lowres, options.palette);
+    return reconstructionMetrics(data, width, height, grid.x, grid.y, lowres, options);
+}
+
+/**
+ * Reconstruct every frame of an animation with one grid (see detectAnimationGrid).
+ * @param {{width: number, height: number, loop?: number, frames: Array<{data: ArrayLike<number>, delay: number}>}} animation
+ * @param {{x: object, y: object, angle?: number}} grid
+ * @param {{sampling?: boolean | object, kernel?: string, palette?: number[][], maxColors?: number, threshold?: number}} [options]
+ *   kernel: deconvolve the frames (see measureReconstruction), 'auto' estimates it on the first frame for all of them;
+ *   palette: snap the frames to it; maxColors: snap them to that many dominant colours of all frames together
+ * @returns {{width: number, height: number, loop: number, frames: Array<{data: Uint8ClampedArray, delay: number}>,
+ *   kernel?: string, palette?: number[][], metrics: {mse: number, psnr: number, ssim: number, meanCellError: number, nonUniformCells: number}}}
+ *   an animation like the input's, metrics averaged over the frames
+ */
+export function reconstructAnimation(animation, grid, options = {}) {
+    const steps = reconstructAnimationSteps(animation, grid, options);
+    let step = steps.next();
+    while (!step.done) step = steps.next();
+    return step.value;
+}
+
+/**
+ * reconstructAnimation one step at a time, to report progress and stop in between (the page's worker): yields
+ * {done, total} after each frame is reconstructed and after each is measured, and returns what reconstructAnimation does.
+ * @param {{width: number, height: number, loop?: number, frames: Array<{data: ArrayLike<number>, delay: number}>}} animation
+ * @param {{x: object, y: object, angle?: number}} grid
+ * @param {object} [options] see reconstructAnimation
+ */
+export function* reconstructAnimationSteps(animation, grid, options = {}) {
+    const { width, height } = animation;
+    const total = animation.frames.length * 2;
+    let done = 0;
+    const sources = animation.frames.map(({ data }) => grid.angle ? deskewImage({ data, width, height }, grid.angle) : { data, width, height });
+
+    let kernel = options.kernel;
+    if (kernel === 'auto') kernel = estimateKernel(sources[0].data, width, height, grid.x, grid.y).kernel;
+    let frames = [];
+    for (const { data } of sources) {
+        frames.push(kernel ?
+            deconvolve(data, width, height, grid.x, grid.y, { kernel }) :
+            downsample(data, width, height, grid.x, grid.y, options.sampling));
+        yield { done: ++done, total };
+    }
+
+    let palette = options.palette || null;
+    if (!palette && options.maxColors) {
+        const all = new Uint8ClampedArray(frames.length * frames[0].data.length);
+        frames.forEach((frame, i) => all.set(frame.data, i * frame.data.length));
+        palette = extractPalette(all, options.maxColors);
+    }
+    if (palette) frames = frames.map(frame => quantize(frame, palette));
+
+    const metrics = { mse: 0, ssim: 0, meanCellError: 0, nonUniformCells: 0 };
+    for (const [i, { data }] of sources.entries()) {
+        const m = reconstructionMetrics(data, width, height, grid.x, grid.y, frames[i], options);
+        for (const key in metrics) metrics[key] += m[key] / frames.length;
+        yield { done: ++done, total };
+    }
+    metrics.psnr = metrics.mse > 0 ? 10 * Math.log10(255 * 255 / metrics.mse) : Infinity;
+
+    const result = {
+        width: frames[0].width,
+        height: frames[0].height,
+        loop: animation.loop ?? 0,
+        frames: frames.map((frame, i) => ({ data: frame.data, delay: animation.frames[i].delay })),
+        metrics
+    };
+    if (kernel) result.kernel = kernel;
+    if (palette) result.palette = palette;
+    return result;
+}
+
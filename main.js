@@ -1,426 +1,911 @@
+import {
+    findCellBoundaries, getCellBoundaries, getTileRects, clipRect, sampleCell, downsample, deconvolve,
+    normalizeSampling, SAMPLING_METHODS, DEFAULT_ALPHA_WEIGHT,
+    extractPalette, quantize, parsePalette, rgbToOklab, toHex,
+    deskewImage, deskewedToImage, DEFAULT_MAX_SCALE, DEFAULT_TILE_SIZE, DEFAULT_MAX_COLORS, NON_UNIFORM_THRESHOLD,
+    exportImage, exportAnimation, gridMetadata, encodeDeflated
+} from './index.js';
+import { createProgram, createQuadBuffer, bindQuad, createImageTexture } from './gl.js';
+import { vsSource, fsDisplaySource, fsDownsampleSource } from './shaders.js';
+import { createAnalysisWorker } from './analysis-client.js';
+import { findCellIndex, renderView } from './display.js';
+import { createViewer } from './viewer.js';
+import { createBatch, collectDroppedFiles, collectFiles, outputPaths } from './batch.js';
+import { createZip } from './zip.js';
+import { decodeAnimation } from './frames.js';
+import { loadSettings, saveSettings, encodeSettings, decodeSettings } from './settings.js';
+
 
 const canvas = document.getElementById('gl-canvas');
 const dropZone = document.getElementById('drop-zone');
 const instruction = document.getElementById('instruction');
 const resultsDiv = document.getElementById('results');
 const maxScaleInput = document.getElementById('max-scale');
-const sampleCenterCheckbox = document.getElementById('sample-center');
-
-const gl = canvas.getContext('webgl2', { preserveDrawingBuffer: true });
+const samplingSelect = document.getElementById('sampling');
+const kernelSelect = document.getElementById('kernel');
+const sampleRadiusInput = document.getElementById('sample-radius');
+const alphaThresholdInput = document.getElementById('alpha-threshold');
+const alphaWeightInput = document.getElementById('alpha-weight');
+const methodSelect = document.getElementById('method');
+const metricSelect = document.getElementById('metric');
+const overlayCanvas = document.getElementById('overlay-canvas');
+const overlayCtx = overlayCanvas.getContext('2d');
+const regionCheckbox = document.getElementById('regions');
+const tileSizeInput = document.getElementById('tile-size');
+const downloadRegionsBtn = document.getElementById('download-regions-btn');
+const viewModeSelect = document.getElementById('view-mode');
+const scaleXInput = document.getElementById('scale-x');
+const offsetXInput = document.getElementById('offset-x');
+const scaleYInput = document.getElementById('scale-y');
+const offsetYInput = document.getElementById('offset-y');
+const resetGridBtn = document.getElementById('reset-grid-btn');
+const autoCropCheckbox = document.getElementById('auto-crop');
+const rotationCheckbox = document.getElementById('rotation');
+const cropInput = document.getElementById('crop-rect');
+const viewerEl = document.getElementById('viewer');
+const splitHandle = document.getElementById('split-handle');
+const inspector = document.getElementById('inspector');
+const pauseCheckbox = document.getElementById('pause-flicker');
+const paletteModeSelect = document.getElementById('palette-mode');
+const maxColorsInput = document.getElementById('max-colors');
+const paletteFileInput = document.getElementById('palette-file');
+const errorMapCheckbox = document.getElementById('error-map');
+const batchList = document.getElementById('batch-list');
+const applyAllBtn = document.getElementById('apply-all-btn');
+const downloadAllBtn = document.getElementById('download-all-btn');
+const progressEl = document.getElementById('progress');
+const frameInput = document.getElementById('frame');
+const frameLabel = document.getElementById('frame-label');
+const playCheckbox = document.getElementById('play');
+const animationFormatSelect = document.getElementById('animation-format');
+const exportFormatSelect = document.getElementById('export-format');
+const exportScaleInput = document.getElementById('export-scale');
+const fileInput = document.getElementById('file-input');
+
+// The shaders output straight (not premultiplied) alpha, which is also what the downloads should contain.
+// Without WebGL 2 the CPU draws the same (display.js, pipeline.js) into a 2D canvas
+const gl = canvas.getContext('webgl2', { preserveDrawingBuffer: true, premultipliedAlpha: false });
+const ctx2d = gl ? null : canvas.getContext('2d');
 if (!gl) {
-    alert("WebGL 2 not supported");
+    console.warn("WebGL 2 not supported, drawing on the CPU");
 }
 
-// Extensions
-const ext = gl.getExtension('EXT_color_buffer_float');
-if (!ext) {
-    console.error("EXT_color_buffer_float not supported");
-}
+// Detection runs in workers: one for the shown image, one for the batch (so neither waits for the other)
+const analysis = createAnalysisWorker();
+const batchWorker = createAnalysisWorker();
 
 let imageTexture = null;
 let imgWidth = 0;
 let imgHeight = 0;
 let animationId = null;
-let lastResult = null;
+let lastResult = null; // effective grid (detected, or manual override) used for display and download
+let lastAnalysis = null; // { grid, colData, rowData, crop, angle } from the last analysis, relative to its crop (texture coordinates)
+let analysisJob = null; // analysis of the shown image in progress
+let animationJob = null; // reconstruction of the shown animation for its download
+let metricsJob = null;
+let cropRect = null; // part of the image analysed and reconstructed, image coordinates (top-left origin); null: all
+let manualGrid = { x: null, y: null }; // { scale, offset } overrides from the grid inputs / dragging
+let gridDrag = null;
+let selectedCandidate = { x: 0, y: 0 }; // index into resX/resY.candidates, picked in the results panel
+let drawnRegions = []; // user-drawn rectangles, image coordinates (top-left origin)
+let regionResults = []; // { rect, resX, resY } per region/tile, boundaries relative to the region
+let dragRegion = null; // rectangle being drawn
+let imagePixels = null; // CPU copy of the image for the inspector, rows bottom-up like the texture
+let deskewed = null; // { angle, pixels }: imagePixels deskewed for a grid at an angle, see gridPixels
+let animation = null; // { width, height, loop, frames } of an animated file, rows bottom-up like imagePixels; null: still
+let frameIndex = 0; // frame in imagePixels and the texture
+let playTimer = null;
+let splitX = 0; // split position in texels (split view)
+let splitDrag = false;
+let loadedPalette = null; // from a palette file
+let autoPalette = null; // extracted from the reconstruction, for autoPaletteKey
+let autoPaletteKey = null;
+let currentPalette = null; // palette in use, null when off
+let uploadedPalette = null; // palette in texPalette
+let metrics = null; // reconstructionMetrics of the current reconstruction, for metricsKey
+let metricsKey = null;
+let kernelCells = null; // { key, image }: deconvolution by the metrics job for kernelKey, rows bottom-up
+let errorMap = null; // per-cell error heatmap for metrics, drawn on the overlay
+let batchItem = null; // batch item shown in the viewer
+let sharedView = null; // crop and grid overrides from a shared link (settings.js), for the first image opened
+let saveTimer = null;
+let saveKey = null; // settings and view saved, or about to be
+let cpuCells = null; // reconstruction for renderView without WebGL 2, for cpuCellsKey
+let cpuCellsKey = null;
 let showReconstructed = false;
 let lastToggleTime = 0;
 const TOGGLE_INTERVAL = 1000; // ms
 
-// Shaders
-function createShader(gl, type, source) {
-    const shader = gl.createShader(type);
-    gl.shaderSource(shader, source);
-    gl.compileShader(shader);
-    if (!gl.getShaderParameter(shader, gl.COMPILE_STATUS)) {
-        console.error(gl.getShaderInfoLog(shader));
-        gl.deleteShader(shader);
-        return null;
-    }
-    return shader;
-}
-
-function createProgram(gl, vsSrc, fsSrc) {
-    const vs = createShader(gl, gl.VERTEX_SHADER, vsSrc);
-    const fs = createShader(gl, gl.FRAGMENT_SHADER, fsSrc);
-    const prog = gl.createProgram();
-    gl.attachShader(prog, vs);
-    gl.attachShader(prog, fs);
-    gl.linkProgram(prog);
-    if (!gl.getProgramParameter(prog, gl.LINK_STATUS)) {
-        console.error(gl.getProgramInfoLog(prog));
-        return null;
-    }
-    return prog;
-}
-
-const vsSource = `#version 300 es
-in vec4 position;
-void main() {
-    gl_Position = position;
-}
-`;
-
-const fsDisplaySource = `#version 300 es
-precision highp float;
-uniform sampler2D uImage;
-uniform vec2 uResolution;
-uniform float uScaleX;
-uniform float uOffsetX;
-uniform float uScaleY;
-uniform float uOffsetY;
-uniform bool uShowReconstructed;
-uniform bool uSampleCenterOnly;
-
-out vec4 outColor;
-void main() {
-    float x = gl_FragCoord.x;
-    float y = gl_FragCoord.y;
-    
-    if (uShowReconstructed && uScaleX > 1.0 && uScaleY > 1.0) {
-        // Calculate Grid Index
-        float kx = floor((x - uOffsetX) / uScaleX);
-        float ky = floor((y - uOffsetY) / uScaleY);
-        
-        // Center of the grid cell
-        float centerX = uOffsetX + kx * uScaleX + uScaleX * 0.5;
-        float centerY = uOffsetY + ky * uScaleY + uScaleY * 0.5;
-        
-        if (uSampleCenterOnly) {
-             // Nearest Neighbor from Center
-             vec2 samplePos = vec2(centerX, centerY) / uResolution;
-             outColor = texture(uImage, samplePos);
-        } else {
-             // Box Filter (Average)
-             // Radius 0.3 * Scale
-             float rx = uScaleX * 0.3;
-             float ry = uScaleY * 0.3;
-             
-             ivec2 texSize = textureSize(uImage, 0);
-             int minX = max(0, int(ceil(centerX - rx)));
-             int maxX = min(texSize.x - 1, int(floor(centerX + rx)));
-             int minY = max(0, int(ceil(centerY - ry)));
-             int maxY = min(texSize.y - 1, int(floor(centerY + ry)));
-             
-             vec4 sum = vec4(0.0);
-             float count = 0.0;
-             
-             for(int sy = minY; sy <= maxY; sy++) {
-                 for(int sx = minX; sx <= maxX; sx++) {
-                     sum += texelFetch(uImage, ivec2(sx, sy), 0);
-                     count += 1.0;
-                 }
-             }
-             
-             if (count > 0.0) {
-                 outColor = sum / count;
-             } else {
-                 vec2 samplePos = vec2(centerX, centerY) / uResolution;
-                 outColor = texture(uImage, samplePos);
-             }
-        }
-    } else {
-        // Original exact position
-        vec2 samplePos = gl_FragCoord.xy / uResolution;
-        outColor = texture(uImage, samplePos);
-    }
-}
-`;
-
-const fsColDiffSource = `#version 300 es
-precision highp float;
-uniform sampler2D uImage;
-uniform int uWidth;
-uniform int uHeight;
-out vec4 outColor;
-
-void main() {
-    int x = int(gl_FragCoord.x);
-    if (x >= uWidth) { outColor = vec4(0); return; }
-    
-    float sum = 0.0;
-    for (int y = 0; y < uHeight; y++) {
-        vec4 c = texelFetch(uImage, ivec2(x, y), 0);
-        int prevX = x > 0 ? x - 1 : 0;
-        vec4 l = texelFetch(uImage, ivec2(prevX, y), 0);
-        vec3 diff = abs(c.rgb - l.rgb);
-        sum += diff.r + diff.g + diff.b;
-    }
-    outColor = vec4(sum, 0, 0, 1);
-}
-`;
-
-const fsRowDiffSource = `#version 300 es
-precision highp float;
-uniform sampler2D uImage;
-uniform int uWidth;
-uniform int uHeight;
-out vec4 outColor;
-
-void main() {
-    int y = int(gl_FragCoord.y);
-    if (y >= uHeight) { outColor = vec4(0); return; }
-    
-    float sum = 0.0;
-    for (int x = 0; x < uWidth; x++) {
-        vec4 c = texelFetch(uImage, ivec2(x, y), 0);
-        int prevY = y > 0 ? y - 1 : 0;
-        vec4 t = texelFetch(uImage, ivec2(x, prevY), 0);
-        vec3 diff = abs(c.rgb - t.rgb);
-        sum += diff.r + diff.g + diff.b;
-    }
-    outColor = vec4(sum, 0, 0, 1);
-}
-`;
-
-const fsDownsampleSource = `#version 300 es
-precision highp float;
-uniform sampler2D uImage;
-uniform float uScaleX;
-uniform float uOffsetX;
-uniform float uScaleY;
-uniform float uOffsetY;
-uniform float uGridOffsetX;
-uniform float uGridOffsetY;
-uniform int uTargetHeight;
-uniform bool uSampleCenterOnly;
-
-out vec4 outColor;
-
-void main() {
-    float kx = floor(gl_FragCoord.x) + uGridOffsetX;
-    float ky = floor(gl_FragCoord.y) + uGridOffsetY;
-    
-    float centerX = uOffsetX + kx * uScaleX + uScaleX * 0.5;
-    float centerY = uOffsetY + ky * uScaleY + uScaleY * 0.5;
-    
-    if (uSampleCenterOnly) {
-         ivec2 texSize = textureSize(uImage, 0);
-         int cx = clamp(int(centerX), 0, texSize.x - 1);
-         int cy = clamp(int(centerY), 0, texSize.y - 1);
-         outColor = texelFetch(uImage, ivec2(cx, cy), 0);
-    } else {
-         float rx = uScaleX * 0.3;
-         float ry = uScaleY * 0.3;
-         
-         ivec2 texSize = textureSize(uImage, 0);
-         int minX = max(0, int(ceil(centerX - rx)));
-         int maxX = min(texSize.x - 1, int(floor(centerX + rx)));
-         int minY = max(0, int(ceil(centerY - ry)));
-         int maxY = min(texSize.y - 1, int(floor(centerY + ry)));
-         
-         vec4 sum = vec4(0.0);
-         float count = 0.0;
-         
-         for(int sy = minY; sy <= maxY; sy++) {
-             for(int sx = minX; sx <= maxX; sx++) {
-                 sum += texelFetch(uImage, ivec2(sx, sy), 0);
-                 count += 1.0;
-             }
-         }
-         
-         if (count > 0.0) {
-             outColor = sum / count;
-         } else {
-             int cx = clamp(int(centerX), 0, texSize.x - 1);
-             int cy = clamp(int(centerY), 0, texSize.y - 1);
-             outColor = texelFetch(uImage, ivec2(cx, cy), 0);
-         }
-    }
-}
-`;
-
-const programDisplay = createProgram(gl, vsSource, fsDisplaySource);
-const programCol = createProgram(gl, vsSource, fsColDiffSource);
-const programRow = createProgram(gl, vsSource, fsRowDiffSource);
-const programDownsample = createProgram(gl, vsSource, fsDownsampleSource);
-
-// Quad Buffer
-const positionBuffer = gl.createBuffer();
-gl.bindBuffer(gl.ARRAY_BUFFER, positionBuffer);
-gl.bufferData(gl.ARRAY_BUFFER, new Float32Array([
-    -1, -1,
-    1, -1,
-    -1, 1,
-    -1, 1,
-    1, -1,
-    1, 1,
-]), gl.STATIC_DRAW);
-
-// FBOs
-let fboCol = null;
-let texCol = null;
-let fboRow = null;
-let texRow = null;
-
-function setupFBOs(w, h) {
-    if (fboCol) gl.deleteFramebuffer(fboCol);
-    if (texCol) gl.deleteTexture(texCol);
-    if (fboRow) gl.deleteFramebuffer(fboRow);
-    if (texRow) gl.deleteTexture(texRow);
-
-    // Col Diffs: Width x 1
-    texCol = gl.createTexture();
-    gl.bindTexture(gl.TEXTURE_2D, texCol);
-    gl.texImage2D(gl.TEXTURE_2D, 0, gl.R32F, w, 1, 0, gl.RED, gl.FLOAT, null);
+const programDisplay = gl && createProgram(gl, vsSource, fsDisplaySource);
+const programDownsample = gl && createProgram(gl, vsSource, fsDownsampleSource);
+
+const positionBuffer = gl && createQuadBuffer(gl);
+
+let texBoundsX = null;
+let texBoundsY = null;
+let texPalette = null;
+let fboCells = null;
+let texCells = null; // reconstruction, one texel per cell, for the display shader
+let cellsSize = { width: 0, height: 0 };
+let uploadedCells = null; // kernel cells in texCells
+
+// Upload cell boundaries as a (cells + 1) x 1 float texture for glslCellBounds
+function updateBoundsTexture(tex, boundaries) {
+    if (!tex) tex = gl.createTexture();
+    gl.bindTexture(gl.TEXTURE_2D, tex);
     gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.NEAREST);
     gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.NEAREST);
+    gl.texImage2D(gl.TEXTURE_2D, 0, gl.R32F, boundaries.length, 1, 0, gl.RED, gl.FLOAT, new Float32Array(boundaries));
+    return tex;
+}
+
+function bindBoundsTextures(program, resX, resY) {
+    texBoundsX = updateBoundsTexture(texBoundsX, resX.boundaries);
+    texBoundsY = updateBoundsTexture(texBoundsY, resY.boundaries);
 
-    fboCol = gl.createFramebuffer();
-    gl.bindFramebuffer(gl.FRAMEBUFFER, fboCol);
-    gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, texCol, 0);
+    gl.activeTexture(gl.TEXTURE1);
+    gl.bindTexture(gl.TEXTURE_2D, texBoundsX);
+    gl.activeTexture(gl.TEXTURE2);
+    gl.bindTexture(gl.TEXTURE_2D, texBoundsY);
+    gl.activeTexture(gl.TEXTURE0);
+
+    gl.uniform1i(gl.getUniformLocation(program, "uBoundsX"), 1);
+    gl.uniform1i(gl.getUniformLocation(program, "uBoundsY"), 2);
+    gl.uniform1i(gl.getUniformLocation(program, "uCellsX"), resX.boundaries.length - 1);
+    gl.uniform1i(gl.getUniformLocation(program, "uCellsY"), resY.boundaries.length - 1);
+}
 
-    // Row Diffs: 1 x Height
-    texRow = gl.createTexture();
-    gl.bindTexture(gl.TEXTURE_2D, texRow);
-    gl.texImage2D(gl.TEXTURE_2D, 0, gl.R32F, 1, h, 0, gl.RED, gl.FLOAT, null);
+// Palette as a N x 2 RGBA32F texture for snapToPalette: row 0 the colours (0-1), row 1 their OKLab coordinates
+function updatePaletteTexture(palette) {
+    const data = new Float32Array(palette.length * 8);
+    palette.forEach((c, i) => {
+        data.set([c[0] / 255, c[1] / 255, c[2] / 255, 1], i * 4);
+        data.set([...rgbToOklab(c[0], c[1], c[2]), 1], (palette.length + i) * 4);
+    });
+
+    if (!texPalette) texPalette = gl.createTexture();
+    gl.bindTexture(gl.TEXTURE_2D, texPalette);
     gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.NEAREST);
     gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.NEAREST);
+    gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA32F, palette.length, 2, 0, gl.RGBA, gl.FLOAT, data);
+}
 
-    fboRow = gl.createFramebuffer();
-    gl.bindFramebuffer(gl.FRAMEBUFFER, fboRow);
-    gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, texRow, 0);
+// Candidate `index` of one axis, with its cell boundaries (analyzeProfiles only adds them to the best one)
+function pickCandidate(analysis, index, data) {
+    const c = analysis.candidates[index];
+    if (!c || index === 0) return analysis;
+    return { ...c, boundaries: findCellBoundaries(data, c) };
+}
 
-    gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+// Image rect (top-left origin) to texture rect (bottom-left origin, the image is uploaded flipped)
+function toGLRect(rect) {
+    return { x: rect.x, y: imgHeight - rect.y - rect.height, width: rect.width, height: rect.height };
+}
+
+// Every user-drawn region, or tiles when there are none (image coordinates)
+function regionRects() {
+    return drawnRegions.length > 0
+        ? drawnRegions.map(r => clipRect(r, imgWidth, imgHeight)).filter(Boolean)
+        : getTileRects(imgWidth, imgHeight, parseInt(tileSizeInput.value) || DEFAULT_TILE_SIZE);
+}
+
+// Per-cell error heatmap and/or per-region confidence (red = low, green = high) labelled with the region's scales
+function drawOverlay() {
+    const show = (regionCheckbox.checked || errorMapCheckbox.checked) && imagePixels !== null;
+    overlayCanvas.style.display = show ? 'block' : 'none';
+    // Only catch the mouse when there are regions to draw, otherwise let it through to the viewer
+    overlayCanvas.style.pointerEvents = regionCheckbox.checked ? 'auto' : 'none';
+    downloadRegionsBtn.disabled = !show || !regionCheckbox.checked;
+    if (!show) return;
+
+    if (overlayCanvas.width !== imgWidth || overlayCanvas.height !== imgHeight) {
+        overlayCanvas.width = imgWidth;
+        overlayCanvas.height = imgHeight;
+    }
+    const ctx = overlayCtx;
+    ctx.clearRect(0, 0, imgWidth, imgHeight);
+    if (errorMapCheckbox.checked && errorMap) ctx.drawImage(errorMap, 0, 0);
+    if (!regionCheckbox.checked) return;
+
+    const fontSize = Math.max(10, Math.round(Math.min(imgWidth, imgHeight) / 40));
+    ctx.font = `${fontSize}px monospace`;
+    ctx.textBaseline = 'top';
+    ctx.lineWidth = Math.max(1, fontSize / 8);
+
+    for (const { rect, resX, resY } of regionResults) {
+        // confidence / scale is 1 for a perfect grid
+        const rel = Math.min(resX.confidence / resX.scale, resY.confidence / resY.scale);
+        const hue = Math.round(Math.max(0, Math.min(1, rel)) * 120);
+        ctx.fillStyle = `hsla(${hue}, 90%, 50%, 0.3)`;
+        ctx.fillRect(rect.x, rect.y, rect.width, rect.height);
+        ctx.strokeStyle = `hsla(${hue}, 90%, 50%, 0.9)`;
+        ctx.strokeRect(rect.x, rect.y, rect.width, rect.height);
+
+        const label = `${resX.scale.toFixed(2)} x ${resY.scale.toFixed(2)} (${rel.toFixed(2)})`;
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.7)';
+        ctx.fillRect(rect.x + 2, rect.y + 2, ctx.measureText(label).width + 6, fontSize + 4);
+        ctx.fillStyle = '#fff';
+        ctx.fillText(label, rect.x + 5, rect.y + 4);
+    }
+
+    if (dragRegion) {
+        ctx.setLineDash([fontSize / 2, fontSize / 2]);
+        ctx.strokeStyle = '#fff';
+        ctx.strokeRect(dragRegion.x, dragRegion.y, dragRegion.width, dragRegion.height);
+        ctx.setLineDash([]);
+    }
 }
 
-function processImage(imageBitmap) {
+// state: crop and grid overrides to restore (a batch item shown before), instead of detecting the crop.
+// frames: the animation from loadFile, the bitmap being its first frame. The bitmap goes to the analysis worker afterwards
+function processImage(imageBitmap, state = null, frames = null) {
     imgWidth = imageBitmap.width;
     imgHeight = imageBitmap.height;
 
     // Set Canvas Size
-    canvas.width = imgWidth;
+    canvas.width = viewWidth();
     canvas.height = imgHeight;
     canvas.style.display = 'block';
-
-    // Setup Texture
-    if (imageTexture) gl.deleteTexture(imageTexture);
-    imageTexture = gl.createTexture();
-    gl.bindTexture(gl.TEXTURE_2D, imageTexture);
-    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
-    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
-    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.NEAREST);
-    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.NEAREST);
-    gl.pixelStorei(gl.UNPACK_ALIGNMENT, 1);
-    gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, gl.RGBA, gl.UNSIGNED_BYTE, imageBitmap);
-
-    setupFBOs(imgWidth, imgHeight);
+    splitX = Math.round(imgWidth / 2);
+    viewer.fit(canvas.width, imgHeight);
+
+    // CPU copy for the inspector. The bitmap is already flipped, so rows are bottom-up like the texture
+    // (the 2D canvas premultiplies alpha, translucent colours may be off by a unit or so)
+    const copy = new OffscreenCanvas(imgWidth, imgHeight).getContext('2d');
+    copy.drawImage(imageBitmap, 0, 0);
+    imagePixels = copy.getImageData(0, 0, imgWidth, imgHeight).data;
+    deskewed = null;
+    setAnimation(frames);
+
+    if (gl) {
+        if (imageTexture) gl.deleteTexture(imageTexture);
+        imageTexture = createImageTexture(gl, imageBitmap);
+    }
+    cpuCellsKey = null;
+
+    // Whatever was running was for the previous image
+    if (analysisJob) analysisJob.cancel();
+    if (metricsJob) metricsJob.cancel();
+    if (animationJob) animationJob.cancel();
+    animationJob = null;
+    analysis.run('load', { bitmap: imageBitmap, frames: animation && animation.frames.map(f => f.data) }, { transfer: [imageBitmap] });
+
+    selectedCandidate = { x: 0, y: 0 };
+    drawnRegions = [];
+    regionResults = [];
+    manualGrid = { x: null, y: null };
+    lastAnalysis = null;
+    lastResult = null;
+    autoPalette = null;
+    autoPaletteKey = null;
+    metricsKey = null;
+    metrics = null;
+    kernelCells = null;
+    errorMap = null;
+    if (state) {
+        setCrop(state.cropRect);
+        manualGrid = { ...state.manualGrid };
+        selectedCandidate = { ...state.selectedCandidate };
+    } else {
+        setCrop(null);
+    }
 
     document.getElementById('download-lowres-btn').disabled = false;
-    runAnalysis();
+    resultsDiv.textContent = 'Analysing...';
+    runAnalysis(!state && autoCropCheckbox.checked);
 
-    // Start interval
+    // Display loop: only the flicker needs redrawing, analysis runs when something changes
     if (animationId) clearInterval(animationId);
-    animationId = setInterval(runAnalysis, 1000);
+    animationId = setInterval(() => {
+        if (viewModeSelect.value === 'flicker' && !pauseCheckbox.checked) render();
+    }, TOGGLE_INTERVAL);
 }
 
-function runAnalysis() {
-    if (!imageTexture) return;
-
-    // 1. Col Diffs
-    gl.bindFramebuffer(gl.FRAMEBUFFER, fboCol);
-    gl.viewport(0, 0, imgWidth, 1);
-    gl.useProgram(programCol);
+// Rows of RGBA pixels in the other order (top-down to bottom-up like the texture, and back)
+function flipRows(data, width, height) {
+    const rowBytes = width * 4;
+    const flipped = new Uint8ClampedArray(width * height * 4);
+    for (let y = 0; y < height; y++) {
+        flipped.set(data.subarray(y * rowBytes, (y + 1) * rowBytes), (height - 1 - y) * rowBytes);
+    }
+    return flipped;
+}
 
-    // Attributes need to be rebound/enabled for each program if context state changed (VAOs help here but simplistic approach)
-    let positionLoc = gl.getAttribLocation(programCol, "position");
-    gl.bindBuffer(gl.ARRAY_BUFFER, positionBuffer);
-    gl.enableVertexAttribArray(positionLoc);
-    gl.vertexAttribPointer(positionLoc, 2, gl.FLOAT, false, 0, 0);
+// A file as a bitmap flipped like the texture and, when it's animated (or a video), its frames flipped likewise
+async function loadFile(file) {
+    const decoded = await decodeAnimation(file);
+    if (!decoded) {
+        const bitmap = await createImageBitmap(file, { premultiplyAlpha: 'none', colorSpaceConversion: 'none', imageOrientation: 'flipY' });
+        return { bitmap, frames: null };
+    }
+    const { width, height } = decoded;
+    const frames = { ...decoded, frames: decoded.frames.map(({ data, delay }) => ({ data: flipRows(data, width, height), delay })) };
+    const bitmap = await createImageBitmap(new ImageData(frames.frames[0].data, width, height), { premultiplyAlpha: 'none' });
+    return { bitmap, frames };
+}
 
-    gl.uniform1i(gl.getUniformLocation(programCol, "uWidth"), imgWidth);
-    gl.uniform1i(gl.getUniformLocation(programCol, "uHeight"), imgHeight);
-    gl.bindTexture(gl.TEXTURE_2D, imageTexture);
+// The frame slider and player for a new file, hidden for still images
+function setAnimation(frames) {
+    clearTimeout(playTimer);
+    playTimer = null;
+    playCheckbox.checked = false;
+    animation = frames;
+    frameIndex = 0;
+    document.body.classList.toggle('animated', animation !== null);
+    if (!animation) return;
+    imagePixels = animation.frames[0].data; // exact, not through the 2D canvas
+    frameInput.max = animation.frames.length - 1;
+    frameInput.value = 0;
+    frameLabel.textContent = `1 / ${animation.frames.length}`;
+}
 
-    gl.drawArrays(gl.TRIANGLES, 0, 6);
+// Show (and measure) another frame; the grid stays, the reconstruction and its caches are the frame's
+function showFrame(index) {
+    frameIndex = index;
+    frameInput.value = index;
+    frameLabel.textContent = `${index + 1} / ${animation.frames.length}`;
+    imagePixels = animation.frames[index].data;
+    deskewed = null;
+    if (gl) {
+        gl.deleteTexture(imageTexture);
+        imageTexture = createImageTexture(gl, new ImageData(imagePixels, imgWidth, imgHeight));
+    }
+    cpuCellsKey = null;
+    autoPaletteKey = null;
+    metricsKey = null;
+    kernelCells = null;
+    analysis.run('frame', { index });
+    render();
+}
 
-    const colData = new Float32Array(imgWidth);
-    gl.readPixels(0, 0, imgWidth, 1, gl.RED, gl.FLOAT, colData);
+// Next frame after the shown one's delay, round and round
+function playNext() {
+    playTimer = setTimeout(() => {
+        showFrame((frameIndex + 1) % animation.frames.length);
+        playNext();
+    }, Math.max(20, animation.frames[frameIndex].delay));
+}
 
-    // 2. Row Diffs
-    gl.bindFramebuffer(gl.FRAMEBUFFER, fboRow);
-    gl.viewport(0, 0, 1, imgHeight);
-    gl.useProgram(programRow);
+// Progress of the analysis or the animation download, shown when it takes a while
+let progressTimer = null;
+let progressJob = null; // the one shown
 
-    positionLoc = gl.getAttribLocation(programRow, "position");
-    gl.bindBuffer(gl.ARRAY_BUFFER, positionBuffer);
-    gl.enableVertexAttribArray(positionLoc);
-    gl.vertexAttribPointer(positionLoc, 2, gl.FLOAT, false, 0, 0);
+function showProgress(done, total) {
+    progressEl.querySelector('progress').value = total > 0 ? done / total : 0;
+    progressEl.querySelector('.progress-count').textContent = `${done} / ${total}`;
+}
 
-    gl.uniform1i(gl.getUniformLocation(programRow, "uWidth"), imgWidth);
-    gl.uniform1i(gl.getUniformLocation(programRow, "uHeight"), imgHeight);
-    gl.bindTexture(gl.TEXTURE_2D, imageTexture);
+function trackProgress(job, label = 'Analysing') {
+    progressJob = job;
+    progressEl.querySelector('.progress-label').textContent = label;
+    clearTimeout(progressTimer);
+    showProgress(0, 0);
+    progressTimer = setTimeout(() => { progressEl.style.display = 'block'; }, 200);
+    const hide = () => {
+        if (progressJob !== job) return;
+        clearTimeout(progressTimer);
+        progressEl.style.display = 'none';
+    };
+    job.promise.then(hide, hide);
+}
 
-    gl.drawArrays(gl.TRIANGLES, 0, 6);
+// Analyse the crop (autoCrop: detect it first) and, when shown, the regions in the worker, then render.
+// Cancels the analysis still running, if any
+function runAnalysis(autoCrop = false) {
+    if (!imagePixels) return;
+    if (analysisJob) analysisJob.cancel();
+
+    const rects = regionCheckbox.checked ? regionRects() : null;
+    const job = analysis.run('analyze', {
+        crop: autoCrop ? 'auto' : cropRect && toGLRect(cropRect),
+        maxScale: parseInt(maxScaleInput.value) || DEFAULT_MAX_SCALE,
+        method: methodSelect.value,
+        alphaWeight: currentAlphaWeight(),
+        metric: metricSelect.value,
+        rotation: rotationCheckbox.checked,
+        regions: rects && rects.map(toGLRect)
+    }, { onProgress: showProgress });
+    analysisJob = job;
+    trackProgress(job);
+
+    job.promise.then(result => {
+        if (analysisJob !== job) return;
+        analysisJob = null;
+        if (autoCrop) setCrop(toGLRect(result.crop)); // flipping is its own inverse
+        lastAnalysis = { grid: result.grid, colData: result.colData, rowData: result.rowData, crop: result.crop, angle: result.angle };
+        regionResults = rects ? rects.map((rect, i) => ({ rect, resX: result.regions[i].x, resY: result.regions[i].y })) : [];
+        render();
+    }).catch(err => {
+        if (err.name === 'AbortError') return;
+        console.error(err);
+        if (analysisJob === job) {
+            analysisJob = null;
+            resultsDiv.textContent = `Analysis failed: ${err.message}`;
+        }
+    });
+}
 
-    const rowData = new Float32Array(imgHeight);
-    gl.readPixels(0, 0, 1, imgHeight, gl.RED, gl.FLOAT, rowData);
+// Detected or manually set grid of one axis
+function effectiveAxis(axis, size) {
+    const { grid, colData, rowData } = lastAnalysis;
+    const detected = axis === 'x'
+        ? pickCandidate(grid.x, selectedCandidate.x, colData)
+        : pickCandidate(grid.y, selectedCandidate.y, rowData);
+
+    const manual = manualGrid[axis];
+    if (!manual) return detected;
+
+    // Manual values are used as is: uniform grid, no snapping
+    const res = { ...detected, scale: manual.scale, offset: manual.offset, manual: true };
+    delete res.boundaries;
+    res.boundaries = getCellBoundaries(res, size);
+    return res;
+}
 
-    // 3. Analyze Data (CPU)
-    const maxScale = parseInt(maxScaleInput.value) || 16;
-    const resX = analyzePeriodicity(colData, maxScale);
-    const resY = analyzePeriodicity(rowData, maxScale);
+// Axis relative to the crop to texture coordinates
+function uncropAxis(res, origin) {
+    return { ...res, offset: res.offset + origin, boundaries: res.boundaries.map(b => b + origin) };
+}
 
-    lastResult = { resX, resY };
-    updateUI(resX, resY);
+function setCrop(rect) {
+    cropRect = rect && (rect.width < imgWidth || rect.height < imgHeight) ? rect : null;
+    cropInput.value = cropRect ? [cropRect.x, cropRect.y, cropRect.width, cropRect.height].join() : '';
+    // The grid is relative to the crop
+    selectedCandidate = { x: 0, y: 0 };
+    manualGrid = { x: null, y: null };
+}
 
-    // 4. Draw Image to Screen (Alternating)
+// Draw the current view from lastAnalysis (no GPU analysis passes, cheap enough for dragging)
+function render() {
+    if (!imagePixels || !lastAnalysis) return;
+
+    // Grid inputs, dragging and the results panel work relative to the crop, everything else in texture coordinates.
+    // The crop the analysis was done with, a new one may be on its way
+    const crop = lastAnalysis.crop;
+    const relX = effectiveAxis('x', crop.width);
+    const relY = effectiveAxis('y', crop.height);
+    const resX = uncropAxis(relX, crop.x);
+    const resY = uncropAxis(relY, crop.y);
+
+    lastResult = { resX, resY, relX, relY, candidatesX: lastAnalysis.grid.x.candidates, candidatesY: lastAnalysis.grid.y.candidates };
+    scheduleSave();
+    if (batchItem) {
+        const grid = imageGrid(relX, relY, crop, lastAnalysis.angle);
+        if (!batchItem.grid || gridKey(grid) !== gridKey(batchItem.grid)) {
+            batchItem.grid = grid;
+            batch.update(batchItem);
+        }
+    }
+    updateGridInputs(relX, relY);
+    updatePalette(resX, resY);
+    updateMetrics(resX, resY);
+
+    // 4. Draw Image to Screen (Alternating, the original with grid lines, or both next to each other)
+    const mode = viewModeSelect.value;
+    const showGrid = mode === 'grid';
+    const compare = mode === 'split' ? 1 : mode === 'side-by-side' ? 2 : 0;
     const now = performance.now();
-    if (now - lastToggleTime > TOGGLE_INTERVAL) {
+    if (mode !== 'flicker') {
+        showReconstructed = false;
+    } else if (!pauseCheckbox.checked && now - lastToggleTime > TOGGLE_INTERVAL) {
         showReconstructed = !showReconstructed;
         lastToggleTime = now;
     }
 
+    const width = viewWidth();
+    if (canvas.width !== width) {
+        canvas.width = width;
+        viewer.fit(width, imgHeight);
+    }
+
+    const view = { resX, resY, showReconstructed, showGrid, compare, split: splitX, crop, palette: currentPalette, angle: lastAnalysis.angle };
+    if (gl) drawViewGPU(view); else drawViewCPU(view);
+
+    drawOverlay();
+    positionSplitHandle();
+    if (hoverEvent) updateInspector(hoverEvent);
+
+    // UI Update (with current view state)
+    updateUI(relX, relY, showReconstructed);
+}
+
+// imagePixels turned so the grid is axis aligned (deskewImage, kept until the angle changes); the grid, the crop
+// and the reconstruction are in these
+function gridPixels() {
+    const angle = lastAnalysis ? lastAnalysis.angle : 0;
+    if (!angle) return imagePixels;
+    if (!deskewed || deskewed.angle !== angle) {
+        deskewed = { angle, pixels: deskewImage({ data: imagePixels, width: imgWidth, height: imgHeight }, angle).data };
+    }
+    return deskewed.pixels;
+}
+
+// uRotation of glslRotation for the grid's angle
+function setRotation(program) {
+    const a = (lastAnalysis ? lastAnalysis.angle : 0) * Math.PI / 180;
+    gl.uniform2f(gl.getUniformLocation(program, "uRotation"), Math.cos(a), Math.sin(a));
+}
+
+// The view through fsDisplaySource
+function drawViewGPU({ resX, resY, showReconstructed, showGrid, compare, split, crop, palette }) {
+    renderCells(resX, resY);
+
     gl.bindFramebuffer(gl.FRAMEBUFFER, null);
-    gl.viewport(0, 0, imgWidth, imgHeight);
+    gl.viewport(0, 0, canvas.width, imgHeight);
     gl.useProgram(programDisplay);
 
-    positionLoc = gl.getAttribLocation(programDisplay, "position");
-    gl.bindBuffer(gl.ARRAY_BUFFER, positionBuffer);
-    gl.enableVertexAttribArray(positionLoc);
-    gl.vertexAttribPointer(positionLoc, 2, gl.FLOAT, false, 0, 0);
+    bindQuad(gl, programDisplay, positionBuffer);
 
     gl.uniform2f(gl.getUniformLocation(programDisplay, "uResolution"), imgWidth, imgHeight);
     gl.uniform1i(gl.getUniformLocation(programDisplay, "uImage"), 0);
 
     // Pass Params
     gl.uniform1f(gl.getUniformLocation(programDisplay, "uScaleX"), resX.scale);
-    gl.uniform1f(gl.getUniformLocation(programDisplay, "uOffsetX"), resX.offset);
     gl.uniform1f(gl.getUniformLocation(programDisplay, "uScaleY"), resY.scale);
-    gl.uniform1f(gl.getUniformLocation(programDisplay, "uOffsetY"), resY.offset);
+    bindBoundsTextures(programDisplay, resX, resY);
     gl.uniform1i(gl.getUniformLocation(programDisplay, "uShowReconstructed"), showReconstructed ? 1 : 0);
-    gl.uniform1i(gl.getUniformLocation(programDisplay, "uSampleCenterOnly"), sampleCenterCheckbox.checked ? 1 : 0);
+    gl.uniform1i(gl.getUniformLocation(programDisplay, "uShowGrid"), showGrid ? 1 : 0);
+    gl.uniform1i(gl.getUniformLocation(programDisplay, "uCompare"), compare);
+    gl.uniform1f(gl.getUniformLocation(programDisplay, "uSplit"), split);
+    gl.uniform4f(gl.getUniformLocation(programDisplay, "uCrop"), crop.x, crop.y, crop.width, crop.height);
+    setRotation(programDisplay);
+
+    gl.activeTexture(gl.TEXTURE4);
+    gl.bindTexture(gl.TEXTURE_2D, texCells);
+    gl.uniform1i(gl.getUniformLocation(programDisplay, "uCells"), 4);
+
+    if (palette && uploadedPalette !== palette) {
+        updatePaletteTexture(palette);
+        uploadedPalette = palette;
+    }
+    gl.activeTexture(gl.TEXTURE3);
+    gl.bindTexture(gl.TEXTURE_2D, texPalette);
+    gl.uniform1i(gl.getUniformLocation(programDisplay, "uPalette"), 3);
+    gl.uniform1i(gl.getUniformLocation(programDisplay, "uPaletteSize"), palette ? palette.length : 0);
 
     gl.activeTexture(gl.TEXTURE0);
     gl.bindTexture(gl.TEXTURE_2D, imageTexture);
 
     gl.drawArrays(gl.TRIANGLES, 0, 6);
+}
 
-    // UI Update (with current view state)
-    // We only update if periodicity didn't drift, but for now just update always
-    updateUI(resX, resY, showReconstructed);
+// The view through renderView (display.js), same as drawViewGPU without WebGL 2.
+// The reconstruction is kept until the grid, the sampling or the kernel cells change
+function drawViewCPU(view) {
+    const { resX, resY } = view;
+    const sampling = currentSampling();
+    const kernelImage = currentKernelCells(resX, resY);
+    const key = [resX.boundaries.join(), resY.boundaries.join(), kernelImage ? kernelCells.key : JSON.stringify(sampling), view.angle].join('|');
+    if (key !== cpuCellsKey) {
+        cpuCells = kernelImage || downsample(gridPixels(), imgWidth, imgHeight, resX, resY, sampling);
+        cpuCellsKey = key;
+    }
+    const image = renderView({ data: imagePixels, width: imgWidth, height: imgHeight }, cpuCells, view);
+    ctx2d.putImageData(new ImageData(image.data, image.width, image.height), 0, 0);
+}
+
+// CPU reconstruction (pipeline.js, same as fsDownsampleSource; resample.js with a kernel), rows top-down like the
+// downloaded PNG. origin: texel the grid is relative to, for regions
+function reconstructCPU(resX, resY, origin = { x: 0, y: 0 }) {
+    const kernel = currentKernel();
+    const x = uncropAxis(resX, origin.x), y = uncropAxis(resY, origin.y);
+    const image = !kernel ? downsample(gridPixels(), imgWidth, imgHeight, x, y, currentSampling()) :
+        currentKernelCells(x, y) || deconvolve(gridPixels(), imgWidth, imgHeight, x, y, { kernel });
+
+    // imagePixels are bottom-up
+    return { width: image.width, height: image.height, data: flipRows(image.data, image.width, image.height) };
+}
+
+// Palette in use: the loaded file, or extracted from the current reconstruction (only redone when the grid changes).
+// Not while dragging the grid, and with a kernel not before the metrics job's deconvolution (kernelCells), which is too
+// slow for here: the last palette stands in meanwhile
+function updatePalette(resX, resY) {
+    const mode = paletteModeSelect.value;
+    if (mode === 'file') {
+        currentPalette = loadedPalette;
+        return;
+    }
+    if (mode !== 'auto' || !imagePixels) {
+        currentPalette = null;
+        return;
+    }
+
+    const maxColors = Math.min(256, Math.max(1, parseInt(maxColorsInput.value) || DEFAULT_MAX_COLORS));
+    const key = [resX.boundaries.join(), resY.boundaries.join(), JSON.stringify(currentSampling()), kernelSelect.value, maxColors, lastAnalysis.angle].join('|');
+    const cells = currentKernel() ? currentKernelCells(resX, resY) : null;
+    if (key !== autoPaletteKey && !gridDrag && (cells || !currentKernel())) {
+        const lowres = cells || downsample(gridPixels(), imgWidth, imgHeight, resX, resY, currentSampling());
+        autoPalette = extractPalette(lowres.data, maxColors);
+        autoPaletteKey = key;
+    }
+    currentPalette = autoPalette;
+}
+
+// Error of the current reconstruction, in the worker (only redone when the grid, sampling, kernel or palette change,
+// and not while dragging the grid), and the heatmap of cells that aren't uniform: yellow to red from half to twice
+// the threshold. With a kernel the worker's deconvolution is the reconstruction from then on (kernelCells)
+function updateMetrics(resX, resY) {
+    if (!imagePixels || gridDrag) return;
+    const sampling = currentSampling();
+    const kernel = currentKernel();
+    const angle = lastAnalysis.angle;
+    const key = [resX.boundaries.join(), resY.boundaries.join(), JSON.stringify(sampling), kernel, currentPalette ? currentPalette.join(';') : '', angle].join('|');
+    if (key === metricsKey) return;
+    metricsKey = key;
+
+    if (metricsJob) metricsJob.cancel();
+    const cellsKey = kernelKey(resX, resY);
+    const job = analysis.run('metrics', { resX, resY, sampling, kernel, palette: currentPalette, angle });
+    metricsJob = job;
+    job.promise.then(result => {
+        if (metricsJob !== job) return;
+        metricsJob = null;
+        metrics = result;
+        if (result.lowres) kernelCells = { key: cellsKey, image: result.lowres };
+        drawErrorMap(resX, resY);
+        render();
+    }).catch(err => {
+        if (err.name !== 'AbortError') console.error(err);
+    });
+}
+
+// GL boundaries and the worker's pixels are both bottom-up, so is the reconstruction (and cellErrors).
+// Cells of a grid at an angle are drawn turned with it (the overlay is top-down, where the angle is the other way round)
+function drawErrorMap(resX, resY) {
+    if (!errorMap || errorMap.width !== imgWidth || errorMap.height !== imgHeight) {
+        errorMap = new OffscreenCanvas(imgWidth, imgHeight);
+    }
+    const ctx = errorMap.getContext('2d');
+    ctx.setTransform(1, 0, 0, 1, 0, 0);
+    ctx.clearRect(0, 0, imgWidth, imgHeight);
+    ctx.translate(imgWidth / 2, imgHeight / 2);
+    ctx.rotate(-lastAnalysis.angle * Math.PI / 180);
+    ctx.translate(-imgWidth / 2, -imgHeight / 2);
+    const bx = resX.boundaries, by = resY.boundaries;
+    const cols = bx.length - 1;
+    for (let ky = 0; ky < by.length - 1; ky++) {
+        const top = imgHeight - by[ky + 1];
+        const h = by[ky + 1] - by[ky];
+        for (let kx = 0; kx < cols; kx++) {
+            const t = Math.min(1, metrics.cellErrors[ky * cols + kx] / (2 * NON_UNIFORM_THRESHOLD));
+            if (t < 0.25) continue;
+            ctx.fillStyle = `hsla(${Math.round(60 - 60 * t)}, 100%, 50%, ${(0.6 * t).toFixed(2)})`;
+            ctx.fillRect(bx[kx], top, bx[kx + 1] - bx[kx], h);
+        }
+    }
+}
+
+function metricsInfo() {
+    if (!metrics) return '';
+    const psnr = Number.isFinite(metrics.psnr) ? `${metrics.psnr.toFixed(1)} dB` : 'lossless';
+    const nonUniform = (metrics.nonUniformCells * 100).toFixed(1);
+    const kernel = metrics.kernel ?
+        `<br><strong>Kernel:</strong> ${metrics.kernel.name} <small title="RMS error of the reconstruction upscaled again with the kernel">(${metrics.kernel.error.toFixed(2)})</small>` : '';
+    return `${kernel}<br><strong>Error:</strong> PSNR ${psnr}, SSIM ${metrics.ssim.toFixed(3)}, <span title="Cells with an RMS error above ${NON_UNIFORM_THRESHOLD}">${nonUniform}% non-uniform cells</span>`;
+}
+
+// Canvas width for the current view mode: side by side shows the original and the reconstruction next to each other
+function viewWidth() {
+    return viewModeSelect.value === 'side-by-side' ? imgWidth * 2 : imgWidth;
+}
+
+// Show the effective values in the scale/offset inputs, unless the user is typing in one
+function updateGridInputs(resX, resY) {
+    const values = [[scaleXInput, resX.scale], [offsetXInput, resX.offset], [scaleYInput, resY.scale], [offsetYInput, resY.offset]];
+    for (const [input, value] of values) {
+        if (document.activeElement !== input) input.value = value.toFixed(3);
+    }
+}
+
+function setManualAxis(axis, scale, offset) {
+    if (!(scale >= 1)) return;
+    // Keep the offset within one cell, like the detector does
+    offset = ((offset % scale) + scale) % scale;
+    manualGrid[axis] = { scale, offset };
+    render();
 }
 
 function updateUI(resX, resY, isReconstructed) {
-    const minGridX = Math.floor((0 - resX.offset) / resX.scale);
-    const maxGridX = Math.floor((imgWidth - 1 - resX.offset) / resX.scale);
-    const recW = maxGridX - minGridX + 1;
+    const recW = resX.boundaries.length - 1;
+    const recH = resY.boundaries.length - 1;
 
-    const minGridY = Math.floor((0 - resY.offset) / resY.scale);
-    const maxGridY = Math.floor((imgHeight - 1 - resY.offset) / resY.scale);
-    const recH = maxGridY - minGridY + 1;
+    const viewLabels = { grid: "ORIGINAL + GRID", split: "ORIGINAL | RECONSTRUCTED (split)", 'side-by-side': "ORIGINAL | RECONSTRUCTED" };
+    const viewMode = viewLabels[viewModeSelect.value] ||
+        (isReconstructed ? "RECONSTRUCTED (Upscaled)" : "ORIGINAL INPUT") + (pauseCheckbox.checked ? " (paused)" : "");
+    const manualTag = (res) => res.manual ? ' <small>(manual)</small>' : '';
+    // Clockwise, like detectPixelGrid's angle (the texture's rows are the other way up)
+    const angle = lastAnalysis.angle ? `<strong>Angle:</strong> ${(-lastAnalysis.angle).toFixed(2)}&deg;<br>` : '';
 
-    const viewMode = isReconstructed ? "RECONSTRUCTED (Upscaled)" : "ORIGINAL INPUT";
+    const candidateList = (axis, candidates, selected) => candidates.map((c, i) => `
+        <span class="candidate${i === selected ? ' selected' : ''}" data-axis="${axis}" data-index="${i}" title="Harmonic score ${c.score.toFixed(2)}">${c.scale.toFixed(2)}</span>`).join('');
 
     resultsDiv.innerHTML = `
         <div style="background:#000; color:#fff; padding:5px; margin-bottom:10px; font-weight:bold; text-align:center;">
-            Showing: ${viewMode}
+            Showing: ${viewMode}${gl ? '' : ' <small>(no WebGL 2, drawn on the CPU)</small>'}
         </div>
-        <strong>X:</strong> Scale ${resX.scale.toFixed(3)}, Offset ${resX.offset.toFixed(3)} <small title="Confidence">(${resX.confidence.toFixed(2)})</small><br>
-        <strong>Y:</strong> Scale ${resY.scale.toFixed(3)}, Offset ${resY.offset.toFixed(3)} <small title="Confidence">(${resY.confidence.toFixed(2)})</small><br>
-        <strong>Reconstructed:</strong> ${recW} x ${recH} px<br>
+        <strong>X:</strong> Scale ${resX.scale.toFixed(3)}, Offset ${resX.offset.toFixed(3)} <small title="Confidence">(${resX.confidence.toFixed(2)})</small>${manualTag(resX)}<br>
+        <strong>Y:</strong> Scale ${resY.scale.toFixed(3)}, Offset ${resY.offset.toFixed(3)} <small title="Confidence">(${resY.confidence.toFixed(2)})</small>${manualTag(resY)}<br>
+        ${angle}        <strong>Reconstructed:</strong> ${recW} x ${recH} px${cropRect ? ` <small>(of ${cropRect.width} x ${cropRect.height} at ${cropRect.x}, ${cropRect.y}, offsets relative to that)</small>` : ''}${metricsInfo()}<br>
+        <small>X candidates:</small>${candidateList('x', lastResult.candidatesX, selectedCandidate.x)}<br>
+        <small>Y candidates:</small>${candidateList('y', lastResult.candidatesY, selectedCandidate.y)}
+        ${paletteInfo()}
+        ${regionCheckbox.checked ? `<br><small>${regionResults.length} ${drawnRegions.length > 0 ? 'drawn regions' : 'tiles'} (drag on the image to draw regions, right-click to clear)</small>` : ''}
     `;
 }
 
+function paletteInfo() {
+    if (paletteModeSelect.value === 'off') return '';
+    if (!currentPalette) return '<br><small>No palette loaded</small>';
+    const swatches = currentPalette.map(c => `<span class="palette-swatch" style="background:${toHex(c)}" title="${toHex(c)}"></span>`).join('');
+    return `<br><small>Palette (${currentPalette.length}):</small> ${swatches}`;
+}
+
+// Batch: every file has its own settings (the inputs while it's shown) and view state, and its grid in
+// image coordinates (top-left origin) like detectPixelGrid's, for the thumbnails and the ZIP
+function readSettings() {
+    return {
+        maxScale: parseInt(maxScaleInput.value) || DEFAULT_MAX_SCALE,
+        method: methodSelect.value,
+        sampling: currentSampling(),
+        kernel: currentKernel(),
+        alphaWeight: currentAlphaWeight(),
+        metric: metricSelect.value,
+        autoCrop: autoCropCheckbox.checked,
+        rotation: rotationCheckbox.checked,
+        paletteMode: paletteModeSelect.value,
+        maxColors: Math.min(256, Math.max(1, parseInt(maxColorsInput.value) || DEFAULT_MAX_COLORS)),
+        animationFormat: animationFormatSelect.value,
+        exportFormat: exportFormatSelect.value,
+        exportScale: Math.min(64, Math.max(1, parseInt(exportScaleInput.value) || 1))
+    };
+}
+
+function applySettings(settings) {
+    maxScaleInput.value = settings.maxScale;
+    methodSelect.value = settings.method;
+    samplingSelect.value = settings.sampling.method;
+    sampleRadiusInput.value = settings.sampling.radius;
+    alphaThresholdInput.value = settings.sampling.alphaThreshold;
+    kernelSelect.value = settings.kernel || '';
+    alphaWeightInput.value = settings.alphaWeight;
+    metricSelect.value = settings.metric;
+    autoCropCheckbox.checked = settings.autoCrop;
+    rotationCheckbox.checked = settings.rotation;
+    paletteModeSelect.value = settings.paletteMode;
+    maxColorsInput.value = settings.maxColors;
+    animationFormatSelect.value = settings.animationFormat;
+    exportFormatSelect.value = settings.exportFormat;
+    exportScaleInput.value = settings.exportScale;
+}
+
+// Texture axis relative to a crop of height `size` to image rows (top-down)
+function flipAxis(res, size) {
+    return {
+        ...res,
+        offset: ((size - res.offset) % res.scale + res.scale) % res.scale,
+        boundaries: res.boundaries.map(b => size - b).reverse()
+    };
+}
+
+// Effective grid (relative to the crop, texture coordinates) in image coordinates, angle in texture coordinates
+function imageGrid(relX, relY, crop, angle) {
+    const origin = toGLRect(crop);
+    const grid = { x: uncropAxis(relX, origin.x), y: uncropAxis(flipAxis(relY, crop.height), origin.y) };
+    if (crop.width < imgWidth || crop.height < imgHeight) grid.crop = origin;
+    if (angle) grid.angle = -angle;
+    return grid;
+}
+
+// The parts of a grid that tell two apart, boundaries follow from them
+function gridKey(grid) {
+    const axis = (res) => [res.scale, res.offset, res.confidence];
+    return JSON.stringify([axis(grid.x), axis(grid.y), grid.crop, grid.angle]);
+}
+
+function saveItem(item) {
+    item.settings = readSettings();
+    item.state = { cropRect, manualGrid: { ...manualGrid }, selectedCandidate: { ...selectedCandidate } };
+}
+
+// Detection for the thumbnails, in the batch worker with the item's settings. Animations are decoded here, where
+// videos can be played
+async function detectItem(item) {
+    const animation = await decodeAnimation(item.file);
+    item.grid = await batchWorker.run('detect', { file: item.file, animation, settings: item.settings }).promise;
+}
+
+const batch = createBatch(batchList, {
+    detect: detectItem,
+    onSelect(item, previous) {
+        if (previous && previous === batchItem) saveItem(previous);
+        batchItem = null; // until it's loaded
+        applySettings(item.settings);
+        loadFile(item.file).then(({ bitmap, frames }) => {
+            if (batch.current !== item) return; // another one was picked meanwhile
+            batchItem = item;
+            processImage(bitmap, item.state || takeSharedView(bitmap), frames);
+        }).catch(err => {
+            console.error(err);
+            item.error = 'Could not load image';
+            batch.update(item);
+            if (batch.items.length === 1) alert(item.error);
+        });
+    }
+});
+
+function csvField(value) {
+    const text = value === undefined || value === null ? '' : String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// One line per file, the numbers of the JSON manifest
+function manifestCSV(manifest) {
+    const columns = ['file', 'width', 'height', 'frames', 'scale_x', 'offset_x', 'confidence_x', 'scale_y', 'offset_y', 'confidence_y',
+        'crop', 'angle', 'kernel', 'output', 'output_width', 'output_height', 'psnr', 'ssim', 'error'];
+    const rows = manifest.map(e => [
+        e.file, e.width, e.height, e.frames,
+        e.x?.scale, e.x?.offset, e.x?.confidence, e.y?.scale, e.y?.offset, e.y?.confidence,
+        e.crop ? [e.crop.x, e.crop.y, e.crop.width, e.crop.height].join(' ') : '', e.angle, e.kernel?.name,
+        e.output?.file, e.output?.width, e.output?.height,
+        e.metrics ? (Number.isFinite(e.metrics.psnr) ? e.metrics.psnr : 'inf') : '', e.metrics?.ssim, e.error
+    ].map(csvField).join(','));
+    return [columns.join(','), ...rows].join('\n') + '\n';
+}
+
+// Every batch item's reconstruction in one ZIP, with manifest.json and manifest.csv
+async function downloadAll() {
+    const items = batch.items;
+    if (items.length === 0) return;
+    if (batchItem) saveItem(batchItem);
+
+    const label = downloadAllBtn.textContent;
+    downloadAllBtn.disabled = true;
+    const files = [];
+    const manifest = [];
+    const outputs = outputPaths(items.map(item => item.path));
+    try {
+        for (const [i, item] of items.entries()) {
+            downloadAllBtn.textContent = `${i + 1} / ${items.length}`;
+            try {
+                const animation = await decodeAnimation(item.file);
+                const { entry, grid, files: exported = [] } = await batchWorker.run('reconstruct', {
+                    file: item.file, animation, path: item.path, output: outputs.get(item.path), grid: item.grid,
+                    settings: item.settings, palette: loadedPalette
+                }).promise;
+                if (!item.grid) {
+                    item.grid = grid;
+                    batch.update(item);
+                }
+                manifest.push(entry);
+                files.push(...exported);
+            } catch (err) {
+                if (err.name === 'AbortError') return; // a new batch was dropped
+                manifest.push({ file: item.path, error: err.message });
+            }
+        }
+        files.push({ name: 'manifest.json', data: JSON.stringify(manifest, null, 2) + '\n' });
+        files.push({ name: 'manifest.csv', data: manifestCSV(manifest) });
+
+        downloadBytes(createZip(files), 'application/zip', 'recovered-pixel-art.zip');
+    } finally {
+        downloadAllBtn.textContent = label;
+        downloadAllBtn.disabled = false;
+    }
+}
+
+downloadAllBtn.addEventListener('click', downloadAll);
+
+// The settings of the shown file for every file; the others are detected again
+applyAllBtn.addEventListener('click', () => {
+    const settings = readSettings();
+    const others = batch.items.filter(item => item !== batchItem);
+    for (const item of others) {
+        item.settings = { ...settings };
+        item.state = null;
+    }
+    batch.redetect(others);
+});
+
 // Drag & Drop
 dropZone.addEventListener('dragover', (e) => {
     e.preventDefault();
@@ -436,82 +921,691 @@ dropZone.addEventListener('drop', (e) => {
     dropZone.classList.remove('dragover');
     instruction.style.display = 'none';
 
-    const file = e.dataTransfer.files[0];
-    if (file && file.type.startsWith('image/')) {
-        createImageBitmap(file, { premultiplyAlpha: 'none', colorSpaceConversion: 'none', imageOrientation: 'flipY' }).then(processImage).catch(err => {
-            console.error(err);
-            alert("Could not load image");
-        });
-    }
+    collectDroppedFiles(e.dataTransfer).then(openFiles).catch(err => {
+        console.error(err);
+        alert("Could not read the dropped files");
+    });
 });
 
+// Several files or folders make a batch (the strip shows up for more than one)
+function openFiles(files) {
+    if (files.length === 0) return;
+    instruction.style.display = 'none';
+    batchWorker.cancelAll();
+    document.body.classList.toggle('batch', files.length > 1);
+    batch.load(files, readSettings());
+}
 
-// Download Low Res
-document.getElementById('download-lowres-btn').addEventListener('click', () => {
-    if (!imageTexture || !lastResult) return;
+document.getElementById('open-btn').addEventListener('click', () => {
+    fileInput.click();
+});
 
-    const scaleX = lastResult.resX.scale;
-    const scaleY = lastResult.resY.scale;
+fileInput.addEventListener('change', () => {
+    openFiles(collectFiles(fileInput.files));
+    fileInput.value = ''; // the same files again are a change too
+});
 
-    if (scaleX < 1.5 || scaleY < 1.5) {
-        alert("Scale too small to downsample");
+// Pasted images (screenshots, copied files); text pasted into the fields stays theirs
+document.addEventListener('paste', (e) => {
+    if (e.target.matches('input, textarea')) return;
+    const files = collectFiles(e.clipboardData.files);
+    if (files.length === 0) return;
+    e.preventDefault();
+    openFiles(files);
+});
+
+// ?src=: an image of this site or a data: URI, opened on load (other sites would need CORS, and could be anything)
+async function openSource(src) {
+    const url = new URL(src, location.href);
+    if (url.protocol !== 'data:' && url.origin !== location.origin) throw new Error(`${url.origin} is not this site`);
+    const response = await fetch(url);
+    if (!response.ok) throw new Error(`${response.status} ${response.statusText}`);
+    const blob = await response.blob();
+    const name = url.protocol === 'data:' ? 'pasted' : decodeURIComponent(url.pathname.split('/').pop()) || 'image';
+    openFiles(collectFiles([new File([blob], name, { type: blob.type })]));
+}
+
+// Settings: a shared link's (the hash), else the last visit's; saved as they change, with the view of the image shown
+{
+    const saved = loadSettings(readSettings());
+    applySettings(saved.settings);
+    sharedView = saved.view;
+}
+
+// Save once things have settled, and only what changed: render() calls this for every frame it draws
+function scheduleSave() {
+    const settings = readSettings();
+    const view = imagePixels ? { cropRect, manualGrid: { ...manualGrid }, selectedCandidate: { ...selectedCandidate } } : sharedView;
+    const key = encodeSettings(settings, view);
+    if (key === saveKey) return;
+    saveKey = key;
+    clearTimeout(saveTimer);
+    saveTimer = setTimeout(() => saveSettings(settings, view), 300);
+}
+
+document.getElementById('controls').addEventListener('change', scheduleSave);
+
+// A link edited in the address bar: its settings and view for the image shown
+window.addEventListener('hashchange', () => {
+    const { settings, view } = decodeSettings(location.hash, readSettings());
+    applySettings(settings);
+    if (!imagePixels) {
+        sharedView = view;
         return;
     }
+    setCrop(view && view.cropRect && clipRect(view.cropRect, imgWidth, imgHeight));
+    if (view) {
+        manualGrid = { ...view.manualGrid };
+        selectedCandidate = { ...view.selectedCandidate };
+    }
+    runAnalysis();
+});
 
-    const minGridX = Math.floor((0 - lastResult.resX.offset) / scaleX);
-    const maxGridX = Math.floor((imgWidth - 1 - lastResult.resX.offset) / scaleX);
-    const newW = maxGridX - minGridX + 1;
+// The shared view fits the image it was made with; clipped to this one, the crop is in it at least
+function takeSharedView(bitmap) {
+    const view = sharedView;
+    sharedView = null;
+    if (!view) return null;
+    return { ...view, cropRect: view.cropRect && clipRect(view.cropRect, bitmap.width, bitmap.height) };
+}
 
-    const minGridY = Math.floor((0 - lastResult.resY.offset) / scaleY);
-    const maxGridY = Math.floor((imgHeight - 1 - lastResult.resY.offset) / scaleY);
-    const newH = maxGridY - minGridY + 1;
+const source = new URLSearchParams(location.search).get('src');
+if (source) {
+    openSource(source).catch(err => {
+        console.error(err);
+        alert(`Could not load ${source.startsWith('data:') ? 'the data URI' : source}: ${err.message}`);
+    });
+}
 
-    // Resize canvas to new size
-    canvas.width = newW;
-    canvas.height = newH;
-    gl.viewport(0, 0, newW, newH);
+// Keyboard shortcuts, not while typing (Space and Enter still work on a focused button or checkbox)
+function toggleCheckbox(checkbox) {
+    checkbox.checked = !checkbox.checked;
+    checkbox.dispatchEvent(new Event('change'));
+}
+
+function setViewMode(mode) {
+    viewModeSelect.value = mode;
+    viewModeSelect.dispatchEvent(new Event('change'));
+}
+
+const viewModes = [...viewModeSelect.options].map(option => option.value);
+const shortcuts = {
+    v: () => setViewMode(viewModes[(viewModes.indexOf(viewModeSelect.value) + 1) % viewModes.length]),
+    p: () => toggleCheckbox(pauseCheckbox),
+    e: () => toggleCheckbox(errorMapCheckbox),
+    g: () => toggleCheckbox(regionCheckbox),
+    ' ': () => animation && toggleCheckbox(playCheckbox),
+    r: () => resetGridBtn.click(),
+    o: () => fileInput.click(),
+    d: () => document.getElementById('download-lowres-btn').click(),
+    a: () => animation && document.getElementById('download-animation-btn').click(),
+    z: () => batch.items.length > 1 && downloadAllBtn.click()
+};
+viewModes.forEach((mode, i) => shortcuts[i + 1] = () => setViewMode(mode));
+
+document.addEventListener('keydown', (e) => {
+    if (e.ctrlKey || e.metaKey || e.altKey) return;
+    if (e.target.matches('input:not([type=checkbox]), select, textarea')) return;
+    if (e.key === ' ' && e.target.matches('button, input')) return;
+    const action = shortcuts[e.key.toLowerCase()];
+    if (!action) return;
+    e.preventDefault();
+    action();
+});
+
+
+function currentSampling() {
+    return normalizeSampling({
+        method: samplingSelect.value,
+        radius: parseFloat(sampleRadiusInput.value),
+        alphaThreshold: parseInt(alphaThresholdInput.value) || 0
+    });
+}
+
+// Kernel to deconvolve the cells with (resample.js), null to sample them
+function currentKernel() {
+    return kernelSelect.value || null;
+}
 
+function kernelKey(resX, resY) {
+    return [resX.boundaries.join(), resY.boundaries.join(), kernelSelect.value, lastAnalysis.angle].join('|');
+}
+
+// The selected kernel's deconvolution for this grid once the metrics job has it, else null (the sampled cells stand in)
+function currentKernelCells(resX, resY) {
+    return currentKernel() && kernelCells && kernelCells.key === kernelKey(resX, resY) ? kernelCells.image : null;
+}
+
+function currentAlphaWeight() {
+    const weight = parseFloat(alphaWeightInput.value);
+    return weight >= 0 ? weight : DEFAULT_ALPHA_WEIGHT;
+}
+
+// Run fsDownsampleSource into the bound framebuffer, one pixel per cell (the viewport must match).
+// origin: texel the boundaries are relative to, for regions
+function drawCells(resX, resY, origin = { x: 0, y: 0 }) {
     gl.useProgram(programDownsample);
 
-    const positionLoc = gl.getAttribLocation(programDownsample, "position");
-    gl.bindBuffer(gl.ARRAY_BUFFER, positionBuffer);
-    gl.enableVertexAttribArray(positionLoc);
-    gl.vertexAttribPointer(positionLoc, 2, gl.FLOAT, false, 0, 0);
-
-    gl.uniform1f(gl.getUniformLocation(programDownsample, "uScaleX"), scaleX);
-    gl.uniform1f(gl.getUniformLocation(programDownsample, "uOffsetX"), lastResult.resX.offset);
-    gl.uniform1f(gl.getUniformLocation(programDownsample, "uGridOffsetX"), minGridX);
-    gl.uniform1f(gl.getUniformLocation(programDownsample, "uScaleY"), scaleY);
-    gl.uniform1f(gl.getUniformLocation(programDownsample, "uOffsetY"), lastResult.resY.offset);
-    gl.uniform1f(gl.getUniformLocation(programDownsample, "uGridOffsetY"), minGridY);
-    gl.uniform1i(gl.getUniformLocation(programDownsample, "uTargetHeight"), newH);
-    gl.uniform1i(gl.getUniformLocation(programDownsample, "uSampleCenterOnly"), sampleCenterCheckbox.checked ? 1 : 0);
+    bindQuad(gl, programDownsample, positionBuffer);
+
+    const sampling = currentSampling();
+    bindBoundsTextures(programDownsample, resX, resY);
+    gl.uniform2f(gl.getUniformLocation(programDownsample, "uOrigin"), origin.x, origin.y);
+    setRotation(programDownsample);
+    gl.uniform1i(gl.getUniformLocation(programDownsample, "uSampling"), SAMPLING_METHODS.indexOf(sampling.method));
+    gl.uniform1f(gl.getUniformLocation(programDownsample, "uRadius"), sampling.radius);
+    gl.uniform1f(gl.getUniformLocation(programDownsample, "uTrim"), sampling.trim);
+    gl.uniform1f(gl.getUniformLocation(programDownsample, "uAlphaThreshold"), sampling.alphaThreshold);
     gl.uniform1i(gl.getUniformLocation(programDownsample, "uImage"), 0);
 
     gl.activeTexture(gl.TEXTURE0);
     gl.bindTexture(gl.TEXTURE_2D, imageTexture);
 
     gl.drawArrays(gl.TRIANGLES, 0, 6);
+}
 
-    // Download
-    const link = document.createElement('a');
-    link.download = 'recovered-pixel-art.png';
-    // Use nearest neighbor for the data url if possible? or just default (png)
-    link.href = canvas.toDataURL();
-    link.click();
+// Reconstruction into texCells for the display shader
+function renderCells(resX, resY) {
+    const w = resX.boundaries.length - 1;
+    const h = resY.boundaries.length - 1;
+
+    if (!texCells || cellsSize.width !== w || cellsSize.height !== h) {
+        if (texCells) gl.deleteTexture(texCells);
+        texCells = gl.createTexture();
+        cellsSize = { width: w, height: h };
+        gl.bindTexture(gl.TEXTURE_2D, texCells);
+        gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA8, w, h, 0, gl.RGBA, gl.UNSIGNED_BYTE, null);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.NEAREST);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.NEAREST);
+
+        if (!fboCells) fboCells = gl.createFramebuffer();
+        gl.bindFramebuffer(gl.FRAMEBUFFER, fboCells);
+        gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, texCells, 0);
+        uploadedCells = null;
+    }
+
+    // The kernel's cells as they are (bottom-up like the texture)
+    const kernelImage = currentKernelCells(resX, resY);
+    if (kernelImage) {
+        if (uploadedCells !== kernelImage) {
+            gl.bindTexture(gl.TEXTURE_2D, texCells);
+            gl.texSubImage2D(gl.TEXTURE_2D, 0, 0, 0, w, h, gl.RGBA, gl.UNSIGNED_BYTE, kernelImage.data);
+            uploadedCells = kernelImage;
+        }
+        return;
+    }
+    uploadedCells = null;
+
+    gl.bindFramebuffer(gl.FRAMEBUFFER, fboCells);
+    gl.viewport(0, 0, w, h);
+    drawCells(resX, resY);
+}
+
+// Render one pixel per grid cell into the (temporarily resized) canvas and read it back, rows top-down.
+// origin: texel the boundaries are relative to, for regions
+function renderDownsampled(resX, resY, origin = { x: 0, y: 0 }) {
+    const newW = resX.boundaries.length - 1;
+    const newH = resY.boundaries.length - 1;
+
+    // Resize canvas to new size
+    const viewW = canvas.width;
+    canvas.width = newW;
+    canvas.height = newH;
+    gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+    gl.viewport(0, 0, newW, newH);
+
+    drawCells(resX, resY, origin);
+
+    const pixels = new Uint8Array(newW * newH * 4);
+    gl.readPixels(0, 0, newW, newH, gl.RGBA, gl.UNSIGNED_BYTE, pixels);
 
     // Restore
-    canvas.width = imgWidth;
+    canvas.width = viewW;
     canvas.height = imgHeight;
-    // Analysis loop will restore viewport and content on next tick (or right now)
-    runAnalysis();
+    return { width: newW, height: newH, data: flipRows(pixels, newW, newH) };
+}
+
+function downloadDataURL(dataURL, filename) {
+    const link = document.createElement('a');
+    link.download = filename;
+    link.href = dataURL;
+    link.click();
+}
+
+function downloadBytes(data, type, filename) {
+    const url = URL.createObjectURL(new Blob([data], { type }));
+    downloadDataURL(url, filename);
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+// Reconstruction, rows top-down: drawn by the GPU, or on the CPU with a kernel or without WebGL 2
+function reconstruction(resX, resY, origin) {
+    return gl && !currentKernel() ? renderDownsampled(resX, resY, origin) : reconstructCPU(resX, resY, origin);
+}
+
+// A reconstruction in the chosen format, snapped to the current palette (indexed when it's a PNG), with its grid in
+// image coordinates as metadata. It's drawn right away (the view needs a render after), compressed asynchronously
+function exportReconstruction(resX, resY, origin, grid) {
+    const { exportFormat, exportScale } = readSettings();
+    let image = reconstruction(resX, resY, origin);
+    if (currentPalette) image = quantize(image, currentPalette);
+    const metadata = gridMetadata(grid, batchItem ? batchItem.path : undefined);
+    return encodeDeflated(deflate => exportImage(image, exportFormat, { scale: exportScale, metadata, deflate }));
+}
+
+// name: without extension
+async function downloadReconstruction(resX, resY, origin, grid, name) {
+    const { data, type, extension } = await exportReconstruction(resX, resY, origin, grid);
+    downloadBytes(data, type, name + extension);
+}
+
+// Download Low Res
+document.getElementById('download-lowres-btn').addEventListener('click', () => {
+    if (!imagePixels || !lastResult) return;
+
+    const scaleX = lastResult.resX.scale;
+    const scaleY = lastResult.resY.scale;
+
+    if (scaleX < 1.5 || scaleY < 1.5) {
+        alert("Scale too small to downsample");
+        return;
+    }
+
+    const grid = imageGrid(lastResult.relX, lastResult.relY, lastAnalysis.crop, lastAnalysis.angle);
+    downloadReconstruction(lastResult.resX, lastResult.resY, { x: 0, y: 0 }, grid, 'recovered-pixel-art').catch(err => {
+        alert(err.message);
+    });
+
+    // Restore the view
+    render();
+});
+
+// Every frame with the current grid, as settings.animationFormat (upscaled like the still downloads). A palette covers
+// all frames: the loaded one, or the dominant colours of all of them. Reconstructed in the worker, with progress;
+// another click starts over
+document.getElementById('download-animation-btn').addEventListener('click', () => {
+    if (!animation || !lastResult) return;
+    const { resX, resY } = lastResult;
+    if (resX.scale < 1.5 || resY.scale < 1.5) {
+        alert("Scale too small to downsample");
+        return;
+    }
+
+    const settings = readSettings();
+    if (animationJob) animationJob.cancel();
+    const job = analysis.run('animation', {
+        grid: { x: resX, y: resY, angle: lastAnalysis.angle },
+        delays: animation.frames.map(frame => frame.delay),
+        loop: animation.loop,
+        sampling: settings.sampling,
+        kernel: settings.kernel,
+        palette: settings.paletteMode === 'file' ? loadedPalette : null,
+        maxColors: settings.paletteMode === 'auto' ? settings.maxColors : 0
+    }, { onProgress: showProgress });
+    animationJob = job;
+    trackProgress(job, 'Reconstructing frames');
+
+    const grid = imageGrid(lastResult.relX, lastResult.relY, lastAnalysis.crop, lastAnalysis.angle);
+    const metadata = gridMetadata(grid, batchItem ? batchItem.path : undefined);
+    job.promise.then(lowres => {
+        if (animationJob !== job) return;
+        animationJob = null;
+        // The frames are bottom-up
+        lowres.frames = lowres.frames.map(({ data, delay }) => ({ data: flipRows(data, lowres.width, lowres.height), delay }));
+        return encodeDeflated(deflate => exportAnimation(lowres, settings.animationFormat, {
+            scale: settings.exportScale, metadata, name: 'recovered-pixel-art', deflate
+        })).then(files => {
+            for (const { data, type, extension } of files) downloadBytes(data, type, 'recovered-pixel-art' + extension);
+        });
+    }).catch(err => {
+        if (err.name === 'AbortError') return;
+        if (animationJob === job) animationJob = null;
+        alert(err.message);
+    });
+});
+
+// Download every region's reconstruction, in one ZIP
+downloadRegionsBtn.addEventListener('click', () => {
+    if (!imagePixels || regionResults.length === 0) return;
+
+    // One ZIP: browsers let a click start one download, not one per region
+    let skipped = 0;
+    const files = [];
+    regionResults.forEach((region, i) => {
+        if (region.resX.scale < 1.5 || region.resY.scale < 1.5) {
+            skipped++;
+            return;
+        }
+        const glRect = toGLRect(region.rect);
+        const grid = imageGrid(region.resX, region.resY, glRect, lastAnalysis.angle);
+        const name = `recovered-region-${i + 1}-${region.rect.x}x${region.rect.y}`;
+        files.push(exportReconstruction(region.resX, region.resY, glRect, grid).then(({ data, extension }) => ({ name: name + extension, data })));
+    });
+    if (files.length > 0) {
+        Promise.all(files).then(files => downloadBytes(createZip(files), 'application/zip', 'recovered-regions.zip')).catch(err => {
+            alert(err.message);
+        });
+    }
+    if (skipped > 0) alert(`${skipped} region(s) skipped: scale too small to downsample`);
+
+    render();
+});
+
+// Pick an alternative scale candidate and show its reconstruction
+resultsDiv.addEventListener('click', (e) => {
+    const el = e.target.closest('.candidate');
+    if (!el) return;
+    selectedCandidate[el.dataset.axis] = parseInt(el.dataset.index);
+    manualGrid[el.dataset.axis] = null;
+    showReconstructed = true;
+    lastToggleTime = performance.now();
+    render();
 });
 
 // Redraw when max scale changes
 maxScaleInput.addEventListener('change', () => {
+    selectedCandidate = { x: 0, y: 0 }; // candidate lists change with the range
+    runAnalysis();
+});
+
+methodSelect.addEventListener('change', () => {
+    selectedCandidate = { x: 0, y: 0 };
+    runAnalysis();
+});
+
+metricSelect.addEventListener('change', () => {
+    selectedCandidate = { x: 0, y: 0 };
     runAnalysis();
 });
 
-sampleCenterCheckbox.addEventListener('change', () => {
+regionCheckbox.addEventListener('change', () => {
+    if (!regionCheckbox.checked) regionResults = [];
     runAnalysis();
 });
+
+errorMapCheckbox.addEventListener('change', () => {
+    render();
+});
+
+tileSizeInput.addEventListener('change', () => {
+    runAnalysis();
+});
+
+// Drawing regions on the overlay
+function overlayPoint(e) {
+    const r = overlayCanvas.getBoundingClientRect();
+    return {
+        x: Math.max(0, Math.min(imgWidth, (e.clientX - r.left) * imgWidth / r.width)),
+        y: Math.max(0, Math.min(imgHeight, (e.clientY - r.top) * imgHeight / r.height))
+    };
+}
+
+overlayCanvas.addEventListener('mousedown', (e) => {
+    if (e.button !== 0) return;
+    const p = overlayPoint(e);
+    dragRegion = { startX: p.x, startY: p.y, x: p.x, y: p.y, width: 0, height: 0 };
+});
+
+window.addEventListener('mousemove', (e) => {
+    if (!dragRegion) return;
+    const p = overlayPoint(e);
+    dragRegion.x = Math.min(p.x, dragRegion.startX);
+    dragRegion.y = Math.min(p.y, dragRegion.startY);
+    dragRegion.width = Math.abs(p.x - dragRegion.startX);
+    dragRegion.height = Math.abs(p.y - dragRegion.startY);
+    drawOverlay();
+});
+
+window.addEventListener('mouseup', () => {
+    if (!dragRegion) return;
+    const rect = clipRect(dragRegion, imgWidth, imgHeight);
+    dragRegion = null;
+    if (rect && rect.width >= 8 && rect.height >= 8) drawnRegions.push(rect);
+    runAnalysis();
+});
+
+overlayCanvas.addEventListener('contextmenu', (e) => {
+    e.preventDefault();
+    drawnRegions = [];
+    runAnalysis();
+});
+
+// Manual grid: numeric inputs
+for (const [axis, scaleInput, offsetInput] of [['x', scaleXInput, offsetXInput], ['y', scaleYInput, offsetYInput]]) {
+    const onInput = () => setManualAxis(axis, parseFloat(scaleInput.value), parseFloat(offsetInput.value));
+    scaleInput.addEventListener('input', onInput);
+    offsetInput.addEventListener('input', onInput);
+}
+
+resetGridBtn.addEventListener('click', () => {
+    manualGrid = { x: null, y: null };
+    render();
+});
+
+viewModeSelect.addEventListener('change', () => {
+    render();
+});
+
+// Manual grid: dragging on the image in grid view moves the grid, Shift+drag stretches it
+// (the grid line under the pointer follows it, keeping the first line in place)
+function canvasPoint(e) {
+    const r = canvas.getBoundingClientRect();
+    let x = (e.clientX - r.left) * canvas.width / r.width;
+    const y = (e.clientY - r.top) * imgHeight / r.height;
+    if (x >= imgWidth && viewModeSelect.value === 'side-by-side') x -= imgWidth; // right half shows the same texels
+    return { x, y: imgHeight - y }; // texture coordinates, bottom-left origin
+}
+
+// canvasPoint in the deskewed image, where the grid is
+function gridPoint(e) {
+    const p = canvasPoint(e);
+    if (!lastAnalysis || !lastAnalysis.angle) return p;
+    const [x, y] = deskewedToImage(p.x, p.y, imgWidth, imgHeight, -lastAnalysis.angle);
+    return { x, y };
+}
+
+canvas.addEventListener('mousedown', (e) => {
+    if (viewModeSelect.value !== 'grid' || !lastResult || e.button !== 0) return;
+    e.preventDefault();
+    const p = gridPoint(e);
+    const { resX, resY, relX, relY } = lastResult;
+    // Offsets are relative to the crop, the cell under the pointer isn't
+    gridDrag = {
+        start: p,
+        stretch: e.shiftKey,
+        x: { scale: relX.scale, offset: relX.offset, cell: Math.max(1, Math.round((p.x - resX.offset) / resX.scale)) },
+        y: { scale: relY.scale, offset: relY.offset, cell: Math.max(1, Math.round((p.y - resY.offset) / resY.scale)) }
+    };
+});
+
+window.addEventListener('mousemove', (e) => {
+    if (!gridDrag) return;
+    const p = gridPoint(e);
+    const dx = p.x - gridDrag.start.x;
+    const dy = p.y - gridDrag.start.y;
+    const { x, y } = gridDrag;
+
+    if (gridDrag.stretch) {
+        manualGrid.x = { scale: Math.max(1, x.scale + dx / x.cell), offset: x.offset };
+        manualGrid.y = { scale: Math.max(1, y.scale + dy / y.cell), offset: y.offset };
+    } else {
+        manualGrid.x = { scale: x.scale, offset: ((x.offset + dx) % x.scale + x.scale) % x.scale };
+        manualGrid.y = { scale: y.scale, offset: ((y.offset + dy) % y.scale + y.scale) % y.scale };
+    }
+    render();
+});
+
+window.addEventListener('mouseup', () => {
+    if (!gridDrag) return;
+    gridDrag = null;
+    render(); // metrics are skipped while dragging
+});
+
+samplingSelect.addEventListener('change', () => {
+    render();
+});
+
+kernelSelect.addEventListener('change', () => {
+    render();
+});
+
+sampleRadiusInput.addEventListener('change', () => {
+    render();
+});
+
+alphaThresholdInput.addEventListener('change', () => {
+    render();
+});
+
+alphaWeightInput.addEventListener('change', () => {
+    runAnalysis();
+});
+
+pauseCheckbox.addEventListener('change', () => {
+    render();
+});
+
+// Animations
+frameInput.addEventListener('input', () => {
+    if (animation) showFrame(parseInt(frameInput.value));
+});
+
+playCheckbox.addEventListener('change', () => {
+    clearTimeout(playTimer);
+    playTimer = null;
+    if (playCheckbox.checked && animation) playNext();
+});
+
+// Crop
+autoCropCheckbox.addEventListener('change', () => {
+    if (!imagePixels) return;
+    setCrop(null);
+    runAnalysis(autoCropCheckbox.checked);
+});
+
+// The crop is in the deskewed image, a detected one is detected again
+rotationCheckbox.addEventListener('change', () => {
+    if (!imagePixels) return;
+    if (autoCropCheckbox.checked) setCrop(null);
+    runAnalysis(autoCropCheckbox.checked);
+});
+
+cropInput.addEventListener('change', () => {
+    if (!imagePixels) return;
+    const values = cropInput.value.split(',').map(Number);
+    const [x, y, width, height] = values;
+    setCrop(values.length === 4 && values.every(Number.isFinite) ? clipRect({ x, y, width, height }, imgWidth, imgHeight) : null);
+    runAnalysis();
+});
+
+// Palette
+paletteModeSelect.addEventListener('change', () => {
+    if (paletteModeSelect.value === 'file' && !loadedPalette) paletteFileInput.click();
+    render();
+});
+
+maxColorsInput.addEventListener('change', () => {
+    render();
+});
+
+document.getElementById('load-palette-btn').addEventListener('click', () => {
+    paletteFileInput.click();
+});
+
+paletteFileInput.addEventListener('change', async () => {
+    const file = paletteFileInput.files[0];
+    paletteFileInput.value = '';
+    if (!file) return;
+    try {
+        loadedPalette = parsePalette(await file.arrayBuffer(), file.name);
+    } catch (err) {
+        alert(err.message);
+        return;
+    }
+    paletteModeSelect.value = 'file';
+    render();
+});
+
+// Split view: the handle sits on top of the drop zone, outside the zoomed content so it keeps its size
+function positionSplitHandle() {
+    const show = imagePixels !== null && viewModeSelect.value === 'split';
+    splitHandle.style.display = show ? 'block' : 'none';
+    if (!show) return;
+
+    const r = canvas.getBoundingClientRect();
+    const z = dropZone.getBoundingClientRect();
+    splitHandle.style.left = `${r.left - z.left - dropZone.clientLeft + splitX * r.width / canvas.width}px`;
+}
+
+splitHandle.addEventListener('mousedown', (e) => {
+    if (e.button !== 0) return;
+    e.preventDefault();
+    splitDrag = true;
+});
+
+window.addEventListener('mousemove', (e) => {
+    if (!splitDrag) return;
+    splitX = Math.max(0, Math.min(imgWidth, canvasPoint(e).x));
+    render();
+});
+
+window.addEventListener('mouseup', () => {
+    splitDrag = false;
+});
+
+// Hover inspector: source pixel, grid cell and the colour the reconstruction uses for that cell
+let hoverEvent = null;
+
+function updateInspector(e) {
+    const p = imagePixels && lastResult ? canvasPoint(e) : null;
+    const x = p ? Math.floor(p.x) : -1;
+    const y = p ? Math.floor(p.y) : -1;
+    if (x < 0 || x >= imgWidth || y < 0 || y >= imgHeight) {
+        inspector.style.display = 'none';
+        return;
+    }
+
+    // The cell is looked up in the deskewed image
+    const g = gridPoint(e);
+    const gx = Math.floor(g.x);
+    const gy = Math.floor(g.y);
+    const bx = lastResult.resX.boundaries;
+    const by = lastResult.resY.boundaries;
+    if (gx < bx[0] || gx >= bx[bx.length - 1] || gy < by[0] || gy >= by[by.length - 1]) {
+        inspector.innerHTML = `pixel ${x}, ${imgHeight - 1 - y} &nbsp;|&nbsp; outside the crop`;
+        inspector.style.display = 'block';
+        return;
+    }
+    const kx = findCellIndex(bx, gx);
+    const ky = findCellIndex(by, gy);
+    const kernelImage = currentKernelCells(lastResult.resX, lastResult.resY);
+    const cell = (ky * (bx.length - 1) + kx) * 4;
+    const c = kernelImage ? Array.from(kernelImage.data.subarray(cell, cell + 4)) :
+        sampleCell(gridPixels(), imgWidth, imgHeight, bx[kx], bx[kx + 1], by[ky], by[ky + 1], currentSampling()).map(Math.round);
+    let snapped = '';
+    if (currentPalette) {
+        const q = quantize({ data: c, width: 1, height: 1 }, currentPalette);
+        snapped = q.transparentIndex >= 0 ? ' &rarr; transparent' : ` &rarr; <span class="swatch" style="background:${toHex(q.palette[q.indices[0]])}"></span>${toHex(q.palette[q.indices[0]])}`;
+    }
+
+    // Report rows top-down, like the image and the downloaded reconstruction
+    inspector.innerHTML = `<span class="swatch" style="background:rgba(${c[0]}, ${c[1]}, ${c[2]}, ${(c[3] / 255).toFixed(3)})"></span>` +
+        `${toHex(c)} a ${c[3]}${snapped} &nbsp;|&nbsp; pixel ${x}, ${imgHeight - 1 - y} &nbsp;|&nbsp; cell ${kx}, ${by.length - 2 - ky}`;
+    inspector.style.display = 'block';
+}
+
+dropZone.addEventListener('mousemove', (e) => {
+    hoverEvent = e;
+    updateInspector(e);
+});
+
+dropZone.addEventListener('mouseleave', () => {
+    hoverEvent = null;
+    inspector.style.display = 'none';
+});
+
+// Zoom (mouse wheel) and pan (drag, or middle-button drag while drawing regions / moving the grid)
+const viewer = createViewer(dropZone, viewerEl, {
+    canPan: (e) => e.target !== overlayCanvas && e.target !== splitHandle && viewModeSelect.value !== 'grid',
+    onChange: positionSplitHandle
+});
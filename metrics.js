@@ -0,0 +1,152 @@
+/**
+ * How faithful a reconstruction is: the original compared with the reconstruction upscaled back onto the grid
+ * (every pixel replaced by its cell's colour). Pixels and boundaries just need the same orientation.
+ * Colours are compared premultiplied, so the RGB of transparent pixels doesn't count.
+ */
+
+import { getCellBoundaries } from './pipeline.js';
+import { cropImage } from './regions.js';
+
+export const NON_UNIFORM_THRESHOLD = 16; // RMS error (0-255) above which a cell counts as not uniform
+
+const SSIM_WINDOW = 8;
+const SSIM_C1 = (0.01 * 255) ** 2;
+const SSIM_C2 = (0.03 * 255) ** 2;
+
+// Cell index of every pixel along one axis (pixel p is in the cell whose boundary range contains p)
+function cellMap(boundaries, size) {
+    const map = new Int32Array(size);
+    const cells = boundaries.length - 1;
+    let k = 0;
+    for (let p = 0; p < size; p++) {
+        while (k < cells - 1 && boundaries[k + 1] <= p) k++;
+        map[p] = k;
+    }
+    return map;
+}
+
+function luma(data, s) {
+    return (0.299 * data[s] + 0.587 * data[s + 1] + 0.114 * data[s + 2]) * data[s + 3] / 255;
+}
+
+// Mean SSIM on luma over all 8 x 8 windows (uniform weights), comparing the original with the upscaled reconstruction
+function ssim(pixels, width, height, lowres, mapX, mapY) {
+    const win = Math.min(SSIM_WINDOW, width, height);
+    const n = win * win;
+
+    const cellLuma = new Float32Array(lowres.width * lowres.height);
+    for (let i = 0; i < cellLuma.length; i++) cellLuma[i] = luma(lowres.data, i * 4);
+    const lumaA = new Float32Array(win * width); // luma of the last `win` rows, original
+    const lumaB = new Float32Array(win * width); // and reconstruction
+
+    // Column sums over the last `win` rows
+    const sa = new Float64Array(width), sb = new Float64Array(width);
+    const saa = new Float64Array(width), sbb = new Float64Array(width), sab = new Float64Array(width);
+
+    let total = 0, windows = 0;
+    for (let y = 0; y < height; y++) {
+        const ring = (y % win) * width;
+        const cellRow = mapY[y] * lowres.width;
+        for (let x = 0; x < width; x++) {
+            let a = lumaA[ring + x];
+            let b = lumaB[ring + x];
+            if (y >= win) {
+                // drop row y - win, which is in the same ring slot
+                sa[x] -= a; sb[x] -= b; saa[x] -= a * a; sbb[x] -= b * b; sab[x] -= a * b;
+            }
+            a = luma(pixels, (y * width + x) * 4);
+            b = cellLuma[cellRow + mapX[x]];
+            lumaA[ring + x] = a;
+            lumaB[ring + x] = b;
+            sa[x] += a; sb[x] += b; saa[x] += a * a; sbb[x] += b * b; sab[x] += a * b;
+        }
+        if (y < win - 1) continue;
+
+        let ha = 0, hb = 0, haa = 0, hbb = 0, hab = 0;
+        for (let x = 0; x < width; x++) {
+            ha += sa[x]; hb += sb[x]; haa += saa[x]; hbb += sbb[x]; hab += sab[x];
+            if (x >= win) {
+                const o = x - win;
+                ha -= sa[o]; hb -= sb[o]; haa -= saa[o]; hbb -= sbb[o]; hab -= sab[o];
+            }
+            if (x < win - 1) continue;
+
+            const mx = ha / n;
+            const my = hb / n;
+            const vx = haa / n - mx * mx;
+            const vy = hbb / n - my * my;
+            const cov = hab / n - mx * my;
+            total += ((2 * mx * my + SSIM_C1) * (2 * cov + SSIM_C2)) / ((mx * mx + my * my + SSIM_C1) * (vx + vy + SSIM_C2));
+            windows++;
+        }
+    }
+    return windows > 0 ? total / windows : 1;
+}
+
+/**
+ * Compare an image with its reconstruction.
+ * @param {ArrayLike<number>} pixels RGBA bytes of the original
+ * @param {{scale: number, offset: number, boundaries?: number[]}} resX grid the reconstruction was made with
+ * @param {{scale: number, offset: number, boundaries?: number[]}} resY
+ * @param {{data: ArrayLike<number>, width: number, height: number}} lowres the reconstruction, one pixel per cell
+ * @param {{threshold?: number}} [options] threshold: RMS error for a cell to count as not uniform
+ * @returns {{mse: number, psnr: number, ssim: number, cellErrors: Float32Array, meanCellError: number, nonUniformCells: number}}
+ *   mse/psnr over premultiplied RGB (psnr is Infinity for a lossless reconstruction), cellErrors the RMS error of every cell
+ *   (row-major like lowres), nonUniformCells the fraction of cells above the threshold.
+ *   A grid that covers only part of the image (detectPixelGrid with a crop) is compared over that part
+ */
+export function reconstructionMetrics(pixels, width, height, resX, resY, lowres, options = {}) {
+    const boundsX = getCellBoundaries(resX, width);
+    const boundsY = getCellBoundaries(resY, height);
+    const x0 = Math.round(boundsX[0]), x1 = Math.round(boundsX[boundsX.length - 1]);
+    const y0 = Math.round(boundsY[0]), y1 = Math.round(boundsY[boundsY.length - 1]);
+    if (x0 > 0 || y0 > 0 || x1 < width || y1 < height) {
+        const rect = { x: x0, y: y0, width: x1 - x0, height: y1 - y0 };
+        const crop = cropImage({ data: pixels, width, height }, rect);
+        const shift = (bounds, origin) => ({ boundaries: bounds.map(b => b - origin) });
+        return reconstructionMetrics(crop.data, rect.width, rect.height, shift(boundsX, x0), shift(boundsY, y0), lowres, options);
+    }
+
+    const threshold = options.threshold ?? NON_UNIFORM_THRESHOLD;
+    const mapX = cellMap(boundsX, width);
+    const mapY = cellMap(boundsY, height);
+    const cells = lowres.width * lowres.height;
+    const cellSums = new Float64Array(cells);
+    const cellCounts = new Uint32Array(cells);
+
+    let total = 0;
+    for (let y = 0; y < height; y++) {
+        const cellRow = mapY[y] * lowres.width;
+        for (let x = 0; x < width; x++) {
+            const cell = cellRow + mapX[x];
+            const s = (y * width + x) * 4;
+            const c = cell * 4;
+            const a = pixels[s + 3] / 255, b = lowres.data[c + 3] / 255;
+            const dr = pixels[s] * a - lowres.data[c] * b;
+            const dg = pixels[s + 1] * a - lowres.data[c + 1] * b;
+            const db = pixels[s + 2] * a - lowres.data[c + 2] * b;
+            const e = (dr * dr + dg * dg + db * db) / 3;
+            cellSums[cell] += e;
+            cellCounts[cell]++;
+            total += e;
+        }
+    }
+
+    const cellErrors = new Float32Array(cells);
+    let errorSum = 0, nonUniform = 0;
+    for (let i = 0; i < cells; i++) {
+        cellErrors[i] = cellCounts[i] > 0 ? Math.sqrt(cellSums[i] / cellCounts[i]) : 0;
+        errorSum += cellErrors[i];
+        if (cellErrors[i] > threshold) nonUniform++;
+    }
+
+    const mse = total / (width * height);
+    return {
+        mse,
+        psnr: mse > 0 ? 10 * Math.log10(255 * 255 / mse) : Infinity,
+        ssim: ssim(pixels, width, height, lowres, mapX, mapY),
+        cellErrors,
+        meanCellError: cells > 0 ? errorSum / cells : 0,
+        nonUniformCells: cells > 0 ? nonUniform / cells : 0
+    };
+}
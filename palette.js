@@ -0,0 +1,358 @@
+/**
+ * Palette stage after downsampling: extract the dominant colours of a reconstruction, read palette files
+ * and snap every cell to the nearest palette entry in OKLab.
+ * Palettes are arrays of [r, g, b] (0-255).
+ */
+
+export const DEFAULT_MAX_COLORS = 16;
+export const ALPHA_THRESHOLD = 128; // pixels below this alpha become the transparent index
+
+const KMEANS_ITERATIONS = 8;
+
+// 0-255 sRGB to linear light, 0-1
+export function srgbToLinear(c) {
+    c /= 255;
+    return c <= 0.04045 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+}
+
+function linearToSrgb(c) {
+    c = c <= 0.0031308 ? 12.92 * c : 1.055 * Math.pow(c, 1 / 2.4) - 0.055;
+    return Math.round(Math.min(1, Math.max(0, c)) * 255);
+}
+
+// OKLab (Björn Ottosson), distances in it are close to perceived colour differences
+export function rgbToOklab(r, g, b) {
+    const lr = srgbToLinear(r);
+    const lg = srgbToLinear(g);
+    const lb = srgbToLinear(b);
+    const l = Math.cbrt(0.4122214708 * lr + 0.5363325363 * lg + 0.0514459929 * lb);
+    const m = Math.cbrt(0.2119034982 * lr + 0.6806995451 * lg + 0.1073969566 * lb);
+    const s = Math.cbrt(0.0883024619 * lr + 0.2817188376 * lg + 0.6299787005 * lb);
+    return [
+        0.2104542553 * l + 0.7936177850 * m - 0.0040720468 * s,
+        1.9779984951 * l - 2.4285922050 * m + 0.4505937099 * s,
+        0.0259040371 * l + 0.7827717662 * m - 0.8086757660 * s
+    ];
+}
+
+export function oklabToRgb(L, a, b) {
+    const l = (L + 0.3963377774 * a + 0.2158037573 * b) ** 3;
+    const m = (L - 0.1055613458 * a - 0.0638541728 * b) ** 3;
+    const s = (L - 0.0894841775 * a - 1.2914855480 * b) ** 3;
+    return [
+        linearToSrgb(4.0767416621 * l - 3.3077115913 * m + 0.2309699292 * s),
+        linearToSrgb(-1.2684380046 * l + 2.6097574011 * m - 0.3413193965 * s),
+        linearToSrgb(-0.0041960863 * l - 0.7034186147 * m + 1.7076147010 * s)
+    ];
+}
+
+export function toHex(color) {
+    return '#' + color.slice(0, 3).map(v => v.toString(16).padStart(2, '0')).join('');
+}
+
+// Unique opaque colours with their pixel counts
+function colorHistogram(pixels) {
+    const counts = new Map();
+    for (let i = 0; i < pixels.length; i += 4) {
+        if (pixels[i + 3] < ALPHA_THRESHOLD) continue;
+        const key = (pixels[i] << 16) | (pixels[i + 1] << 8) | pixels[i + 2];
+        counts.set(key, (counts.get(key) || 0) + 1);
+    }
+    return [...counts].map(([key, count]) => ({ rgb: [key >> 16, (key >> 8) & 255, key & 255], count }));
+}
+
+// Weighted sum of squared deviations along one channel
+function channelSSE(box, ch) {
+    let w = 0, sum = 0, sq = 0;
+    for (const c of box) {
+        w += c.count;
+        sum += c.rgb[ch] * c.count;
+        sq += c.rgb[ch] * c.rgb[ch] * c.count;
+    }
+    return sq - sum * sum / w;
+}
+
+// Median cut variant: split the box with the largest spread along its widest channel, at the point that
+// maximizes the between-class variance (a plain median split cuts dominant colours in half)
+function medianCut(colors, maxColors) {
+    const boxes = [colors];
+    while (boxes.length < maxColors) {
+        let best = -1, bestChannel = 0, bestSSE = 0;
+        boxes.forEach((box, i) => {
+            if (box.length < 2) return;
+            for (let ch = 0; ch < 3; ch++) {
+                const sse = channelSSE(box, ch);
+                if (sse > bestSSE) {
+                    best = i;
+                    bestChannel = ch;
+                    bestSSE = sse;
+                }
+            }
+        });
+        if (best < 0) break;
+
+        const box = boxes[best].sort((a, b) => a.rgb[bestChannel] - b.rgb[bestChannel]);
+        let total = 0, totalSum = 0;
+        for (const c of box) {
+            total += c.count;
+            totalSum += c.rgb[bestChannel] * c.count;
+        }
+        let w = 0, sum = 0, split = 1, bestScore = -1;
+        for (let i = 1; i < box.length; i++) {
+            w += box[i - 1].count;
+            sum += box[i - 1].rgb[bestChannel] * box[i - 1].count;
+            if (box[i].rgb[bestChannel] === box[i - 1].rgb[bestChannel]) continue;
+            const d = sum / w - (totalSum - sum) / (total - w);
+            const score = w * (total - w) * d * d;
+            if (score > bestScore) {
+                bestScore = score;
+                split = i;
+            }
+        }
+        boxes.splice(best, 1, box.slice(0, split), box.slice(split));
+    }
+    return boxes;
+}
+
+function weightedMeanLab(colors) {
+    let L = 0, A = 0, B = 0, w = 0;
+    for (const c of colors) {
+        L += c.lab[0] * c.count;
+        A += c.lab[1] * c.count;
+        B += c.lab[2] * c.count;
+        w += c.count;
+    }
+    return [L / w, A / w, B / w];
+}
+
+/**
+ * Dominant colours of an RGBA image (usually the reconstruction), most frequent first.
+ * Images with at most maxColors distinct opaque colours get exactly those colours back;
+ * otherwise median cut, refined with a few k-means iterations in OKLab.
+ * @param {ArrayLike<number>} pixels RGBA bytes
+ * @param {number} [maxColors]
+ * @returns {number[][]} [r, g, b] entries
+ */
+export function extractPalette(pixels, maxColors = DEFAULT_MAX_COLORS) {
+    const colors = colorHistogram(pixels);
+    if (colors.length <= maxColors) {
+        return colors.sort((a, b) => b.count - a.count).map(c => c.rgb);
+    }
+
+    for (const c of colors) c.lab = rgbToOklab(...c.rgb);
+    let centers = medianCut(colors, maxColors).map(weightedMeanLab);
+
+    let clusters = [];
+    for (let iter = 0; iter < KMEANS_ITERATIONS; iter++) {
+        clusters = centers.map(() => []);
+        for (const c of colors) clusters[nearestIndex(centers, c.lab)].push(c);
+        const next = clusters.map((members, i) => members.length > 0 ? weightedMeanLab(members) : centers[i]);
+        const moved = next.some((p, i) => p.some((v, j) => Math.abs(v - centers[i][j]) > 1e-4));
+        centers = next;
+        if (!moved) break;
+    }
+
+    return centers
+        .map((lab, i) => ({ rgb: oklabToRgb(...lab), count: clusters[i].reduce((sum, c) => sum + c.count, 0) }))
+        .filter(c => c.count > 0)
+        .sort((a, b) => b.count - a.count)
+        .map(c => c.rgb);
+}
+
+function nearestIndex(labs, lab) {
+    let best = 0, bestDist = Infinity;
+    for (let i = 0; i < labs.length; i++) {
+        const dL = labs[i][0] - lab[0];
+        const da = labs[i][1] - lab[1];
+        const db = labs[i][2] - lab[2];
+        const d = dL * dL + da * da + db * db;
+        if (d < bestDist) {
+            bestDist = d;
+            best = i;
+        }
+    }
+    return best;
+}
+
+/**
+ * Snap every pixel to the nearest palette entry (in OKLab).
+ * Pixels with alpha below ALPHA_THRESHOLD get an extra, fully transparent entry appended to the palette.
+ * @param {{data: ArrayLike<number>, width: number, height: number}} image RGBA
+ * @param {number[][]} palette [r, g, b] entries
+ * @returns {{width: number, height: number, data: Uint8ClampedArray, indices: Uint8Array, palette: number[][], transparentIndex: number}}
+ *   data is the snapped RGBA image, indices one palette index per pixel; transparentIndex is -1 when unused
+ */
+export function quantize(image, palette, options = {}) {
+    const { data, width, height } = image;
+    const alphaThreshold = options.alphaThreshold ?? ALPHA_THRESHOLD;
+    if (palette.length === 0 || palette.length > 256) throw new RangeError('quantize needs a palette of 1 to 256 colours');
+
+    const labs = palette.map(c => rgbToOklab(c[0], c[1], c[2]));
+    const cache = new Map();
+    const out = new Uint8ClampedArray(width * height * 4);
+    const indices = new Uint8Array(width * height);
+    const transparentIndex = palette.length;
+    let hasTransparent = false;
+
+    for (let i = 0; i < width * height; i++) {
+        const s = i * 4;
+        if (data[s + 3] < alphaThreshold) {
+            indices[i] = transparentIndex;
+            hasTransparent = true;
+            continue;
+        }
+        const key = (data[s] << 16) | (data[s + 1] << 8) | data[s + 2];
+        let index = cache.get(key);
+        if (index === undefined) {
+            index = nearestIndex(labs, rgbToOklab(data[s], data[s + 1], data[s + 2]));
+            cache.set(key, index);
+        }
+        indices[i] = index;
+        out[s] = palette[index][0];
+        out[s + 1] = palette[index][1];
+        out[s + 2] = palette[index][2];
+        out[s + 3] = 255;
+    }
+
+    if (hasTransparent && transparentIndex > 255) {
+        throw new RangeError('no room for a transparent entry in a palette of 256 colours');
+    }
+
+    return {
+        width,
+        height,
+        data: out,
+        indices,
+        palette: hasTransparent ? [...palette, [0, 0, 0]] : palette.slice(),
+        transparentIndex: hasTransparent ? transparentIndex : -1
+    };
+}
+
+// Palette files
+
+function parseGPL(text) {
+    const colors = [];
+    for (const line of text.split(/\r?\n/).slice(1)) {
+        const m = line.match(/^\s*(\d+)\s+(\d+)\s+(\d+)/);
+        if (m) colors.push([+m[1], +m[2], +m[3]]);
+    }
+    return colors;
+}
+
+// JASC-PAL: header, version, count, then one "r g b" line per colour
+function parseJascPAL(text) {
+    const lines = text.split(/\r?\n/).map(l => l.trim()).filter(Boolean);
+    const count = parseInt(lines[2]);
+    return lines.slice(3, 3 + count).map(l => l.split(/\s+/).slice(0, 3).map(Number));
+}
+
+// RIFF PAL (Microsoft): a "data" chunk with version, count and r, g, b, flags entries
+function parseRiffPAL(bytes) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    for (let pos = 12; pos + 8 <= bytes.length;) {
+        const id = String.fromCharCode(...bytes.subarray(pos, pos + 4));
+        const size = view.getUint32(pos + 4, true);
+        if (id === 'data') {
+            const count = view.getUint16(pos + 10, true);
+            const colors = [];
+            for (let i = 0; i < count; i++) {
+                const o = pos + 12 + i * 4;
+                colors.push([bytes[o], bytes[o + 1], bytes[o + 2]]);
+            }
+            return colors;
+        }
+        pos += 8 + size + (size & 1);
+    }
+    return [];
+}
+
+function parseHex(text) {
+    const colors = [];
+    for (const line of text.split(/\r?\n/)) {
+        const m = line.trim().match(/^#?([0-9a-f]{6})$/i);
+        if (m) {
+            const v = parseInt(m[1], 16);
+            colors.push([v >> 16, (v >> 8) & 255, v & 255]);
+        }
+    }
+    return colors;
+}
+
+// CIE Lab (D50, as Adobe uses) to sRGB, via XYZ and a Bradford adaptation to D65
+function labToRgb(L, a, b) {
+    const fy = (L + 16) / 116;
+    const f = (t) => t > 6 / 29 ? t ** 3 : 3 * (6 / 29) ** 2 * (t - 4 / 29);
+    const X = 0.96422 * f(fy + a / 500);
+    const Y = f(fy);
+    const Z = 0.82521 * f(fy - b / 200);
+    const x = 0.9555766 * X - 0.0230393 * Y + 0.0631636 * Z;
+    const y = -0.0282895 * X + 1.0099416 * Y + 0.0210077 * Z;
+    const z = 0.0122982 * X - 0.0204830 * Y + 1.3299098 * Z;
+    return [
+        linearToSrgb(3.2404542 * x - 1.5371385 * y - 0.4985314 * z),
+        linearToSrgb(-0.9692660 * x + 1.8760108 * y + 0.0415560 * z),
+        linearToSrgb(0.0556434 * x - 0.2040259 * y + 1.0572252 * z)
+    ];
+}
+
+// Adobe Swatch Exchange: big-endian blocks, colour entries are a UTF-16 name, a colour model and floats
+function parseASE(bytes) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const blocks = view.getUint32(8);
+    const colors = [];
+    let pos = 12;
+    for (let i = 0; i < blocks && pos + 6 <= bytes.length; i++) {
+        const type = view.getUint16(pos);
+        const length = view.getUint32(pos + 2);
+        const body = pos + 6;
+        pos = body + length;
+        if (type !== 0x0001) continue; // group start / end
+
+        const nameLength = view.getUint16(body);
+        const m = body + 2 + nameLength * 2;
+        const model = String.fromCharCode(...bytes.subarray(m, m + 4));
+        const v = (k) => view.getFloat32(m + 4 + k * 4);
+        const to255 = (c) => Math.round(Math.min(1, Math.max(0, c)) * 255);
+        if (model === 'RGB ') {
+            colors.push([to255(v(0)), to255(v(1)), to255(v(2))]);
+        } else if (model === 'Gray') {
+            colors.push([to255(v(0)), to255(v(0)), to255(v(0))]);
+        } else if (model === 'CMYK') {
+            const k = 1 - v(3);
+            colors.push([to255((1 - v(0)) * k), to255((1 - v(1)) * k), to255((1 - v(2)) * k)]);
+        } else if (model === 'LAB ') {
+            colors.push(labToRgb(v(0) * 100, v(1), v(2)));
+        }
+    }
+    return colors;
+}
+
+/**
+ * Read a palette file: GIMP .gpl, .hex (one RRGGBB per line), JASC or RIFF .pal, or Adobe .ase.
+ * The format is sniffed from the contents; the file name is only used for the error message.
+ * @param {Uint8Array | ArrayBuffer} bytes
+ * @param {string} [name]
+ * @returns {number[][]} [r, g, b] entries
+ */
+export function parsePalette(bytes, name = 'palette') {
+    if (bytes instanceof ArrayBuffer) bytes = new Uint8Array(bytes);
+    const magic = String.fromCharCode(...bytes.subarray(0, 4));
+
+    let colors;
+    if (magic === 'ASEF') {
+        colors = parseASE(bytes);
+    } else if (magic === 'RIFF') {
+        colors = parseRiffPAL(bytes);
+    } else {
+        const text = new TextDecoder().decode(bytes).replace(/^\uFEFF/, '');
+        if (text.startsWith('GIMP Palette')) colors = parseGPL(text);
+        else if (text.startsWith('JASC-PAL')) colors = parseJascPAL(text);
+        else colors = parseHex(text);
+    }
+
+    colors = colors.filter(c => c.length === 3 && c.every(v => Number.isInteger(v) && v >= 0 && v <= 255));
+    if (colors.length === 0) throw new Error(`${name}: no colours found (expected a GPL, HEX, PAL or ASE palette)`);
+    // Indexed PNG and GIF take 8-bit indices
+    if (colors.length > 256) throw new Error(`${name}: ${colors.length} colours, a palette can have at most 256`);
+    return colors;
+}
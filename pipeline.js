@@ -0,0 +1,312 @@
+/**
+ * CPU versions of the WebGL passes in main.js (fsColDiffSource, fsRowDiffSource, fsDownsampleSource).
+ * Pixels are RGBA bytes, row-major, top row first (as decoded from PNG/JPEG or read from ImageData).
+ */
+
+import { srgbToLinear } from './palette.js';
+
+export const DEFAULT_ALPHA_WEIGHT = 1;
+
+// How two texels' colours are compared (uMetric in the shaders is the index): sum of the channel differences, luma
+// only, largest channel difference, squared error, distance in linear light or in OKLab, and 'edges', which counts
+// the differences above EDGE_THRESHOLD (as 'sum' has them) and ignores everything below
+export const DIFF_METRICS = ['sum', 'luminance', 'max', 'squared', 'linear', 'oklab', 'edges'];
+export const DEFAULT_DIFF_METRIC = 'sum';
+export const EDGE_THRESHOLD = 24; // 'edges': channel differences plus weighted alpha (0-255 units) that make an edge
+
+const LINEAR = Float64Array.from({ length: 256 }, (_, v) => srgbToLinear(v));
+
+export function normalizeMetric(metric = DEFAULT_DIFF_METRIC) {
+    if (!DIFF_METRICS.includes(metric)) {
+        throw new RangeError(`Unknown difference metric "${metric}", expected one of ${DIFF_METRICS.join(', ')}`);
+    }
+    return metric;
+}
+
+// OKLab of the texel at i (see rgbToOklab in palette.js) times its alpha (0-255), into out
+function premultipliedOklab(pixels, i, out) {
+    const r = LINEAR[pixels[i]], g = LINEAR[pixels[i + 1]], b = LINEAR[pixels[i + 2]], a = pixels[i + 3];
+    const l = Math.cbrt(0.4122214708 * r + 0.5363325363 * g + 0.0514459929 * b);
+    const m = Math.cbrt(0.2119034982 * r + 0.6806995451 * g + 0.1073969566 * b);
+    const s = Math.cbrt(0.0883024619 * r + 0.2817188376 * g + 0.6299787005 * b);
+    out[0] = (0.2104542553 * l + 0.7936177850 * m - 0.0040720468 * s) * a;
+    out[1] = (1.9779984951 * l - 2.4285922050 * m + 0.4505937099 * s) * a;
+    out[2] = (0.0259040371 * l + 0.7827717662 * m - 0.8086757660 * s) * a;
+}
+
+const labC = new Float64Array(3), labL = new Float64Array(3);
+
+// Difference of two texels: premultiplied colour (the RGB of transparent texels is meaningless) compared with
+// `metric`, plus the alpha difference times alphaWeight, in 0-255 units per channel. Opaque texels give the plain
+// RGB difference with the default metric
+export function texelDiff(pixels, c, l, alphaWeight, metric = DEFAULT_DIFF_METRIC) {
+    const ca = pixels[c + 3], la = pixels[l + 3];
+    const alpha = alphaWeight * Math.abs(ca - la);
+    if (metric === 'linear') {
+        return Math.hypot(LINEAR[pixels[c]] * ca - LINEAR[pixels[l]] * la,
+            LINEAR[pixels[c + 1]] * ca - LINEAR[pixels[l + 1]] * la,
+            LINEAR[pixels[c + 2]] * ca - LINEAR[pixels[l + 2]] * la) + alpha;
+    }
+    if (metric === 'oklab') {
+        premultipliedOklab(pixels, c, labC);
+        premultipliedOklab(pixels, l, labL);
+        return Math.hypot(labC[0] - labL[0], labC[1] - labL[1], labC[2] - labL[2]) + alpha;
+    }
+
+    const dr = (pixels[c] * ca - pixels[l] * la) / 255;
+    const dg = (pixels[c + 1] * ca - pixels[l + 1] * la) / 255;
+    const db = (pixels[c + 2] * ca - pixels[l + 2] * la) / 255;
+    switch (metric) {
+        case 'luminance': return Math.abs(0.299 * dr + 0.587 * dg + 0.114 * db) + alpha;
+        case 'max': return Math.max(Math.abs(dr), Math.abs(dg), Math.abs(db)) + alpha;
+        case 'squared': return (dr * dr + dg * dg + db * db + alphaWeight * (ca - la) * (ca - la)) / 255;
+        case 'edges': return Math.abs(dr) + Math.abs(dg) + Math.abs(db) + alpha > EDGE_THRESHOLD ? 255 : 0;
+        default: return Math.abs(dr) + Math.abs(dg) + Math.abs(db) + alpha;
+    }
+}
+
+/**
+ * Sum of the differences of every column to the previous one.
+ * @param {number} [alphaWeight] how much alpha edges count next to colour edges, 0 to ignore alpha
+ * @param {string} [metric] one of DIFF_METRICS
+ */
+export function computeColDiffs(pixels, width, height, alphaWeight = DEFAULT_ALPHA_WEIGHT, metric = DEFAULT_DIFF_METRIC) {
+    metric = normalizeMetric(metric);
+    const colData = new Float32Array(width);
+
+    for (let x = 0; x < width; x++) {
+        const prevX = x > 0 ? x - 1 : 0;
+        let sum = 0;
+        for (let y = 0; y < height; y++) {
+            sum += texelDiff(pixels, (y * width + x) * 4, (y * width + prevX) * 4, alphaWeight, metric);
+        }
+        // Shaders work on normalized [0, 1] channels
+        colData[x] = sum / 255;
+    }
+    return colData;
+}
+
+// Same for rows
+export function computeRowDiffs(pixels, width, height, alphaWeight = DEFAULT_ALPHA_WEIGHT, metric = DEFAULT_DIFF_METRIC) {
+    metric = normalizeMetric(metric);
+    const rowData = new Float32Array(height);
+
+    for (let y = 0; y < height; y++) {
+        const prevY = y > 0 ? y - 1 : 0;
+        let sum = 0;
+        for (let x = 0; x < width; x++) {
+            sum += texelDiff(pixels, (y * width + x) * 4, (prevY * width + x) * 4, alphaWeight, metric);
+        }
+        rowData[y] = sum / 255;
+    }
+    return rowData;
+}
+
+// Range of grid cell indices covering [0, size), same as updateUI / the download handler
+export function getGridRange(res, size) {
+    const minGrid = Math.floor((0 - res.offset) / res.scale);
+    const maxGrid = Math.floor((size - 1 - res.offset) / res.scale);
+    return { minGrid, maxGrid, count: maxGrid - minGrid + 1 };
+}
+
+/**
+ * Cell boundaries along one axis: res.boundaries when the analysis found them (see findCellBoundaries),
+ * otherwise the uniform grid offset + k * scale clipped to [0, size].
+ */
+export function getCellBoundaries(res, size) {
+    if (res.boundaries) return res.boundaries;
+
+    const { minGrid, count } = getGridRange(res, size);
+    const boundaries = [0];
+    for (let k = minGrid + 1; k < minGrid + count; k++) boundaries.push(res.offset + k * res.scale);
+    boundaries.push(size);
+    return boundaries;
+}
+
+export const SAMPLING_METHODS = ['center', 'mean', 'median', 'mode', 'trimmed-mean'];
+export const DEFAULT_SAMPLE_RADIUS = 0.3;
+export const DEFAULT_TRIM = 0.2;
+
+const MAX_SAMPLES = 16; // per axis for median, mode and trimmed mean, which are O(n^2) in the samples
+const MODE_TOLERANCE = 6; // colours this close (per channel, 0-255) count as the same colour for 'mode'
+
+/**
+ * Sampling settings with defaults filled in. Accepts the old `sampleCenterOnly` boolean as well:
+ * true is 'center', false/undefined the default 'mean'.
+ * alphaThreshold (1-255) makes cells with at least that alpha opaque and the rest fully transparent, 0 keeps alpha.
+ * @param {boolean | {method?: string, radius?: number, trim?: number, alphaThreshold?: number}} [sampling]
+ */
+export function normalizeSampling(sampling) {
+    const s = sampling === true ? { method: 'center' } : (sampling || {});
+    const method = s.method || 'mean';
+    if (!SAMPLING_METHODS.includes(method)) {
+        throw new RangeError(`Unknown sampling method "${method}", expected one of ${SAMPLING_METHODS.join(', ')}`);
+    }
+    return {
+        method,
+        radius: Math.min(0.5, Math.max(0, s.radius ?? DEFAULT_SAMPLE_RADIUS)),
+        trim: Math.min(0.45, Math.max(0, s.trim ?? DEFAULT_TRIM)),
+        alphaThreshold: Math.min(255, Math.max(0, s.alphaThreshold || 0))
+    };
+}
+
+function texel(pixels, width, x, y) {
+    const s = (y * width + x) * 4;
+    return [pixels[s], pixels[s + 1], pixels[s + 2], pixels[s + 3]];
+}
+
+function premultiply(c) {
+    return [c[0] * c[3] / 255, c[1] * c[3] / 255, c[2] * c[3] / 255, c[3]];
+}
+
+// Averages are taken of premultiplied colours so transparent texels don't pull in their RGB;
+// a cell that is transparent throughout comes out transparent black
+function unpremultiply(c) {
+    const a = c[3];
+    if (a >= 255) return c;
+    if (a <= 0) return [0, 0, 0, 0];
+    return [c[0] * 255 / a, c[1] * 255 / a, c[2] * 255 / a, a];
+}
+
+// Sample that is closest (L1) to all others: a median that is always one of the source colours
+function medoid(samples) {
+    let best = samples[0], bestCost = Infinity;
+    for (const a of samples) {
+        let cost = 0;
+        for (const b of samples) {
+            cost += Math.abs(a[0] - b[0]) + Math.abs(a[1] - b[1]) + Math.abs(a[2] - b[2]) + Math.abs(a[3] - b[3]);
+        }
+        if (cost < bestCost) {
+            bestCost = cost;
+            best = a;
+        }
+    }
+    return best;
+}
+
+// Sample with the most other samples within MODE_TOLERANCE (so JPEG noise doesn't split a colour),
+// ties go to the one with the most exact matches. At most 256 samples, so near * 512 + exact ranks both
+function mode(samples) {
+    let best = samples[0], bestScore = -1;
+    for (const a of samples) {
+        let near = 0, exact = 0;
+        for (const b of samples) {
+            const d = Math.max(Math.abs(a[0] - b[0]), Math.abs(a[1] - b[1]), Math.abs(a[2] - b[2]), Math.abs(a[3] - b[3]));
+            if (d <= MODE_TOLERANCE) near++;
+            if (d === 0) exact++;
+        }
+        const score = near * 512 + exact;
+        if (score > bestScore) {
+            bestScore = score;
+            best = a;
+        }
+    }
+    return best;
+}
+
+// Per channel mean of the samples ranked in [trim * n, n - trim * n) (ties ranked by sample order)
+function trimmedMean(samples, trim) {
+    const n = samples.length;
+    const lo = Math.floor(n * trim);
+    const hi = n - lo;
+    const sum = [0, 0, 0, 0];
+    const count = [0, 0, 0, 0];
+    for (let i = 0; i < n; i++) {
+        for (let ch = 0; ch < 4; ch++) {
+            const v = samples[i][ch];
+            let rank = 0;
+            for (let j = 0; j < n; j++) {
+                const w = samples[j][ch];
+                if (w < v || (w === v && j < i)) rank++;
+            }
+            if (rank >= lo && rank < hi) {
+                sum[ch] += v;
+                count[ch]++;
+            }
+        }
+    }
+    return sum.map((v, ch) => v / Math.max(1, count[ch]));
+}
+
+/**
+ * Colour of one grid cell spanning [x0, x1) x [y0, y1), as fsDownsampleSource computes it.
+ * Samples are the texels within `radius` * cell size of the center (median, mode and trimmed mean
+ * take at most 16 x 16 of them, evenly spaced); 'center' is the center texel. Mean and trimmed mean
+ * are weighted by alpha.
+ * @param {boolean | {method?: string, radius?: number, trim?: number, alphaThreshold?: number}} [sampling]
+ *   see normalizeSampling
+ * @returns {number[]} [r, g, b, a], same range as `pixels`
+ */
+export function sampleCell(pixels, width, height, x0, x1, y0, y1, sampling) {
+    sampling = normalizeSampling(sampling);
+    const c = sampleColor(pixels, width, height, x0, x1, y0, y1, sampling);
+    if (sampling.alphaThreshold > 0) return [c[0], c[1], c[2], c[3] >= sampling.alphaThreshold ? 255 : 0];
+    return c;
+}
+
+function sampleColor(pixels, width, height, x0, x1, y0, y1, { method, radius, trim }) {
+    const centerX = (x0 + x1) * 0.5;
+    const centerY = (y0 + y1) * 0.5;
+    const cx = Math.min(Math.max(Math.trunc(centerX), 0), width - 1);
+    const cy = Math.min(Math.max(Math.trunc(centerY), 0), height - 1);
+    if (method === 'center') return texel(pixels, width, cx, cy);
+
+    const rx = (x1 - x0) * radius;
+    const ry = (y1 - y0) * radius;
+    const minX = Math.max(0, Math.ceil(centerX - rx));
+    // Exclusive at the far edge: at radius 0.5 that's where the next cell starts
+    const maxX = Math.min(width - 1, Math.ceil(centerX + rx) - 1);
+    const minY = Math.max(0, Math.ceil(centerY - ry));
+    const maxY = Math.min(height - 1, Math.ceil(centerY + ry) - 1);
+    if (maxX < minX || maxY < minY) return texel(pixels, width, cx, cy);
+
+    if (method === 'mean') {
+        let r = 0, g = 0, b = 0, a = 0;
+        for (let sy = minY; sy <= maxY; sy++) {
+            for (let sx = minX; sx <= maxX; sx++) {
+                const s = (sy * width + sx) * 4;
+                const w = pixels[s + 3] / 255;
+                r += pixels[s] * w;
+                g += pixels[s + 1] * w;
+                b += pixels[s + 2] * w;
+                a += pixels[s + 3];
+            }
+        }
+        const count = (maxX - minX + 1) * (maxY - minY + 1);
+        return unpremultiply([r / count, g / count, b / count, a / count]);
+    }
+
+    const stepX = Math.floor((maxX - minX) / MAX_SAMPLES) + 1;
+    const stepY = Math.floor((maxY - minY) / MAX_SAMPLES) + 1;
+    const samples = [];
+    for (let sy = minY; sy <= maxY; sy += stepY) {
+        for (let sx = minX; sx <= maxX; sx += stepX) samples.push(texel(pixels, width, sx, sy));
+    }
+
+    if (method === 'median') return medoid(samples);
+    if (method === 'mode') return mode(samples);
+    return unpremultiply(trimmedMean(samples.map(premultiply), trim));
+}
+
+/**
+ * Reconstruct the low-res image, one output pixel per grid cell (see sampleCell).
+ * @param {boolean | {method?: string, radius?: number, trim?: number}} [sampling]
+ */
+export function downsample(pixels, width, height, resX, resY, sampling) {
+    sampling = normalizeSampling(sampling);
+    const boundsX = getCellBoundaries(resX, width);
+    const boundsY = getCellBoundaries(resY, height);
+    const outW = boundsX.length - 1;
+    const outH = boundsY.length - 1;
+    const out = new Uint8ClampedArray(outW * outH * 4);
+
+    for (let j = 0; j < outH; j++) {
+        for (let i = 0; i < outW; i++) {
+            const c = sampleCell(pixels, width, height, boundsX[i], boundsX[i + 1], boundsY[j], boundsY[j + 1], sampling);
+            // Uint8ClampedArray rounds on assignment
+            out.set(c, (j * outW + i) * 4);
+        }
+    }
+
+    return { width: outW, height: outH, data: out };
+}
@@ -0,0 +1,333 @@
+/**
+ * Minimal PNG writer for what pngjs and canvas.toDataURL can't produce: indexed (palette) images, RGBA
+ * without the canvas' premultiplied alpha round trip, animated PNGs, and text chunks (tEXt, iTXt for non-Latin-1
+ * text); plus splitting APNGs into frames that any PNG decoder reads, and reading the text back.
+ * Works in the browser and in Node; pass a zlib compressor (e.g. zlib.deflateSync) to get compressed
+ * output, otherwise the image data is stored uncompressed. Where the only compressor is asynchronous
+ * (CompressionStream in browsers), encodeDeflated runs the encoder with it.
+ */
+
+const PNG_SIGNATURE = [137, 80, 78, 71, 13, 10, 26, 10];
+
+const CRC_TABLE = new Uint32Array(256);
+for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    CRC_TABLE[n] = c >>> 0;
+}
+
+export function crc32(bytes) {
+    let c = 0xffffffff;
+    for (let i = 0; i < bytes.length; i++) c = CRC_TABLE[(c ^ bytes[i]) & 255] ^ (c >>> 8);
+    return (c ^ 0xffffffff) >>> 0;
+}
+
+function adler32(bytes) {
+    let a = 1, b = 0;
+    for (let i = 0; i < bytes.length; i++) {
+        a = (a + bytes[i]) % 65521;
+        b = (b + a) % 65521;
+    }
+    return ((b << 16) | a) >>> 0;
+}
+
+// zlib stream with uncompressed ("stored") deflate blocks
+export function zlibStore(data) {
+    const BLOCK = 65535;
+    const blocks = Math.max(1, Math.ceil(data.length / BLOCK));
+    const out = new Uint8Array(2 + blocks * 5 + data.length + 4);
+    const view = new DataView(out.buffer);
+    out[0] = 0x78;
+    out[1] = 0x01;
+    let pos = 2;
+    for (let i = 0; i < blocks; i++) {
+        const chunk = data.subarray(i * BLOCK, (i + 1) * BLOCK);
+        out[pos] = i === blocks - 1 ? 1 : 0;
+        view.setUint16(pos + 1, chunk.length, true);
+        view.setUint16(pos + 3, ~chunk.length & 0xffff, true);
+        out.set(chunk, pos + 5);
+        pos += 5 + chunk.length;
+    }
+    view.setUint32(pos, adler32(data));
+    return out;
+}
+
+// zlib compression with CompressionStream (browsers, workers, Node 18+)
+export async function deflateAsync(data) {
+    const stream = new Blob([data]).stream().pipeThrough(new CompressionStream('deflate'));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+/**
+ * Run a synchronous encoder (encodePNG, exportImage, ...) with an asynchronous compressor: a first run collects
+ * what it deflates, a second one gets the compressed bytes back in the same order.
+ * @template T
+ * @param {(deflate: (data: Uint8Array) => Uint8Array) => T} encode
+ * @param {(data: Uint8Array) => Promise<Uint8Array>} [compress] defaults to deflateAsync
+ * @returns {Promise<T>}
+ */
+export async function encodeDeflated(encode, compress = deflateAsync) {
+    const inputs = [];
+    const first = encode(data => {
+        inputs.push(data);
+        return new Uint8Array(0);
+    });
+    if (inputs.length === 0) return first; // nothing compressed (SVG, JSON...), that was it
+    const outputs = await Promise.all(inputs.map(compress));
+    let next = 0;
+    return encode(() => outputs[next++]);
+}
+
+function chunk(type, data) {
+    const out = new Uint8Array(12 + data.length);
+    const view = new DataView(out.buffer);
+    view.setUint32(0, data.length);
+    for (let i = 0; i < 4; i++) out[4 + i] = type.charCodeAt(i);
+    out.set(data, 8);
+    view.setUint32(8 + data.length, crc32(out.subarray(4, 8 + data.length)));
+    return out;
+}
+
+function concat(parts) {
+    const out = new Uint8Array(parts.reduce((sum, p) => sum + p.length, 0));
+    let pos = 0;
+    for (const p of parts) {
+        out.set(p, pos);
+        pos += p.length;
+    }
+    return out;
+}
+
+function header(width, height, colorType) {
+    const ihdr = new Uint8Array(13);
+    const view = new DataView(ihdr.buffer);
+    view.setUint32(0, width);
+    view.setUint32(4, height);
+    ihdr[8] = 8; // bit depth
+    ihdr[9] = colorType;
+    return chunk('IHDR', ihdr);
+}
+
+// tEXt chunks for keyword -> text, iTXt (UTF-8, uncompressed) where the text isn't Latin-1
+function textChunks(text) {
+    const encoder = new TextEncoder();
+    return Object.entries(text || {}).map(([keyword, value]) => {
+        if (!/^[\x20-\x7e]{1,79}$/.test(keyword)) throw new RangeError(`invalid PNG text keyword: ${keyword}`);
+        const key = Uint8Array.from(keyword, c => c.charCodeAt(0));
+        if (/^[\x00-\xff]*$/.test(value)) {
+            return chunk('tEXt', concat([key, new Uint8Array(1), Uint8Array.from(value, c => c.charCodeAt(0))]));
+        }
+        // keyword, 0, compression flag and method 0, empty language tag and translated keyword
+        return chunk('iTXt', concat([key, new Uint8Array(5), encoder.encode(value)]));
+    });
+}
+
+// One filter byte (0 = none) in front of every row
+function filterRows(pixels, rowBytes, height) {
+    const raw = new Uint8Array((rowBytes + 1) * height);
+    for (let y = 0; y < height; y++) raw.set(pixels.subarray(y * rowBytes, (y + 1) * rowBytes), y * (rowBytes + 1) + 1);
+    return raw;
+}
+
+/**
+ * Encode an 8-bit RGBA PNG, e.g. the result of downsample().
+ * @param {{width: number, height: number, data: ArrayLike<number>}} image
+ * @param {(data: Uint8Array) => Uint8Array} [deflate] zlib compressor, defaults to zlibStore
+ * @param {Record<string, string>} [text] text chunks, keyword -> text (see readPNGText)
+ * @returns {Uint8Array} PNG file contents
+ */
+export function encodePNG(image, deflate = zlibStore, text = null) {
+    const { width, height } = image;
+    const data = ArrayBuffer.isView(image.data)
+        ? new Uint8Array(image.data.buffer, image.data.byteOffset, width * height * 4)
+        : Uint8Array.from(image.data);
+    return concat([
+        new Uint8Array(PNG_SIGNATURE),
+        header(width, height, 6), // colour type: RGBA
+        ...textChunks(text),
+        chunk('IDAT', new Uint8Array(deflate(filterRows(data, width * 4, height)))),
+        chunk('IEND', new Uint8Array(0))
+    ]);
+}
+
+/**
+ * Encode an 8-bit indexed PNG, e.g. the result of quantize().
+ * @param {{width: number, height: number, indices: Uint8Array, palette: number[][], transparentIndex?: number}} image
+ * @param {(data: Uint8Array) => Uint8Array} [deflate] zlib compressor, defaults to zlibStore
+ * @param {Record<string, string>} [text] text chunks, keyword -> text
+ * @returns {Uint8Array} PNG file contents
+ */
+export function encodeIndexedPNG(image, deflate = zlibStore, text = null) {
+    const { width, height, indices, palette } = image;
+    const transparentIndex = image.transparentIndex ?? -1;
+    if (palette.length === 0 || palette.length > 256) throw new RangeError('indexed PNGs hold 1 to 256 colours');
+
+    const plte = new Uint8Array(palette.length * 3);
+    palette.forEach((c, i) => plte.set(c.slice(0, 3), i * 3));
+
+    const parts = [new Uint8Array(PNG_SIGNATURE), header(width, height, 3), chunk('PLTE', plte)]; // colour type: indexed
+    if (transparentIndex >= 0) {
+        // tRNS lists alpha for the entries up to the last non-opaque one
+        const trns = new Uint8Array(transparentIndex + 1).fill(255);
+        trns[transparentIndex] = 0;
+        parts.push(chunk('tRNS', trns));
+    }
+    parts.push(...textChunks(text));
+    parts.push(chunk('IDAT', new Uint8Array(deflate(filterRows(indices, width, height)))), chunk('IEND', new Uint8Array(0)));
+    return concat(parts);
+}
+
+/**
+ * Encode an animated PNG (APNG) of 8-bit RGBA frames, e.g. the result of reconstructAnimation. Every frame replaces
+ * the whole image; viewers without APNG support show the first one.
+ * @param {{width: number, height: number, loop?: number, frames: Array<{data: ArrayLike<number>, delay: number}>}} animation
+ *   delays in milliseconds, loop the number of plays (0 or missing: forever)
+ * @param {(data: Uint8Array) => Uint8Array} [deflate] zlib compressor, defaults to zlibStore
+ * @param {Record<string, string>} [text] text chunks, keyword -> text
+ * @returns {Uint8Array} PNG file contents
+ */
+export function encodeAPNG(animation, deflate = zlibStore, text = null) {
+    const { width, height, frames } = animation;
+    if (frames.length === 0) throw new RangeError('an animation needs at least one frame');
+
+    const actl = new Uint8Array(8);
+    new DataView(actl.buffer).setUint32(0, frames.length);
+    new DataView(actl.buffer).setUint32(4, animation.loop ?? 0);
+    const parts = [new Uint8Array(PNG_SIGNATURE), header(width, height, 6), chunk('acTL', actl), ...textChunks(text)];
+
+    let sequence = 0;
+    frames.forEach((frame, i) => {
+        const fctl = new Uint8Array(26);
+        const view = new DataView(fctl.buffer);
+        view.setUint32(0, sequence++);
+        view.setUint32(4, width);
+        view.setUint32(8, height);
+        // x, y offset 0; dispose and blend 0: none and source, each frame is complete
+        view.setUint16(20, Math.min(65535, Math.round(frame.delay)));
+        view.setUint16(22, 1000); // delay in ms
+        parts.push(chunk('fcTL', fctl));
+
+        const data = ArrayBuffer.isView(frame.data)
+            ? new Uint8Array(frame.data.buffer, frame.data.byteOffset, width * height * 4)
+            : Uint8Array.from(frame.data);
+        const compressed = new Uint8Array(deflate(filterRows(data, width * 4, height)));
+        if (i === 0) {
+            parts.push(chunk('IDAT', compressed));
+        } else {
+            const fdat = new Uint8Array(4 + compressed.length);
+            new DataView(fdat.buffer).setUint32(0, sequence++);
+            fdat.set(compressed, 4);
+            parts.push(chunk('fdAT', fdat));
+        }
+    });
+    parts.push(chunk('IEND', new Uint8Array(0)));
+    return concat(parts);
+}
+
+const APNG_DISPOSE = ['none', 'background', 'previous'];
+const APNG_BLEND = ['source', 'over'];
+
+/**
+ * The frames of an animated PNG, each as a PNG file of its own (to decode with pngjs, createImageBitmap...) with
+ * where and how it goes onto the image; see composeFrames. null when the PNG isn't animated.
+ * @param {Uint8Array} bytes PNG file contents
+ * @returns {{width: number, height: number, loop: number, frames: Array<{png: Uint8Array, x: number, y: number,
+ *   width: number, height: number, delay: number, dispose: string, blend: string}>} | null}
+ *   delays in milliseconds, loop the number of plays (0: forever)
+ */
+export function splitAPNG(bytes) {
+    bytes = bytes instanceof Uint8Array ? bytes : new Uint8Array(bytes);
+    if (PNG_SIGNATURE.some((b, i) => bytes[i] !== b)) throw new TypeError('not a PNG file');
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+
+    let ihdr = null;
+    let loop = null;
+    const shared = []; // PLTE and tRNS, which every frame needs
+    const frames = [];
+    let frame = null;
+    for (let pos = 8; pos + 12 <= bytes.length;) {
+        const length = view.getUint32(pos);
+        const type = String.fromCharCode(...bytes.subarray(pos + 4, pos + 8));
+        const data = bytes.subarray(pos + 8, pos + 8 + length);
+        const at = pos + 8;
+        pos += 12 + length;
+
+        if (type === 'IHDR') {
+            ihdr = data;
+        } else if (type === 'acTL') {
+            loop = view.getUint32(at + 4);
+        } else if (type === 'PLTE' || type === 'tRNS') {
+            shared.push(chunk(type, data));
+        } else if (type === 'fcTL') {
+            const num = view.getUint16(at + 20), den = view.getUint16(at + 22);
+            frame = {
+                width: view.getUint32(at + 4),
+                height: view.getUint32(at + 8),
+                x: view.getUint32(at + 12),
+                y: view.getUint32(at + 16),
+                delay: num * 1000 / (den || 100),
+                dispose: APNG_DISPOSE[bytes[at + 24]] || 'none',
+                blend: APNG_BLEND[bytes[at + 25]] || 'source',
+                data: []
+            };
+            frames.push(frame);
+        } else if (type === 'IDAT') {
+            if (frame) frame.data.push(data); // without an fcTL in front, the default image isn't part of the animation
+        } else if (type === 'fdAT') {
+            if (frame) frame.data.push(data.subarray(4));
+        } else if (type === 'IEND') {
+            break;
+        }
+    }
+    if (!ihdr || loop === null || frames.length === 0) return null;
+
+    const width = view.getUint32(16), height = view.getUint32(20);
+    return {
+        width,
+        height,
+        loop,
+        frames: frames.map(({ data, ...frame }) => {
+            const size = ihdr.slice();
+            new DataView(size.buffer).setUint32(0, frame.width);
+            new DataView(size.buffer).setUint32(4, frame.height);
+            const png = concat([
+                new Uint8Array(PNG_SIGNATURE), chunk('IHDR', size), ...shared, chunk('IDAT', concat(data)), chunk('IEND', new Uint8Array(0))
+            ]);
+            return { png, ...frame };
+        })
+    };
+}
+
+/**
+ * The text chunks of a PNG (tEXt, and uncompressed iTXt), e.g. the grid an export came from.
+ * @param {Uint8Array} bytes PNG file contents
+ * @returns {Record<string, string>} keyword -> text
+ */
+export function readPNGText(bytes) {
+    bytes = bytes instanceof Uint8Array ? bytes : new Uint8Array(bytes);
+    if (PNG_SIGNATURE.some((b, i) => bytes[i] !== b)) throw new TypeError('not a PNG file');
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const decoder = new TextDecoder();
+    const text = {};
+    for (let pos = 8; pos + 12 <= bytes.length;) {
+        const length = view.getUint32(pos);
+        const type = String.fromCharCode(...bytes.subarray(pos + 4, pos + 8));
+        const data = bytes.subarray(pos + 8, pos + 8 + length);
+        pos += 12 + length;
+
+        const end = data.indexOf(0);
+        if (end < 0) continue;
+        const keyword = String.fromCharCode(...data.subarray(0, end));
+        if (type === 'tEXt') {
+            text[keyword] = String.fromCharCode(...data.subarray(end + 1));
+        } else if (type === 'iTXt' && data[end + 1] === 0) {
+            // skip the compression method, language tag and translated keyword
+            const language = data.indexOf(0, end + 3);
+            const translated = data.indexOf(0, language + 1);
+            text[keyword] = decoder.decode(data.subarray(translated + 1));
+        } else if (type === 'IEND') {
+            break;
+        }
+    }
+    return text;
+}
@@ -0,0 +1,48 @@
+/**
+ * Regions for tile-wise analysis of composite images (e.g. a UI layer at scale 3 over a game view at scale 4).
+ * Rectangles are { x, y, width, height } in image pixels, top-left origin.
+ */
+
+export const DEFAULT_TILE_SIZE = 256;
+
+// Split one axis of `size` pixels into tiles of roughly `tileSize` (a short last tile is merged into the previous one)
+function splitAxis(size, tileSize) {
+    const count = Math.max(1, Math.round(size / tileSize));
+    const edges = [];
+    for (let i = 0; i <= count; i++) edges.push(Math.round(i * size / count));
+    return edges;
+}
+
+export function getTileRects(width, height, tileSize = DEFAULT_TILE_SIZE) {
+    const xs = splitAxis(width, tileSize);
+    const ys = splitAxis(height, tileSize);
+    const rects = [];
+    for (let j = 0; j < ys.length - 1; j++) {
+        for (let i = 0; i < xs.length - 1; i++) {
+            rects.push({ x: xs[i], y: ys[j], width: xs[i + 1] - xs[i], height: ys[j + 1] - ys[j] });
+        }
+    }
+    return rects;
+}
+
+// Clip a rectangle to the image; returns null when nothing is left
+export function clipRect(rect, width, height) {
+    const x0 = Math.max(0, Math.round(rect.x));
+    const y0 = Math.max(0, Math.round(rect.y));
+    const x1 = Math.min(width, Math.round(rect.x + rect.width));
+    const y1 = Math.min(height, Math.round(rect.y + rect.height));
+    if (x1 - x0 < 2 || y1 - y0 < 2) return null;
+    return { x: x0, y: y0, width: x1 - x0, height: y1 - y0 };
+}
+
+export function cropImage(image, rect) {
+    const { data, width } = image;
+    const out = new Uint8ClampedArray(rect.width * rect.height * 4);
+    for (let y = 0; y < rect.height; y++) {
+        const src = ((rect.y + y) * width + rect.x) * 4;
+        // Any ArrayLike: plain arrays have no subarray
+        const row = data.subarray ? data.subarray(src, src + rect.width * 4) : Array.prototype.slice.call(data, src, src + rect.width * 4);
+        out.set(row, y * rect.width * 4);
+    }
+    return { width: rect.width, height: rect.height, data: out };
+}
@@ -0,0 +1,375 @@
+/**
+ * Reconstruction of smooth upscales (bilinear, bicubic, Lanczos, anti-aliased edges), where sampling a cell returns
+ * colours blended with its neighbours: model how the upscaler spread every cell over the texels around it and solve
+ * for the cells that reproduce the image best (least squares). The kernels are separable, so the solve is one banded
+ * system per axis. With `nearest` the result is the mean of each cell.
+ * The smooth kernels need the grid to a fraction of a texel, closer than the detector finds the edges of a blurred
+ * image, so the scale and offset of each axis are refined first to the ones the kernel fits best.
+ * Pixels are RGBA bytes, row-major, in either row order as long as the boundaries match.
+ */
+
+import { getCellBoundaries } from './pipeline.js';
+
+export const RESAMPLING_KERNELS = ['nearest', 'area', 'bilinear', 'bicubic', 'lanczos'];
+
+const REGULARIZATION = 1e-6; // times the mean diagonal of the normal equations, only keeps singular systems (cells no texel sees) solvable
+const REFINE_LINES = 64; // rows (columns) an axis is refined on, evenly spread
+// Refinement steps: offsets in texels and scales relative to the detected ones, coarse then fine around the best
+const REFINE_STEPS = [
+    { offsets: [-1, -0.75, -0.5, -0.25, 0, 0.25, 0.5, 0.75, 1], scales: [-0.004, -0.002, 0, 0.002, 0.004] },
+    { offsets: [-0.125, -0.0625, 0, 0.0625, 0.125], scales: [-0.001, 0, 0.001] },
+    { offsets: [-0.03, -0.015, 0, 0.015, 0.03], scales: [-0.0003, 0, 0.0003] }
+];
+
+// Cubic convolution with a = -0.5 (Catmull-Rom), what browsers and most image editors call bicubic
+function cubic(t) {
+    t = Math.abs(t);
+    if (t < 1) return 1.5 * t * t * t - 2.5 * t * t + 1;
+    if (t < 2) return -0.5 * t * t * t + 2.5 * t * t - 4 * t + 2;
+    return 0;
+}
+
+function sinc(t) {
+    if (t === 0) return 1;
+    const x = Math.PI * t;
+    return Math.sin(x) / x;
+}
+
+// Weight of a cell whose centre is t cells away from the texel centre
+const KERNELS = {
+    bilinear: { support: 1, weight: (t) => Math.max(0, 1 - Math.abs(t)) },
+    bicubic: { support: 2, weight: cubic },
+    lanczos: { support: 3, weight: (t) => Math.abs(t) < 3 ? sinc(t) * sinc(t / 3) : 0 }
+};
+
+/**
+ * How one axis of the upscale was made: for every texel from boundaries[0] to the last boundary, the first cell it
+ * takes colour from and the weights of that cell and the ones after it (summing to 1). Cells past either end repeat
+ * the end cell, like upscalers clamp at the edges.
+ * nearest: the texel's cell by the boundaries. area: the share of the texel each cell covers (anti-aliased edges).
+ * The others: `kernel` at the distance to the cell centres of the uniform grid offset + k * scale, which may be
+ * refined from the one the boundaries came from (the cells stay the same)
+ */
+function axisWeights(res, size, kernel) {
+    const boundaries = getCellBoundaries(res, size);
+    const cells = boundaries.length - 1;
+    const from = boundaries[0];
+    const to = boundaries[cells];
+    const { scale, offset } = res;
+    // Grid index of cell 0, through the first whole cell so a refined offset doesn't move it
+    const firstGrid = cells > 2 ?
+        Math.round((boundaries[1] + boundaries[2]) / 2 / scale - offset / scale - 0.5) - 1 :
+        Math.floor((from - offset) / scale);
+    const clampCell = (m) => Math.min(cells - 1, Math.max(0, m - firstGrid));
+
+    const rows = [];
+    let band = 0;
+    let k = 0;
+    for (let x = from; x < to; x++) {
+        let first, weights;
+        if (kernel === 'nearest') {
+            while (k < cells - 1 && boundaries[k + 1] <= x) k++;
+            first = k;
+            weights = [1];
+        } else {
+            // Grid cells that reach the texel, clamped to the reconstruction (merging the repeated end cells)
+            let lo, hi, weight;
+            if (kernel === 'area') {
+                lo = Math.floor((x - offset) / scale);
+                hi = Math.floor((x + 1 - offset) / scale - 1e-9);
+                weight = (m) => Math.min(x + 1, offset + (m + 1) * scale) - Math.max(x, offset + m * scale);
+            } else {
+                const { support, weight: w } = KERNELS[kernel];
+                const u = (x + 0.5 - offset) / scale - 0.5; // texel centre in cells, cell m's centre at m
+                lo = Math.ceil(u - support);
+                hi = Math.floor(u + support);
+                weight = (m) => w(u - m);
+            }
+            first = clampCell(lo);
+            weights = new Array(clampCell(hi) - first + 1).fill(0);
+            let sum = 0;
+            for (let m = lo; m <= hi; m++) {
+                const v = weight(m);
+                weights[clampCell(m) - first] += v;
+                sum += v;
+            }
+            if (sum !== 0) for (let i = 0; i < weights.length; i++) weights[i] /= sum;
+        }
+        rows.push({ first, weights });
+        band = Math.max(band, weights.length - 1);
+    }
+    return { cells, from, rows, band };
+}
+
+// Cholesky factor of the banded normal matrix A^T A (+ regularization) of an axis, lower band stored row by row
+function factorNormal({ cells, rows, band }) {
+    const w = band + 1;
+    const L = new Float64Array(cells * w); // L[i * w + (i - j)] for j from i - band to i
+    for (const { first, weights } of rows) {
+        for (let a = 0; a < weights.length; a++) {
+            for (let b = 0; b <= a; b++) L[(first + a) * w + (a - b)] += weights[a] * weights[b];
+        }
+    }
+    let trace = 0;
+    for (let i = 0; i < cells; i++) trace += L[i * w];
+    const lambda = REGULARIZATION * Math.max(trace / cells, 1e-12);
+    for (let i = 0; i < cells; i++) L[i * w] += lambda;
+
+    for (let i = 0; i < cells; i++) {
+        for (let j = Math.max(0, i - band); j <= i; j++) {
+            let sum = L[i * w + (i - j)];
+            for (let k = Math.max(0, i - band); k < j; k++) sum -= L[i * w + (i - k)] * L[j * w + (j - k)];
+            L[i * w + (i - j)] = i === j ? Math.sqrt(Math.max(sum, 1e-12)) : sum / L[j * w];
+        }
+    }
+    return { L, w, band, cells };
+}
+
+// Solve (L L^T) X = B in place, B with `stride` right-hand sides per cell
+function solveNormal({ L, w, band, cells }, B, stride) {
+    for (let i = 0; i < cells; i++) {
+        for (let k = Math.max(0, i - band); k < i; k++) {
+            const l = L[i * w + (i - k)];
+            for (let c = 0; c < stride; c++) B[i * stride + c] -= l * B[k * stride + c];
+        }
+        const d = L[i * w];
+        for (let c = 0; c < stride; c++) B[i * stride + c] /= d;
+    }
+    for (let i = cells - 1; i >= 0; i--) {
+        for (let k = i + 1; k <= Math.min(cells - 1, i + band); k++) {
+            const l = L[k * w + (k - i)];
+            for (let c = 0; c < stride; c++) B[i * stride + c] -= l * B[k * stride + c];
+        }
+        const d = L[i * w];
+        for (let c = 0; c < stride; c++) B[i * stride + c] /= d;
+    }
+}
+
+// Premultiplied RGBA of the texels the grid spans, as floats
+function gridTexels(pixels, width, ax, ay) {
+    const w = ax.rows.length, h = ay.rows.length;
+    const out = new Float64Array(w * h * 4);
+    for (let y = 0; y < h; y++) {
+        for (let x = 0; x < w; x++) {
+            const s = ((ay.from + y) * width + ax.from + x) * 4;
+            const o = (y * w + x) * 4;
+            const a = pixels[s + 3];
+            out[o] = pixels[s] * a / 255;
+            out[o + 1] = pixels[s + 1] * a / 255;
+            out[o + 2] = pixels[s + 2] * a / 255;
+            out[o + 3] = a;
+        }
+    }
+    return out;
+}
+
+// Least squares cells for one kernel: C = A_y^+ I (A_x^+)^T, premultiplied, cells x (rows of) cells y
+function solveCells(texels, ax, ay) {
+    const w = ax.rows.length;
+    const nx = ax.cells, ny = ay.cells;
+
+    // A_y^T I: cells y x texels x, solved along y
+    const T = new Float64Array(ny * w * 4);
+    ay.rows.forEach(({ first, weights }, y) => {
+        for (let a = 0; a < weights.length; a++) {
+            const f = weights[a], o = (first + a) * w * 4, s = y * w * 4;
+            for (let c = 0; c < w * 4; c++) T[o + c] += f * texels[s + c];
+        }
+    });
+    solveNormal(factorNormal(ay), T, w * 4);
+
+    // Then along x, stored cells x first so the same solver applies
+    const U = new Float64Array(nx * ny * 4);
+    ax.rows.forEach(({ first, weights }, x) => {
+        for (let a = 0; a < weights.length; a++) {
+            const f = weights[a], o = (first + a) * ny * 4;
+            for (let j = 0; j < ny; j++) {
+                for (let c = 0; c < 4; c++) U[o + j * 4 + c] += f * T[(j * w + x) * 4 + c];
+            }
+        }
+    });
+    solveNormal(factorNormal(ax), U, ny * 4);
+
+    // In range, like the 8-bit cells the upscaler started from
+    for (let i = 0; i < U.length; i += 4) {
+        const a = Math.min(255, Math.max(0, U[i + 3]));
+        U[i + 3] = a;
+        for (let c = 0; c < 3; c++) U[i + c] = Math.min(a, Math.max(0, U[i + c]));
+    }
+    return U;
+}
+
+// RMS difference (premultiplied, 0-255) between the texels and the cells upscaled with the axes' weights
+function upscaleError(texels, cells, ax, ay) {
+    const w = ax.rows.length;
+    const ny = ay.cells;
+    // Along x first: cells y x texels x
+    const V = new Float64Array(ny * w * 4);
+    ax.rows.forEach(({ first, weights }, x) => {
+        for (let j = 0; j < ny; j++) {
+            for (let a = 0; a < weights.length; a++) {
+                const f = weights[a], s = ((first + a) * ny + j) * 4;
+                for (let c = 0; c < 4; c++) V[(j * w + x) * 4 + c] += f * cells[s + c];
+            }
+        }
+    });
+    let sum = 0;
+    ay.rows.forEach(({ first, weights }, y) => {
+        for (let c = 0; c < w * 4; c++) {
+            let v = 0;
+            for (let a = 0; a < weights.length; a++) v += weights[a] * V[(first + a) * w * 4 + c];
+            const d = v - texels[y * w * 4 + c];
+            sum += d * d;
+        }
+    });
+    return Math.sqrt(sum / texels.length);
+}
+
+// Up to REFINE_LINES rows (axis 'x') or columns ('y') of the texels, each `length` texels of 4 channels
+function sampleLines(texels, w, h, axis) {
+    const across = axis === 'x' ? h : w;
+    const length = axis === 'x' ? w : h;
+    const count = Math.min(REFINE_LINES, across);
+    const lines = new Float64Array(count * length * 4);
+    for (let l = 0; l < count; l++) {
+        const k = Math.floor((l + 0.5) * across / count);
+        for (let p = 0; p < length; p++) {
+            const s = (axis === 'x' ? k * w + p : p * w + k) * 4;
+            for (let c = 0; c < 4; c++) lines[(l * length + p) * 4 + c] = texels[s + c];
+        }
+    }
+    return { lines, count, length };
+}
+
+// RMS residual of the least squares fit of lines to one axis of the model: every line on its own, which is
+// exact for a separable upscale (the other axis only mixes lines)
+function lineResidual({ lines, count, length }, ax) {
+    const stride = count * 4;
+    const T = new Float64Array(ax.cells * stride);
+    ax.rows.forEach(({ first, weights }, p) => {
+        for (let a = 0; a < weights.length; a++) {
+            const f = weights[a], o = (first + a) * stride;
+            for (let l = 0; l < count; l++) {
+                for (let c = 0; c < 4; c++) T[o + l * 4 + c] += f * lines[(l * length + p) * 4 + c];
+            }
+        }
+    });
+    solveNormal(factorNormal(ax), T, stride);
+
+    let sum = 0;
+    ax.rows.forEach(({ first, weights }, p) => {
+        for (let l = 0; l < count; l++) {
+            for (let c = 0; c < 4; c++) {
+                let v = 0;
+                for (let a = 0; a < weights.length; a++) v += weights[a] * T[(first + a) * stride + l * 4 + c];
+                const d = v - lines[(l * length + p) * 4 + c];
+                sum += d * d;
+            }
+        }
+    });
+    return Math.sqrt(sum / lines.length);
+}
+
+// Scale and offset of one axis where `kernel` fits the lines best, searched around the given ones, and that fit
+function refineAxis(lines, res, size, kernel) {
+    let best = res;
+    let bestError = lineResidual(lines, axisWeights(res, size, kernel));
+    if (kernel === 'nearest') return { res, error: bestError };
+    for (const { offsets, scales } of REFINE_STEPS) {
+        const center = best;
+        const pivot = size / 2 - center.offset; // scales are tried around the middle, so they don't move it
+        for (const ds of scales) {
+            for (const d of offsets) {
+                const candidate = { ...res, scale: center.scale * (1 + ds), offset: center.offset - pivot * ds + d };
+                const error = lineResidual(lines, axisWeights(candidate, size, kernel));
+                if (error < bestError) {
+                    best = candidate;
+                    bestError = error;
+                }
+            }
+        }
+    }
+    return { res: best, error: bestError };
+}
+
+// The texels the grid spans and rows and columns of them, for fitting any kernel. The cells are fixed by the
+// boundaries here, so refining the scale and offset can't change their number
+function prepareFit(pixels, width, height, resX, resY) {
+    resX = { ...resX, boundaries: getCellBoundaries(resX, width) };
+    resY = { ...resY, boundaries: getCellBoundaries(resY, height) };
+    const ax = axisWeights(resX, width, 'nearest');
+    const ay = axisWeights(resY, height, 'nearest');
+    const texels = gridTexels(pixels, width, ax, ay);
+    const w = ax.rows.length, h = ay.rows.length;
+    return { width, height, resX, resY, texels, linesX: sampleLines(texels, w, h, 'x'), linesY: sampleLines(texels, w, h, 'y') };
+}
+
+// Grid of `kernel` (refined unless refine is off) and how well the kernel fits the rows and columns on it
+function fitAxes(fit, kernel, refine) {
+    const refineOrKeep = (lines, res, size) => refine ?
+        refineAxis(lines, res, size, kernel) :
+        { res, error: lineResidual(lines, axisWeights(res, size, kernel)) };
+    const x = refineOrKeep(fit.linesX, fit.resX, fit.width);
+    const y = refineOrKeep(fit.linesY, fit.resY, fit.height);
+    return { kernel, x: x.res, y: y.res, error: Math.sqrt((x.error * x.error + y.error * y.error) / 2) };
+}
+
+// Every kernel on its grid, best first
+function rankKernels(fit, refine) {
+    return RESAMPLING_KERNELS.map(kernel => fitAxes(fit, kernel, refine)).sort((a, b) => a.error - b.error);
+}
+
+/**
+ * How well each kernel explains the image on this grid (refined for each, see deconvolve): RMS residual (0-255) of
+ * the best fit of the kernel to rows and columns of the image. The lowest is most likely the upscaler's.
+ * @param {{refine?: boolean}} [options]
+ * @returns {{kernel: string, errors: Object<string, number>}}
+ */
+export function estimateKernel(pixels, width, height, resX, resY, options = {}) {
+    const ranked = rankKernels(prepareFit(pixels, width, height, resX, resY), options.refine ?? true);
+    return { kernel: ranked[0].kernel, errors: Object.fromEntries(ranked.map(r => [r.kernel, r.error])) };
+}
+
+/**
+ * One pixel per cell (like downsample), solved for so the image upscaled from it with the kernel comes as close to
+ * the input as possible: crisp cells out of a smooth upscale.
+ * @param {{kernel?: string, refine?: boolean}} [options] kernel: one of RESAMPLING_KERNELS, or 'auto' (default)
+ *   for the one that reproduces the image best (see estimateKernel); refine: refine the grid for the kernel first
+ *   (default true)
+ * @returns {{width: number, height: number, data: Uint8ClampedArray, kernel: string, error: number,
+ *   x: {scale: number, offset: number}, y: {scale: number, offset: number}}}
+ *   kernel: the one used; error: RMS difference (0-255) between the image and the result upscaled with it;
+ *   x, y: the grid it was solved on, the same cells as resX, resY
+ */
+export function deconvolve(pixels, width, height, resX, resY, options = {}) {
+    const { kernel = 'auto', refine = true } = options;
+    if (kernel !== 'auto' && !RESAMPLING_KERNELS.includes(kernel)) {
+        throw new RangeError(`unknown resampling kernel '${kernel}', expected one of ${RESAMPLING_KERNELS.join(', ')} or auto`);
+    }
+    const fit = prepareFit(pixels, width, height, resX, resY);
+    const grid = kernel === 'auto' ? rankKernels(fit, refine)[0] : fitAxes(fit, kernel, refine);
+    const ax = axisWeights(grid.x, width, grid.kernel);
+    const ay = axisWeights(grid.y, height, grid.kernel);
+    const cells = solveCells(fit.texels, ax, ay);
+
+    // Back to straight alpha, rows of cells
+    const outW = ax.cells, outH = ay.cells;
+    const data = new Uint8ClampedArray(outW * outH * 4);
+    for (let j = 0; j < outH; j++) {
+        for (let i = 0; i < outW; i++) {
+            const s = (i * outH + j) * 4;
+            const o = (j * outW + i) * 4;
+            const a = cells[s + 3];
+            if (a <= 0) continue;
+            data[o] = cells[s] * 255 / a;
+            data[o + 1] = cells[s + 1] * 255 / a;
+            data[o + 2] = cells[s + 2] * 255 / a;
+            data[o + 3] = a;
+        }
+    }
+    const axis = (res) => ({ scale: res.scale, offset: res.offset });
+    return {
+        width: outW, height: outH, data, kernel: grid.kernel, error: upscaleError(fit.texels, cells, ax, ay),
+        x: axis(grid.x), y: axis(grid.y)
+    };
+}
@@ -0,0 +1,154 @@
+/**
+ * Grids that aren't axis aligned: photos of screens, rotated screenshots.
+ * Angles are in degrees, clockwise on screen for images with the top row first. A grid at `angle` is axis aligned in
+ * the deskewed image: the image turned back by `angle` about its centre, same size (see deskewImage).
+ * Works in either row order; with the bottom row first the same grid has the opposite angle.
+ */
+
+import { texelDiff, normalizeMetric, DEFAULT_ALPHA_WEIGHT } from './pipeline.js';
+
+export const DEFAULT_MAX_ANGLE = 10;
+
+const COARSE_STEP = 0.25; // degrees
+const MAX_EDGES = 200000; // edge texels scored per angle, evenly thinned beyond that
+const MIN_GAIN = 0.05; // an angle has to line the edges up this much better than 0 to count
+
+/**
+ * Position in the image of position (x, y) of the deskewed image (texel centres are at + 0.5)
+ * @returns {[number, number]}
+ */
+export function deskewedToImage(x, y, width, height, angle) {
+    const a = angle * Math.PI / 180;
+    const cos = Math.cos(a), sin = Math.sin(a);
+    const dx = x - width / 2, dy = y - height / 2;
+    return [width / 2 + cos * dx - sin * dy, height / 2 + sin * dx + cos * dy];
+}
+
+/**
+ * The image turned back by `angle` about its centre, so a grid at that angle becomes axis aligned.
+ * Nearest texel, clamped at the edges (fsDownsampleSource samples a rotated grid the same way)
+ * @param {{data: ArrayLike<number>, width: number, height: number}} imageData
+ * @returns {{width: number, height: number, data: Uint8ClampedArray}}
+ */
+export function deskewImage(imageData, angle) {
+    const { data, width, height } = imageData;
+    const out = new Uint8ClampedArray(width * height * 4);
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const [sx, sy] = deskewedToImage(x + 0.5, y + 0.5, width, height, angle);
+            const tx = Math.min(width - 1, Math.max(0, Math.floor(sx)));
+            const ty = Math.min(height - 1, Math.max(0, Math.floor(sy)));
+            const s = (ty * width + tx) * 4;
+            const o = (y * width + x) * 4;
+            out[o] = data[s];
+            out[o + 1] = data[s + 1];
+            out[o + 2] = data[s + 2];
+            out[o + 3] = data[s + 3];
+        }
+    }
+    return { width, height, data: out };
+}
+
+// Texels with more edge (difference to the left and upper neighbour) than average: x, y and strength
+function edgeTexels(imageData, alphaWeight, metric) {
+    const { data, width, height } = imageData;
+    const strength = new Float32Array(width * height);
+    let total = 0;
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const c = (y * width + x) * 4;
+            const e = (x > 0 ? texelDiff(data, c, c - 4, alphaWeight, metric) : 0) +
+                (y > 0 ? texelDiff(data, c, c - width * 4, alphaWeight, metric) : 0);
+            strength[y * width + x] = e;
+            total += e;
+        }
+    }
+
+    const threshold = total / (width * height);
+    let count = 0;
+    for (let i = 0; i < strength.length; i++) if (strength[i] > threshold) count++;
+    const stride = Math.max(1, Math.ceil(count / MAX_EDGES));
+
+    const xs = [], ys = [], weights = [];
+    let seen = 0;
+    for (let i = 0; i < strength.length; i++) {
+        if (strength[i] > threshold && seen++ % stride === 0) {
+            xs.push(i % width + 0.5 - width / 2);
+            ys.push(Math.floor(i / width) + 0.5 - height / 2);
+            weights.push(strength[i]);
+        }
+    }
+    return { xs, ys, weights };
+}
+
+// Split between the two nearest bands, so the score doesn't jump as edges cross band borders
+function addToBands(bands, p, weight) {
+    const i = Math.floor(p - 0.5);
+    const f = p - 0.5 - i;
+    bands[i] += weight * (1 - f);
+    bands[i + 1] += weight * f;
+}
+
+// How well the edges line up along the axes of a grid at `angle`: edge strength summed into one texel wide bands
+// across either axis, sum of squares (the more the strength piles up in few bands, the higher)
+function alignmentScore(edges, angle, size) {
+    const a = angle * Math.PI / 180;
+    const cos = Math.cos(a), sin = Math.sin(a);
+    const bands = new Float64Array(size * 2);
+    const { xs, ys, weights } = edges;
+    for (let i = 0; i < xs.length; i++) {
+        // Deskewed position (centred), shifted to be non-negative
+        const u = cos * xs[i] + sin * ys[i];
+        const v = -sin * xs[i] + cos * ys[i];
+        addToBands(bands, u + size / 2, weights[i]);
+        addToBands(bands, size + v + size / 2, weights[i]);
+    }
+    let score = 0;
+    for (let i = 0; i < bands.length; i++) score += bands[i] * bands[i];
+    return score;
+}
+
+/**
+ * Angle of the pixel grid, 0 when it's axis aligned (or no angle lines the edges up clearly better).
+ * Scans the angles for the one where the edges pile up in the fewest columns and rows of the deskewed image
+ * @param {{data: ArrayLike<number>, width: number, height: number}} imageData
+ * @param {{maxAngle?: number, alphaWeight?: number, metric?: string}} [options] maxAngle: search -maxAngle to maxAngle
+ *   degrees; alphaWeight and metric: how texels are compared, see computeColDiffs
+ * @returns {number} degrees, see deskewImage
+ */
+export function detectRotation(imageData, options = {}) {
+    const maxAngle = options.maxAngle ?? DEFAULT_MAX_ANGLE;
+    const { width, height } = imageData;
+    const edges = edgeTexels(imageData, options.alphaWeight ?? DEFAULT_ALPHA_WEIGHT, normalizeMetric(options.metric));
+    if (edges.xs.length === 0 || !(maxAngle > 0)) return 0;
+
+    // Bands must hold the image at any angle
+    const size = Math.ceil(Math.hypot(width, height)) + 2;
+    const score = (angle) => alignmentScore(edges, angle, size);
+
+    let best = 0, bestScore = score(0);
+    for (let angle = -maxAngle; angle <= maxAngle; angle += COARSE_STEP) {
+        const s = score(angle);
+        if (s > bestScore) {
+            best = angle;
+            bestScore = s;
+        }
+    }
+
+    // Refine down to where the far side of the image moves by a fraction of a texel
+    const resolution = 0.25 / Math.max(width, height) * 180 / Math.PI;
+    for (let step = COARSE_STEP; step > resolution;) {
+        step /= 4;
+        const center = best;
+        for (let angle = center - step * 3; angle <= center + step * 3; angle += step) {
+            const s = score(angle);
+            if (s > bestScore) {
+                best = angle;
+                bestScore = s;
+            }
+        }
+    }
+
+    if (bestScore < score(0) * (1 + MIN_GAIN) || Math.abs(best) < resolution) return 0;
+    return best;
+}
@@ -0,0 +1,141 @@
+/**
+ * The page's settings (readSettings in main.js) kept across reloads in localStorage and, to share them, in the URL
+ * hash. The hash also carries the crop, picked candidates and manual grid overrides of the image shown, for whoever
+ * opens the link with the same image; those aren't stored, they'd be wrong for the next image.
+ * Parameters are named like the CLI's options where there is one, e.g. #max-scale=24&sampling=median&grid-x=4,1.5
+ */
+
+import {
+    DETECTION_METHODS, SAMPLING_METHODS, RESAMPLING_KERNELS, DIFF_METRICS, EXPORT_FORMATS, ANIMATION_FORMATS
+} from './index.js';
+
+const STORAGE_KEY = 'find-pixel-resolution.settings';
+
+// Valid numbers, the same ranges as the CLI's options
+const integer = (min, max = Infinity) => (v) => Number.isInteger(v) && v >= min && v <= max;
+const between = (min, max = Infinity) => (v) => Number.isFinite(v) && v >= min && v <= max;
+
+// [parameter, path in the settings, Number, Boolean or the allowed values ('none' for null), valid range of a Number]
+const PARAMS = [
+    ['max-scale', 'maxScale', Number, integer(2)],
+    ['method', 'method', DETECTION_METHODS],
+    ['metric', 'metric', DIFF_METRICS],
+    ['alpha-weight', 'alphaWeight', Number, between(0)],
+    ['crop', 'autoCrop', Boolean],
+    ['rotation', 'rotation', Boolean],
+    ['sampling', 'sampling.method', SAMPLING_METHODS],
+    ['radius', 'sampling.radius', Number, between(0, 0.5)],
+    ['alpha-threshold', 'sampling.alphaThreshold', Number, integer(0, 255)],
+    ['kernel', 'kernel', ['none', 'auto', ...RESAMPLING_KERNELS]], // none: sample the cells
+    ['palette', 'paletteMode', ['off', 'auto']], // a palette file isn't kept, 'file' goes back to the default
+    ['colors', 'maxColors', Number, integer(1, 256)],
+    ['format', 'exportFormat', EXPORT_FORMATS],
+    ['upscale', 'exportScale', Number, integer(1)],
+    ['animation', 'animationFormat', ANIMATION_FORMATS]
+];
+
+function getPath(object, path) {
+    return path.split('.').reduce((o, key) => o && o[key], object);
+}
+
+function setPath(object, path, value) {
+    const keys = path.split('.');
+    const last = keys.pop();
+    const parent = keys.reduce((o, key) => o[key] = { ...o[key] }, object);
+    parent[last] = value;
+}
+
+// Comma-separated numbers, null unless there are `count` finite ones
+function numbers(text, count) {
+    const values = text ? text.split(',').map(Number) : [];
+    return values.length === count && values.every(Number.isFinite) ? values : null;
+}
+
+/**
+ * Settings, and optionally the view of the image shown, as URL parameters.
+ * @param {object} settings as readSettings returns them
+ * @param {{cropRect: object | null, manualGrid: {x: object | null, y: object | null}, selectedCandidate: {x: number, y: number}} | null} [view]
+ *   crop in image coordinates; grid overrides and candidates relative to the crop, as main.js keeps them
+ * @returns {string}
+ */
+export function encodeSettings(settings, view = null) {
+    const params = new URLSearchParams();
+    for (const [name, path, type] of PARAMS) {
+        const value = getPath(settings, path);
+        if (value === undefined) continue;
+        params.set(name, type === Boolean ? (value ? '1' : '0') : value === null ? 'none' : String(value));
+    }
+    if (view) {
+        const { cropRect, manualGrid, selectedCandidate } = view;
+        if (cropRect) params.set('crop-rect', [cropRect.x, cropRect.y, cropRect.width, cropRect.height].join());
+        for (const axis of ['x', 'y']) {
+            const manual = manualGrid[axis];
+            if (manual) params.set(`grid-${axis}`, `${+manual.scale.toFixed(4)},${+manual.offset.toFixed(4)}`);
+        }
+        if (selectedCandidate.x || selectedCandidate.y) params.set('candidates', `${selectedCandidate.x},${selectedCandidate.y}`);
+    }
+    return params.toString().replace(/%2C/g, ','); // commas are fine in a URL, and readable
+}
+
+/**
+ * Parameters back to settings, over `defaults`; unknown or invalid values keep the default.
+ * @param {string} text as encodeSettings writes it (a leading '#' or '?' is fine)
+ * @param {object} defaults
+ * @returns {{settings: object, view: object | null}} view: null unless there's a crop, override or candidate
+ */
+export function decodeSettings(text, defaults) {
+    const params = new URLSearchParams(text.replace(/^[#?]/, ''));
+    const settings = { ...defaults };
+    for (const [name, path, type, valid] of PARAMS) {
+        const text = params.get(name);
+        if (text === null) continue;
+        if (type === Number) {
+            if (text !== '' && valid(Number(text))) setPath(settings, path, Number(text));
+        } else if (type === Boolean) {
+            if (['1', 'true', '0', 'false'].includes(text)) setPath(settings, path, text === '1' || text === 'true');
+        } else if (type.includes(text)) {
+            setPath(settings, path, text === 'none' ? null : text);
+        }
+    }
+
+    const crop = numbers(params.get('crop-rect'), 4);
+    const axis = (name) => {
+        const values = numbers(params.get(name), 2);
+        return values && values[0] >= 1 ? { scale: values[0], offset: values[1] } : null;
+    };
+    const manualGrid = { x: axis('grid-x'), y: axis('grid-y') };
+    const candidates = numbers(params.get('candidates'), 2) || [0, 0];
+    const selectedCandidate = { x: Math.max(0, Math.floor(candidates[0])), y: Math.max(0, Math.floor(candidates[1])) };
+    const cropRect = crop && crop[2] > 0 && crop[3] > 0 ? { x: crop[0], y: crop[1], width: crop[2], height: crop[3] } : null;
+    const view = cropRect || manualGrid.x || manualGrid.y || selectedCandidate.x || selectedCandidate.y
+        ? { cropRect, manualGrid, selectedCandidate } : null;
+    return { settings, view };
+}
+
+/**
+ * Settings of a shared link (the URL hash) when there are any, else those of the last visit.
+ * @param {object} defaults
+ * @returns {{settings: object, view: object | null}}
+ */
+export function loadSettings(defaults) {
+    if (location.hash.length > 1) return decodeSettings(location.hash, defaults);
+    try {
+        return { settings: decodeSettings(localStorage.getItem(STORAGE_KEY) || '', defaults).settings, view: null };
+    } catch {
+        return { settings: defaults, view: null }; // storage blocked
+    }
+}
+
+/**
+ * Remember the settings for the next visit and put them, with the view, in the URL hash (replacing the history entry).
+ * @param {object} settings
+ * @param {object | null} [view] see encodeSettings
+ */
+export function saveSettings(settings, view = null) {
+    try {
+        localStorage.setItem(STORAGE_KEY, encodeSettings(settings));
+    } catch {
+        // storage blocked or full, the hash still has them
+    }
+    history.replaceState(null, '', '#' + encodeSettings(settings, view));
+}
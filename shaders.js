@@ -0,0 +1,379 @@
+/**
+ * GLSL of every pass. The CPU does the same in pipeline.js (computeColDiffs / computeRowDiffs, downsample) and
+ * display.js (renderView); test/parity.test.js checks they agree.
+ * Textures are the image uploaded flipped, so texel y = 0 is the bottom row.
+ */
+
+import { EDGE_THRESHOLD } from './pipeline.js';
+
+export const vsSource = `#version 300 es
+in vec4 position;
+void main() {
+    gl_Position = position;
+}
+`;
+
+// sRGB to linear light and OKLab, like rgbToOklab in palette.js
+export const glslOklab = `
+vec3 toLinear(vec3 c) {
+    return mix(c / 12.92, pow((c + 0.055) / 1.055, vec3(2.4)), step(0.04045, c));
+}
+
+vec3 toOklab(vec3 c) {
+    vec3 lin = toLinear(c);
+    float l = pow(0.4122214708 * lin.r + 0.5363325363 * lin.g + 0.0514459929 * lin.b, 1.0 / 3.0);
+    float m = pow(0.2119034982 * lin.r + 0.6806995451 * lin.g + 0.1073969566 * lin.b, 1.0 / 3.0);
+    float s = pow(0.0883024619 * lin.r + 0.2817188376 * lin.g + 0.6299787005 * lin.b, 1.0 / 3.0);
+    return vec3(
+        0.2104542553 * l + 0.7936177850 * m - 0.0040720468 * s,
+        1.9779984951 * l - 2.4285922050 * m + 0.4505937099 * s,
+        0.0259040371 * l + 0.7827717662 * m - 0.8086757660 * s);
+}
+`;
+
+// Difference of two texels, like texelDiff in pipeline.js: premultiplied colour compared with metric uMetric (the
+// index in DIFF_METRICS) plus alpha times uAlphaWeight; 'edges' is 1 above EDGE_THRESHOLD, else 0
+export const glslTexelDiff = `
+uniform float uAlphaWeight;
+uniform int uMetric;
+${glslOklab}
+const float EDGE_THRESHOLD = ${EDGE_THRESHOLD}.0 / 255.0;
+
+float texelDiff(vec4 c, vec4 l) {
+    float alpha = uAlphaWeight * abs(c.a - l.a);
+    if (uMetric == 4) return length(toLinear(c.rgb) * c.a - toLinear(l.rgb) * l.a) + alpha;
+    if (uMetric == 5) return length(toOklab(c.rgb) * c.a - toOklab(l.rgb) * l.a) + alpha;
+
+    vec3 d = c.rgb * c.a - l.rgb * l.a;
+    vec3 diff = abs(d);
+    float sum = diff.r + diff.g + diff.b + alpha;
+    if (uMetric == 1) return abs(dot(d, vec3(0.299, 0.587, 0.114))) + alpha;
+    if (uMetric == 2) return max(diff.r, max(diff.g, diff.b)) + alpha;
+    if (uMetric == 3) return dot(d, d) + uAlphaWeight * (c.a - l.a) * (c.a - l.a);
+    if (uMetric == 6) return sum > EDGE_THRESHOLD ? 1.0 : 0.0;
+    return sum;
+}
+`;
+
+// uRegion: x, y, width, height of the analysed rectangle in texels (the whole image unless analysing regions)
+export const fsColDiffSource = `#version 300 es
+precision highp float;
+uniform sampler2D uImage;
+uniform ivec4 uRegion;
+${glslTexelDiff}
+out vec4 outColor;
+
+void main() {
+    int x = int(gl_FragCoord.x);
+    if (x >= uRegion.z) { outColor = vec4(0); return; }
+
+    float sum = 0.0;
+    for (int y = uRegion.y; y < uRegion.y + uRegion.w; y++) {
+        vec4 c = texelFetch(uImage, ivec2(uRegion.x + x, y), 0);
+        int prevX = x > 0 ? x - 1 : 0;
+        vec4 l = texelFetch(uImage, ivec2(uRegion.x + prevX, y), 0);
+        sum += texelDiff(c, l);
+    }
+    outColor = vec4(sum, 0, 0, 1);
+}
+`;
+
+export const fsRowDiffSource = `#version 300 es
+precision highp float;
+uniform sampler2D uImage;
+uniform ivec4 uRegion;
+${glslTexelDiff}
+out vec4 outColor;
+
+void main() {
+    int y = int(gl_FragCoord.y);
+    if (y >= uRegion.w) { outColor = vec4(0); return; }
+
+    float sum = 0.0;
+    for (int x = uRegion.x; x < uRegion.x + uRegion.z; x++) {
+        vec4 c = texelFetch(uImage, ivec2(x, uRegion.y + y), 0);
+        int prevY = y > 0 ? y - 1 : 0;
+        vec4 t = texelFetch(uImage, ivec2(x, uRegion.y + prevY), 0);
+        sum += texelDiff(c, t);
+    }
+    outColor = vec4(sum, 0, 0, 1);
+}
+`;
+
+// Cell boundary lookup shared by the display and downsample shaders.
+// uBoundsX/Y are (cells + 1) x 1 R32F textures, cell i spans [bounds[i], bounds[i + 1]) (see findCellBoundaries)
+export const glslCellBounds = `
+uniform sampler2D uBoundsX;
+uniform sampler2D uBoundsY;
+uniform int uCellsX;
+uniform int uCellsY;
+
+float boundary(sampler2D bounds, int i) {
+    return texelFetch(bounds, ivec2(i, 0), 0).r;
+}
+
+int findCell(sampler2D bounds, int cells, float p) {
+    int lo = 0;
+    int hi = cells - 1;
+    for (int i = 0; i < 32 && lo < hi; i++) {
+        int mid = (lo + hi + 1) / 2;
+        if (boundary(bounds, mid) <= p) lo = mid; else hi = mid - 1;
+    }
+    return lo;
+}
+`;
+
+// Grids at an angle, shared by the display and downsample shaders: the same turn about the centre as deskewImage
+// and deskewedToImage in rotation.js, with the angle for bottom-up rows (minus the one detectPixelGrid reports)
+export const glslRotation = `
+uniform vec2 uRotation; // cos and sin of the grid's angle, (1, 0) when it's axis aligned
+
+// Position in the image of position p of the deskewed image
+vec2 deskewedToImage(vec2 p, vec2 center) {
+    vec2 d = p - center;
+    return center + vec2(uRotation.x * d.x - uRotation.y * d.y, uRotation.y * d.x + uRotation.x * d.y);
+}
+
+// And back
+vec2 imageToDeskewed(vec2 p, vec2 center) {
+    vec2 d = p - center;
+    return center + vec2(uRotation.x * d.x + uRotation.y * d.y, -uRotation.y * d.x + uRotation.x * d.y);
+}
+`;
+
+export const fsDisplaySource = `#version 300 es
+precision highp float;
+uniform sampler2D uImage;
+uniform vec2 uResolution;
+uniform float uScaleX;
+uniform float uScaleY;
+uniform bool uShowReconstructed;
+uniform bool uShowGrid;
+uniform sampler2D uCells; // one texel per cell, rendered by fsDownsampleSource
+uniform int uCompare; // 0: one view, 1: split at uSplit, 2: side by side (canvas is twice as wide)
+uniform float uSplit;
+uniform sampler2D uPalette; // row 0: colours, row 1: their OKLab coordinates (see updatePaletteTexture in main.js)
+uniform int uPaletteSize; // 0: no palette
+uniform vec4 uCrop; // x, y, width, height of the analysed part in texels of the deskewed image, the rest is dimmed
+${glslCellBounds}
+${glslRotation}
+${glslOklab}
+out vec4 outColor;
+
+const float CHECKER_SIZE = 8.0; // texels
+
+// Nearest palette colour in OKLab, like quantize() in palette.js (below ALPHA_THRESHOLD is transparent)
+vec4 snapToPalette(vec4 c) {
+    if (uPaletteSize == 0) return c;
+    if (c.a < 128.0 / 255.0) return vec4(0.0);
+    vec3 lab = toOklab(c.rgb);
+    float bestDist = 1e9;
+    vec3 best = c.rgb;
+    for (int i = 0; i < 256; i++) {
+        if (i >= uPaletteSize) break;
+        vec3 d = texelFetch(uPalette, ivec2(i, 1), 0).rgb - lab;
+        float dist = dot(d, d);
+        if (dist < bestDist) {
+            bestDist = dist;
+            best = texelFetch(uPalette, ivec2(i, 0), 0).rgb;
+        }
+    }
+    return vec4(best, 1.0);
+}
+
+void main() {
+    float x = gl_FragCoord.x;
+    float y = gl_FragCoord.y;
+    
+    // Original on the left, reconstruction on the right
+    bool reconstructed = uShowReconstructed;
+    if (uCompare == 1) {
+        reconstructed = x >= uSplit;
+    } else if (uCompare == 2) {
+        reconstructed = x >= uResolution.x;
+        if (reconstructed) x -= uResolution.x;
+    }
+    
+    // Grid, crop and cells are in the deskewed image
+    vec2 g = imageToDeskewed(vec2(x, y), uResolution * 0.5);
+    vec2 cropMin = uCrop.xy;
+    vec2 cropMax = uCrop.xy + uCrop.zw;
+    bool inside = g.x >= cropMin.x && g.x < cropMax.x && g.y >= cropMin.y && g.y < cropMax.y;
+
+    if (reconstructed && inside && uScaleX > 1.0 && uScaleY > 1.0) {
+        // Cell colours come from fsDownsampleSource (see renderCells in main.js)
+        int kx = findCell(uBoundsX, uCellsX, floor(g.x));
+        int ky = findCell(uBoundsY, uCellsY, floor(g.y));
+        outColor = snapToPalette(texelFetch(uCells, ivec2(kx, ky), 0));
+    } else {
+        // Original exact position
+        vec2 samplePos = vec2(x, y) / uResolution;
+        outColor = texture(uImage, samplePos);
+
+        if (uShowGrid && inside) {
+            // Grid line on the first texel of every cell
+            int kx = findCell(uBoundsX, uCellsX, floor(g.x));
+            int ky = findCell(uBoundsY, uCellsY, floor(g.y));
+            bool lineX = kx > 0 && floor(g.x) == floor(boundary(uBoundsX, kx));
+            bool lineY = ky > 0 && floor(g.y) == floor(boundary(uBoundsY, ky));
+            if (lineX || lineY) outColor = vec4(mix(outColor.rgb, vec3(1.0, 0.0, 1.0), 0.7), 1.0);
+        }
+    }
+
+    if (!inside) {
+        // Outline just outside the crop, dimmed beyond
+        bool outline = g.x >= cropMin.x - 1.0 && g.x < cropMax.x + 1.0 && g.y >= cropMin.y - 1.0 && g.y < cropMax.y + 1.0;
+        outColor = outline ? vec4(0.0, 1.0, 1.0, 1.0) : vec4(outColor.rgb * 0.4, outColor.a);
+    }
+
+    // Checkerboard behind transparent texels
+    float checker = mod(floor(x / CHECKER_SIZE) + floor(y / CHECKER_SIZE), 2.0);
+    outColor = vec4(mix(vec3(0.6 + 0.2 * checker), outColor.rgb, outColor.a), 1.0);
+}
+`;
+
+// Cell colours of the deskewed image, same methods as sampleCell in pipeline.js.
+// uSampling is the index in SAMPLING_METHODS: 0 center, 1 mean, 2 median, 3 mode, 4 trimmed mean
+export const fsDownsampleSource = `#version 300 es
+precision highp float;
+uniform sampler2D uImage;
+uniform int uSampling;
+uniform float uRadius; // fraction of the cell size
+uniform float uTrim;
+uniform float uAlphaThreshold; // 0-255, 0: keep alpha
+uniform vec2 uOrigin; // boundaries are relative to this texel (regions)
+${glslCellBounds}
+${glslRotation}
+out vec4 outColor;
+
+const int MAX_SAMPLES = 16; // per axis for median, mode and trimmed mean
+const float MODE_TOLERANCE = 6.0;
+
+int minX, minY, stepX, stepY, nx;
+
+// Texel p of the deskewed image: nearest texel, clamped, like deskewImage
+vec4 fetch(ivec2 p) {
+    ivec2 size = textureSize(uImage, 0);
+    vec2 q = deskewedToImage(vec2(p) + 0.5, vec2(size) * 0.5);
+    return texelFetch(uImage, clamp(ivec2(floor(q)), ivec2(0), size - 1), 0);
+}
+
+vec4 fetchSample(int i) {
+    return fetch(ivec2(minX + (i % nx) * stepX, minY + (i / nx) * stepY));
+}
+
+vec4 premultiply(vec4 c) {
+    return vec4(c.rgb * c.a, c.a);
+}
+
+// Averages are of premultiplied colours, a cell that is transparent throughout is transparent black
+vec4 unpremultiply(vec4 c) {
+    return c.a > 0.0 ? vec4(c.rgb / c.a, c.a) : vec4(0.0);
+}
+
+vec4 cellColor() {
+    int kx = int(gl_FragCoord.x);
+    int ky = int(gl_FragCoord.y);
+    float startX = uOrigin.x + boundary(uBoundsX, kx);
+    float endX = uOrigin.x + boundary(uBoundsX, kx + 1);
+    float startY = uOrigin.y + boundary(uBoundsY, ky);
+    float endY = uOrigin.y + boundary(uBoundsY, ky + 1);
+    
+    float centerX = (startX + endX) * 0.5;
+    float centerY = (startY + endY) * 0.5;
+    
+    ivec2 texSize = textureSize(uImage, 0);
+    int cx = clamp(int(centerX), 0, texSize.x - 1);
+    int cy = clamp(int(centerY), 0, texSize.y - 1);
+    vec4 color = fetch(ivec2(cx, cy));
+    if (uSampling == 0) return color;
+    
+    float rx = (endX - startX) * uRadius;
+    float ry = (endY - startY) * uRadius;
+    minX = max(0, int(ceil(centerX - rx)));
+    int maxX = min(texSize.x - 1, int(ceil(centerX + rx)) - 1); // exclusive, like sampleColor
+    minY = max(0, int(ceil(centerY - ry)));
+    int maxY = min(texSize.y - 1, int(ceil(centerY + ry)) - 1);
+    if (maxX < minX || maxY < minY) return color;
+    
+    if (uSampling == 1) {
+        // Box Filter (Average)
+        vec4 sum = vec4(0.0);
+        float count = 0.0;
+        for (int sy = minY; sy <= maxY; sy++) {
+            for (int sx = minX; sx <= maxX; sx++) {
+                sum += premultiply(fetch(ivec2(sx, sy)));
+                count += 1.0;
+            }
+        }
+        return unpremultiply(sum / count);
+    }
+    
+    // The others compare every sample with every other one, so take at most MAX_SAMPLES x MAX_SAMPLES
+    stepX = (maxX - minX) / MAX_SAMPLES + 1;
+    stepY = (maxY - minY) / MAX_SAMPLES + 1;
+    nx = (maxX - minX) / stepX + 1;
+    int n = nx * ((maxY - minY) / stepY + 1);
+    
+    if (uSampling == 2) {
+        // Median: the sample closest (L1) to all others
+        float bestCost = 1e20;
+        for (int i = 0; i < n; i++) {
+            vec4 a = fetchSample(i);
+            float cost = 0.0;
+            for (int j = 0; j < n; j++) {
+                vec4 d = abs(a - fetchSample(j));
+                cost += d.r + d.g + d.b + d.a;
+            }
+            if (cost < bestCost) {
+                bestCost = cost;
+                color = a;
+            }
+        }
+    } else if (uSampling == 3) {
+        // Mode: most samples within MODE_TOLERANCE, ties to the most exact matches
+        int bestScore = -1;
+        for (int i = 0; i < n; i++) {
+            vec4 a = fetchSample(i);
+            int nearCount = 0;
+            int exactCount = 0;
+            for (int j = 0; j < n; j++) {
+                vec4 d = round(abs(a - fetchSample(j)) * 255.0);
+                float m = max(max(d.r, d.g), max(d.b, d.a));
+                if (m <= MODE_TOLERANCE) nearCount++;
+                if (m == 0.0) exactCount++;
+            }
+            int score = nearCount * 512 + exactCount;
+            if (score > bestScore) {
+                bestScore = score;
+                color = a;
+            }
+        }
+    } else {
+        // Trimmed mean: per premultiplied channel, the samples ranked in [lo, hi)
+        float lo = floor(float(n) * uTrim);
+        float hi = float(n) - lo;
+        vec4 sum = vec4(0.0);
+        vec4 count = vec4(0.0);
+        for (int i = 0; i < n; i++) {
+            vec4 a = premultiply(fetchSample(i));
+            vec4 rank = vec4(0.0);
+            for (int j = 0; j < n; j++) {
+                vec4 b = premultiply(fetchSample(j));
+                rank += vec4(lessThan(b, a));
+                if (j < i) rank += vec4(equal(b, a));
+            }
+            vec4 keep = step(lo, rank) * (1.0 - step(hi, rank));
+            sum += a * keep;
+            count += keep;
+        }
+        color = unpremultiply(sum / max(count, vec4(1.0)));
+    }
+    return color;
+}
+
+void main() {
+    outColor = cellColor();
+    if (uAlphaThreshold > 0.0) outColor.a = step(uAlphaThreshold, outColor.a * 255.0);
+}
+`;
@@ -0,0 +1,129 @@
+/**
+ * Animations (animation.js, APNG in png.js): GIF and APNG round trips, compositing, and one grid detected for all
+ * frames of a synthetic animation, reconstructed pixel for pixel.
+ *
+ *   npm test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import pngjs from 'pngjs';
+
+import {
+    decodeGIF, encodeGIF, encodeAPNG, splitAPNG, composeFrames, spriteSheet, detectAnimationGrid, reconstructAnimation,
+    reconstructAnimationSteps, getGridRange
+} from '../index.js';
+import { mulberry32, randomSprite, upscale } from './synthetic.js';
+
+// Frames of random colours from `colors` (so many LZW codes that the table starts over), some pixels transparent
+function randomAnimation(rand, { width, height, colors, count }) {
+    const palette = Array.from({ length: colors }, () => [0, 1, 2].map(() => Math.floor(rand() * 256)));
+    const frames = Array.from({ length: count }, (_, f) => {
+        const data = new Uint8ClampedArray(width * height * 4);
+        for (let i = 0; i < width * height; i++) {
+            if (rand() < 0.1) continue; // transparent
+            data.set(palette[Math.floor(rand() * colors)], i * 4);
+            data[i * 4 + 3] = 255;
+        }
+        return { data, delay: 40 + f * 30 };
+    });
+    return { width, height, loop: 0, frames };
+}
+
+function assertFramesEqual(actual, expected) {
+    assert.equal(actual.length, expected.length);
+    actual.forEach((frame, i) => {
+        assert.deepEqual(frame.data, expected[i].data, `frame ${i}`);
+        assert.equal(frame.delay, expected[i].delay, `frame ${i} delay`);
+    });
+}
+
+test('GIF round trip', () => {
+    const rand = mulberry32(1);
+    for (const colors of [2, 30, 255]) {
+        const animation = randomAnimation(rand, { width: 93, height: 61, colors, count: 3 });
+        const decoded = decodeGIF(encodeGIF(animation));
+        assert.equal(decoded.width, 93);
+        assert.equal(decoded.height, 61);
+        assert.equal(decoded.loop, 0);
+        assertFramesEqual(decoded.frames, animation.frames);
+    }
+    assert.equal(decodeGIF(encodeGIF({ ...randomAnimation(rand, { width: 4, height: 4, colors: 3, count: 1 }), loop: 3 })).loop, 3);
+});
+
+test('GIF from another encoder', () => {
+    // The sample of the GIF89a walkthrough: 10 x 10, 4 colours
+    const hex = '4749463839610a000a00910000ffffffff00000000ff00000021f90400000000002c000000000a000a000002168c2d99872a1cdc33a00275ec95faa8de608c04914c01003b';
+    const { width, height, frames } = decodeGIF(Uint8Array.from(hex.match(/../g), h => parseInt(h, 16)));
+    const rows = ['RRRRRBBBBB', 'RRRRRBBBBB', 'RRRRRBBBBB', 'RRRWWWWBBB', 'RRRWWWWBBB',
+        'BBBWWWWRRR', 'BBBWWWWRRR', 'BBBBBRRRRR', 'BBBBBRRRRR', 'BBBBBRRRRR'];
+    const colors = { W: [255, 255, 255, 255], R: [255, 0, 0, 255], B: [0, 0, 255, 255] };
+    assert.equal(width, 10);
+    assert.equal(height, 10);
+    assert.deepEqual([...frames[0].data], rows.flatMap(row => [...row].flatMap(c => colors[c])));
+});
+
+test('APNG round trip', () => {
+    const animation = randomAnimation(mulberry32(2), { width: 37, height: 23, colors: 40, count: 4 });
+    const split = splitAPNG(encodeAPNG({ ...animation, loop: 2 }));
+    assert.equal(split.loop, 2);
+    const parts = split.frames.map(part => ({ ...part, data: pngjs.PNG.sync.read(Buffer.from(part.png)).data }));
+    assertFramesEqual(composeFrames(split.width, split.height, parts), animation.frames);
+
+    const png = pngjs.PNG.sync.write(Object.assign(new pngjs.PNG({ width: 2, height: 2 }), { data: Buffer.alloc(16) }));
+    assert.equal(splitAPNG(png), null);
+});
+
+test('composeFrames disposes and blends', () => {
+    const red = [255, 0, 0, 255], blue = [0, 0, 255, 255], half = [0, 255, 0, 128], none = [0, 0, 0, 0];
+    const part = (x, color, dispose, blend = 'source') =>
+        ({ data: Uint8ClampedArray.from(color), x, y: 0, width: 1, height: 1, delay: 10, dispose, blend });
+    const frames = composeFrames(3, 1, [
+        part(0, red, 'none'),
+        part(1, blue, 'previous'), // gone in the next frame
+        part(2, blue, 'background'), // likewise
+        part(0, half, 'none', 'over')
+    ]);
+    assert.deepEqual([...frames[0].data], [...red, ...none, ...none]);
+    assert.deepEqual([...frames[1].data], [...red, ...blue, ...none]);
+    assert.deepEqual([...frames[2].data], [...red, ...none, ...blue]);
+    assert.deepEqual([...frames[3].data], [127, 128, 0, 255, ...none, ...none]);
+});
+
+test('one grid for every frame', () => {
+    const rand = mulberry32(3);
+    const scale = 4.37;
+    const res = { scale, offset: 2.9 };
+    const width = 211, height = 157;
+    const sprites = Array.from({ length: 5 }, () =>
+        randomSprite(getGridRange(res, width).count, getGridRange(res, height).count, rand, { colors: 6 }));
+    const animation = {
+        width, height, loop: 0,
+        frames: sprites.map((sprite, i) => ({
+            data: upscale(sprite, { width, height, scaleX: scale, scaleY: scale, offsetX: res.offset, offsetY: res.offset }).data,
+            delay: 100 + i
+        }))
+    };
+
+    const grid = detectAnimationGrid(animation);
+    assert.ok(Math.abs(grid.x.scale - scale) < 0.01 * scale, `scale ${grid.x.scale}`);
+    const lowres = reconstructAnimation(animation, grid);
+    assert.equal(lowres.metrics.psnr, Infinity);
+
+    // The same one step at a time: every frame reconstructed, then every frame measured
+    const steps = reconstructAnimationSteps(animation, grid);
+    const progress = [];
+    let step = steps.next();
+    for (; !step.done; step = steps.next()) progress.push(step.value);
+    assert.deepEqual(progress, Array.from({ length: 10 }, (_, i) => ({ done: i + 1, total: 10 })));
+    assert.deepEqual(step.value, lowres);
+    lowres.frames.forEach((frame, i) => {
+        assert.deepEqual(frame.data, sprites[i].data, `frame ${i}`);
+        assert.equal(frame.delay, 100 + i);
+    });
+
+    const sheet = spriteSheet(lowres, 'walk.png');
+    assert.equal(sheet.image.width, lowres.width * 5);
+    assert.deepEqual(sheet.json.frames[2], { filename: '2', frame: { x: lowres.width * 2, y: 0, w: lowres.width, h: lowres.height }, duration: 102 });
+    assert.deepEqual(sheet.image.data.subarray(0, lowres.width * 4), sprites[0].data.subarray(0, lowres.width * 4));
+});
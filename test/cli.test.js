@@ -0,0 +1,150 @@
+/**
+ * The command line (bin/find-pixel-resolution.js), run as a child process: option validation and exit codes,
+ * the JSON report, and the files it writes.
+ *
+ *   npm test
+ */
+
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawnSync } from 'node:child_process';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import zlib from 'node:zlib';
+import pngjs from 'pngjs';
+
+import { encodePNG, readPNGText } from '../index.js';
+import { mulberry32, randomSprite, upscale } from './synthetic.js';
+
+const CLI = fileURLToPath(new URL('../bin/find-pixel-resolution.js', import.meta.url));
+const SCALE = 4;
+
+function run(...args) {
+    const { status, stdout, stderr } = spawnSync(process.execPath, [CLI, ...args], { encoding: 'utf8', timeout: 60000 });
+    return { status, stdout, stderr };
+}
+
+const dirs = [];
+after(() => dirs.forEach(dir => fs.rmSync(dir, { recursive: true, force: true })));
+
+// A directory with a sprite upscaled SCALE times as art.png, and a file that only looks like a PNG
+function fixtures() {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'fpr-cli-'));
+    dirs.push(dir);
+    const sprite = randomSprite(20, 15, mulberry32(9), { colors: 6 });
+    const image = upscale(sprite, { width: 20 * SCALE, height: 15 * SCALE, scaleX: SCALE, scaleY: SCALE });
+    fs.writeFileSync(path.join(dir, 'art.png'), encodePNG(image, zlib.deflateSync));
+    fs.writeFileSync(path.join(dir, 'broken.png'), 'not a png');
+    return { dir, sprite, art: path.join(dir, 'art.png'), broken: path.join(dir, 'broken.png') };
+}
+
+test('--help and usage errors', () => {
+    const help = run('--help');
+    assert.equal(help.status, 0);
+    assert.match(help.stdout, /^Usage: find-pixel-resolution/);
+
+    const none = run();
+    assert.equal(none.status, 2);
+    assert.match(none.stderr, /no input given/);
+
+    const { art } = fixtures();
+    const invalid = [
+        [['--bogus'], /Unknown option '--bogus'/],
+        [['--max-scale', '1'], /--max-scale must be an integer >= 2/],
+        [['--max-scale', '8abc'], /--max-scale must be an integer >= 2/],
+        [['--method', 'magic'], /--method must be one of fourier, autocorrelation, consensus/],
+        [['--metric', 'hue'], /--metric must be one of/],
+        [['--sampling', 'blur'], /--sampling must be one of/],
+        [['--radius', '0.7'], /--radius must be a number from 0 to 0.5/],
+        [['--kernel', 'gaussian'], /--kernel must be auto or one of/],
+        [['--alpha-threshold', '300'], /--alpha-threshold must be an integer from 0 to 255/],
+        [['--alpha-threshold', '12.9'], /--alpha-threshold must be an integer from 0 to 255/],
+        [['--radius', '0.3x'], /--radius must be a number from 0 to 0.5/],
+        [['--sample-center', '--sampling', 'median'], /--sample-center and --sampling are mutually exclusive/],
+        [['--crop', '--crop-rect', '0,0,10,10'], /mutually exclusive/],
+        [['--crop-rect', '1,2,3'], /--crop-rect must be x,y,width,height/],
+        [['--format', 'bmp'], /--format must be one of/],
+        [['--upscale', '1.5'], /--upscale must be a whole number >= 1/],
+        [['--colors', '300'], /--colors must be an integer from 1 to 256/],
+        [['--colors', '4.5'], /--colors must be an integer from 1 to 256/],
+        [['--palette', 'p.gpl', '--colors', '4'], /--palette and --colors are mutually exclusive/],
+        [['--palette', path.join(os.tmpdir(), 'no-such-palette.gpl')], /ENOENT/]
+    ];
+    for (const [args, message] of invalid) {
+        const result = run(...args, art);
+        assert.equal(result.status, 2, args.join(' '));
+        assert.match(result.stderr, message, args.join(' '));
+        assert.equal(result.stdout, '', args.join(' ')); // no report
+    }
+});
+
+test('the JSON report and the reconstruction', () => {
+    const { dir, sprite, art } = fixtures();
+    const out = path.join(dir, 'out');
+    const result = run('-q', '-o', out, art);
+    assert.equal(result.status, 0, result.stderr);
+    assert.equal(result.stderr, '');
+
+    const [entry] = JSON.parse(result.stdout);
+    assert.equal(entry.file, art);
+    assert.deepEqual([entry.width, entry.height], [20 * SCALE, 15 * SCALE]);
+    for (const axis of ['x', 'y']) {
+        assert.ok(Math.abs(entry[axis].scale - SCALE) < 0.01, `${axis} scale ${entry[axis].scale}`);
+        assert.ok(entry[axis].confidence > 0);
+    }
+    assert.equal(entry.lowConfidence, false);
+    assert.equal(entry.metrics.psnr, null); // lossless: Infinity in JSON
+    assert.ok(entry.metrics.ssim > 0.999999);
+    assert.deepEqual(entry.output, { file: path.join(out, 'art.lowres.png'), width: 20, height: 15 });
+
+    const png = fs.readFileSync(entry.output.file);
+    assert.deepEqual(pngjs.PNG.sync.read(png).data, Buffer.from(sprite.data.buffer));
+    assert.equal(JSON.parse(readPNGText(png)['pixel-grid']).source, art);
+
+    // --report writes the same to a file, the outputs of earlier runs aren't inputs
+    const report = path.join(dir, 'report.json');
+    const again = run('-q', '-r', report, '-f', 'json', dir);
+    assert.equal(again.status, 2); // broken.png
+    assert.equal(again.stdout, '');
+    const entries = JSON.parse(fs.readFileSync(report, 'utf8'));
+    assert.deepEqual(entries.map(e => path.basename(e.file)), ['art.png', 'broken.png']);
+    assert.equal(entries[0].output.file, path.join(dir, 'art.lowres.json'));
+    assert.equal(JSON.parse(fs.readFileSync(entries[0].output.file, 'utf8')).pixels.length, 15);
+});
+
+test('exit codes for unreadable files, output name clashes and low confidence', () => {
+    const { dir, art, broken } = fixtures();
+
+    const unreadable = run(broken, art);
+    assert.equal(unreadable.status, 2);
+    assert.match(unreadable.stderr, /broken\.png: ERROR unsupported image format/);
+    const [ok, error] = JSON.parse(unreadable.stdout); // sorted by path
+    assert.deepEqual(error, { file: broken, error: 'unsupported image format (expected PNG, JPEG or GIF)' });
+    assert.equal(ok.file, art); // the others are still done
+    assert.ok(ok.output);
+
+    const missing = run(path.join(dir, 'missing.png'));
+    assert.equal(missing.status, 2);
+    assert.match(missing.stderr, /no files match/);
+    assert.match(missing.stderr, /no PNG, JPEG or GIF files found/);
+
+    // Same name, other extension: both kept, with theirs (the format is sniffed, the extension doesn't matter)
+    fs.copyFileSync(art, path.join(dir, 'art.gif'));
+    const pair = run('-q', art, path.join(dir, 'art.gif'));
+    assert.equal(pair.status, 0, pair.stderr);
+    assert.deepEqual(JSON.parse(pair.stdout).map(e => path.basename(e.output.file)), ['art.gif.lowres.png', 'art.png.lowres.png']);
+
+    // Same name in two folders, one output folder: nothing written
+    const other = fixtures();
+    const out = path.join(dir, 'out');
+    const clash = run('-q', '-o', out, art, other.art);
+    assert.equal(clash.status, 2);
+    assert.match(clash.stderr, /art\.png and .*art\.png would both be written to .*art\.png\.lowres\.\*/);
+    assert.deepEqual(fs.readdirSync(out), []);
+
+    const strict = run('-q', '--min-confidence', '1000', art);
+    assert.equal(strict.status, 1);
+    assert.equal(JSON.parse(strict.stdout)[0].lowConfidence, true);
+});
@@ -0,0 +1,68 @@
+/**
+ * Content detection (crop.js, detectContentRect, crop: true): letterbox bars and frames trimmed to the art, a title
+ * bar of UI text over the art trimmed to the grid, and crop-relative results moved back into image coordinates.
+ *
+ *   npm test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { findUniformBorders, detectContentRect, detectPixelGrid } from '../index.js';
+import { generateCase, mulberry32 } from './synthetic.js';
+
+const CASES = 8;
+const TITLE_BAR = 14; // rows
+
+// `image` under a light bar of dark 1-texel "text", nothing like the grid below it
+function withTitleBar(image, rand) {
+    const { width } = image;
+    const data = new Uint8ClampedArray(width * (image.height + TITLE_BAR) * 4);
+    for (let i = 0; i < width * TITLE_BAR; i++) {
+        const x = i % width, y = Math.floor(i / width);
+        const ink = y > 3 && y < 10 && x > 4 && rand() < 0.35;
+        data.set(ink ? [20, 20, 20, 255] : [200, 200, 205, 255], i * 4);
+    }
+    data.set(image.data, width * TITLE_BAR * 4);
+    return { width, height: image.height + TITLE_BAR, data };
+}
+
+test('uniform borders are trimmed to the art', () => {
+    for (let seed = 0; seed < CASES; seed++) {
+        const { image, truth } = generateCase('border', seed);
+        assert.deepEqual(findUniformBorders(image), truth.crop, `seed ${seed}`);
+        assert.deepEqual(detectContentRect(image), truth.crop, `seed ${seed}`);
+    }
+    const { image } = generateCase('fractional', 0);
+    assert.deepEqual(findUniformBorders(image), { x: 0, y: 0, width: image.width, height: image.height });
+});
+
+test('a title bar is trimmed, up to the first cell boundary below it', () => {
+    for (let seed = 0; seed < CASES; seed++) {
+        const { image, truth } = generateCase('fractional', seed);
+        const framed = withTitleBar(image, mulberry32(seed));
+        const rect = detectContentRect(framed);
+        assert.equal(rect.x, 0, `seed ${seed}`);
+        assert.equal(rect.width, image.width, `seed ${seed}`);
+        assert.ok(rect.y >= TITLE_BAR && rect.y <= TITLE_BAR + Math.ceil(truth.y.scale), `seed ${seed}: y ${rect.y}`);
+        assert.equal(rect.y + rect.height, framed.height, `seed ${seed}`);
+    }
+});
+
+test('crop: true gives image coordinates, candidates included', () => {
+    const { image, truth, options } = generateCase('border', 1);
+    const grid = detectPixelGrid(image, options);
+    assert.deepEqual(grid.crop, truth.crop);
+    for (const axis of ['x', 'y']) {
+        const res = grid[axis];
+        // The first candidate is the grid picked
+        assert.equal(res.candidates[0].scale, res.scale);
+        assert.ok(Math.abs(res.candidates[0].offset - res.offset) < 1e-9, `${axis}: ${res.candidates[0].offset} vs ${res.offset}`);
+        assert.ok(res.candidates.every(c => c.offset >= truth.crop[axis]), axis);
+    }
+
+    // The same from plain arrays
+    const plain = { ...image, data: Array.from(image.data) };
+    assert.deepEqual(detectContentRect(plain), truth.crop);
+    assert.deepEqual(detectPixelGrid(plain, options), grid);
+});
@@ -0,0 +1,155 @@
+/**
+ * Detection and reconstruction on the synthetic corpus (test/synthetic.js), per degradation: the share of cases whose
+ * grid comes out right and, where the degradation allows it, whose reconstruction is pixel-exact. Smooth upscales
+ * are reconstructed with deconvolve (kernel 'auto'), the rest with downsample.
+ * The shares are printed as diagnostics; the tests fail when one drops below MIN_ACCURACY.
+ *
+ *   npm test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { detectPixelGrid, downsample, deconvolve, deskewImage, computeColDiffs, DIFF_METRICS } from '../index.js';
+import { generateCase, DEGRADATIONS, mulberry32, upscale } from './synthetic.js';
+
+const CASES = 24; // per degradation
+const SCALE_TOLERANCE = 0.01; // relative
+const OFFSET_TOLERANCE = 1; // texels, around the phase of the true edges
+const ANGLE_TOLERANCE = 1; // texels the far side of the image moves by
+
+// What the detector gets right now, rounded down: raise these when it improves, never lower them to make a change pass.
+// maxError: ceiling of the mean channel error of smooth upscales' reconstructions (rounded up, lower it likewise)
+const MIN_ACCURACY = {
+    'integer': { grid: 0.75, exact: 0.75 },
+    'fractional': { grid: 0.95, exact: 0.95 },
+    'partial crop': { grid: 0.9, exact: 0.9 },
+    'border': { grid: 0.95, exact: 0.95 },
+    'jpeg': { grid: 0.9 },
+    'bilinear': { grid: 0.45, maxError: 1 },
+    'rotated': { grid: 0.95 },
+    'bicubic': { grid: 0.6, maxError: 0.7 }
+};
+
+// Every difference metric on the clean and the JPEG cases, same rule as MIN_ACCURACY
+const MIN_METRIC_ACCURACY = 0.8;
+
+// Phase of a grid's boundaries modulo `scale` (circular mean), comparable to the offsets analyzeAxis finds:
+// edges of a fractional grid are rounded up to whole texels
+function edgeOffset(boundaries, scale) {
+    let re = 0, im = 0;
+    for (const b of boundaries.slice(1, -1)) {
+        re += Math.cos(2 * Math.PI * b / scale);
+        im += Math.sin(2 * Math.PI * b / scale);
+    }
+    const offset = Math.atan2(im, re) / (2 * Math.PI) * scale;
+    return offset < -1e-9 ? offset + scale : Math.max(0, offset); // no 1.99999 for 0
+}
+
+function circularDistance(a, b, period) {
+    const d = ((a - b) % period + period) % period;
+    return Math.min(d, period - d);
+}
+
+// Angle error in texels at the far side of the image
+function angleDrift(angle, truth, image) {
+    return Math.abs(angle - truth) * Math.PI / 180 * Math.max(image.width, image.height);
+}
+
+function axisMatches(res, truth) {
+    return Math.abs(res.scale - truth.scale) <= SCALE_TOLERANCE * truth.scale &&
+        circularDistance(res.offset, edgeOffset(truth.boundaries, truth.scale), truth.scale) <= OFFSET_TOLERANCE;
+}
+
+// Mean absolute channel difference, null when the sizes differ
+function meanError(a, b) {
+    if (a.width !== b.width || a.height !== b.height) return null;
+    let sum = 0;
+    for (let i = 0; i < a.data.length; i++) sum += Math.abs(a.data[i] - b.data[i]);
+    return sum / a.data.length;
+}
+
+const describeAxis = (res) => `${res.scale.toFixed(3)} @ ${res.offset.toFixed(2)}`;
+
+for (const [degradation, { exact, filter }] of Object.entries(DEGRADATIONS)) {
+    test(degradation, (t) => {
+        let grids = 0;
+        let exacts = 0;
+        let kernels = 0;
+        const errors = [];
+        for (let seed = 1; seed <= CASES; seed++) {
+            const { image, expected, truth, options } = generateCase(degradation, seed);
+            const grid = detectPixelGrid(image, options);
+            const source = grid.angle ? deskewImage(image, grid.angle) : image;
+            const lowres = filter ?
+                deconvolve(source.data, source.width, source.height, grid.x, grid.y) :
+                downsample(source.data, source.width, source.height, grid.x, grid.y);
+            const error = meanError(lowres, expected);
+            if (error !== null) errors.push(error);
+            if (lowres.kernel === filter) kernels++;
+
+            const angle = grid.angle || 0;
+            if (axisMatches(grid.x, truth.x) && axisMatches(grid.y, truth.y) && angleDrift(angle, truth.angle, image) <= ANGLE_TOLERANCE) {
+                grids++;
+            } else {
+                const phase = (res) => ({ ...res, offset: edgeOffset(res.boundaries, res.scale) });
+                t.diagnostic(`seed ${seed}: found x ${describeAxis(grid.x)}, y ${describeAxis(grid.y)}, angle ${angle.toFixed(2)}; ` +
+                    `expected x ${describeAxis(phase(truth.x))}, y ${describeAxis(phase(truth.y))}, angle ${truth.angle}`);
+            }
+            if (error === 0) exacts++;
+        }
+
+        const meanOfErrors = errors.length ? errors.reduce((a, b) => a + b) / errors.length : NaN;
+        t.diagnostic(`${degradation}: ${grids}/${CASES} grids, ${exacts}/${CASES} pixel-exact, mean channel error ` +
+            `${meanOfErrors.toFixed(2)} (of the ${errors.length} reconstructions with the right size)` +
+            (filter ? `, ${filter} estimated ${kernels}/${CASES} times` : ''));
+        assert.ok(grids / CASES >= MIN_ACCURACY[degradation].grid, `${grids}/${CASES} grids found`);
+        if (exact) assert.ok(exacts / CASES >= MIN_ACCURACY[degradation].exact, `${exacts}/${CASES} reconstructions pixel-exact`);
+        if (filter) assert.ok(meanOfErrors <= MIN_ACCURACY[degradation].maxError, `mean channel error ${meanOfErrors.toFixed(2)}`);
+    });
+}
+
+test('rotation detection leaves axis-aligned grids alone', (t) => {
+    let rotated = 0;
+    for (const degradation of ['fractional', 'jpeg', 'bilinear']) {
+        for (let seed = 1; seed <= CASES; seed++) {
+            const { image, options } = generateCase(degradation, seed);
+            const { angle } = detectPixelGrid(image, { ...options, rotation: true });
+            if (angle !== 0) rotated++;
+            assert.ok(angleDrift(angle, 0, image) <= ANGLE_TOLERANCE, `${degradation}, seed ${seed}: angle ${angle}`);
+        }
+    }
+    t.diagnostic(`${rotated}/${CASES * 3} axis-aligned grids with a small angle`);
+});
+
+test('every difference metric finds the grid', (t) => {
+    for (const metric of DIFF_METRICS) {
+        for (const degradation of ['fractional', 'jpeg']) {
+            let grids = 0;
+            for (let seed = 1; seed <= CASES; seed++) {
+                const { image, truth, options } = generateCase(degradation, seed);
+                const grid = detectPixelGrid(image, { ...options, metric });
+                if (axisMatches(grid.x, truth.x) && axisMatches(grid.y, truth.y)) grids++;
+            }
+            t.diagnostic(`${metric}, ${degradation}: ${grids}/${CASES} grids`);
+            assert.ok(grids / CASES >= MIN_METRIC_ACCURACY, `${metric}, ${degradation}: ${grids}/${CASES} grids found`);
+        }
+    }
+    assert.throws(() => detectPixelGrid(generateCase('integer', 1).image, { metric: 'hue' }), RangeError);
+});
+
+test("'edges' ignores noise below the threshold", () => {
+    const rand = mulberry32(5);
+    // Colours far enough apart that noise can't take an edge under the threshold
+    const palette = [[0, 0, 0], [255, 255, 255], [200, 40, 40], [40, 40, 200]];
+    const sprite = { width: 20, height: 12, data: new Uint8ClampedArray(20 * 12 * 4) };
+    for (let i = 0; i < 20 * 12; i++) sprite.data.set([...palette[Math.floor(rand() * palette.length)], 255], i * 4);
+    const clean = upscale(sprite, { width: 100, height: 60, scaleX: 5, scaleY: 5 });
+    const noisy = { ...clean, data: clean.data.map((v, i) => i % 4 === 3 ? v : v + Math.round(rand() * 6) - 3) };
+
+    const profile = (image, metric) => computeColDiffs(image.data, image.width, image.height, 1, metric);
+    assert.deepEqual(profile(noisy, 'edges'), profile(clean, 'edges'));
+    // The default metric picks the noise up between the edges
+    assert.ok(profile(noisy, 'sum')[2] > 0);
+    assert.equal(profile(clean, 'sum')[2], 0);
+});
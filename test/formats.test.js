@@ -0,0 +1,197 @@
+/**
+ * Export formats (formats.js): upscales, the SVG repainted pixel for pixel, the pixel matrix, Aseprite files read back,
+ * the grid metadata in PNG text chunks and GIF comments, and compression through an asynchronous compressor.
+ *
+ *   npm test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import zlib from 'node:zlib';
+import pngjs from 'pngjs';
+
+import {
+    upscaleImage, encodeSVG, pixelMatrix, encodeAseprite, exportImage, exportAnimation, gridMetadata, quantize,
+    encodePNG, readPNGText, encodeGIF, decodeGIF, encodeDeflated
+} from '../index.js';
+import { clearTransparent, mulberry32, randomSprite } from './synthetic.js';
+
+const GRID = { x: { scale: 4.5, offset: 1.25, confidence: 0.9 }, y: { scale: 4.5, offset: 0.5, confidence: 0.8 }, angle: 2 };
+
+// Paint the SVG's paths (M x y h w v h h -w z rectangles) back into pixels
+function paintSVG(svg, width, height) {
+    const data = new Uint8ClampedArray(width * height * 4);
+    for (const [, fill, opacity, d] of svg.matchAll(/<path fill="#(\w{6})"(?: fill-opacity="([\d.]+)")? d="([^"]+)"\/>/g)) {
+        const rgba = [...fill.match(/../g).map(h => parseInt(h, 16)), opacity ? Math.round(opacity * 255) : 255];
+        for (const [, x, y, w, h] of d.matchAll(/M(\d+) (\d+)h(\d+)v(\d+)h-\d+z/g)) {
+            for (let py = +y; py < +y + +h; py++) {
+                for (let px = +x; px < +x + +w; px++) {
+                    assert.equal(data[(py * width + px) * 4 + 3], 0, `pixel ${px}, ${py} painted twice`);
+                    data.set(rgba, (py * width + px) * 4);
+                }
+            }
+        }
+    }
+    return data;
+}
+
+test('upscaleImage', () => {
+    const image = { width: 2, height: 1, data: Uint8ClampedArray.from([1, 2, 3, 255, 4, 5, 6, 128]) };
+    const scaled = upscaleImage(image, 3);
+    assert.equal(scaled.width, 6);
+    assert.equal(scaled.height, 3);
+    for (let y = 0; y < 3; y++) {
+        assert.deepEqual([...scaled.data.subarray(y * 24, y * 24 + 24)], [1, 2, 3, 255, 1, 2, 3, 255, 1, 2, 3, 255, 4, 5, 6, 128, 4, 5, 6, 128, 4, 5, 6, 128]);
+    }
+    assert.equal(upscaleImage(image, 1), image);
+    assert.throws(() => upscaleImage(image, 1.5), RangeError);
+
+    const sprite = randomSprite(5, 4, mulberry32(1), { colors: 3 });
+    const indexed = upscaleImage(quantize(sprite, sprite.palette), 2);
+    assert.equal(indexed.indices.length, 10 * 8);
+    assert.equal(indexed.indices[10 + 3], indexed.indices[2]); // row 1, column 3: the first row's pixel 1, like column 2
+});
+
+test('SVG repaints to the same pixels', () => {
+    const sprite = randomSprite(23, 17, mulberry32(2), { colors: 5, alpha: true });
+    const svg = encodeSVG(sprite, { scale: 8, metadata: gridMetadata(GRID, 'a&b.png') });
+    assert.match(svg, /width="184" height="136" viewBox="0 0 23 17"/);
+    assert.deepEqual(JSON.parse(svg.match(/<metadata>(.*)<\/metadata>/)[1].replace(/&amp;/g, '&')).source, 'a&b.png');
+
+    const painted = paintSVG(svg, sprite.width, sprite.height);
+    const expected = clearTransparent(sprite.data);
+    for (let i = 0; i < expected.length; i += 4) {
+        // fill-opacity has three decimals, alpha comes back within a unit
+        assert.deepEqual([...painted.subarray(i, i + 3)], [...expected.subarray(i, i + 3)], `pixel ${i / 4}`);
+        assert.ok(Math.abs(painted[i + 3] - expected[i + 3]) <= 1, `pixel ${i / 4} alpha`);
+    }
+    // Merged: far fewer rectangles than opaque pixels
+    assert.ok(svg.match(/M/g).length < sprite.width * sprite.height / 2);
+});
+
+test('pixel matrix as JSON and CSV', () => {
+    const image = { width: 2, height: 2, data: Uint8ClampedArray.from([255, 0, 0, 255, 0, 255, 0, 128, 0, 0, 255, 255, 1, 2, 3, 0]) };
+    const rows = [['#ff0000', '#00ff0080'], ['#0000ff', '#01020300']];
+    assert.deepEqual(pixelMatrix(image), rows);
+
+    const metadata = gridMetadata(GRID, 'in.png');
+    const json = exportImage(image, 'json', { metadata });
+    assert.equal(json.extension, '.json');
+    assert.deepEqual(JSON.parse(json.data), { width: 2, height: 2, metadata, pixels: rows });
+    assert.equal(json.data.split('\n').filter(line => line.startsWith('    [')).length, 2); // a line per row
+
+    const csv = exportImage(image, 'csv', { metadata });
+    assert.equal(csv.data, '#ff0000,#00ff0080\n#0000ff,#01020300\n');
+    assert.throws(() => exportImage(image, 'bmp'), RangeError);
+});
+
+// Header, frames and chunks of an .aseprite file, the cels inflated
+function readAseprite(bytes) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    assert.equal(view.getUint32(0, true), bytes.length);
+    assert.equal(view.getUint16(4, true), 0xa5e0);
+    const file = { width: view.getUint16(8, true), height: view.getUint16(10, true), depth: view.getUint16(12, true), frames: [] };
+    let pos = 128;
+    for (let f = 0; f < view.getUint16(6, true); f++) {
+        const frameEnd = pos + view.getUint32(pos, true);
+        assert.equal(view.getUint16(pos + 4, true), 0xf1fa);
+        const frame = { duration: view.getUint16(pos + 8, true), cels: [], userData: null };
+        pos += 16;
+        while (pos < frameEnd) {
+            const size = view.getUint32(pos, true), type = view.getUint16(pos + 4, true);
+            const body = bytes.subarray(pos + 6, pos + size);
+            if (type === 0x2005) {
+                assert.equal(body[7] | body[8] << 8, 2); // compressed image
+                frame.cels.push({ width: body[16] | body[17] << 8, height: body[18] | body[19] << 8, data: zlib.inflateSync(body.subarray(20)) });
+            } else if (type === 0x2020) {
+                frame.userData = new TextDecoder().decode(body.subarray(6, 6 + (body[4] | body[5] << 8)));
+            }
+            pos += size;
+        }
+        file.frames.push(frame);
+    }
+    assert.equal(pos, bytes.length);
+    return file;
+}
+
+test('Aseprite files read back', () => {
+    const rand = mulberry32(3);
+    const sprite = randomSprite(13, 9, rand, { alpha: true });
+    const metadata = gridMetadata(GRID);
+    const still = readAseprite(exportImage(sprite, 'aseprite', { metadata, deflate: zlib.deflateSync }).data);
+    assert.deepEqual([still.width, still.height, still.depth], [13, 9, 32]);
+    assert.equal(still.frames.length, 1);
+    assert.deepEqual(JSON.parse(still.frames[0].userData), metadata);
+    assert.deepEqual(new Uint8Array(still.frames[0].cels[0].data), new Uint8Array(sprite.data.buffer));
+
+    const frames = [0, 1, 2].map(i => ({ data: randomSprite(13, 9, rand).data, delay: 80 + i * 10 }));
+    const [file] = exportAnimation({ width: 13, height: 9, loop: 0, frames }, 'aseprite');
+    const animation = readAseprite(file.data); // stored, not compressed: zlib all the same
+    assert.deepEqual(animation.frames.map(f => f.duration), [80, 90, 100]);
+    animation.frames.forEach((frame, i) => assert.deepEqual(new Uint8Array(frame.cels[0].data), new Uint8Array(frames[i].data.buffer)));
+    assert.equal(encodeAseprite(sprite).length > 128, true);
+});
+
+test('grid metadata in PNGs and GIFs', () => {
+    const sprite = randomSprite(7, 5, mulberry32(4));
+    const metadata = gridMetadata({ ...GRID, crop: { x: 3, y: 4, width: 30, height: 20 } }, 'sprites/héros.png');
+    assert.deepEqual(Object.keys(metadata), ['source', 'x', 'y', 'crop', 'angle']);
+
+    const png = exportImage(sprite, 'png', { scale: 3, metadata });
+    const text = readPNGText(png.data);
+    assert.equal(text.Software, 'find-pixel-resolution');
+    assert.deepEqual(JSON.parse(text['pixel-grid']), metadata);
+    const decoded = pngjs.PNG.sync.read(Buffer.from(png.data));
+    assert.deepEqual([decoded.width, decoded.height], [21, 15]);
+    assert.deepEqual([...decoded.data.subarray(0, 4)], [...sprite.data.subarray(0, 4)]);
+
+    // Indexed when quantized, the text all the same
+    const indexed = exportImage(quantize(sprite, sprite.palette), 'png', { metadata });
+    assert.equal(pngjs.PNG.sync.read(Buffer.from(indexed.data)).width, 7);
+    assert.deepEqual(JSON.parse(readPNGText(indexed.data)['pixel-grid']), metadata);
+
+    // Non-Latin-1 text goes into iTXt
+    const itxt = readPNGText(encodePNG(sprite, undefined, { Comment: 'ピクセル' }));
+    assert.equal(itxt.Comment, 'ピクセル');
+
+    const animation = { width: 7, height: 5, loop: 0, frames: [{ data: sprite.data, delay: 100 }] };
+    const gif = decodeGIF(encodeGIF(animation, { comment: 'hello' }));
+    assert.equal(gif.comment, 'hello');
+    const [exported] = exportAnimation(animation, 'gif', { scale: 2, metadata: gridMetadata(GRID) });
+    const back = decodeGIF(exported.data);
+    assert.equal(back.width, 14);
+    assert.deepEqual(JSON.parse(back.comment), gridMetadata(GRID));
+
+    const [sheet, json] = exportAnimation(animation, 'sheet', { metadata, name: 'walk.lowres' });
+    assert.equal(JSON.parse(json.data).meta.pixelGrid.source, 'sprites/héros.png');
+    assert.equal(JSON.parse(json.data).meta.image, 'walk.lowres.png');
+    assert.deepEqual(JSON.parse(readPNGText(sheet.data)['pixel-grid']), metadata);
+});
+
+test('exports compressed with an asynchronous compressor', async () => {
+    // Big flat areas, like an upscaled reconstruction
+    const sprite = upscaleImage(randomSprite(12, 10, mulberry32(5), { colors: 4 }), 8);
+    const metadata = gridMetadata(GRID);
+    const stored = exportImage(sprite, 'png', { metadata });
+    const compressed = await encodeDeflated(deflate => exportImage(sprite, 'png', { metadata, deflate }));
+    assert.ok(compressed.data.length < stored.data.length / 4, `${compressed.data.length} vs ${stored.data.length}`);
+    assert.deepEqual(pngjs.PNG.sync.read(Buffer.from(compressed.data)).data, pngjs.PNG.sync.read(Buffer.from(stored.data)).data);
+    assert.deepEqual(JSON.parse(readPNGText(compressed.data)['pixel-grid']), metadata);
+
+    // One compression per frame, handed back in order
+    const frames = [1, 2, 3].map(seed => ({ data: randomSprite(6, 5, mulberry32(seed)).data, delay: 100 }));
+    const inputs = [];
+    const zlibAsync = async (data) => {
+        inputs.push(data.length);
+        return zlib.deflateSync(data);
+    };
+    const [file] = await encodeDeflated(deflate => exportAnimation({ width: 6, height: 5, loop: 0, frames }, 'aseprite', { deflate }), zlibAsync);
+    assert.equal(inputs.length, 3);
+    readAseprite(file.data).frames.forEach((frame, i) => assert.deepEqual(new Uint8Array(frame.cels[0].data), new Uint8Array(frames[i].data.buffer)));
+
+    // Nothing to compress: one run
+    let runs = 0;
+    const svg = await encodeDeflated(() => ++runs && exportImage(sprite, 'svg'));
+    assert.equal(runs, 1);
+    assert.equal(svg.extension, '.svg');
+});
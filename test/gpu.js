@@ -0,0 +1,166 @@
+/**
+ * The shaders' passes on their own, for test/parity.test.js: window.gpuPasses, or window.gpuError when
+ * WebGL 2 or float render targets are missing. Set up like main.js and analysis-worker.js.
+ * Images are plain arrays of RGBA bytes, rows bottom-up like the textures; so are the results.
+ */
+
+import { createProgram, createQuadBuffer, bindQuad } from '../gl.js';
+import { vsSource, fsColDiffSource, fsRowDiffSource, fsDisplaySource, fsDownsampleSource } from '../shaders.js';
+import { normalizeSampling, SAMPLING_METHODS, DIFF_METRICS, rgbToOklab } from '../index.js';
+
+function texture(gl, internalFormat, width, height, format, type, data) {
+    const tex = gl.createTexture();
+    gl.bindTexture(gl.TEXTURE_2D, tex);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.NEAREST);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.NEAREST);
+    gl.pixelStorei(gl.UNPACK_ALIGNMENT, 1);
+    gl.texImage2D(gl.TEXTURE_2D, 0, internalFormat, width, height, 0, format, type, data);
+    return tex;
+}
+
+function init() {
+    const gl = document.createElement('canvas').getContext('webgl2');
+    if (!gl) throw new Error('WebGL 2 not supported');
+    if (!gl.getExtension('EXT_color_buffer_float')) throw new Error('EXT_color_buffer_float not supported');
+
+    const programs = {
+        col: createProgram(gl, vsSource, fsColDiffSource),
+        row: createProgram(gl, vsSource, fsRowDiffSource),
+        display: createProgram(gl, vsSource, fsDisplaySource),
+        downsample: createProgram(gl, vsSource, fsDownsampleSource)
+    };
+    const quad = createQuadBuffer(gl);
+
+    const imageTexture = (image) => texture(gl, gl.RGBA, image.width, image.height, gl.RGBA, gl.UNSIGNED_BYTE, new Uint8Array(image.data));
+    const rgbaTexture = (image) => texture(gl, gl.RGBA8, image.width, image.height, gl.RGBA, gl.UNSIGNED_BYTE, new Uint8Array(image.data));
+
+    // Draw `program` into a new w x h target and read it back
+    function draw(program, internalFormat, w, h, setup) {
+        const float = internalFormat === gl.R32F;
+        const target = texture(gl, internalFormat, w, h, float ? gl.RED : gl.RGBA, float ? gl.FLOAT : gl.UNSIGNED_BYTE, null);
+        const fbo = gl.createFramebuffer();
+        gl.bindFramebuffer(gl.FRAMEBUFFER, fbo);
+        gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, target, 0);
+        gl.viewport(0, 0, w, h);
+        gl.useProgram(program);
+        bindQuad(gl, program, quad);
+        setup((name) => gl.getUniformLocation(program, name));
+        gl.drawArrays(gl.TRIANGLES, 0, 6);
+
+        const out = float ? new Float32Array(w * h) : new Uint8Array(w * h * 4);
+        gl.readPixels(0, 0, w, h, float ? gl.RED : gl.RGBA, float ? gl.FLOAT : gl.UNSIGNED_BYTE, out);
+        gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+        gl.deleteFramebuffer(fbo);
+        gl.deleteTexture(target);
+        return Array.from(out);
+    }
+
+    function bindTexture(unit, tex) {
+        gl.activeTexture(gl.TEXTURE0 + unit);
+        gl.bindTexture(gl.TEXTURE_2D, tex);
+        gl.activeTexture(gl.TEXTURE0);
+    }
+
+    // Units 1 and 2, like bindBoundsTextures in main.js
+    function bindBounds(u, boundsX, boundsY) {
+        const boundsTexture = (b) => texture(gl, gl.R32F, b.length, 1, gl.RED, gl.FLOAT, new Float32Array(b));
+        bindTexture(1, boundsTexture(boundsX));
+        bindTexture(2, boundsTexture(boundsY));
+        gl.uniform1i(u("uBoundsX"), 1);
+        gl.uniform1i(u("uBoundsY"), 2);
+        gl.uniform1i(u("uCellsX"), boundsX.length - 1);
+        gl.uniform1i(u("uCellsY"), boundsY.length - 1);
+    }
+
+    // Unit 3, like updatePaletteTexture in main.js
+    function bindPalette(u, palette) {
+        const size = palette ? palette.length : 0;
+        const data = new Float32Array(Math.max(1, size) * 8);
+        (palette || []).forEach((c, i) => {
+            data.set([c[0] / 255, c[1] / 255, c[2] / 255, 1], i * 4);
+            data.set([...rgbToOklab(c[0], c[1], c[2]), 1], (size + i) * 4);
+        });
+        bindTexture(3, texture(gl, gl.RGBA32F, Math.max(1, size), 2, gl.RGBA, gl.FLOAT, data));
+        gl.uniform1i(u("uPalette"), 3);
+        gl.uniform1i(u("uPaletteSize"), size);
+    }
+
+    // uRotation for a grid at `angle` degrees, like setRotation in main.js
+    function bindRotation(u, angle) {
+        const a = (angle || 0) * Math.PI / 180;
+        gl.uniform2f(u("uRotation"), Math.cos(a), Math.sin(a));
+    }
+
+    function profiles(image, rect, alphaWeight, metric) {
+        const tex = imageTexture(image);
+        const setup = (u) => {
+            gl.uniform4i(u("uRegion"), rect.x, rect.y, rect.width, rect.height);
+            gl.uniform1f(u("uAlphaWeight"), alphaWeight);
+            gl.uniform1i(u("uMetric"), DIFF_METRICS.indexOf(metric));
+            gl.uniform1i(u("uImage"), 0);
+            bindTexture(0, tex);
+        };
+        const result = {
+            colData: draw(programs.col, gl.R32F, rect.width, 1, setup),
+            rowData: draw(programs.row, gl.R32F, 1, rect.height, setup)
+        };
+        gl.deleteTexture(tex);
+        return result;
+    }
+
+    // Like drawCells in main.js
+    function downsample(image, boundsX, boundsY, sampling, angle) {
+        sampling = normalizeSampling(sampling);
+        const tex = imageTexture(image);
+        const data = draw(programs.downsample, gl.RGBA8, boundsX.length - 1, boundsY.length - 1, (u) => {
+            bindBounds(u, boundsX, boundsY);
+            gl.uniform2f(u("uOrigin"), 0, 0);
+            bindRotation(u, angle);
+            gl.uniform1i(u("uSampling"), SAMPLING_METHODS.indexOf(sampling.method));
+            gl.uniform1f(u("uRadius"), sampling.radius);
+            gl.uniform1f(u("uTrim"), sampling.trim);
+            gl.uniform1f(u("uAlphaThreshold"), sampling.alphaThreshold);
+            gl.uniform1i(u("uImage"), 0);
+            bindTexture(0, tex);
+        });
+        gl.deleteTexture(tex);
+        return { width: boundsX.length - 1, height: boundsY.length - 1, data };
+    }
+
+    // Like drawViewGPU in main.js, with the arguments of renderView (display.js)
+    function display(image, cells, view) {
+        const tex = imageTexture(image);
+        const texCells = rgbaTexture(cells);
+        const width = view.compare === 2 ? image.width * 2 : image.width;
+        const data = draw(programs.display, gl.RGBA8, width, image.height, (u) => {
+            gl.uniform2f(u("uResolution"), image.width, image.height);
+            gl.uniform1f(u("uScaleX"), view.resX.scale);
+            gl.uniform1f(u("uScaleY"), view.resY.scale);
+            bindBounds(u, view.resX.boundaries, view.resY.boundaries);
+            gl.uniform1i(u("uShowReconstructed"), view.showReconstructed ? 1 : 0);
+            gl.uniform1i(u("uShowGrid"), view.showGrid ? 1 : 0);
+            gl.uniform1i(u("uCompare"), view.compare || 0);
+            gl.uniform1f(u("uSplit"), view.split || 0);
+            gl.uniform4f(u("uCrop"), view.crop.x, view.crop.y, view.crop.width, view.crop.height);
+            bindRotation(u, view.angle);
+            bindPalette(u, view.palette);
+            bindTexture(4, texCells);
+            gl.uniform1i(u("uCells"), 4);
+            gl.uniform1i(u("uImage"), 0);
+            bindTexture(0, tex);
+        });
+        gl.deleteTexture(tex);
+        gl.deleteTexture(texCells);
+        return { width, height: image.height, data };
+    }
+
+    return { profiles, downsample, display };
+}
+
+try {
+    window.gpuPasses = init();
+} catch (err) {
+    window.gpuError = err.message;
+}
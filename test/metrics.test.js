@@ -0,0 +1,99 @@
+/**
+ * Reconstruction metrics (metrics.js): MSE, PSNR, SSIM and the per-cell errors on reconstructions with a known error,
+ * transparent pixels and a grid covering only part of the image.
+ *
+ *   npm test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { reconstructionMetrics } from '../index.js';
+import { mulberry32, randomSprite, upscale } from './synthetic.js';
+
+const SCALE = 4;
+const GRID = { scale: SCALE, offset: 0 };
+
+// A cols x rows image of one grey, and its reconstruction: one pixel per cell
+function flat(cols, rows, grey, alpha = 255) {
+    const fill = (n) => {
+        const data = new Uint8ClampedArray(n * 4);
+        for (let i = 0; i < n; i++) data.set([grey, grey, grey, alpha], i * 4);
+        return data;
+    };
+    return {
+        image: { width: cols * SCALE, height: rows * SCALE, data: fill(cols * rows * SCALE * SCALE) },
+        lowres: { width: cols, height: rows, data: fill(cols * rows) }
+    };
+}
+
+const metricsOf = (image, lowres, res = GRID, options) =>
+    reconstructionMetrics(image.data, image.width, image.height, res, res, lowres, options);
+
+test('a lossless reconstruction', () => {
+    const sprite = randomSprite(12, 10, mulberry32(3), { colors: 8, alpha: true });
+    const image = upscale(sprite, { width: 12 * SCALE, height: 10 * SCALE, scaleX: SCALE, scaleY: SCALE });
+    const m = metricsOf(image, sprite);
+    assert.equal(m.mse, 0);
+    assert.equal(m.psnr, Infinity);
+    assert.ok(Math.abs(m.ssim - 1) < 1e-9, `ssim ${m.ssim}`);
+    assert.equal(m.cellErrors.length, 12 * 10);
+    assert.ok(m.cellErrors.every(e => e === 0));
+    assert.equal(m.meanCellError, 0);
+    assert.equal(m.nonUniformCells, 0);
+});
+
+test('known errors', () => {
+    // One cell of four 10 off in every channel: a quarter of the pixels with a squared error of 100
+    const { image, lowres } = flat(2, 2, 100);
+    lowres.data.set([110, 110, 110, 255], 0);
+    const m = metricsOf(image, lowres);
+    assert.ok(Math.abs(m.mse - 25) < 1e-9, `mse ${m.mse}`);
+    assert.ok(Math.abs(m.psnr - 10 * Math.log10(255 * 255 / 25)) < 1e-9, `psnr ${m.psnr}`);
+    assert.deepEqual([...m.cellErrors], [10, 0, 0, 0]);
+    assert.equal(m.meanCellError, 2.5);
+    assert.equal(m.nonUniformCells, 0); // 10 is below NON_UNIFORM_THRESHOLD (16)
+    assert.equal(metricsOf(image, lowres, GRID, { threshold: 5 }).nonUniformCells, 0.25);
+
+    // One channel off: a third of the squared error
+    lowres.data.set([100, 100, 110, 255], 0);
+    assert.ok(Math.abs(metricsOf(image, lowres).mse - 25 / 3) < 1e-9);
+
+    // Flat everywhere and all 10 off: every window has only the luminance term of SSIM
+    const shifted = flat(4, 4, 100);
+    shifted.lowres.data.forEach((v, i, data) => { if (i % 4 !== 3) data[i] = 110; });
+    const c1 = (0.01 * 255) ** 2;
+    const expected = (2 * 100 * 110 + c1) / (100 * 100 + 110 * 110 + c1);
+    const s = metricsOf(shifted.image, shifted.lowres);
+    assert.ok(Math.abs(s.ssim - expected) < 1e-6, `ssim ${s.ssim}, expected ${expected}`);
+    assert.ok(Math.abs(s.mse - 100) < 1e-9);
+});
+
+test('transparent pixels only count by their alpha', () => {
+    // Different RGB, both transparent: no error
+    const { image, lowres } = flat(3, 2, 50, 0);
+    lowres.data.forEach((v, i, data) => { if (i % 4 !== 3) data[i] = 200; });
+    const m = metricsOf(image, lowres);
+    assert.equal(m.mse, 0);
+    assert.equal(m.psnr, Infinity);
+
+    // Half transparent, compared premultiplied: 100 * 0.5 against 50
+    const half = flat(1, 1, 100, 128);
+    half.lowres.data.set([50, 50, 50, 255]);
+    const e = 100 * 128 / 255 - 50;
+    assert.ok(Math.abs(metricsOf(half.image, half.lowres).mse - e * e) < 1e-6);
+});
+
+test('a grid covering part of the image is compared over that part', () => {
+    // Two columns of cells from x = 4, red on the left of them that the grid doesn't cover
+    const { image, lowres } = flat(3, 2, 100);
+    for (let y = 0; y < image.height; y++) {
+        for (let x = 0; x < SCALE; x++) image.data.set([255, 0, 0, 255], (y * image.width + x) * 4);
+    }
+    const cropped = { width: 2, height: 2, data: lowres.data.slice(0, 2 * 2 * 4) };
+    const resX = { boundaries: [SCALE, 2 * SCALE, 3 * SCALE] };
+    const m = reconstructionMetrics(image.data, image.width, image.height, resX, GRID, cropped);
+    assert.equal(m.mse, 0);
+    assert.equal(m.cellErrors.length, 4);
+    assert.ok(Math.abs(m.ssim - 1) < 1e-9, `ssim ${m.ssim}`);
+});
@@ -0,0 +1,151 @@
+/**
+ * Palettes (palette.js): every palette file format parsed, extraction of the dominant colours, and snapping to a
+ * palette with a transparent entry.
+ *
+ *   npm test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { parsePalette, extractPalette, quantize, toHex, rgbToOklab, oklabToRgb } from '../index.js';
+import { mulberry32, randomSprite } from './synthetic.js';
+
+const COLORS = [[255, 0, 0], [0, 128, 255], [17, 34, 51]];
+
+const bytes = (text) => new TextEncoder().encode(text);
+
+// RIFF PAL: "RIFF" size "PAL " and a "data" chunk of version, count and r, g, b, flags entries
+function riffPAL(colors) {
+    const data = new Uint8Array(4 + colors.length * 4);
+    const view = new DataView(data.buffer);
+    view.setUint16(0, 0x300, true);
+    view.setUint16(2, colors.length, true);
+    colors.forEach((c, i) => data.set([...c, 0], 4 + i * 4));
+    const out = new Uint8Array(20 + data.length);
+    const outView = new DataView(out.buffer);
+    out.set(bytes('RIFF'), 0);
+    outView.setUint32(4, out.length - 8, true);
+    out.set(bytes('PAL data'), 8);
+    outView.setUint32(16, data.length, true);
+    out.set(data, 20);
+    return out;
+}
+
+// Adobe Swatch Exchange: a group around colour blocks of the given models and values
+function ase(entries) {
+    const blocks = [];
+    const block = (type, body) => {
+        const out = new Uint8Array(6 + body.length);
+        const view = new DataView(out.buffer);
+        view.setUint16(0, type);
+        view.setUint32(2, body.length);
+        out.set(body, 6);
+        blocks.push(out);
+    };
+    const name = (text) => {
+        const out = new Uint8Array(2 + (text.length + 1) * 2);
+        const view = new DataView(out.buffer);
+        view.setUint16(0, text.length + 1);
+        [...text].forEach((ch, i) => view.setUint16(2 + i * 2, ch.charCodeAt(0)));
+        return out;
+    };
+    block(0xc001, name('group'));
+    for (const [model, values] of entries) {
+        const label = name(model);
+        const body = new Uint8Array(label.length + 4 + values.length * 4 + 2);
+        const view = new DataView(body.buffer);
+        body.set(label, 0);
+        body.set(bytes(model), label.length);
+        values.forEach((v, i) => view.setFloat32(label.length + 4 + i * 4, v));
+        block(0x0001, body);
+    }
+    block(0xc002, new Uint8Array(0));
+
+    const header = new Uint8Array(12);
+    header.set(bytes('ASEF'), 0);
+    new DataView(header.buffer).setUint16(4, 1);
+    new DataView(header.buffer).setUint32(8, blocks.length);
+    const out = new Uint8Array(12 + blocks.reduce((sum, b) => sum + b.length, 0));
+    out.set(header, 0);
+    let pos = 12;
+    for (const b of blocks) {
+        out.set(b, pos);
+        pos += b.length;
+    }
+    return out;
+}
+
+test('palette files', () => {
+    const gpl = 'GIMP Palette\nName: test\nColumns: 3\n#\n255   0   0\tRed\n  0 128 255\tBlue\n 17  34  51\n';
+    assert.deepEqual(parsePalette(bytes(gpl)), COLORS);
+    assert.deepEqual(parsePalette(bytes('\uFEFFff0000\r\n#0080FF\r\n\r\n112233\r\nnot a colour\r\n')), COLORS);
+    assert.deepEqual(parsePalette(bytes('JASC-PAL\r\n0100\r\n3\r\n255 0 0\r\n0 128 255\r\n17 34 51\r\n')), COLORS);
+    assert.deepEqual(parsePalette(riffPAL(COLORS)), COLORS);
+    assert.deepEqual(parsePalette(riffPAL(COLORS).buffer), COLORS); // an ArrayBuffer too
+
+    const swatches = parsePalette(ase([
+        ['RGB ', [1, 0, 0]],
+        ['Gray', [0.5]],
+        ['CMYK', [1, 0, 0, 0]], // cyan
+        ['LAB ', [1, 0, 0]] // white
+    ]));
+    assert.deepEqual(swatches.slice(0, 3), [[255, 0, 0], [128, 128, 128], [0, 255, 255]]);
+    assert.ok(swatches[3].every(v => v >= 254), `white: ${swatches[3]}`);
+
+    assert.throws(() => parsePalette(bytes('nothing here'), 'empty.hex'), /empty\.hex: no colours found/);
+    assert.throws(() => parsePalette(bytes('GIMP Palette\n300 0 0\n')), /no colours found/); // out of range
+
+    // Too many for 8-bit indices
+    const colors = Array.from({ length: 257 }, (_, i) => [i % 256, i >> 8, 0]);
+    assert.equal(parsePalette(riffPAL(colors.slice(0, 256))).length, 256);
+    assert.throws(() => parsePalette(riffPAL(colors), 'big.pal'), /big\.pal: 257 colours, a palette can have at most 256/);
+});
+
+test('extractPalette', () => {
+    // Few enough colours: exactly those, most frequent first, transparent pixels left out
+    const pixels = [];
+    const push = (rgb, alpha, n) => {
+        for (let i = 0; i < n; i++) pixels.push(...rgb, alpha);
+    };
+    push(COLORS[0], 255, 3);
+    push(COLORS[1], 255, 7);
+    push(COLORS[2], 255, 5);
+    push([9, 9, 9], 0, 20);
+    assert.deepEqual(extractPalette(pixels, 4), [COLORS[1], COLORS[2], COLORS[0]]);
+
+    // More: maxColors entries, every pixel close to one of them
+    const sprite = randomSprite(32, 32, mulberry32(4), { colors: 24 });
+    const palette = extractPalette(sprite.data, 8);
+    assert.equal(palette.length, 8);
+    assert.ok(palette.every(c => c.length === 3 && c.every(v => Number.isInteger(v) && v >= 0 && v <= 255)));
+    const snapped = quantize(sprite, palette);
+    let error = 0;
+    for (let i = 0; i < sprite.data.length; i++) if (i % 4 !== 3) error += Math.abs(sprite.data[i] - snapped.data[i]);
+    assert.ok(error / (sprite.width * sprite.height * 3) < 40, `mean error ${error / (sprite.width * sprite.height * 3)}`);
+});
+
+test('quantize', () => {
+    const image = {
+        width: 4, height: 1,
+        data: Uint8ClampedArray.from([250, 10, 5, 255, 10, 120, 240, 200, 20, 30, 50, 255, 255, 255, 255, 100])
+    };
+    const q = quantize(image, COLORS);
+    assert.deepEqual([...q.indices], [0, 1, 2, 3]);
+    assert.equal(q.transparentIndex, 3); // alpha 100 is below ALPHA_THRESHOLD
+    assert.deepEqual(q.palette, [...COLORS, [0, 0, 0]]);
+    assert.deepEqual([...q.data], [255, 0, 0, 255, 0, 128, 255, 255, 17, 34, 51, 255, 0, 0, 0, 0]);
+    assert.equal(COLORS.length, 3); // not modified
+
+    const opaque = quantize(image, COLORS, { alphaThreshold: 50 });
+    assert.equal(opaque.transparentIndex, -1);
+    assert.equal(opaque.palette.length, 3);
+
+    const full = Array.from({ length: 256 }, (_, i) => [i, i, i]);
+    assert.equal(quantize({ ...image, data: image.data.map((v, i) => i % 4 === 3 ? 255 : v) }, full).palette.length, 256);
+    assert.throws(() => quantize(image, full), /no room for a transparent entry/);
+    assert.throws(() => quantize(image, []), RangeError);
+
+    assert.equal(toHex([255, 0, 128]), '#ff0080');
+    for (const c of COLORS) assert.deepEqual(oklabToRgb(...rgbToOklab(...c)), c);
+});
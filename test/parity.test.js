@@ -0,0 +1,222 @@
+/**
+ * The CPU passes (pipeline.js, display.js) against the shaders (shaders.js) on synthetic upscaled images.
+ * The shaders run in headless Chrome through puppeteer; those tests are skipped when it or WebGL 2 isn't available.
+ *
+ *   npm test
+ */
+
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createServer } from 'node:http';
+import { readFile } from 'node:fs/promises';
+import { extname, join, normalize } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+import {
+    computeColDiffs, computeRowDiffs, cropImage, downsample, deskewImage, getCellBoundaries, SAMPLING_METHODS, DIFF_METRICS
+} from '../index.js';
+import { findCellIndex, renderView } from '../display.js';
+import { mulberry32, randomSprite, upscale, flipRows } from './synthetic.js';
+
+const ROOT = fileURLToPath(new URL('..', import.meta.url));
+const MIME_TYPES = { '.html': 'text/html', '.js': 'text/javascript' };
+const PROFILE_TOLERANCE = 1e-4; // relative, float sums in a different order
+const CURVE_TOLERANCE = 1e-3; // relative, for the metrics through GLSL's pow (linear light, OKLab)
+const EDGE_MISMATCHES = 0.05; // share of profile elements 'edges' may count a texel right at the threshold differently in
+const COLOR_TOLERANCE = 1; // 0-255, rounding to 8 bits
+const ROTATED_MISMATCHES = 0.002; // share of texels a grid at an angle may put in another cell, float32 against float64
+
+// Images as the page has them, rows bottom-up (the sprites are random, so they're simply generated that way up)
+const rand = mulberry32(17);
+const CASES = [
+    { name: 'opaque, scale 4', sprite: randomSprite(24, 20, rand), scaleX: 4, scaleY: 4, offsetX: 0, offsetY: 0 },
+    { name: 'opaque, scale 3.4 x 5.25 with offsets', sprite: randomSprite(28, 15, rand), scaleX: 3.4, scaleY: 5.25, offsetX: 1.3, offsetY: -2 },
+    { name: 'translucent, scale 6.5', sprite: randomSprite(14, 12, rand, { alpha: true }), scaleX: 6.5, scaleY: 6.5, offsetX: 2, offsetY: 3.2 }
+].map(c => {
+    const width = Math.round(c.sprite.width * c.scaleX);
+    const height = Math.round(c.sprite.height * c.scaleY);
+    const image = upscale(c.sprite, { ...c, width, height });
+    const resX = { scale: c.scaleX, offset: c.offsetX };
+    const resY = { scale: c.scaleY, offset: c.offsetY };
+    resX.boundaries = getCellBoundaries(resX, width);
+    resY.boundaries = getCellBoundaries(resY, height);
+    return { ...c, image, resX, resY };
+});
+
+// Elementwise, allowing `mismatches` (a share of the elements) to be further off
+function assertClose(actual, expected, tolerance, message, mismatches = 0) {
+    assert.equal(actual.length, expected.length, `${message}: length`);
+    let allowed = Math.floor(expected.length * mismatches);
+    for (let i = 0; i < expected.length; i++) {
+        const limit = tolerance(expected[i]);
+        if (!(Math.abs(actual[i] - expected[i]) <= limit) && allowed-- <= 0) {
+            assert.fail(`${message}: element ${i} is ${actual[i]}, expected ${expected[i]} (within ${limit})`);
+        }
+    }
+}
+
+const plain = (image) => ({ width: image.width, height: image.height, data: Array.from(image.data) });
+
+// Static files of the repository, for the test page
+async function startServer() {
+    const server = createServer(async (req, res) => {
+        const path = normalize(join(ROOT, decodeURIComponent(new URL(req.url, 'http://localhost').pathname)));
+        try {
+            if (!path.startsWith(ROOT)) throw new Error('outside the repository');
+            const body = await readFile(path);
+            res.writeHead(200, { 'Content-Type': MIME_TYPES[extname(path)] || 'application/octet-stream' });
+            res.end(body);
+        } catch {
+            res.writeHead(404);
+            res.end();
+        }
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    return server;
+}
+
+// The page with window.gpuPasses, or the reason the GPU tests can't run
+async function openGPUPage() {
+    let puppeteer;
+    try {
+        puppeteer = (await import('puppeteer')).default;
+    } catch {
+        return { skip: 'puppeteer is not installed' };
+    }
+    const server = await startServer();
+    let browser;
+    try {
+        browser = await puppeteer.launch({ args: ['--use-angle=swiftshader', '--enable-unsafe-swiftshader', '--no-sandbox'] });
+    } catch (err) {
+        server.close();
+        return { skip: `no browser: ${err.message.split('\n')[0]}` };
+    }
+    const close = async () => {
+        await browser.close();
+        server.close();
+    };
+    const page = await browser.newPage();
+    await page.goto(`http://127.0.0.1:${server.address().port}/test/gpu.html`);
+    await page.waitForFunction(() => window.gpuPasses || window.gpuError);
+    const error = await page.evaluate(() => window.gpuError);
+    if (error) {
+        await close();
+        return { skip: error };
+    }
+    return { page, close };
+}
+
+const gpu = await openGPUPage();
+after(() => gpu.close && gpu.close());
+const runGPU = (pass, ...args) => gpu.page.evaluate((pass, args) => window.gpuPasses[pass](...args), pass, args);
+
+test('findCellIndex matches the cell boundaries', () => {
+    for (const { resX, image } of CASES) {
+        const b = resX.boundaries;
+        for (let x = 0; x < image.width; x++) {
+            const k = findCellIndex(b, x);
+            assert.ok(b[k] <= x && (x < b[k + 1] || k === b.length - 2), `texel ${x} in cell ${k}`);
+        }
+    }
+});
+
+test('renderView of an exact reconstruction shows the original', () => {
+    for (const { name, image, resX, resY } of CASES) {
+        const cells = downsample(image.data, image.width, image.height, resX, resY, 'center');
+        const view = { resX, resY, crop: { x: 0, y: 0, width: image.width, height: image.height } };
+        const original = renderView(image, cells, view);
+        const reconstructed = renderView(image, cells, { ...view, showReconstructed: true });
+        assert.deepEqual(reconstructed.data, original.data, name);
+    }
+});
+
+test('renderView of a grid at an angle looks the cells up in the deskewed image', () => {
+    const { image, resX, resY } = CASES[0];
+    const angle = 3;
+    const deskewed = deskewImage(image, angle);
+    const cells = downsample(deskewed.data, image.width, image.height, resX, resY, 'center');
+    const crop = { x: 0, y: 0, width: image.width, height: image.height };
+    const view = renderView(image, cells, { resX, resY, crop, angle, showReconstructed: true });
+    // Centre texel: the deskewed image turns about it, so it's in the same cell either way
+    const x = image.width / 2, y = image.height / 2;
+    const c = (findCellIndex(resY.boundaries, y) * cells.width + findCellIndex(resX.boundaries, x)) * 4;
+    const o = ((image.height - 1 - y) * image.width + x) * 4;
+    assert.deepEqual([...view.data.subarray(o, o + 4)], [...cells.data.subarray(c, c + 4)]);
+});
+
+test('difference profiles', { skip: gpu.skip }, async () => {
+    for (const { name, image } of CASES) {
+        const rects = [
+            { x: 0, y: 0, width: image.width, height: image.height },
+            { x: 5, y: 3, width: image.width - 12, height: image.height - 7 }
+        ];
+        for (const rect of rects) {
+            for (const metric of DIFF_METRICS) {
+                for (const alphaWeight of [0, 1]) {
+                    const crop = cropImage(image, rect);
+                    const { colData, rowData } = await runGPU('profiles', plain(image), rect, alphaWeight, metric);
+                    const relative = metric === 'linear' || metric === 'oklab' ? CURVE_TOLERANCE : PROFILE_TOLERANCE;
+                    const tolerance = (v) => relative * Math.max(1, Math.abs(v));
+                    const mismatches = metric === 'edges' ? EDGE_MISMATCHES : 0;
+                    const label = `${name}, ${JSON.stringify(rect)}, ${metric}, alpha weight ${alphaWeight}`;
+                    const cols = computeColDiffs(crop.data, crop.width, crop.height, alphaWeight, metric);
+                    const rows = computeRowDiffs(crop.data, crop.width, crop.height, alphaWeight, metric);
+                    assertClose(colData, cols, tolerance, `${label}, columns`, mismatches);
+                    assertClose(rowData, rows, tolerance, `${label}, rows`, mismatches);
+                }
+            }
+        }
+    }
+});
+
+test('downsample', { skip: gpu.skip }, async () => {
+    for (const { name, image, resX, resY } of CASES) {
+        for (const method of SAMPLING_METHODS) {
+            for (const alphaThreshold of [0, 128]) {
+                const sampling = { method, alphaThreshold };
+                const cpu = downsample(image.data, image.width, image.height, resX, resY, sampling);
+                const result = await runGPU('downsample', plain(image), resX.boundaries, resY.boundaries, sampling);
+                assertClose(result.data, cpu.data, () => COLOR_TOLERANCE, `${name}, ${method}, alpha threshold ${alphaThreshold}`);
+            }
+        }
+    }
+});
+
+test('downsample at an angle', { skip: gpu.skip }, async () => {
+    for (const { name, image, resX, resY } of CASES) {
+        for (const angle of [-4.5, 2]) {
+            const deskewed = deskewImage(image, angle);
+            const cpu = downsample(deskewed.data, image.width, image.height, resX, resY, 'mean');
+            const result = await runGPU('downsample', plain(image), resX.boundaries, resY.boundaries, 'mean', angle);
+            assertClose(result.data, cpu.data, () => COLOR_TOLERANCE, `${name}, ${angle} degrees`, ROTATED_MISMATCHES);
+        }
+    }
+});
+
+test('display', { skip: gpu.skip }, async () => {
+    const views = [
+        { name: 'original', view: {} },
+        { name: 'reconstructed', view: { showReconstructed: true } },
+        { name: 'grid', view: { showGrid: true } },
+        { name: 'split', view: { compare: 1, split: 37.5 } },
+        { name: 'side by side', view: { compare: 2 } },
+        { name: 'palette', view: { showReconstructed: true, palette: true } },
+        { name: 'cropped grid', view: { showGrid: true, crop: 'inset' } },
+        { name: 'cropped side by side', view: { compare: 2, crop: 'inset' } },
+        { name: 'grid at an angle', view: { showGrid: true, crop: 'inset', angle: 2.5 } },
+        { name: 'side by side at an angle', view: { compare: 2, angle: -3 } }
+    ];
+    for (const { name, image, resX, resY, sprite } of CASES) {
+        const cells = downsample(image.data, image.width, image.height, resX, resY, 'mean');
+        for (const v of views) {
+            const crop = v.view.crop === 'inset' ?
+                { x: 9, y: 6, width: image.width - 20, height: image.height - 14 } :
+                { x: 0, y: 0, width: image.width, height: image.height };
+            const view = { ...v.view, resX, resY, crop, palette: v.view.palette ? sprite.palette : null };
+            const cpu = flipRows(renderView(image, cells, view));
+            const result = await runGPU('display', plain(image), plain(cells), view);
+            assert.equal(result.width, cpu.width);
+            assertClose(result.data, cpu.data, () => COLOR_TOLERANCE, `${name}, ${v.name}`, v.view.angle ? ROTATED_MISMATCHES : 0);
+        }
+    }
+});
@@ -0,0 +1,42 @@
+/**
+ * Tile and region detection (detectRegions, regions.js): a composite of two scales, and image data as any
+ * ArrayLike, plain arrays included.
+ *
+ *   npm test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { detectRegions, cropImage, getTileRects } from '../index.js';
+import { mulberry32, randomSprite, upscale } from './synthetic.js';
+
+// Left half upscaled 3x, right half 5x
+function composite(rand) {
+    const left = upscale(randomSprite(40, 40, rand), { width: 120, height: 120, scaleX: 3, scaleY: 3 });
+    const right = upscale(randomSprite(24, 24, rand), { width: 120, height: 120, scaleX: 5, scaleY: 5 });
+    const data = new Uint8ClampedArray(240 * 120 * 4);
+    for (let y = 0; y < 120; y++) {
+        data.set(left.data.subarray(y * 480, (y + 1) * 480), y * 960);
+        data.set(right.data.subarray(y * 480, (y + 1) * 480), y * 960 + 480);
+    }
+    return { width: 240, height: 120, data };
+}
+
+test('each region gets its own scale', () => {
+    const image = composite(mulberry32(11));
+    const regions = [{ x: 0, y: 0, width: 120, height: 120 }, { x: 120, y: 0, width: 120, height: 120 }, { x: 500, y: 0, width: 9, height: 9 }];
+    const results = detectRegions(image, { regions });
+    assert.equal(results.length, 2); // the one outside is dropped
+    assert.deepEqual(results.map(r => Math.round(r.grid.x.scale)), [3, 5]);
+    assert.deepEqual(results.map(r => Math.round(r.grid.y.scale)), [3, 5]);
+    assert.equal(getTileRects(240, 120, 120).length, 2);
+});
+
+test('plain arrays work like typed arrays', () => {
+    const image = composite(mulberry32(12));
+    const plain = { ...image, data: Array.from(image.data) };
+    const rect = { x: 7, y: 5, width: 30, height: 20 };
+    assert.deepEqual(cropImage(plain, rect).data, cropImage(image, rect).data);
+    assert.deepEqual(detectRegions(plain, { tileSize: 120 }), detectRegions(image, { tileSize: 120 }));
+});
@@ -0,0 +1,73 @@
+/**
+ * deconvolve and estimateKernel (resample.js) on sprites upscaled with each filter, on the true grid and on one
+ * that's off by a fraction of a texel, like the detector finds on blurred images.
+ *
+ *   npm test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { deconvolve, estimateKernel, downsample, getGridRange, getCellBoundaries } from '../index.js';
+import { mulberry32, randomSprite, upscale } from './synthetic.js';
+
+const CASES = 4; // per filter
+// Mean channel error against the sprite: area and bilinear only lose the rounding, the overshoot of bicubic and
+// Lanczos at hard edges is clipped by the 8-bit image, so those cells can't all come back
+const MAX_ERROR = { area: 0.1, bilinear: 0.1, bicubic: 0.6, lanczos: 1.4 };
+const OFF_GRID = 0.6; // texels the offsets are moved by for the refinement
+
+function cases(filter) {
+    const rand = mulberry32(101 + Object.keys(MAX_ERROR).indexOf(filter));
+    return Array.from({ length: CASES }, () => {
+        const scaleX = Math.round((2.5 + rand() * 5) * 100) / 100;
+        const scaleY = rand() < 0.5 ? scaleX : Math.round((2.5 + rand() * 5) * 100) / 100;
+        const resX = { scale: scaleX, offset: rand() * scaleX };
+        const resY = { scale: scaleY, offset: rand() * scaleY };
+        const width = Math.round((24 + rand() * 16) * scaleX);
+        const height = Math.round((20 + rand() * 16) * scaleY);
+        const sprite = randomSprite(getGridRange(resX, width).count, getGridRange(resY, height).count, rand, { colors: 8 });
+        const image = upscale(sprite, { width, height, scaleX, scaleY, offsetX: resX.offset, offsetY: resY.offset, filter });
+        return { sprite, image, resX, resY };
+    });
+}
+
+function meanError(a, b) {
+    assert.equal(a.width, b.width);
+    assert.equal(a.height, b.height);
+    let sum = 0;
+    for (let i = 0; i < a.data.length; i++) sum += Math.abs(a.data[i] - b.data[i]);
+    return sum / a.data.length;
+}
+
+for (const filter of Object.keys(MAX_ERROR)) {
+    test(`${filter} upscales`, () => {
+        for (const [i, { sprite, image, resX, resY }] of cases(filter).entries()) {
+            const { data, width, height } = image;
+            assert.equal(estimateKernel(data, width, height, resX, resY).kernel, filter, `case ${i}: kernel`);
+
+            const exact = deconvolve(data, width, height, resX, resY, { kernel: filter, refine: false });
+            assert.ok(meanError(exact, sprite) <= MAX_ERROR[filter], `case ${i}: error ${meanError(exact, sprite)}`);
+
+            // Offsets off by a fraction of a texel, cells as detected: refined back, auto picks the filter
+            const off = (res, size) => ({ ...res, offset: res.offset + OFF_GRID, boundaries: getCellBoundaries(res, size) });
+            const refined = deconvolve(data, width, height, off(resX, width), off(resY, height));
+            assert.equal(refined.kernel, filter, `case ${i}: auto kernel`);
+            assert.ok(Math.abs(refined.x.offset - resX.offset) < 0.1, `case ${i}: offset x ${refined.x.offset}, expected ${resX.offset}`);
+            assert.ok(meanError(refined, sprite) <= MAX_ERROR[filter], `case ${i}: refined error ${meanError(refined, sprite)}`);
+        }
+    });
+}
+
+test('nearest gives the mean of every cell', () => {
+    const [{ image, resX, resY }] = cases('bilinear');
+    const { data, width, height } = image;
+    const lowres = deconvolve(data, width, height, resX, resY, { kernel: 'nearest' });
+    const means = downsample(data, width, height, resX, resY, { method: 'mean', radius: 0.5 });
+    assert.ok(meanError(lowres, means) <= 0.5);
+});
+
+test('unknown kernels are rejected', () => {
+    const [{ image, resX, resY }] = cases('area');
+    assert.throws(() => deconvolve(image.data, image.width, image.height, resX, resY, { kernel: 'sinc' }), RangeError);
+});
@@ -0,0 +1,39 @@
+/**
+ * Cell sampling (sampleCell, downsample): every method gives back an exact integer upscale pixel for pixel, up to the
+ * largest radius, where the sampled area reaches the cell's edges but must not take in the next cell.
+ *
+ *   npm test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { downsample, sampleCell, SAMPLING_METHODS } from '../index.js';
+import { clearTransparent, mulberry32, randomSprite, upscale } from './synthetic.js';
+
+const SCALES = [2, 3, 4, 5];
+const RADII = [0.3, 0.5];
+
+test('exact integer upscales come back pixel-exact with every method', () => {
+    const rand = mulberry32(7);
+    for (const scale of SCALES) {
+        const sprite = randomSprite(11, 9, rand, { colors: 8, alpha: true });
+        const image = upscale(sprite, { width: 11 * scale, height: 9 * scale, scaleX: scale, scaleY: scale });
+        const res = { scale, offset: 0 };
+        for (const method of SAMPLING_METHODS) {
+            for (const radius of RADII) {
+                const out = downsample(image.data, image.width, image.height, res, res, { method, radius });
+                assert.deepEqual([out.width, out.height], [sprite.width, sprite.height]);
+                assert.deepEqual(clearTransparent(out.data), clearTransparent(sprite.data), `${method}, radius ${radius}, ${scale}x`);
+            }
+        }
+    }
+});
+
+test('the sampled area stops at the cell edge', () => {
+    // Two 4-texel cells, 0 and 255; at radius 0.5 the first cell's samples are texels 0-3 only
+    const data = new Uint8ClampedArray(8 * 4);
+    for (let x = 0; x < 8; x++) data.set(x < 4 ? [0, 0, 0, 255] : [255, 255, 255, 255], x * 4);
+    assert.deepEqual(sampleCell(data, 8, 1, 0, 4, 0, 1, { method: 'mean', radius: 0.5 }), [0, 0, 0, 255]);
+    assert.deepEqual(sampleCell(data, 8, 1, 4, 8, 0, 1, { method: 'mean', radius: 0.5 }), [255, 255, 255, 255]);
+});
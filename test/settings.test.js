@@ -0,0 +1,112 @@
+/**
+ * The page's shareable settings (settings.js): every setting and the view (crop, grid overrides, candidates)
+ * through the URL hash and back, and malformed or partial hashes falling back to the defaults.
+ *
+ *   npm test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { encodeSettings, decodeSettings } from '../settings.js';
+
+// What readSettings gives for the page as it loads
+const DEFAULTS = {
+    maxScale: 32,
+    method: 'fourier',
+    sampling: { method: 'mean', radius: 0.3, trim: 0.1, alphaThreshold: 0 },
+    kernel: null,
+    alphaWeight: 1,
+    metric: 'sum',
+    autoCrop: false,
+    rotation: false,
+    paletteMode: 'off',
+    maxColors: 16,
+    animationFormat: 'apng',
+    exportFormat: 'png',
+    exportScale: 1
+};
+
+// Every one changed
+const SETTINGS = {
+    maxScale: 24,
+    method: 'consensus',
+    sampling: { method: 'trimmed-mean', radius: 0.45, trim: 0.1, alphaThreshold: 128 },
+    kernel: 'bicubic',
+    alphaWeight: 2.5,
+    metric: 'oklab',
+    autoCrop: true,
+    rotation: true,
+    paletteMode: 'auto',
+    maxColors: 7,
+    animationFormat: 'sheet',
+    exportFormat: 'aseprite',
+    exportScale: 8
+};
+
+const VIEW = {
+    cropRect: { x: 3, y: 14, width: 250, height: 180 },
+    manualGrid: { x: { scale: 4.5, offset: 1.25 }, y: { scale: 3.75, offset: 0 } },
+    selectedCandidate: { x: 2, y: 1 }
+};
+
+test('settings and view round-trip through the hash', () => {
+    const hash = '#' + encodeSettings(SETTINGS, VIEW);
+    assert.match(hash, /crop-rect=3,14,250,180/); // commas left readable
+    assert.deepEqual(decodeSettings(hash, DEFAULTS), { settings: SETTINGS, view: VIEW });
+
+    // Without a view, or with an empty one, there's none to decode
+    assert.deepEqual(decodeSettings(encodeSettings(SETTINGS), DEFAULTS), { settings: SETTINGS, view: null });
+    const empty = { cropRect: null, manualGrid: { x: null, y: null }, selectedCandidate: { x: 0, y: 0 } };
+    assert.equal(decodeSettings(encodeSettings(DEFAULTS, empty), DEFAULTS).view, null);
+    assert.deepEqual(decodeSettings(encodeSettings(DEFAULTS), SETTINGS).settings, DEFAULTS);
+
+    // Just one axis overridden
+    const partial = { ...empty, manualGrid: { x: null, y: { scale: 6, offset: 2.5 } } };
+    assert.deepEqual(decodeSettings(encodeSettings(DEFAULTS, partial), DEFAULTS).view, partial);
+
+    // Sampling instead of a kernel is 'none', and overrides a kernel
+    assert.match(encodeSettings(DEFAULTS), /kernel=none/);
+    assert.equal(decodeSettings(encodeSettings(DEFAULTS), SETTINGS).settings.kernel, null);
+    assert.equal(decodeSettings('kernel=auto', DEFAULTS).settings.kernel, 'auto');
+});
+
+test('manual grids are rounded to 4 decimals', () => {
+    const view = { ...VIEW, manualGrid: { x: { scale: 4.123456, offset: 1 / 3 }, y: null } };
+    assert.deepEqual(decodeSettings(encodeSettings(DEFAULTS, view), DEFAULTS).view.manualGrid, {
+        x: { scale: 4.1235, offset: 0.3333 }, y: null
+    });
+});
+
+test('malformed and partial hashes fall back to the defaults', () => {
+    assert.deepEqual(decodeSettings('', DEFAULTS), { settings: DEFAULTS, view: null });
+    assert.deepEqual(decodeSettings('#', DEFAULTS), { settings: DEFAULTS, view: null });
+    assert.deepEqual(decodeSettings('#garbage&&=%zz', DEFAULTS).settings, DEFAULTS);
+
+    const { settings, view } = decodeSettings(
+        '#max-scale=lots&method=magic&metric=&sampling=blur&radius=&kernel=gaussian&palette=file&format=bmp&crop=yes' +
+        '&animation=webm&upscale=NaN&colors=Infinity&crop-rect=1,2,3&grid-x=0.5,1&grid-y=4&candidates=a,b', DEFAULTS);
+    assert.deepEqual(settings, DEFAULTS);
+    assert.equal(view, null);
+
+    // Numbers out of range, as the CLI rejects them
+    const outOfRange = [
+        'max-scale=0', 'max-scale=1', 'max-scale=8.5', 'radius=5', 'radius=-0.1', 'alpha-threshold=256',
+        'alpha-threshold=12.9', 'colors=0', 'colors=9999', 'upscale=0.5', 'upscale=0', 'alpha-weight=-3',
+        'alpha-weight=Infinity'
+    ];
+    for (const param of outOfRange) assert.deepEqual(decodeSettings(param, DEFAULTS).settings, DEFAULTS, param);
+    const limits = decodeSettings('max-scale=2&radius=0.5&alpha-threshold=255&colors=256&upscale=64&alpha-weight=0', DEFAULTS);
+    assert.deepEqual(limits.settings, {
+        ...DEFAULTS, maxScale: 2, sampling: { ...DEFAULTS.sampling, radius: 0.5, alphaThreshold: 255 }, maxColors: 256,
+        exportScale: 64, alphaWeight: 0
+    });
+
+    assert.equal(decodeSettings('crop-rect=1,2,0,5', DEFAULTS).view, null); // empty rectangle
+    assert.deepEqual(decodeSettings('candidates=-3,2.7', DEFAULTS).view.selectedCandidate, { x: 0, y: 2 });
+
+    // Only what's there changes; nested sampling keeps its other fields
+    const partial = decodeSettings('?sampling=median&crop=1', DEFAULTS).settings;
+    assert.deepEqual(partial, { ...DEFAULTS, sampling: { ...DEFAULTS.sampling, method: 'median' }, autoCrop: true });
+    assert.equal(DEFAULTS.sampling.method, 'mean'); // the defaults aren't touched
+});
@@ -0,0 +1,278 @@
+/**
+ * Synthetic pixel art with a known grid for the tests: random sprites upscaled by integer or fractional factors,
+ * then degraded the ways real screenshots are (see DEGRADATIONS and generateCase).
+ */
+
+import jpeg from 'jpeg-js';
+import { getGridRange, downsample, deskewedToImage } from '../index.js';
+
+// Deterministic pseudo random, same as bench/periodicity.js
+export function mulberry32(seed) {
+    return function () {
+        seed |= 0; seed = seed + 0x6D2B79F5 | 0;
+        let t = Math.imul(seed ^ seed >>> 15, 1 | seed);
+        t = t + Math.imul(t ^ t >>> 7, 61 | t) ^ t;
+        return ((t ^ t >>> 14) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Random sprite of width x height cells from a few colours, in short horizontal runs so it has some structure.
+ * @param {{colors?: number, alpha?: boolean}} [options] alpha: some cells transparent or translucent
+ * @returns {{width: number, height: number, data: Uint8ClampedArray, palette: number[][]}}
+ */
+export function randomSprite(width, height, rand, options = {}) {
+    const palette = Array.from({ length: options.colors || 6 }, () => [0, 0, 0].map(() => Math.floor(rand() * 256)));
+    const data = new Uint8ClampedArray(width * height * 4);
+    let color = palette[0];
+    let alpha = 255;
+    for (let i = 0; i < width * height; i++) {
+        if (rand() < 0.6) {
+            color = palette[Math.floor(rand() * palette.length)];
+            alpha = !options.alpha ? 255 : rand() < 0.2 ? 0 : rand() < 0.2 ? 96 + Math.floor(rand() * 128) : 255;
+        }
+        data.set([...color, alpha], i * 4);
+    }
+    return { width, height, data, palette };
+}
+
+// Smooth resize filters, by distance in cells from the texel centre (written out here rather than taken from
+// resample.js, so the tests don't check the solver against itself)
+const FILTERS = {
+    bilinear: { support: 1, weight: (t) => 1 - Math.abs(t) },
+    bicubic: {
+        support: 2,
+        weight(t) {
+            t = Math.abs(t);
+            return t < 1 ? (1.5 * t - 2.5) * t * t + 1 : ((-0.5 * t + 2.5) * t - 4) * t + 2;
+        }
+    },
+    lanczos: {
+        support: 3,
+        weight(t) {
+            const sinc = (v) => v === 0 ? 1 : Math.sin(Math.PI * v) / (Math.PI * v);
+            return sinc(t) * sinc(t / 3);
+        }
+    }
+};
+
+// Cells (relative to the first) and weights texel p takes its colour from along one axis
+function filterTaps(p, scale, offset, first, filter) {
+    const taps = [];
+    if (filter === 'area') {
+        // Share of the texel each cell covers
+        for (let k = Math.floor((p - offset) / scale); offset + k * scale < p + 1; k++) {
+            const w = Math.min(p + 1, offset + (k + 1) * scale) - Math.max(p, offset + k * scale);
+            if (w > 0) taps.push([k - first, w]);
+        }
+        return taps;
+    }
+    const { support, weight } = FILTERS[filter];
+    const u = (p + 0.5 - offset) / scale - 0.5; // cell k's centre at k
+    let sum = 0;
+    for (let k = Math.ceil(u - support); k <= Math.floor(u + support); k++) {
+        const w = weight(u - k);
+        taps.push([k - first, w]);
+        sum += w;
+    }
+    for (const tap of taps) tap[1] /= sum;
+    return taps;
+}
+
+/**
+ * Upscale `sprite` to width x height pixels on the grid offset + k * scale of each axis (the grid getCellBoundaries
+ * draws): pixel 0 shows sprite cell 0, which is cut off when the offset isn't a multiple of the scale, and the sprite
+ * needs getGridRange(...).count cells. Cells past the sprite repeat its last one.
+ * @param {{width: number, height: number, scaleX: number, scaleY: number, offsetX?: number, offsetY?: number,
+ *   filter?: 'nearest' | 'area' | 'bilinear' | 'bicubic' | 'lanczos', angle?: number}} options
+ *   filter: anything but nearest is a smooth resize (area: anti-aliased edges, each texel the cells it covers);
+ *   angle: the grid turned by this many degrees about the centre (nearest only, see deskewImage)
+ * @returns {{width: number, height: number, data: Uint8ClampedArray}}
+ */
+export function upscale(sprite, { width, height, scaleX, scaleY, offsetX = 0, offsetY = 0, filter = 'nearest', angle = 0 }) {
+    const data = new Uint8ClampedArray(width * height * 4);
+    const firstX = Math.floor(-offsetX / scaleX);
+    const firstY = Math.floor(-offsetY / scaleY);
+    const texel = (cx, cy) => {
+        cx = Math.min(sprite.width - 1, Math.max(0, cx));
+        cy = Math.min(sprite.height - 1, Math.max(0, cy));
+        return (cy * sprite.width + cx) * 4;
+    };
+
+    if (filter === 'nearest') {
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                // Texel x is in cell k from offset + k * scale on; turned back onto the grid (deskewedToImage the
+                // other way round) when it's at an angle
+                const [gx, gy] = angle ? deskewedToImage(x + 0.5, y + 0.5, width, height, -angle).map(v => v - 0.5) : [x, y];
+                const t = texel(Math.floor((gx - offsetX) / scaleX) - firstX, Math.floor((gy - offsetY) / scaleY) - firstY);
+                data.set(sprite.data.subarray(t, t + 4), (y * width + x) * 4);
+            }
+        }
+        return { width, height, data };
+    }
+
+    // Separable filters, on straight colours (the sprites are opaque)
+    const tapsX = Array.from({ length: width }, (_, x) => filterTaps(x, scaleX, offsetX, firstX, filter));
+    const tapsY = Array.from({ length: height }, (_, y) => filterTaps(y, scaleY, offsetY, firstY, filter));
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const sum = [0, 0, 0, 0];
+            for (const [cy, wy] of tapsY[y]) {
+                for (const [cx, wx] of tapsX[x]) {
+                    const t = texel(cx, cy);
+                    for (let i = 0; i < 4; i++) sum[i] += sprite.data[t + i] * wx * wy;
+                }
+            }
+            data.set(sum, (y * width + x) * 4); // rounded and clamped
+        }
+    }
+    return { width, height, data };
+}
+
+// Through a JPEG encoder and decoder at `quality` (1-100), for the usual blocking and ringing
+export function jpegRoundTrip(image, quality) {
+    const encoded = jpeg.encode({ width: image.width, height: image.height, data: Buffer.from(image.data) }, quality);
+    const decoded = jpeg.decode(encoded.data, { useTArray: true, formatAsRGBA: true });
+    return { width: decoded.width, height: decoded.height, data: new Uint8ClampedArray(decoded.data) };
+}
+
+// `image` inside a frame of `color` ([r, g, b]), margins in pixels
+export function addBorder(image, { left, top, right, bottom, color }) {
+    const width = image.width + left + right;
+    const height = image.height + top + bottom;
+    const data = new Uint8ClampedArray(width * height * 4);
+    for (let i = 0; i < width * height; i++) data.set([...color, 255], i * 4);
+    for (let y = 0; y < image.height; y++) {
+        data.set(image.data.subarray(y * image.width * 4, (y + 1) * image.width * 4), ((top + y) * width + left) * 4);
+    }
+    return { width, height, data };
+}
+
+// Same pixels with the rows in the other order (top-down <-> bottom-up, like the page's texture)
+export function flipRows(image) {
+    const rowBytes = image.width * 4;
+    const data = new Uint8ClampedArray(image.data.length);
+    for (let y = 0; y < image.height; y++) {
+        data.set(image.data.subarray(y * rowBytes, (y + 1) * rowBytes), (image.height - 1 - y) * rowBytes);
+    }
+    return { width: image.width, height: image.height, data };
+}
+
+// Fully transparent pixels as 0, 0, 0, 0: their colour means nothing, and is lost premultiplied (sampling, SVG)
+export function clearTransparent(data) {
+    const out = Uint8ClampedArray.from(data);
+    for (let i = 0; i < out.length; i += 4) if (out[i + 3] === 0) out.fill(0, i, i + 4);
+    return out;
+}
+
+// Texels between `from` and `to` where upscale starts a cell of the grid offset + k * scale, with both ends:
+// the boundaries a perfect detection finds
+export function edgeBoundaries(res, from, to) {
+    const cell = (x) => Math.floor((x - res.offset) / res.scale);
+    const boundaries = [from];
+    for (let x = from + 1; x < to; x++) {
+        if (cell(x) !== cell(x - 1)) boundaries.push(x);
+    }
+    boundaries.push(to);
+    return boundaries;
+}
+
+// Window of an image
+function cut(image, x, y, width, height) {
+    const data = new Uint8ClampedArray(width * height * 4);
+    for (let row = 0; row < height; row++) {
+        data.set(image.data.subarray(((y + row) * image.width + x) * 4, ((y + row) * image.width + x + width) * 4), row * width * 4);
+    }
+    return { width, height, data };
+}
+
+/**
+ * Ways a case can be made harder. exact: the grid alone is enough to get the sprite back pixel for pixel;
+ * filter: a smooth upscale with this filter, for deconvolve
+ */
+export const DEGRADATIONS = {
+    'integer': { exact: true }, // whole scale, grid at the origin
+    'fractional': { exact: true }, // scale between 2.2 and 8 with a fraction, random offsets
+    'partial crop': { exact: true }, // a window out of a bigger upscale, cutting into the cells on every side
+    'border': { exact: true }, // letterbox bars or a frame around the art, found with crop: true
+    'jpeg': { exact: false }, // quality 70-90
+    'bilinear': { exact: false, filter: 'bilinear' }, // smooth upscale instead of nearest neighbour
+    'rotated': { exact: false }, // grid turned by 0.5 to 8 degrees either way, found with rotation: true
+    'bicubic': { exact: false, filter: 'bicubic' } // smooth upscale, overshooting at the edges
+};
+
+/**
+ * One case of `degradation`, the same for the same seed.
+ * @returns {{image: {width: number, height: number, data: Uint8ClampedArray}, expected: object,
+ *   truth: {x: {scale: number, offset: number, boundaries: number[]}, y: object, crop: object | null, angle: number},
+ *   options: object}} images top-down. expected: the reconstruction with the true grid, before any degradation.
+ *   truth: the grid in image coordinates (deskewed ones when there's an angle), boundaries as edgeBoundaries;
+ *   crop: the art inside the border.
+ *   options: what detectPixelGrid needs for the case
+ */
+export function generateCase(degradation, seed) {
+    const rand = mulberry32(seed * 7919 + Object.keys(DEGRADATIONS).indexOf(degradation));
+    const between = (min, max) => min + rand() * (max - min);
+
+    let scaleX, scaleY, offsetX = 0, offsetY = 0;
+    if (degradation === 'integer') {
+        scaleX = scaleY = 2 + Math.floor(rand() * 7);
+    } else {
+        scaleX = Math.round(between(2.2, 8) * 100) / 100;
+        scaleY = rand() < 0.5 ? scaleX : Math.round(between(2.2, 8) * 100) / 100;
+        offsetX = between(0, scaleX);
+        offsetY = between(0, scaleY);
+    }
+    let width = Math.round(between(32, 48) * scaleX);
+    let height = Math.round(between(24, 40) * scaleY);
+    const sprite = randomSprite(
+        getGridRange({ scale: scaleX, offset: offsetX }, width).count,
+        getGridRange({ scale: scaleY, offset: offsetY }, height).count,
+        rand, { colors: 4 + Math.floor(rand() * 12) });
+
+    const grid = { width, height, scaleX, scaleY, offsetX, offsetY };
+    let clean = upscale(sprite, grid);
+    const { filter } = DEGRADATIONS[degradation];
+    let image = filter ? upscale(sprite, { ...grid, filter }) : clean;
+    let crop = null;
+    let angle = 0;
+    const options = {};
+    if (degradation === 'partial crop') {
+        // The art cut at a random place: offsets move, the first and last cells are partial
+        const x = Math.floor(between(1, 3) * scaleX);
+        const y = Math.floor(between(1, 3) * scaleY);
+        width -= x + Math.floor(rand() * scaleX);
+        height -= y + Math.floor(rand() * scaleY);
+        image = clean = cut(clean, x, y, width, height);
+        offsetX -= x;
+        offsetY -= y;
+    } else if (degradation === 'border') {
+        const bars = rand() < 0.5;
+        const margin = () => 4 + Math.floor(rand() * 40);
+        const left = margin(), top = bars ? 0 : margin();
+        image = addBorder(clean, { left, top, right: bars ? left : margin(), bottom: bars ? 0 : margin(), color: rand() < 0.5 ? [0, 0, 0] : [40, 40, 48] });
+        crop = { x: left, y: top, width, height };
+        offsetX += left;
+        offsetY += top;
+        options.crop = true;
+    } else if (degradation === 'jpeg') {
+        image = jpegRoundTrip(clean, 70 + Math.floor(rand() * 21));
+    } else if (degradation === 'rotated') {
+        angle = Math.round(between(0.5, 8) * (rand() < 0.5 ? -1 : 1) * 100) / 100;
+        image = upscale(sprite, { ...grid, angle });
+        options.rotation = true;
+    }
+
+    const area = crop || { x: 0, y: 0, width, height };
+    const truth = {
+        x: { scale: scaleX, offset: offsetX, boundaries: edgeBoundaries({ scale: scaleX, offset: offsetX }, area.x, area.x + area.width) },
+        y: { scale: scaleY, offset: offsetY, boundaries: edgeBoundaries({ scale: scaleY, offset: offsetY }, area.y, area.y + area.height) },
+        crop,
+        angle
+    };
+    // The clean image has no border
+    const shift = (b, origin) => ({ boundaries: b.map(v => v - origin) });
+    const expected = downsample(clean.data, clean.width, clean.height, shift(truth.x.boundaries, area.x), shift(truth.y.boundaries, area.y), 'center');
+    return { image, expected, truth, options };
+}
@@ -0,0 +1,95 @@
+/**
+ * Zoom and pan for the canvases in the drop zone. The content element is scaled with a CSS transform;
+ * canvases inside it use `image-rendering: pixelated`, so zooming in stays nearest-neighbour.
+ */
+
+const MIN_ZOOM = 0.05;
+const MAX_ZOOM = 64;
+const WHEEL_ZOOM_SPEED = 0.0015;
+
+/**
+ * @param {HTMLElement} container element receiving wheel/drag events (clips the content)
+ * @param {HTMLElement} content element that gets transformed
+ * @param {{canPan?: (e: MouseEvent) => boolean, onChange?: () => void}} [options]
+ *   canPan: whether a left-button drag should pan (middle-button drags always do)
+ *   onChange: called after every zoom or pan
+ */
+export function createViewer(container, content, options = {}) {
+    const canPan = options.canPan || (() => true);
+    const onChange = options.onChange || (() => {});
+
+    let zoom = 1;
+    let panX = 0;
+    let panY = 0;
+    let contentWidth = 0;
+    let contentHeight = 0;
+    let drag = null;
+
+    function apply() {
+        content.style.transform = `translate(${panX}px, ${panY}px) scale(${zoom})`;
+        onChange();
+    }
+
+    // Fit the content into the container, at an integer zoom when enlarging so pixels stay square
+    function fit(width, height) {
+        contentWidth = width;
+        contentHeight = height;
+        const w = container.clientWidth;
+        const h = container.clientHeight;
+        zoom = Math.min(w / width, h / height);
+        if (zoom > 1) zoom = Math.floor(zoom);
+        panX = Math.round((w - width * zoom) / 2);
+        panY = Math.round((h - height * zoom) / 2);
+        apply();
+    }
+
+    // Zoom keeping the point (cx, cy) in place, relative to the container's padding box
+    function zoomAt(cx, cy, newZoom) {
+        newZoom = Math.min(MAX_ZOOM, Math.max(MIN_ZOOM, newZoom));
+        panX = cx - (cx - panX) * newZoom / zoom;
+        panY = cy - (cy - panY) * newZoom / zoom;
+        zoom = newZoom;
+        apply();
+    }
+
+    container.addEventListener('wheel', (e) => {
+        if (!contentWidth) return;
+        e.preventDefault();
+        const r = container.getBoundingClientRect();
+        zoomAt(e.clientX - r.left - container.clientLeft, e.clientY - r.top - container.clientTop, zoom * Math.exp(-e.deltaY * WHEEL_ZOOM_SPEED));
+    }, { passive: false });
+
+    container.addEventListener('mousedown', (e) => {
+        if (!contentWidth) return;
+        if (e.button === 1 || (e.button === 0 && canPan(e))) {
+            e.preventDefault();
+            drag = { x: e.clientX, y: e.clientY };
+            container.classList.add('panning');
+        }
+    });
+
+    window.addEventListener('mousemove', (e) => {
+        if (!drag) return;
+        panX += e.clientX - drag.x;
+        panY += e.clientY - drag.y;
+        drag = { x: e.clientX, y: e.clientY };
+        apply();
+    });
+
+    window.addEventListener('mouseup', () => {
+        if (!drag) return;
+        drag = null;
+        container.classList.remove('panning');
+    });
+
+    // Double-click: back to the fitted view
+    container.addEventListener('dblclick', () => {
+        if (contentWidth) fit(contentWidth, contentHeight);
+    });
+
+    return {
+        fit,
+        zoomAt,
+        get zoom() { return zoom; }
+    };
+}
@@ -0,0 +1,86 @@
+/**
+ * Minimal ZIP writer for the batch download: stored (uncompressed) entries, which is fine for PNGs
+ * (already deflated) and small manifests. No ZIP64, so archives stay below 4 GB and 65535 entries.
+ */
+
+import { crc32 } from './png.js';
+
+const encoder = new TextEncoder();
+
+// MS-DOS date and time fields
+function dosDateTime(date) {
+    const time = (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1);
+    const day = ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate();
+    return { time, day };
+}
+
+/**
+ * @param {{name: string, data: Uint8Array | string}[]} files name is the path inside the archive ('/' separated);
+ *   strings are stored as UTF-8
+ * @param {Date} [date] modification time of every entry
+ * @returns {Uint8Array} ZIP file contents
+ */
+export function createZip(files, date = new Date()) {
+    const { time, day } = dosDateTime(date);
+    const locals = [];
+    const central = [];
+    let offset = 0;
+
+    for (const file of files) {
+        const name = encoder.encode(file.name);
+        const data = typeof file.data === 'string' ? encoder.encode(file.data) : file.data;
+        const crc = crc32(data);
+
+        const local = new Uint8Array(30 + name.length);
+        const lv = new DataView(local.buffer);
+        lv.setUint32(0, 0x04034b50, true);
+        lv.setUint16(4, 20, true); // version needed: 2.0
+        lv.setUint16(6, 0x0800, true); // flags: UTF-8 names
+        lv.setUint16(8, 0, true); // method: stored
+        lv.setUint16(10, time, true);
+        lv.setUint16(12, day, true);
+        lv.setUint32(14, crc, true);
+        lv.setUint32(18, data.length, true);
+        lv.setUint32(22, data.length, true);
+        lv.setUint16(26, name.length, true);
+        local.set(name, 30);
+
+        const entry = new Uint8Array(46 + name.length);
+        const cv = new DataView(entry.buffer);
+        cv.setUint32(0, 0x02014b50, true);
+        cv.setUint16(4, 20, true); // version made by
+        cv.setUint16(6, 20, true);
+        cv.setUint16(8, 0x0800, true);
+        cv.setUint16(10, 0, true);
+        cv.setUint16(12, time, true);
+        cv.setUint16(14, day, true);
+        cv.setUint32(16, crc, true);
+        cv.setUint32(20, data.length, true);
+        cv.setUint32(24, data.length, true);
+        cv.setUint16(28, name.length, true);
+        cv.setUint32(42, offset, true); // local header offset
+        entry.set(name, 46);
+
+        locals.push(local, data);
+        central.push(entry);
+        offset += local.length + data.length;
+    }
+
+    const centralSize = central.reduce((n, e) => n + e.length, 0);
+    const end = new Uint8Array(22);
+    const ev = new DataView(end.buffer);
+    ev.setUint32(0, 0x06054b50, true);
+    ev.setUint16(8, files.length, true); // entries on this disk
+    ev.setUint16(10, files.length, true);
+    ev.setUint32(12, centralSize, true);
+    ev.setUint32(16, offset, true); // central directory offset
+
+    const parts = [...locals, ...central, end];
+    const out = new Uint8Array(parts.reduce((n, p) => n + p.length, 0));
+    let pos = 0;
+    for (const p of parts) {
+        out.set(p, pos);
+        pos += p.length;
+    }
+    return out;
+}